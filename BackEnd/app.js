@@ -0,0 +1,1075 @@
+const express = require('express');
+// Los rechazos de los handlers async llegan al manejador de errores
+require('express-async-errors');
+const cors = require('cors');
+require('dotenv').config();
+const { pool, withTransaction } = require('./db');
+const { authenticateToken, authorize } = require('./middleware/auth');
+const trazas = require('./middleware/trazas');
+const { rutaNoEncontrada, manejarErrores } = require('./middleware/errores');
+const { corsOptions, cabecerasSeguridad } = require('./middleware/seguridad');
+const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const usuariosRoutes = require('./routes/usuarios');
+const auditoriaRoutes = require('./routes/auditoria');
+const publicRoutes = require('./routes/public');
+const alumnosRoutes = require('./routes/alumnos');
+const matriculasRoutes = require('./routes/matriculas');
+const pagosRoutes = require('./routes/pagos');
+const horariosRoutes = require('./routes/horarios');
+const feriadosRoutes = require('./routes/feriados');
+const calendarioRoutes = require('./routes/calendario');
+const importacionRoutes = require('./routes/importacion');
+const estadosRoutes = require('./routes/estados');
+const reportesRoutes = require('./routes/reportes');
+const busquedaRoutes = require('./routes/busqueda');
+const notificacionesRoutes = require('./routes/notificaciones');
+const webhooksRoutes = require('./routes/webhooks');
+const { registrarAuditoria } = require('./services/auditoria');
+const { validate } = require('./middleware/validate');
+const { idParams, dryRunQuery } = require('./schemas/common');
+const { CURSO_SORT_COLUMNS, cursoBody, cursosQuery } = require('./schemas/cursos');
+const {
+    CICLO_SORT_COLUMNS,
+    cicloBody,
+    ciclosQuery,
+    duplicarBody,
+    rollForwardBody,
+    fechasYPrecios
+} = require('./schemas/ciclos');
+const { buildOrderBy, queryList } = require('./services/listado');
+const { CURSOS_SELECT, CICLOS_SELECT, filtrosCursos, filtrosCiclos } = require('./services/catalogo');
+const { etagFor, hasVersion, matchesVersion, pickFields } = require('./services/concurrencia');
+const { toCentimos, toMonto, ingresosPorCiclo } = require('./services/pagos');
+const { sesionesDeCiclo } = require('./services/horarios');
+const { datosCopia, erroresCopia, crearCopia, planCopiaCursos } = require('./services/duplicacion');
+const { idsEstados, cargarEstados, erroresTransicion, fechaAnulacion, seAnulo } = require('./services/estados');
+const { estadoInicial, registrarTransicion, estadoAntesDeAnular } = require('./services/estadosCiclo');
+const { notificarCambioCiclo } = require('./services/notificaciones');
+const { emitirEvento } = require('./services/webhooks');
+const { errorVacantes, promoverListaEspera, aumentaronVacantes } = require('./services/matriculas');
+
+// ========================================
+// APLICACIÓN EXPRESS
+// ========================================
+//
+// Solo arma la aplicación: server.js verifica la configuración y la base de
+// datos, la pone a escuchar y programa los procesos periódicos. Así las
+// pruebas pueden montarla sin efectos secundarios.
+
+const app = express();
+
+// Detrás de nginx: tomar la IP del cliente de X-Forwarded-For (usada por el rate limiting)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal');
+
+// Middlewares
+app.disable('x-powered-by');
+app.use(trazas);
+app.use(cabecerasSeguridad);
+app.use(cors(corsOptions()));
+// Los archivos de importación tienen su propio límite (IMPORT_MAX_SIZE)
+app.use(express.json({ limit: process.env.BODY_LIMIT || '100kb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.BODY_LIMIT || '100kb' }));
+
+// Solo administradores y editores pueden modificar el catálogo
+const canEdit = authorize('admin', 'editor');
+
+// ========================================
+// RUTAS DE AUTENTICACIÓN
+// ========================================
+
+app.use('/api/auth', authRoutes);
+
+// ========================================
+// CATÁLOGO PÚBLICO (sin autenticación)
+// ========================================
+
+app.use('/api/public', publicRoutes);
+
+// Feeds iCalendar: /api/calendar.ics, /api/cursos/:id/calendar.ics y /api/ciclos/:id/calendar.ics
+app.use('/api', calendarioRoutes);
+
+// ========================================
+// RUTAS PARA USUARIOS
+// ========================================
+
+app.use('/api/usuarios', usuariosRoutes);
+
+// ========================================
+// RUTAS DE AUDITORÍA
+// ========================================
+
+app.use('/api/auditoria', auditoriaRoutes);
+
+// ========================================
+// NOTIFICACIONES (bandeja de salida)
+// ========================================
+
+app.use('/api/notificaciones', notificacionesRoutes);
+
+// ========================================
+// WEBHOOKS (cambios de cursos y ciclos)
+// ========================================
+
+app.use('/api/webhooks', webhooksRoutes);
+
+// ========================================
+// RUTAS PARA ALUMNOS Y MATRÍCULAS
+// ========================================
+
+app.use('/api/alumnos', alumnosRoutes);
+app.use('/api/matriculas', matriculasRoutes);
+
+// ========================================
+// RUTAS PARA PAGOS
+// ========================================
+
+app.use('/api/pagos', pagosRoutes);
+
+// ========================================
+// RUTAS PARA HORARIOS Y FERIADOS
+// ========================================
+
+app.use('/api/horarios', horariosRoutes);
+app.use('/api/feriados', feriadosRoutes);
+
+// ========================================
+// RUTAS PARA ESTADOS
+// ========================================
+
+app.use('/api/estados', estadosRoutes);
+
+// ========================================
+// EXPORTACIÓN E IMPORTACIÓN (CSV / XLSX)
+// ========================================
+
+// /api/cursos/export, /api/cursos/import, /api/ciclos/export y /api/ciclos/import
+// (antes de las rutas /:id)
+app.use('/api', importacionRoutes);
+
+// ========================================
+// RUTAS PARA CURSOS
+// ========================================
+
+// Obtener todos los cursos (paginado si se envía page o pageSize)
+app.get('/api/cursos', authenticateToken, validate({ query: cursosQuery }), async (req, res) => {
+    const { sort, page, pageSize } = req.query;
+    const { from, params } = filtrosCursos(req.query);
+    
+    const result = await queryList({
+        select: CURSOS_SELECT,
+        from,
+        params,
+        orderBy: buildOrderBy(sort, CURSO_SORT_COLUMNS, '-idcurso', 'c.idcurso DESC'),
+        page,
+        pageSize
+    });
+    res.json(result);
+});
+
+// Obtener un curso por ID
+app.get('/api/cursos/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const result = await pool.query(
+        `SELECT c.*, e.nombre as estado_nombre 
+         FROM cegae_cursosdisponibles c
+         LEFT JOIN cegae_estados e ON c.idestado = e.idestado
+         WHERE c.idcurso = $1`,
+        [id]
+    );
+    
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+    
+    res.set('ETag', etagFor(result.rows[0]));
+    res.json(result.rows[0]);
+});
+
+// Crear nuevo curso
+app.post('/api/cursos', authenticateToken, canEdit, validate({ body: cursoBody }), async (req, res) => {
+    const {
+        nombre_curso,
+        descripcion,
+        dirigido,
+        horas_clases_por_dia,
+        horarios,
+        frecuencia,
+        idestado
+    } = req.body;
+    const { ACTIVO } = await idsEstados();
+    
+    const errors = erroresTransicion(await cargarEstados(), 'curso', null, idestado);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos', errors });
+    }
+    
+    const curso = await withTransaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO cegae_cursosdisponibles 
+             (nombre_curso, descripcion, dirigido, horas_clases_por_dia, 
+              horarios, frecuencia, idestado)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [nombre_curso, descripcion, dirigido, horas_clases_por_dia, 
+             horarios, frecuencia, idestado || ACTIVO]
+        );
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'curso',
+            identidad: result.rows[0].idcurso,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'curso.created', result.rows[0]);
+        
+        return result.rows[0];
+    });
+    
+    res.status(201).json({
+        message: 'Curso creado exitosamente',
+        curso
+    });
+});
+
+// Actualizar curso (sin idestado se conserva el estado actual)
+app.put('/api/cursos/:id', authenticateToken, canEdit, validate({ params: idParams, body: cursoBody }), async (req, res) => {
+    const { id } = req.params;
+    const {
+        nombre_curso,
+        descripcion,
+        dirigido,
+        horas_clases_por_dia,
+        horarios,
+        frecuencia
+    } = req.body;
+    
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponibles WHERE idcurso = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+        
+        const idestado = req.body.idestado || anterior.rows[0].idestado;
+        const errors = erroresTransicion(await cargarEstados(client), 'curso', anterior.rows[0].idestado, idestado);
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+        
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponibles 
+             SET nombre_curso = $1, 
+                 descripcion = $2, 
+                 dirigido = $3, 
+                 horas_clases_por_dia = $4,
+                 horarios = $5, 
+                 frecuencia = $6, 
+                 idestado = $7,
+                 fechaanulacion = ${fechaAnulacion(await idsEstados(), idestado)},
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idcurso = $8
+             RETURNING *`,
+            [nombre_curso, descripcion, dirigido, horas_clases_por_dia, 
+             horarios, frecuencia, idestado, id]
+        );
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'curso',
+            identidad: id,
+            accion: 'actualizar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'curso.updated', result.rows[0]);
+        
+        return { status: 200, curso: result.rows[0] };
+    });
+    
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+    
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+    
+    res.json({
+        message: 'Curso actualizado exitosamente',
+        curso: resultado.curso
+    });
+});
+
+// Actualizar parcialmente un curso (solo los campos enviados)
+app.patch('/api/cursos/:id', authenticateToken, canEdit, validate({ params: idParams, body: cursoBody }, { partial: true }), async (req, res) => {
+    const { id } = req.params;
+    const cambios = pickFields(cursoBody, req.body);
+    
+    // Un curso siempre tiene estado
+    if (cambios.idestado === null) {
+        delete cambios.idestado;
+    }
+    
+    if (Object.keys(cambios).length === 0) {
+        return res.status(400).json({ error: 'No se enviaron campos para actualizar' });
+    }
+    
+    if (!hasVersion(req)) {
+        return res.status(428).json({ error: 'Envíe la versión del registro (If-Match o fechaedicion)' });
+    }
+    
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponibles WHERE idcurso = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+        
+        if (!matchesVersion(req, anterior.rows[0])) {
+            return { status: 409, curso: anterior.rows[0] };
+        }
+        
+        const errors = erroresTransicion(await cargarEstados(client), 'curso', anterior.rows[0].idestado, cambios.idestado);
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+        
+        const campos = Object.keys(cambios);
+        const idestado = cambios.idestado || anterior.rows[0].idestado;
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponibles 
+             SET ${campos.map((campo, i) => `${campo} = $${i + 1}`).join(', ')},
+                 fechaanulacion = ${fechaAnulacion(await idsEstados(), idestado)},
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idcurso = $${campos.length + 1}
+             RETURNING *`,
+            [...Object.values(cambios), id]
+        );
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'curso',
+            identidad: id,
+            accion: 'actualizar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'curso.updated', result.rows[0]);
+        
+        return { status: 200, curso: result.rows[0] };
+    });
+    
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+    
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+    
+    if (resultado.status === 409) {
+        return res.status(409).json({
+            error: 'El curso fue modificado por otro usuario',
+            curso: resultado.curso
+        });
+    }
+    
+    res.set('ETag', etagFor(resultado.curso));
+    res.json({
+        message: 'Curso actualizado exitosamente',
+        curso: resultado.curso
+    });
+});
+
+// Eliminar curso (soft delete)
+app.delete('/api/cursos/:id', authenticateToken, canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    
+    // Verificar si hay ciclos asociados
+    const ciclosCheck = await pool.query(
+        'SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo WHERE idcurso = $1',
+        [id]
+    );
+    
+    if (parseInt(ciclosCheck.rows[0].count) > 0) {
+        return res.status(400).json({ 
+            error: 'No se puede eliminar el curso porque tiene ciclos asociados' 
+        });
+    }
+    
+    // Soft delete: marcar como anulado
+    const { ANULADO } = await idsEstados();
+    const curso = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponibles WHERE idcurso = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return null;
+        }
+        
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponibles 
+             SET idestado = $2, 
+                 fechaanulacion = CURRENT_TIMESTAMP,
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idcurso = $1
+             RETURNING *`,
+            [id, ANULADO]
+        );
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'curso',
+            identidad: id,
+            accion: 'eliminar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'curso.deleted', result.rows[0]);
+        
+        return result.rows[0];
+    });
+    
+    if (!curso) {
+        return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+    
+    res.json({ message: 'Curso eliminado exitosamente' });
+});
+
+// ========================================
+// RUTAS PARA CICLOS
+// ========================================
+
+// Obtener todos los ciclos (paginado si se envía page o pageSize)
+app.get('/api/ciclos', authenticateToken, validate({ query: ciclosQuery }), async (req, res) => {
+    const { sort, page, pageSize } = req.query;
+    const { from, params } = filtrosCiclos(req.query);
+    
+    const result = await queryList({
+        select: CICLOS_SELECT,
+        from,
+        params,
+        orderBy: buildOrderBy(sort, CICLO_SORT_COLUMNS, '-idcurso', 'ci.idciclo DESC'),
+        page,
+        pageSize
+    });
+    res.json(result);
+});
+
+// Fechas de clase del ciclo según sus horarios (sin feriados) y total de horas
+app.get('/api/ciclos/:id/sesiones', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    const sesiones = await sesionesDeCiclo(pool, req.params.id);
+    
+    if (!sesiones) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    res.json(sesiones);
+});
+
+// Obtener un ciclo por ID
+app.get('/api/ciclos/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const result = await pool.query(
+        `SELECT ci.*, cu.nombre_curso, e.nombre as estado_nombre 
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         LEFT JOIN cegae_estados e ON ci.idestado = e.idestado
+         WHERE ci.idciclo = $1`,
+        [id]
+    );
+    
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    res.set('ETag', etagFor(result.rows[0]));
+    res.json(result.rows[0]);
+});
+
+// Crear nuevo ciclo
+app.post('/api/ciclos', authenticateToken, canEdit, validate({ body: cicloBody }), async (req, res) => {
+    const {
+        idcurso,
+        nombreciclo,
+        precio_regular,
+        precio_promocion,
+        fecha_inicio_clase,
+        fecha_fin_clase,
+        fecha_inicio_inscripcion,
+        duracion_curso_total,
+        vacantes,
+        permite_lista_espera,
+        idestado
+    } = req.body;
+    
+    const ciclo = await withTransaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO cegae_cursosdisponiblesciclo 
+             (idcurso, nombreciclo, precio_regular, precio_promocion, 
+              fecha_inicio_clase, fecha_fin_clase, fecha_inicio_inscripcion,
+              duracion_curso_total, vacantes, permite_lista_espera, idestado)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING *`,
+            [idcurso, nombreciclo, precio_regular, precio_promocion, 
+             fecha_inicio_clase, fecha_fin_clase, fecha_inicio_inscripcion,
+             duracion_curso_total, vacantes, permite_lista_espera || false,
+             idestado || estadoInicial(await idsEstados(), fecha_inicio_inscripcion)]
+        );
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'ciclo',
+            identidad: result.rows[0].idciclo,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'ciclo.created', result.rows[0]);
+        
+        return result.rows[0];
+    });
+    
+    res.status(201).json({
+        message: 'Ciclo creado exitosamente',
+        ciclo
+    });
+});
+
+// Actualizar ciclo (sin idestado se conserva el estado actual)
+app.put('/api/ciclos/:id', authenticateToken, canEdit, validate({ params: idParams, body: cicloBody }), async (req, res) => {
+    const { id } = req.params;
+    const {
+        idcurso,
+        nombreciclo,
+        precio_regular,
+        precio_promocion,
+        fecha_inicio_clase,
+        fecha_fin_clase,
+        fecha_inicio_inscripcion,
+        duracion_curso_total,
+        vacantes,
+        permite_lista_espera
+    } = req.body;
+    
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+        
+        const desde = anterior.rows[0].idestado;
+        const idestado = req.body.idestado || desde;
+        const errors = erroresTransicion(await cargarEstados(client), 'ciclo', desde, idestado);
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+        
+        const conflicto = await errorVacantes(client, id, vacantes);
+        if (conflicto) {
+            return { status: 409, error: conflicto };
+        }
+        
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponiblesciclo 
+             SET idcurso = $1,
+                 nombreciclo = $2,
+                 precio_regular = $3,
+                 precio_promocion = $4,
+                 fecha_inicio_clase = $5,
+                 fecha_fin_clase = $6,
+                 fecha_inicio_inscripcion = $7,
+                 duracion_curso_total = $8,
+                 vacantes = $9,
+                 permite_lista_espera = $10,
+                 idestado = $11,
+                 fechaanulacion = ${fechaAnulacion(await idsEstados(), idestado)},
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idciclo = $12
+             RETURNING *`,
+            [idcurso, nombreciclo, precio_regular, precio_promocion, 
+             fecha_inicio_clase, fecha_fin_clase, fecha_inicio_inscripcion,
+             duracion_curso_total, vacantes, permite_lista_espera || false, idestado, id]
+        );
+        
+        if (aumentaronVacantes(anterior.rows[0], result.rows[0])) {
+            await promoverListaEspera(client, req.user, result.rows[0]);
+        }
+        
+        await registrarTransicion(client, req.user, { idciclo: id, desde, hacia: idestado, origen: 'manual' });
+        
+        // Anular al editar equivale a eliminar el ciclo
+        const anulado = seAnulo(await idsEstados(), anterior.rows[0], result.rows[0]);
+        await registrarAuditoria(client, req.user, {
+            entidad: 'ciclo',
+            identidad: id,
+            accion: anulado ? 'eliminar' : 'actualizar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, anulado ? 'ciclo.deleted' : 'ciclo.updated', result.rows[0]);
+        
+        await notificarCambioCiclo(client, anterior.rows[0], result.rows[0]);
+        
+        return { status: 200, ciclo: result.rows[0] };
+    });
+    
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+    
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+    
+    res.json({
+        message: 'Ciclo actualizado exitosamente',
+        ciclo: resultado.ciclo
+    });
+});
+
+// Actualizar parcialmente un ciclo (solo los campos enviados)
+app.patch('/api/ciclos/:id', authenticateToken, canEdit, validate({ params: idParams, body: cicloBody }, { partial: true }), async (req, res) => {
+    const { id } = req.params;
+    const cambios = pickFields(cicloBody, req.body);
+    
+    // Un ciclo siempre tiene estado
+    if (cambios.idestado === null) {
+        delete cambios.idestado;
+    }
+    
+    if (Object.keys(cambios).length === 0) {
+        return res.status(400).json({ error: 'No se enviaron campos para actualizar' });
+    }
+    
+    if (!hasVersion(req)) {
+        return res.status(428).json({ error: 'Envíe la versión del registro (If-Match o fechaedicion)' });
+    }
+    
+    if (cambios.permite_lista_espera === null) {
+        cambios.permite_lista_espera = false;
+    }
+    
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+        
+        if (!matchesVersion(req, anterior.rows[0])) {
+            return { status: 409, ciclo: anterior.rows[0] };
+        }
+        
+        // Las reglas entre campos se validan sobre el registro resultante
+        const desde = anterior.rows[0].idestado;
+        const errors = [
+            ...fechasYPrecios({ ...anterior.rows[0], ...cambios }),
+            ...erroresTransicion(await cargarEstados(client), 'ciclo', desde, cambios.idestado)
+        ];
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+        
+        const conflicto = await errorVacantes(client, id, cambios.vacantes);
+        if (conflicto) {
+            return { status: 409, error: conflicto };
+        }
+        
+        const campos = Object.keys(cambios);
+        const idestado = cambios.idestado || desde;
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponiblesciclo 
+             SET ${campos.map((campo, i) => `${campo} = $${i + 1}`).join(', ')},
+                 fechaanulacion = ${fechaAnulacion(await idsEstados(), idestado)},
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idciclo = $${campos.length + 1}
+             RETURNING *`,
+            [...Object.values(cambios), id]
+        );
+        
+        if (aumentaronVacantes(anterior.rows[0], result.rows[0])) {
+            await promoverListaEspera(client, req.user, result.rows[0]);
+        }
+        
+        await registrarTransicion(client, req.user, {
+            idciclo: id,
+            desde,
+            hacia: result.rows[0].idestado,
+            origen: 'manual'
+        });
+        
+        // Anular al editar equivale a eliminar el ciclo
+        const anulado = seAnulo(await idsEstados(), anterior.rows[0], result.rows[0]);
+        await registrarAuditoria(client, req.user, {
+            entidad: 'ciclo',
+            identidad: id,
+            accion: anulado ? 'eliminar' : 'actualizar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, anulado ? 'ciclo.deleted' : 'ciclo.updated', result.rows[0]);
+        
+        await notificarCambioCiclo(client, anterior.rows[0], result.rows[0]);
+        
+        return { status: 200, ciclo: result.rows[0] };
+    });
+    
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+    
+    if (resultado.status === 409 && resultado.error) {
+        return res.status(409).json({ error: resultado.error });
+    }
+    
+    if (resultado.status === 409) {
+        return res.status(409).json({
+            error: 'El ciclo fue modificado por otro usuario',
+            ciclo: resultado.ciclo
+        });
+    }
+    
+    res.set('ETag', etagFor(resultado.ciclo));
+    res.json({
+        message: 'Ciclo actualizado exitosamente',
+        ciclo: resultado.ciclo
+    });
+});
+
+// Eliminar ciclo (soft delete)
+app.delete('/api/ciclos/:id', authenticateToken, canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    
+    // Soft delete: marcar como anulado
+    const { ANULADO } = await idsEstados();
+    const ciclo = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return null;
+        }
+        
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponiblesciclo 
+             SET idestado = $2, 
+                 fechaanulacion = CURRENT_TIMESTAMP,
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idciclo = $1
+             RETURNING *`,
+            [id, ANULADO]
+        );
+        
+        await registrarTransicion(client, req.user, {
+            idciclo: id,
+            desde: anterior.rows[0].idestado,
+            hacia: ANULADO,
+            origen: 'manual'
+        });
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'ciclo',
+            identidad: id,
+            accion: 'eliminar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'ciclo.deleted', result.rows[0]);
+        
+        await notificarCambioCiclo(client, anterior.rows[0], result.rows[0]);
+        
+        return result.rows[0];
+    });
+    
+    if (!ciclo) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    res.json({ message: 'Ciclo eliminado exitosamente' });
+});
+
+// Restaurar un ciclo anulado al estado que tenía antes de anularse
+app.post('/api/ciclos/:id/restore', authenticateToken, canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const { ANULADO } = await idsEstados();
+    
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1 FOR UPDATE',
+            [id]
+        );
+        
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+        
+        const ciclo = anterior.rows[0];
+        
+        if (ciclo.idestado !== ANULADO) {
+            return { status: 409, error: 'El ciclo no está anulado' };
+        }
+        
+        const curso = await client.query(
+            'SELECT idestado FROM cegae_cursosdisponibles WHERE idcurso = $1',
+            [ciclo.idcurso]
+        );
+        
+        if (curso.rows[0].idestado === ANULADO) {
+            return { status: 409, error: 'El curso del ciclo está anulado' };
+        }
+        
+        const idestado = await estadoAntesDeAnular(client, id);
+        const result = await client.query(
+            `UPDATE cegae_cursosdisponiblesciclo 
+             SET idestado = $1,
+                 fechaanulacion = NULL,
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idciclo = $2
+             RETURNING *`,
+            [idestado, id]
+        );
+        
+        await registrarTransicion(client, req.user, {
+            idciclo: id,
+            desde: ANULADO,
+            hacia: idestado,
+            origen: 'restaurar'
+        });
+        
+        await registrarAuditoria(client, req.user, {
+            entidad: 'ciclo',
+            identidad: id,
+            accion: 'restaurar',
+            antes: ciclo,
+            despues: result.rows[0]
+        });
+        
+        await emitirEvento(client, 'ciclo.restored', result.rows[0]);
+        
+        return { status: 200, ciclo: result.rows[0] };
+    });
+    
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+    
+    res.json({
+        message: 'Ciclo restaurado exitosamente',
+        ciclo: resultado.ciclo
+    });
+});
+
+// Historial de cambios de estado del ciclo (más reciente primero)
+app.get('/api/ciclos/:id/estados', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const ciclo = await pool.query(
+        'SELECT 1 FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1',
+        [id]
+    );
+    
+    if (ciclo.rows.length === 0) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    const result = await pool.query(
+        `SELECT h.*, ea.nombre AS estado_anterior, en.nombre AS estado_nuevo
+         FROM cegae_ciclo_estados_historial h
+         LEFT JOIN cegae_estados ea ON h.idestado_anterior = ea.idestado
+         LEFT JOIN cegae_estados en ON h.idestado_nuevo = en.idestado
+         WHERE h.idciclo = $1
+         ORDER BY h.fecha DESC, h.idhistorial DESC`,
+        [id]
+    );
+    res.json(result.rows);
+});
+
+// Duplicar un ciclo con sus horarios (fechas desplazadas, precios ajustados y
+// nombre del periodo siguiente). Con dry_run=true solo devuelve la copia.
+app.post('/api/ciclos/:id/duplicate', authenticateToken, canEdit, validate({ params: idParams, query: dryRunQuery, body: duplicarBody }), async (req, res) => {
+    const { id } = req.params;
+    
+    const resultado = await withTransaction(async (client) => {
+        const original = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1',
+            [id]
+        );
+        
+        if (original.rows.length === 0) {
+            return { status: 404 };
+        }
+        
+        const datos = datosCopia(original.rows[0], req.body, await idsEstados());
+        const errors = erroresCopia(datos);
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+        
+        if (req.query.dry_run) {
+            return { status: 200, ciclo: datos };
+        }
+        
+        const copia = await crearCopia(client, req.user, Number(id), datos, req.body.copiar_horarios !== false);
+        return { status: 201, ...copia };
+    });
+    
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+    
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+    
+    if (resultado.status === 200) {
+        return res.json({ dry_run: true, ciclo: resultado.ciclo });
+    }
+    
+    res.status(201).json({
+        message: 'Ciclo duplicado exitosamente',
+        ciclo: resultado.ciclo,
+        horarios: resultado.horarios.length
+    });
+});
+
+// Copiar al siguiente periodo los ciclos activos o finalizados de los cursos indicados,
+// en una sola transacción. Con dry_run=true solo devuelve la vista previa.
+app.post('/api/ciclos/roll-forward', authenticateToken, canEdit, validate({ query: dryRunQuery, body: rollForwardBody }), async (req, res) => {
+    if (req.query.dry_run) {
+        const plan = await planCopiaCursos(pool, req.body);
+        return res.json({ dry_run: true, ...plan });
+    }
+    
+    const plan = await withTransaction(async (client) => {
+        const resultado = await planCopiaCursos(client, req.body);
+        if (resultado.resumen.error > 0) {
+            return resultado;
+        }
+        
+        for (const copia of resultado.copias.filter(c => c.accion === 'crear')) {
+            const creada = await crearCopia(
+                client,
+                req.user,
+                copia.idciclo_origen,
+                copia.ciclo,
+                req.body.copiar_horarios !== false
+            );
+            copia.ciclo = creada.ciclo;
+        }
+        
+        return resultado;
+    });
+    
+    if (plan.resumen.error > 0) {
+        return res.status(400).json({
+            error: 'Algunos ciclos no se pueden copiar; no se creó ningún ciclo',
+            ...plan
+        });
+    }
+    
+    res.status(plan.resumen.crear > 0 ? 201 : 200).json({
+        message: `${plan.resumen.crear} ciclos copiados exitosamente`,
+        ...plan
+    });
+});
+
+// ========================================
+// RUTAS DE BÚSQUEDA
+// ========================================
+
+// Búsqueda de texto completo en cursos y ciclos
+app.use('/api/buscar', busquedaRoutes);
+
+// ========================================
+// RUTAS DE ESTADÍSTICAS Y REPORTES
+// ========================================
+
+// Series mensuales, precios, descuentos y alertas del dashboard
+app.use('/api/reportes', reportesRoutes);
+
+// Obtener estadísticas generales
+app.get('/api/estadisticas', authenticateToken, async (req, res) => {
+    const { ACTIVO, PENDIENTE, FINALIZADO } = await idsEstados();
+    
+    // Todos los conteos en una sola consulta:
+    // - cursos y ciclos activos
+    // - ciclos activos que inician en los próximos 30 días o están en curso
+    // - ciclos que esperan la apertura de inscripciones y ciclos terminados
+    const conteos = await pool.query(
+        `SELECT
+            (SELECT COUNT(*) FROM cegae_cursosdisponibles WHERE idestado = $1) AS cursos_activos,
+            (SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo WHERE idestado = $1) AS ciclos_activos,
+            (SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo
+             WHERE fecha_inicio_clase BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '30 days'
+             AND idestado = $1) AS ciclos_proximos,
+            (SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo
+             WHERE CURRENT_DATE BETWEEN fecha_inicio_clase AND fecha_fin_clase
+             AND idestado = $1) AS ciclos_en_curso,
+            (SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo WHERE idestado = $2) AS ciclos_pendientes,
+            (SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo WHERE idestado = $3) AS ciclos_finalizados`,
+        [ACTIVO, PENDIENTE, FINALIZADO]
+    );
+    const conteo = conteos.rows[0];
+    const stats = {
+        cursosActivos: parseInt(conteo.cursos_activos),
+        ciclosActivos: parseInt(conteo.ciclos_activos),
+        ciclosProximos: parseInt(conteo.ciclos_proximos),
+        ciclosEnCurso: parseInt(conteo.ciclos_en_curso),
+        ciclosPendientes: parseInt(conteo.ciclos_pendientes),
+        ciclosFinalizados: parseInt(conteo.ciclos_finalizados)
+    };
+    
+    // Ingresos esperados (matrículas inscritas) vs cobrados por ciclo
+    stats.ingresosPorCiclo = await ingresosPorCiclo(pool);
+    stats.ingresosEsperados = toMonto(stats.ingresosPorCiclo
+        .reduce((total, ciclo) => total + toCentimos(ciclo.esperado), 0));
+    stats.ingresosCobrados = toMonto(stats.ingresosPorCiclo
+        .reduce((total, ciclo) => total + toCentimos(ciclo.cobrado), 0));
+    
+    res.json(stats);
+});
+
+// ========================================
+// HEALTH CHECKS Y ERRORES
+// ========================================
+
+app.use('/health', healthRoutes);
+
+app.use('/api', rutaNoEncontrada);
+app.use(manejarErrores);
+
+module.exports = app;
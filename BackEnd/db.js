@@ -0,0 +1,42 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const logger = require('./services/logger');
+
+// ========================================
+// CONFIGURACIÓN DE BASE DE DATOS
+// ========================================
+
+const pool = new Pool({
+    user: process.env.DB_USER || 'postgres',
+    host: process.env.DB_HOST || 'localhost',
+    database: process.env.DB_NAME || 'cegae_db',
+    password: process.env.DB_PASSWORD || 'password',
+    port: process.env.DB_PORT || 5432,
+});
+
+// Un cliente inactivo puede perder la conexión (reinicio de Postgres); sin este
+// listener el error terminaría el proceso. El pool lo descarta y abre otro.
+pool.on('error', (error) => {
+    logger.error('Error en una conexión inactiva de la base de datos', { error });
+});
+
+// Ejecutar `fn(client)` dentro de una transacción; se revierte si lanza error
+async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    pool,
+    withTransaction
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
+
+// ========================================
+// MIDDLEWARE DE AUTENTICACIÓN
+// ========================================
+
+const ROLES = ['admin', 'editor', 'viewer'];
+
+// Sin JWT_SECRET (solo en desarrollo: en producción el servidor no inicia) se
+// usa un secreto aleatorio; los tokens dejan de valer al reiniciar
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+// 401: no hay una sesión válida (falta el token, es inválido, expiró o la
+// sesión fue revocada); el cliente debe renovar el token o volver a iniciar
+// sesión. 403: la sesión es válida pero el rol no alcanza (authorize).
+const noAutenticado = (res, error, code) => {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error, code });
+};
+
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const [scheme, token] = (authHeader || '').split(' ');
+
+    if (!token || scheme.toLowerCase() !== 'bearer') {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Token no proporcionado', code: 'TOKEN_MISSING' });
+    }
+
+    jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] }, async (err, user) => {
+        if (err) {
+            // Con TOKEN_EXPIRED el cliente renueva el token con /api/auth/refresh
+            if (err.name === 'TokenExpiredError') {
+                return noAutenticado(res, 'Token expirado', 'TOKEN_EXPIRED');
+            }
+            return noAutenticado(res, 'Token inválido', 'TOKEN_INVALID');
+        }
+
+        try {
+            // La sesión debe seguir vigente y el usuario activo
+            const result = await pool.query(
+                `SELECT s.fecharevocacion, u.activo
+                 FROM cegae_sesiones s
+                 INNER JOIN cegae_usuarios u ON s.idusuario = u.idusuario
+                 WHERE s.idsesion = $1`,
+                [user.sid]
+            );
+            const sesion = result.rows[0];
+
+            if (!sesion || sesion.fecharevocacion || !sesion.activo) {
+                return noAutenticado(res, 'Sesión revocada', 'SESSION_REVOKED');
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+// Restringir una ruta a ciertos roles (usar después de authenticateToken)
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'No tiene permisos para realizar esta acción', code: 'FORBIDDEN' });
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    JWT_SECRET,
+    authenticateToken,
+    authorize
+};
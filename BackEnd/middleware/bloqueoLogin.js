@@ -0,0 +1,89 @@
+const logger = require('../services/logger');
+
+// ========================================
+// BLOQUEO DE LOGIN POR INTENTOS FALLIDOS
+// ========================================
+//
+// Cuenta los logins fallidos en memoria por usuario desde una IP y por IP.
+// Al superar el máximo dentro de la ventana, la clave queda bloqueada durante
+// `bloqueoMs` y el login responde 429 aunque la contraseña sea correcta. Un
+// login exitoso reinicia el conteo del usuario en esa IP (no el de la IP, para
+// que una cuenta propia no sirva para seguir probando otras).
+//
+// Se cuenta por usuario e IP, y no solo por usuario, para que un tercero no
+// pueda bloquear la cuenta de alguien fallando a propósito desde otra IP.
+// Como rateLimit, con varias instancias cada una lleva su propio conteo.
+
+const MINUTO = 60 * 1000;
+
+const bloqueoLogin = ({
+    maxPorUsuario = 5,
+    maxPorIp = 20,
+    ventanaMs = 15 * MINUTO,
+    bloqueoMs = 15 * MINUTO
+} = {}) => {
+    const intentos = new Map();
+
+    const claves = (req) => {
+        const usuario = String((req.body && req.body.username) || '').trim().toLowerCase();
+        return [
+            { clave: `usuario:${usuario}|${req.ip}`, max: maxPorUsuario },
+            { clave: `ip:${req.ip}`, max: maxPorIp }
+        ];
+    };
+
+    // Limpiar periódicamente las entradas vencidas
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [clave, entry] of intentos) {
+            if (entry.resetAt <= now && entry.bloqueadoHasta <= now) intentos.delete(clave);
+        }
+    }, ventanaMs);
+    cleanup.unref();
+
+    // Middleware: rechazar el login si el usuario o la IP están bloqueados
+    const verificar = (req, res, next) => {
+        const now = Date.now();
+        const bloqueadoHasta = Math.max(0, ...claves(req)
+            .map(({ clave }) => (intentos.get(clave) || { bloqueadoHasta: 0 }).bloqueadoHasta));
+
+        if (bloqueadoHasta > now) {
+            const segundos = Math.ceil((bloqueadoHasta - now) / 1000);
+            res.set('Retry-After', String(segundos));
+            return res.status(429).json({
+                error: `Demasiados intentos fallidos. Intente de nuevo en ${Math.ceil(segundos / 60)} minutos`,
+                code: 'LOGIN_BLOCKED'
+            });
+        }
+
+        next();
+    };
+
+    const registrarFallo = (req) => {
+        const now = Date.now();
+
+        claves(req).forEach(({ clave, max }) => {
+            let entry = intentos.get(clave);
+
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + ventanaMs, bloqueadoHasta: 0 };
+                intentos.set(clave, entry);
+            }
+
+            entry.count++;
+            if (entry.count >= max) {
+                entry.bloqueadoHasta = now + bloqueoMs;
+                entry.count = 0;
+                logger.warn('Login bloqueado por intentos fallidos', { clave, minutos: bloqueoMs / MINUTO });
+            }
+        });
+    };
+
+    const registrarExito = (req) => {
+        intentos.delete(claves(req)[0].clave);
+    };
+
+    return { verificar, registrarFallo, registrarExito };
+};
+
+module.exports = bloqueoLogin;
@@ -0,0 +1,118 @@
+const logger = require('../services/logger');
+
+// ========================================
+// MANEJO CENTRAL DE ERRORES
+// ========================================
+//
+// Las rutas no atrapan sus errores: express-async-errors pasa los rechazos de
+// los handlers async a este middleware, que responde siempre con
+//
+//   { error, code, errors?: [{ field, message }], requestId }
+//
+// Los errores de Postgres causados por los datos enviados (formato, llaves
+// foráneas, duplicados) se responden como 400/404/409; el resto es un 500
+// genérico y el detalle queda solo en el log, con el requestId para ubicarlo.
+
+// Columna del detalle de Postgres: 'Key (idcurso)=(99) is not present in table ...'
+const columnaDelDetalle = (error) => {
+    const match = /^Key \(([^)]+)\)=/.exec(error.detail || '');
+    return match ? match[1] : error.column;
+};
+
+const conCampo = (error, message) => {
+    const field = columnaDelDetalle(error);
+    return field ? [{ field, message }] : undefined;
+};
+
+// Código de Postgres → respuesta. https://www.postgresql.org/docs/current/errcodes-appendix.html
+const ERRORES_POSTGRES = {
+    '22P02': () => ({ status: 400, code: 'INVALID_INPUT', error: 'Algún valor enviado tiene un formato inválido' }),
+    '22001': (error) => ({
+        status: 400,
+        code: 'INVALID_INPUT',
+        error: 'Algún texto supera la longitud permitida',
+        errors: conCampo(error, 'Texto demasiado largo')
+    }),
+    '22003': () => ({ status: 400, code: 'INVALID_INPUT', error: 'Algún número está fuera del rango permitido' }),
+    '22007': () => ({ status: 400, code: 'INVALID_INPUT', error: 'Alguna fecha u hora es inválida' }),
+    '22008': () => ({ status: 400, code: 'INVALID_INPUT', error: 'Alguna fecha u hora está fuera de rango' }),
+    '23502': (error) => ({
+        status: 400,
+        code: 'INVALID_INPUT',
+        error: 'Falta un valor requerido',
+        errors: conCampo(error, 'Es requerido')
+    }),
+    '23514': () => ({ status: 400, code: 'INVALID_INPUT', error: 'Algún valor no está permitido' }),
+    // Llave foránea: al borrar, el registro sigue referenciado; al guardar, el
+    // registro referenciado no existe
+    '23503': (error) => (/is still referenced/.test(error.detail || '')
+        ? { status: 409, code: 'IN_USE', error: 'El registro está siendo usado por otros registros' }
+        : {
+            status: 404,
+            code: 'REFERENCE_NOT_FOUND',
+            error: 'El registro relacionado no existe',
+            errors: conCampo(error, 'No existe')
+        }),
+    '23505': (error) => ({
+        status: 409,
+        code: 'DUPLICATE',
+        error: 'Ya existe un registro con esos datos',
+        errors: conCampo(error, 'Ya existe')
+    }),
+    '40001': () => ({ status: 409, code: 'CONFLICT', error: 'Otra operación modificó los mismos datos; intente de nuevo' }),
+    '40P01': () => ({ status: 409, code: 'CONFLICT', error: 'Otra operación modificó los mismos datos; intente de nuevo' })
+};
+
+// Errores de express.json / express.urlencoded (body-parser)
+const ERRORES_CUERPO = {
+    'entity.too.large': (error) => ({
+        status: 413,
+        code: 'PAYLOAD_TOO_LARGE',
+        error: `El cuerpo de la petición supera el límite de ${error.limit} bytes`
+    }),
+    'entity.parse.failed': () => ({ status: 400, code: 'INVALID_JSON', error: 'El cuerpo de la petición no es JSON válido' }),
+    'encoding.unsupported': () => ({ status: 415, code: 'UNSUPPORTED_ENCODING', error: 'Codificación del cuerpo no soportada' }),
+    'request.aborted': () => ({ status: 400, code: 'REQUEST_ABORTED', error: 'La petición se interrumpió' })
+};
+
+function respuestaDeError(error) {
+    const dePostgres = ERRORES_POSTGRES[error.code];
+    if (dePostgres) return dePostgres(error);
+
+    const deCuerpo = ERRORES_CUERPO[error.type];
+    if (deCuerpo) return deCuerpo(error);
+
+    // Otros errores HTTP de Express o de sus middlewares (con status 4xx)
+    if (error.status >= 400 && error.status < 500) {
+        return { status: error.status, code: 'BAD_REQUEST', error: error.expose ? error.message : 'Petición inválida' };
+    }
+
+    return { status: 500, code: 'INTERNAL_ERROR', error: 'Error en el servidor' };
+}
+
+// Rutas de /api que no existen
+const rutaNoEncontrada = (req, res) => {
+    res.status(404).json({ error: 'Ruta no encontrada', code: 'NOT_FOUND', requestId: req.id });
+};
+
+const manejarErrores = (error, req, res, next) => {
+    // Si la respuesta ya empezó solo se puede cortar la conexión (lo hace Express)
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const { status, ...cuerpo } = respuestaDeError(error);
+
+    // Los errores esperados ya quedan en el log de la petición (trazas)
+    if (status >= 500) {
+        logger.error('Error no controlado', { requestId: req.id, method: req.method, path: req.originalUrl, error });
+    }
+
+    res.status(status).json({ ...cuerpo, requestId: req.id });
+};
+
+module.exports = {
+    respuestaDeError,
+    rutaNoEncontrada,
+    manejarErrores
+};
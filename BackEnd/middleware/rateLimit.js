@@ -0,0 +1,46 @@
+// ========================================
+// LÍMITE DE PETICIONES (RATE LIMITING)
+// ========================================
+//
+// Ventana fija en memoria por IP. Suficiente para una sola instancia del
+// backend; con varias instancias cada una lleva su propio conteo.
+
+const rateLimit = ({ windowMs = 60 * 1000, max = 60, message = 'Demasiadas peticiones, intente más tarde' } = {}) => {
+    const hits = new Map();
+
+    // Limpiar periódicamente las ventanas vencidas
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let entry = hits.get(req.ip);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+
+        entry.count++;
+        const remaining = Math.max(max - entry.count, 0);
+        const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(remaining));
+        res.set('RateLimit-Reset', String(resetSeconds));
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: message });
+        }
+
+        next();
+    };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,78 @@
+// ========================================
+// CABECERAS Y POLÍTICAS DE SEGURIDAD
+// ========================================
+
+const PRODUCCION = process.env.NODE_ENV === 'production';
+
+// Orígenes que pueden llamar a la API desde el navegador. CORS_ORIGINS es una
+// lista separada por comas (ej. https://cegae.pe,https://admin.cegae.pe) o "*".
+// Sin configurar se permite cualquier origen en desarrollo y ninguno en
+// producción (el frontend se sirve desde el mismo dominio que /api).
+function corsOptions(valor = process.env.CORS_ORIGINS) {
+    const origenes = (valor || '').split(',').map(origen => origen.trim().replace(/\/$/, '')).filter(Boolean);
+
+    if (origenes.includes('*') || (origenes.length === 0 && !PRODUCCION)) {
+        return { origin: true };
+    }
+
+    // Un origen no permitido no recibe las cabeceras CORS y el navegador
+    // bloquea la respuesta; las peticiones sin Origin (curl, servidores) pasan
+    return {
+        origin: (origen, callback) => callback(null, !origen || origenes.includes(origen)),
+        maxAge: 600
+    };
+}
+
+// Cabeceras al estilo de helmet para una API que solo responde JSON y
+// archivos descargables: nada se puede incrustar ni ejecutar como página
+const cabecerasSeguridad = (req, res, next) => {
+    res.set({
+        'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer',
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'X-DNS-Prefetch-Control': 'off',
+        'X-Permitted-Cross-Domain-Policies': 'none'
+    });
+
+    // HSTS solo tiene efecto (y sentido) sobre HTTPS
+    if (req.secure) {
+        res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+
+    next();
+};
+
+// Valores de ejemplo de .env.example y docker-compose.yml
+const SECRETOS_DE_EJEMPLO = ['tu_secret_key_aqui', 'tu_jwt_secret', 'your-secret-key',
+    'password', 'tu_password', 'postgres123', 'admin123', 'Admin2024!'];
+
+const JWT_SECRET_MIN = 32;
+
+// Secretos sin configurar o con valores de ejemplo. En producción el servidor
+// no inicia si hay alguno; en desarrollo solo se advierte. ADMIN_PASSWORD se
+// revisa al crear el administrador inicial (ensureAdminUser).
+function secretosInseguros(env = process.env) {
+    const problemas = [];
+
+    if (!env.JWT_SECRET) {
+        problemas.push('JWT_SECRET no está configurado');
+    } else if (SECRETOS_DE_EJEMPLO.includes(env.JWT_SECRET) || env.JWT_SECRET.length < JWT_SECRET_MIN) {
+        problemas.push(`JWT_SECRET debe ser un valor aleatorio de al menos ${JWT_SECRET_MIN} caracteres`);
+    }
+
+    if (!env.DB_PASSWORD || SECRETOS_DE_EJEMPLO.includes(env.DB_PASSWORD)) {
+        problemas.push('DB_PASSWORD no está configurado o usa un valor de ejemplo');
+    }
+
+    return problemas;
+}
+
+module.exports = {
+    PRODUCCION,
+    SECRETOS_DE_EJEMPLO,
+    corsOptions,
+    cabecerasSeguridad,
+    secretosInseguros
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+// ========================================
+// TRAZAS DE PETICIONES
+// ========================================
+//
+// Cada petición recibe un id (req.id) que se devuelve en X-Request-Id y se
+// incluye en sus logs y respuestas de error. Si nginx u otro proxy ya envía un
+// X-Request-Id válido se reutiliza, para seguir la petición entre servicios.
+// Al terminar se registra una línea con el método, la ruta, el status y la
+// latencia en milisegundos.
+
+const REQUEST_ID_FORMAT = /^[\w.:-]{1,100}$/;
+
+const trazas = (req, res, next) => {
+    const recibido = req.get('X-Request-Id');
+    req.id = recibido && REQUEST_ID_FORMAT.test(recibido) ? recibido : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const inicio = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const campos = {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            ms: Math.round(Number(process.hrtime.bigint() - inicio) / 1e5) / 10,
+            ip: req.ip,
+            usuario: req.user ? req.user.username : undefined
+        };
+
+        let nivel = 'info';
+        if (res.statusCode >= 500) nivel = 'error';
+        else if (res.statusCode >= 400) nivel = 'warn';
+        logger[nivel]('Petición atendida', campos);
+    });
+
+    next();
+};
+
+module.exports = trazas;
@@ -0,0 +1,153 @@
+// ========================================
+// VALIDACIÓN DE PETICIONES
+// ========================================
+//
+// Un esquema describe los campos de una parte de la petición (body, query o
+// params) y, opcionalmente, reglas entre campos:
+//
+//   {
+//       fields: {
+//           nombre: { type: 'string', required: true, maxLength: 255 },
+//           precio: { type: 'number', min: 0 }
+//       },
+//       checks: [async (data, req) => [{ field, message }]]
+//   }
+//
+// Tipos soportados: string, integer, number, date (YYYY-MM-DD), time (HH:MM),
+// boolean y array (con `items`, la regla de cada elemento, y `maxItems`).
+// Los valores se convierten a su tipo y se escriben de vuelta en la petición;
+// los textos se recortan salvo con `trim: false` (p. ej. contraseñas).
+
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+function isValidDate(value) {
+    if (!DATE_FORMAT.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+// Convertir y validar un valor; devuelve { value } o { message }
+function coerce(rule, value) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { message: 'Debe ser texto' };
+            const text = rule.trim === false ? value : value.trim();
+            if (rule.required && text === '') return { message: 'Es requerido' };
+            if (rule.maxLength && text.length > rule.maxLength) {
+                return { message: `No puede superar ${rule.maxLength} caracteres` };
+            }
+            return { value: text };
+        }
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(value);
+            if (typeof value === 'boolean' || isNaN(number)) return { message: 'Debe ser un número' };
+            if (rule.type === 'integer' && !Number.isInteger(number)) {
+                return { message: 'Debe ser un número entero' };
+            }
+            if (rule.min !== undefined && number < rule.min) return { message: `Debe ser mayor o igual a ${rule.min}` };
+            if (rule.max !== undefined && number > rule.max) return { message: `Debe ser menor o igual a ${rule.max}` };
+            return { value: number };
+        }
+        case 'date':
+            if (typeof value !== 'string' || !isValidDate(value)) {
+                return { message: 'Debe ser una fecha válida (AAAA-MM-DD)' };
+            }
+            return { value };
+        case 'time':
+            if (typeof value !== 'string' || !TIME_FORMAT.test(value)) {
+                return { message: 'Debe ser una hora válida (HH:MM)' };
+            }
+            // Se descartan los segundos: los horarios se manejan por minutos
+            return { value: value.slice(0, 5) };
+        case 'boolean':
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { message: 'Debe ser verdadero o falso' };
+        case 'array': {
+            if (!Array.isArray(value)) return { message: 'Debe ser una lista' };
+            if (rule.required && value.length === 0) return { message: 'Es requerido' };
+            if (rule.maxItems && value.length > rule.maxItems) {
+                return { message: `No puede tener más de ${rule.maxItems} elementos` };
+            }
+            const items = [];
+            for (const [i, item] of value.entries()) {
+                const result = coerce(rule.items, item);
+                if (result.message) return { message: `Elemento ${i + 1}: ${result.message}` };
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+        default:
+            throw new Error(`Tipo de validación desconocido: ${rule.type}`);
+    }
+}
+
+// Validar `input` contra un esquema. Con `partial` los campos requeridos
+// solo se validan si vienen en la petición (útil para PATCH).
+async function validateSchema(schema, input, req, { partial = false } = {}) {
+    const data = { ...input };
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema.fields || {})) {
+        const value = data[field];
+
+        if (isEmpty(value)) {
+            if (rule.required && !(partial && value === undefined)) {
+                errors.push({ field, message: 'Es requerido' });
+            } else if (value !== undefined && rule.type !== 'string') {
+                // Cadenas vacías en campos no textuales se guardan como NULL
+                data[field] = null;
+            }
+            continue;
+        }
+
+        const result = coerce(rule, value);
+        if (result.message) {
+            errors.push({ field, message: result.message });
+        } else if (rule.enum && !rule.enum.includes(result.value)) {
+            errors.push({ field, message: `Valores permitidos: ${rule.enum.join(', ')}` });
+        } else {
+            data[field] = result.value;
+        }
+    }
+
+    // Las reglas entre campos solo corren si cada campo es válido por sí mismo
+    if (errors.length === 0) {
+        for (const check of schema.checks || []) {
+            errors.push(...(await check(data, req)));
+        }
+    }
+
+    return { data, errors };
+}
+
+// Middleware: validate({ params, query, body }, { partial })
+const validate = (schemas, options = {}) => async (req, res, next) => {
+    try {
+        const errors = [];
+
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+            const result = await validateSchema(schemas[part], req[part] || {}, req, options);
+            errors.push(...result.errors);
+            req[part] = result.data;
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Datos inválidos', errors });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    validate,
+    validateSchema
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// ========================================
+// MIGRACIONES DE BASE DE DATOS
+// ========================================
+//
+// Cada migración son dos archivos en ./migrations con el mismo prefijo
+// numérico: NNN_descripcion.up.sql y NNN_descripcion.down.sql.
+// Las versiones aplicadas se registran en la tabla schema_migrations.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(.+)\.(up|down)\.sql$/;
+
+// Clave arbitraria para el advisory lock que evita dos ejecuciones simultáneas
+const LOCK_KEY = 20240101;
+
+const createMigrationsTableSQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    nombre VARCHAR(255) NOT NULL,
+    fecha_aplicacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+`;
+
+// Leer los archivos de migración ordenados por versión
+function loadMigrations() {
+    const migrations = new Map();
+
+    fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) return;
+
+        const [, version, nombre, direction] = match;
+        if (!migrations.has(version)) {
+            migrations.set(version, { version, nombre });
+        }
+        migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+    });
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.up || !migration.down) {
+                throw new Error(`La migración ${migration.version} debe tener archivos .up.sql y .down.sql`);
+            }
+            return migration;
+        })
+        .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+async function migrationsTableExists(client) {
+    const result = await client.query(
+        `SELECT 1 FROM information_schema.tables
+         WHERE table_schema = current_schema() AND table_name = 'schema_migrations'`
+    );
+    return result.rows.length > 0;
+}
+
+// Versiones ya aplicadas (conjunto vacío si la tabla aún no existe)
+async function getAppliedVersions(client) {
+    if (!(await migrationsTableExists(client))) {
+        return new Set();
+    }
+    const result = await client.query(
+        'SELECT version FROM schema_migrations ORDER BY version'
+    );
+    return new Set(result.rows.map(row => row.version));
+}
+
+// Ejecutar una función con una conexión dedicada y el lock de migraciones tomado
+async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        if (!(await migrationsTableExists(client))) {
+            await client.query(createMigrationsTableSQL);
+        }
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+async function runMigrationFile(client, file, registerSQL, params) {
+    const sql = fs.readFileSync(file, 'utf8');
+    try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query(registerSQL, params);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// Aplicar todas las migraciones pendientes (`log` recibe cada una aplicada)
+async function migrateUp(log = console.log) {
+    return withLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            await runMigrationFile(
+                client,
+                migration.up,
+                'INSERT INTO schema_migrations (version, nombre) VALUES ($1, $2)',
+                [migration.version, migration.nombre]
+            );
+            log(`✅ Migración aplicada: ${migration.version}_${migration.nombre}`);
+        }
+
+        return pending;
+    });
+}
+
+// Revertir las últimas `steps` migraciones aplicadas
+async function migrateDown(steps = 1) {
+    return withLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const toRevert = loadMigrations()
+            .filter(m => applied.has(m.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            await runMigrationFile(
+                client,
+                migration.down,
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            );
+            console.log(`↩️  Migración revertida: ${migration.version}_${migration.nombre}`);
+        }
+
+        return toRevert;
+    });
+}
+
+// Estado de cada migración conocida
+async function migrationStatus() {
+    const client = await pool.connect();
+    try {
+        const applied = await getAppliedVersions(client);
+        return loadMigrations().map(m => ({
+            version: m.version,
+            nombre: m.nombre,
+            aplicada: applied.has(m.version)
+        }));
+    } finally {
+        client.release();
+    }
+}
+
+// Migraciones que faltan aplicar (usado al iniciar el servidor)
+async function getPendingMigrations() {
+    const status = await migrationStatus();
+    return status.filter(m => !m.aplicada);
+}
+
+// ========================================
+// CLI: node migrate.js <up|down|status> [pasos]
+// ========================================
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrateUp();
+            if (applied.length === 0) {
+                console.log('✅ La base de datos ya está actualizada');
+            }
+            break;
+        }
+        case 'down': {
+            const steps = arg ? parseInt(arg) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('El número de pasos debe ser un entero positivo');
+            }
+            const reverted = await migrateDown(steps);
+            if (reverted.length === 0) {
+                console.log('No hay migraciones para revertir');
+            }
+            break;
+        }
+        case 'status': {
+            const status = await migrationStatus();
+            status.forEach(m => {
+                console.log(`${m.aplicada ? '[x]' : '[ ]'} ${m.version}_${m.nombre}`);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Comando desconocido: ${command}. Use up, down o status`);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .catch(error => {
+            console.error('❌ Error en migración:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = {
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+    getPendingMigrations
+};
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS cegae_cursosdisponiblesciclo;
+DROP TABLE IF EXISTS cegae_cursosdisponibles;
+DROP TABLE IF EXISTS cegae_estados;
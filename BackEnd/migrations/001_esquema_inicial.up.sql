@@ -0,0 +1,62 @@
+-- Tabla de estados
+CREATE TABLE IF NOT EXISTS cegae_estados (
+    idestado SERIAL PRIMARY KEY,
+    nombre VARCHAR(50) NOT NULL,
+    descripcion VARCHAR(200),
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de cursos disponibles
+CREATE TABLE IF NOT EXISTS cegae_cursosdisponibles (
+    idcurso SERIAL PRIMARY KEY,
+    nombre_curso VARCHAR(255) NOT NULL,
+    descripcion TEXT,
+    dirigido TEXT,
+    horas_clases_por_dia VARCHAR(100),
+    horarios TEXT,
+    frecuencia TEXT,
+    idestado INT4,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaanulacion TIMESTAMP,
+    CONSTRAINT fk_curso_estado FOREIGN KEY (idestado) 
+        REFERENCES cegae_estados(idestado)
+);
+
+-- Tabla de ciclos de cursos
+CREATE TABLE IF NOT EXISTS cegae_cursosdisponiblesciclo (
+    idciclo SERIAL PRIMARY KEY,
+    idcurso INT4 NOT NULL,
+    nombreciclo VARCHAR(255) NOT NULL,
+    precio_regular NUMERIC(10,2),
+    precio_promocion NUMERIC(10,2),
+    fecha_inicio_clase DATE,
+    fecha_fin_clase DATE,
+    duracion_curso_total VARCHAR(100),
+    idestado INT4,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaanulacion TIMESTAMP,
+    CONSTRAINT fk_ciclo_curso FOREIGN KEY (idcurso) 
+        REFERENCES cegae_cursosdisponibles(idcurso) ON DELETE CASCADE,
+    CONSTRAINT fk_ciclo_estado FOREIGN KEY (idestado) 
+        REFERENCES cegae_estados(idestado)
+);
+
+-- Insertar estados iniciales si no existen
+INSERT INTO cegae_estados (nombre, descripcion) 
+SELECT * FROM (VALUES 
+    ('Activo', 'Registro activo y disponible'),
+    ('Inactivo', 'Registro inactivo temporalmente'),
+    ('Anulado', 'Registro anulado permanentemente'),
+    ('Pendiente', 'Registro pendiente de aprobación'),
+    ('Finalizado', 'Registro finalizado')
+) AS v(nombre, descripcion)
+WHERE NOT EXISTS (SELECT 1 FROM cegae_estados);
+
+-- Crear índices para mejorar performance
+CREATE INDEX IF NOT EXISTS idx_curso_estado ON cegae_cursosdisponibles(idestado);
+CREATE INDEX IF NOT EXISTS idx_curso_nombre ON cegae_cursosdisponibles(nombre_curso);
+CREATE INDEX IF NOT EXISTS idx_ciclo_curso ON cegae_cursosdisponiblesciclo(idcurso);
+CREATE INDEX IF NOT EXISTS idx_ciclo_estado ON cegae_cursosdisponiblesciclo(idestado);
+CREATE INDEX IF NOT EXISTS idx_ciclo_fechas ON cegae_cursosdisponiblesciclo(fecha_inicio_clase, fecha_fin_clase);
@@ -0,0 +1,12 @@
+-- Usuarios del sistema con rol
+CREATE TABLE IF NOT EXISTS cegae_usuarios (
+    idusuario SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password_hash VARCHAR(100) NOT NULL,
+    nombre VARCHAR(150),
+    rol VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_usuario_rol CHECK (rol IN ('admin', 'editor', 'viewer'))
+);
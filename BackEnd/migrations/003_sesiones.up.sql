@@ -0,0 +1,18 @@
+-- Sesiones de usuario con refresh token rotativo
+CREATE TABLE IF NOT EXISTS cegae_sesiones (
+    idsesion SERIAL PRIMARY KEY,
+    idusuario INT4 NOT NULL,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    refresh_token_anterior VARCHAR(64),
+    ip VARCHAR(64),
+    user_agent VARCHAR(255),
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaexpiracion TIMESTAMP NOT NULL,
+    fecharevocacion TIMESTAMP,
+    CONSTRAINT fk_sesion_usuario FOREIGN KEY (idusuario)
+        REFERENCES cegae_usuarios(idusuario) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sesion_usuario ON cegae_sesiones(idusuario);
+CREATE INDEX IF NOT EXISTS idx_sesion_token_anterior ON cegae_sesiones(refresh_token_anterior);
@@ -0,0 +1,18 @@
+-- Registro de auditoría de cambios sobre cursos y ciclos
+CREATE TABLE IF NOT EXISTS cegae_auditoria (
+    idauditoria SERIAL PRIMARY KEY,
+    entidad VARCHAR(50) NOT NULL,
+    identidad INT4 NOT NULL,
+    accion VARCHAR(20) NOT NULL,
+    idusuario INT4,
+    username VARCHAR(50),
+    datos_anteriores JSONB,
+    datos_nuevos JSONB,
+    fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_auditoria_usuario FOREIGN KEY (idusuario)
+        REFERENCES cegae_usuarios(idusuario) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditoria_entidad ON cegae_auditoria(entidad, identidad);
+CREATE INDEX IF NOT EXISTS idx_auditoria_usuario ON cegae_auditoria(idusuario);
+CREATE INDEX IF NOT EXISTS idx_auditoria_fecha ON cegae_auditoria(fecha);
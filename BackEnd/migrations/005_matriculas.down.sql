@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS cegae_matriculas;
+ALTER TABLE cegae_cursosdisponiblesciclo DROP COLUMN IF EXISTS permite_lista_espera;
+ALTER TABLE cegae_cursosdisponiblesciclo DROP COLUMN IF EXISTS vacantes;
+DROP TABLE IF EXISTS cegae_alumnos;
@@ -0,0 +1,43 @@
+-- Alumnos
+CREATE TABLE IF NOT EXISTS cegae_alumnos (
+    idalumno SERIAL PRIMARY KEY,
+    documento VARCHAR(20) NOT NULL UNIQUE,
+    nombres VARCHAR(150) NOT NULL,
+    apellidos VARCHAR(150) NOT NULL,
+    email VARCHAR(150),
+    telefono VARCHAR(30),
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Capacidad de cada ciclo (NULL = sin límite) y lista de espera opcional
+ALTER TABLE cegae_cursosdisponiblesciclo ADD COLUMN vacantes INT4;
+ALTER TABLE cegae_cursosdisponiblesciclo ADD COLUMN permite_lista_espera BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Matrículas de alumnos en ciclos. El precio se congela al matricular.
+CREATE TABLE IF NOT EXISTS cegae_matriculas (
+    idmatricula SERIAL PRIMARY KEY,
+    idciclo INT4 NOT NULL,
+    idalumno INT4 NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'inscrito',
+    precio NUMERIC(10,2),
+    tipo_precio VARCHAR(20),
+    idusuario INT4,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaanulacion TIMESTAMP,
+    CONSTRAINT chk_matricula_estado CHECK (estado IN ('inscrito', 'lista_espera', 'anulado')),
+    CONSTRAINT chk_matricula_tipo_precio CHECK (tipo_precio IN ('regular', 'promocion')),
+    CONSTRAINT fk_matricula_ciclo FOREIGN KEY (idciclo)
+        REFERENCES cegae_cursosdisponiblesciclo(idciclo),
+    CONSTRAINT fk_matricula_alumno FOREIGN KEY (idalumno)
+        REFERENCES cegae_alumnos(idalumno),
+    CONSTRAINT fk_matricula_usuario FOREIGN KEY (idusuario)
+        REFERENCES cegae_usuarios(idusuario) ON DELETE SET NULL
+);
+
+-- Un alumno no puede tener dos matrículas vigentes en el mismo ciclo
+CREATE UNIQUE INDEX IF NOT EXISTS uq_matricula_vigente
+    ON cegae_matriculas(idciclo, idalumno) WHERE estado <> 'anulado';
+CREATE INDEX IF NOT EXISTS idx_matricula_ciclo ON cegae_matriculas(idciclo, estado);
+CREATE INDEX IF NOT EXISTS idx_matricula_alumno ON cegae_matriculas(idalumno);
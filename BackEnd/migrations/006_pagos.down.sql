@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS cegae_pagos;
+DROP TABLE IF EXISTS cegae_cuotas;
@@ -0,0 +1,36 @@
+-- Plan de pagos de una matrícula: un pago único o N cuotas con vencimiento
+CREATE TABLE IF NOT EXISTS cegae_cuotas (
+    idcuota SERIAL PRIMARY KEY,
+    idmatricula INT4 NOT NULL,
+    numero INT4 NOT NULL,
+    monto NUMERIC(10,2) NOT NULL,
+    fecha_vencimiento DATE NOT NULL,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_cuota_numero UNIQUE (idmatricula, numero),
+    CONSTRAINT chk_cuota_monto CHECK (monto > 0),
+    CONSTRAINT fk_cuota_matricula FOREIGN KEY (idmatricula)
+        REFERENCES cegae_matriculas(idmatricula) ON DELETE CASCADE
+);
+
+-- Pagos recibidos. Se aplican a las cuotas en orden de vencimiento.
+CREATE TABLE IF NOT EXISTS cegae_pagos (
+    idpago SERIAL PRIMARY KEY,
+    idmatricula INT4 NOT NULL,
+    monto NUMERIC(10,2) NOT NULL,
+    metodo VARCHAR(20) NOT NULL,
+    numero_recibo VARCHAR(50) NOT NULL UNIQUE,
+    fecha_pago DATE NOT NULL DEFAULT CURRENT_DATE,
+    observacion TEXT,
+    idusuario INT4,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaanulacion TIMESTAMP,
+    CONSTRAINT chk_pago_monto CHECK (monto > 0),
+    CONSTRAINT chk_pago_metodo CHECK (metodo IN ('efectivo', 'transferencia', 'tarjeta', 'deposito')),
+    CONSTRAINT fk_pago_matricula FOREIGN KEY (idmatricula)
+        REFERENCES cegae_matriculas(idmatricula),
+    CONSTRAINT fk_pago_usuario FOREIGN KEY (idusuario)
+        REFERENCES cegae_usuarios(idusuario) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_cuota_vencimiento ON cegae_cuotas(fecha_vencimiento);
+CREATE INDEX IF NOT EXISTS idx_pago_matricula ON cegae_pagos(idmatricula);
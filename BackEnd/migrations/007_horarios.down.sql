@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS cegae_feriados;
+DROP TABLE IF EXISTS cegae_horarios;
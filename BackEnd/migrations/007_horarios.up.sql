@@ -0,0 +1,27 @@
+-- Sesiones semanales de cada ciclo (dia_semana: 1 = lunes ... 7 = domingo)
+CREATE TABLE IF NOT EXISTS cegae_horarios (
+    idhorario SERIAL PRIMARY KEY,
+    idciclo INT4 NOT NULL,
+    dia_semana INT4 NOT NULL,
+    hora_inicio TIME NOT NULL,
+    hora_fin TIME NOT NULL,
+    aula VARCHAR(100),
+    instructor VARCHAR(150),
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_horario_dia CHECK (dia_semana BETWEEN 1 AND 7),
+    CONSTRAINT chk_horario_horas CHECK (hora_fin > hora_inicio),
+    CONSTRAINT fk_horario_ciclo FOREIGN KEY (idciclo)
+        REFERENCES cegae_cursosdisponiblesciclo(idciclo) ON DELETE CASCADE
+);
+
+-- Días sin clases
+CREATE TABLE IF NOT EXISTS cegae_feriados (
+    idferiado SERIAL PRIMARY KEY,
+    fecha DATE NOT NULL UNIQUE,
+    descripcion VARCHAR(255) NOT NULL,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_horario_ciclo ON cegae_horarios(idciclo);
+CREATE INDEX IF NOT EXISTS idx_horario_dia ON cegae_horarios(dia_semana, hora_inicio);
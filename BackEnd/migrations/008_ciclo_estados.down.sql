@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS cegae_ciclo_estados_historial;
+DROP INDEX IF EXISTS idx_ciclo_inscripcion;
+ALTER TABLE cegae_cursosdisponiblesciclo DROP COLUMN IF EXISTS fecha_inicio_inscripcion;
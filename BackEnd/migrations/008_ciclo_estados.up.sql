@@ -0,0 +1,24 @@
+-- Fecha desde la que se aceptan matrículas; al llegar, un ciclo Pendiente
+-- pasa a Activo
+ALTER TABLE cegae_cursosdisponiblesciclo ADD COLUMN fecha_inicio_inscripcion DATE;
+
+-- Historial de cambios de estado de los ciclos (origen: manual, automatico
+-- o restaurar). idusuario es NULL en las transiciones automáticas.
+CREATE TABLE IF NOT EXISTS cegae_ciclo_estados_historial (
+    idhistorial SERIAL PRIMARY KEY,
+    idciclo INT4 NOT NULL,
+    idestado_anterior INT4,
+    idestado_nuevo INT4 NOT NULL,
+    origen VARCHAR(20) NOT NULL,
+    idusuario INT4,
+    username VARCHAR(50),
+    fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_historial_origen CHECK (origen IN ('manual', 'automatico', 'restaurar')),
+    CONSTRAINT fk_historial_ciclo FOREIGN KEY (idciclo)
+        REFERENCES cegae_cursosdisponiblesciclo(idciclo) ON DELETE CASCADE,
+    CONSTRAINT fk_historial_usuario FOREIGN KEY (idusuario)
+        REFERENCES cegae_usuarios(idusuario) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_historial_ciclo ON cegae_ciclo_estados_historial(idciclo, fecha);
+CREATE INDEX IF NOT EXISTS idx_ciclo_inscripcion ON cegae_cursosdisponiblesciclo(idestado, fecha_inicio_inscripcion);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS uq_estado_codigo;
+ALTER TABLE cegae_estados DROP COLUMN IF EXISTS aplica_ciclos;
+ALTER TABLE cegae_estados DROP COLUMN IF EXISTS aplica_cursos;
+ALTER TABLE cegae_estados DROP COLUMN IF EXISTS codigo;
@@ -0,0 +1,17 @@
+-- Código estable de cada estado: la aplicación se refiere a los estados por
+-- código y no por id
+ALTER TABLE cegae_estados ADD COLUMN codigo VARCHAR(30);
+ALTER TABLE cegae_estados ADD COLUMN aplica_cursos BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE cegae_estados ADD COLUMN aplica_ciclos BOOLEAN NOT NULL DEFAULT TRUE;
+
+UPDATE cegae_estados SET codigo = UPPER(nombre)
+WHERE UPPER(nombre) IN ('ACTIVO', 'INACTIVO', 'ANULADO', 'PENDIENTE', 'FINALIZADO');
+
+UPDATE cegae_estados SET codigo = 'ESTADO_' || CAST(idestado AS VARCHAR) WHERE codigo IS NULL;
+
+ALTER TABLE cegae_estados ALTER COLUMN codigo SET NOT NULL;
+
+-- Pendiente y Finalizado son parte del ciclo de vida de los ciclos
+UPDATE cegae_estados SET aplica_cursos = FALSE WHERE codigo IN ('PENDIENTE', 'FINALIZADO');
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_estado_codigo ON cegae_estados(codigo);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS cegae_notificaciones;
+ALTER TABLE cegae_usuarios DROP COLUMN IF EXISTS recibe_notificaciones;
+ALTER TABLE cegae_usuarios DROP COLUMN IF EXISTS email;
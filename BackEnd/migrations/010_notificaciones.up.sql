@@ -0,0 +1,30 @@
+-- Correo del personal para recibir notificaciones (opcional)
+ALTER TABLE cegae_usuarios ADD COLUMN email VARCHAR(150);
+ALTER TABLE cegae_usuarios ADD COLUMN recibe_notificaciones BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Bandeja de salida: cada fila es un mensaje para un destinatario. Un proceso
+-- periódico envía los pendientes y reintenta los fallidos hasta agotar los
+-- intentos. clave evita encolar dos veces el mismo aviso programado.
+CREATE TABLE IF NOT EXISTS cegae_notificaciones (
+    idnotificacion SERIAL PRIMARY KEY,
+    tipo VARCHAR(30) NOT NULL,
+    idciclo INT4,
+    clave VARCHAR(100),
+    destinatario VARCHAR(150) NOT NULL,
+    nombre_destinatario VARCHAR(255),
+    asunto VARCHAR(255) NOT NULL,
+    cuerpo TEXT NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+    intentos INT4 NOT NULL DEFAULT 0,
+    ultimo_error TEXT,
+    proximo_intento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaenvio TIMESTAMP,
+    CONSTRAINT chk_notificacion_tipo CHECK (tipo IN ('ciclo_por_iniciar', 'ciclo_modificado', 'ciclo_anulado')),
+    CONSTRAINT chk_notificacion_estado CHECK (estado IN ('pendiente', 'enviado', 'fallido')),
+    CONSTRAINT fk_notificacion_ciclo FOREIGN KEY (idciclo)
+        REFERENCES cegae_cursosdisponiblesciclo(idciclo) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notificacion_pendiente ON cegae_notificaciones(estado, proximo_intento);
+CREATE INDEX IF NOT EXISTS idx_notificacion_clave ON cegae_notificaciones(clave);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS cegae_webhook_entregas;
+DROP TABLE IF EXISTS cegae_webhooks;
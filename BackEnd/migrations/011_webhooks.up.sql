@@ -0,0 +1,38 @@
+-- Webhooks: URLs registradas por un administrador que reciben los cambios del
+-- catálogo. eventos es una lista JSON de eventos ("curso.created") o comodines
+-- ("ciclo.*", "*"). El secreto firma cada entrega con HMAC-SHA256.
+CREATE TABLE IF NOT EXISTS cegae_webhooks (
+    idwebhook SERIAL PRIMARY KEY,
+    url VARCHAR(500) NOT NULL,
+    eventos JSONB NOT NULL,
+    secreto VARCHAR(100) NOT NULL,
+    descripcion VARCHAR(200),
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaedicion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Registro de entregas: se encolan en la transacción del cambio y un proceso
+-- periódico las envía, con reintentos y espera exponencial
+CREATE TABLE IF NOT EXISTS cegae_webhook_entregas (
+    identrega SERIAL PRIMARY KEY,
+    idwebhook INT4 NOT NULL,
+    evento VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+    intentos INT4 NOT NULL DEFAULT 0,
+    ultimo_codigo INT4,
+    ultimo_error TEXT,
+    proximo_intento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    idreentrega INT4,
+    fechacreacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fechaentrega TIMESTAMP,
+    CONSTRAINT chk_entrega_estado CHECK (estado IN ('pendiente', 'entregado', 'fallido')),
+    CONSTRAINT fk_entrega_webhook FOREIGN KEY (idwebhook)
+        REFERENCES cegae_webhooks(idwebhook) ON DELETE CASCADE,
+    CONSTRAINT fk_entrega_reentrega FOREIGN KEY (idreentrega)
+        REFERENCES cegae_webhook_entregas(identrega) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_entrega_pendiente ON cegae_webhook_entregas(estado, proximo_intento);
+CREATE INDEX IF NOT EXISTS idx_entrega_webhook ON cegae_webhook_entregas(idwebhook, fechacreacion);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_ciclos_busqueda;
+DROP INDEX IF EXISTS idx_cursos_busqueda;
+DROP FUNCTION IF EXISTS cegae_ciclo_documento(TEXT);
+DROP FUNCTION IF EXISTS cegae_curso_documento(TEXT, TEXT, TEXT);
+DROP TEXT SEARCH CONFIGURATION IF EXISTS cegae_espanol;
+-- unaccent queda instalada: pudo existir antes de esta migración
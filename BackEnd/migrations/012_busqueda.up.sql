@@ -0,0 +1,27 @@
+-- Búsqueda de texto completo en el catálogo: raíces en español (spanish_stem)
+-- sin distinguir tildes (unaccent), así "computacion" encuentra "Computación"
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+CREATE TEXT SEARCH CONFIGURATION cegae_espanol (COPY = pg_catalog.spanish);
+ALTER TEXT SEARCH CONFIGURATION cegae_espanol
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+
+-- Documento de búsqueda de cada entidad. El peso ordena los resultados: el
+-- nombre (A) pesa más que la descripción (B) y que el público (C). Las
+-- consultas usan las mismas funciones para que el planner use los índices.
+CREATE OR REPLACE FUNCTION cegae_curso_documento(nombre TEXT, descripcion TEXT, dirigido TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('cegae_espanol', COALESCE(nombre, '')), 'A')
+        || setweight(to_tsvector('cegae_espanol', COALESCE(descripcion, '')), 'B')
+        || setweight(to_tsvector('cegae_espanol', COALESCE(dirigido, '')), 'C')
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+CREATE OR REPLACE FUNCTION cegae_ciclo_documento(nombreciclo TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('cegae_espanol', COALESCE(nombreciclo, '')), 'A')
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+CREATE INDEX IF NOT EXISTS idx_cursos_busqueda ON cegae_cursosdisponibles
+    USING GIN (cegae_curso_documento(nombre_curso, descripcion, dirigido));
+CREATE INDEX IF NOT EXISTS idx_ciclos_busqueda ON cegae_cursosdisponiblesciclo
+    USING GIN (cegae_ciclo_documento(nombreciclo));
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS uq_notificacion_clave;
+CREATE INDEX IF NOT EXISTS idx_notificacion_clave ON cegae_notificaciones(clave);
@@ -0,0 +1,13 @@
+-- Un aviso programado (clave) se encola una sola vez por destinatario aunque
+-- dos procesos lo intenten a la vez. Antes de crear el índice se quitan los
+-- duplicados que hayan quedado, conservando el mensaje más antiguo.
+DELETE FROM cegae_notificaciones
+WHERE idnotificacion IN (
+    SELECT n.idnotificacion
+    FROM cegae_notificaciones n
+    INNER JOIN cegae_notificaciones o
+        ON o.clave = n.clave AND o.destinatario = n.destinatario AND o.idnotificacion < n.idnotificacion
+);
+
+DROP INDEX IF EXISTS idx_notificacion_clave;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_notificacion_clave ON cegae_notificaciones(clave, destinatario);
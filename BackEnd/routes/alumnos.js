@@ -0,0 +1,119 @@
+const express = require('express');
+const { pool } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { alumnoBody, alumnosQuery } = require('../schemas/matriculas');
+
+const router = express.Router();
+
+const canEdit = authorize('admin', 'editor');
+
+// ========================================
+// RUTAS PARA ALUMNOS
+// ========================================
+
+router.use(authenticateToken);
+
+// Obtener alumnos (búsqueda por nombre/apellido/documento o documento exacto)
+router.get('/', validate({ query: alumnosQuery }), async (req, res) => {
+    const { search, documento } = req.query;
+    let query = 'SELECT * FROM cegae_alumnos WHERE 1=1';
+    const params = [];
+
+    if (documento) {
+        params.push(documento);
+        query += ` AND documento = $${params.length}`;
+    }
+
+    if (search) {
+        params.push(`%${search}%`);
+        query += ` AND (nombres ILIKE $${params.length}
+                   OR apellidos ILIKE $${params.length}
+                   OR documento ILIKE $${params.length})`;
+    }
+
+    query += ' ORDER BY apellidos, nombres';
+
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+});
+
+// Obtener un alumno por ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+    const result = await pool.query(
+        'SELECT * FROM cegae_alumnos WHERE idalumno = $1',
+        [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Alumno no encontrado' });
+    }
+
+    res.json(result.rows[0]);
+});
+
+// Crear nuevo alumno
+router.post('/', canEdit, validate({ body: alumnoBody }), async (req, res) => {
+    const { documento, nombres, apellidos, email, telefono } = req.body;
+
+    const existing = await pool.query(
+        'SELECT idalumno FROM cegae_alumnos WHERE documento = $1',
+        [documento]
+    );
+
+    if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'Ya existe un alumno con ese documento' });
+    }
+
+    const result = await pool.query(
+        `INSERT INTO cegae_alumnos (documento, nombres, apellidos, email, telefono)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [documento, nombres, apellidos, email, telefono]
+    );
+
+    res.status(201).json({
+        message: 'Alumno creado exitosamente',
+        alumno: result.rows[0]
+    });
+});
+
+// Actualizar alumno
+router.put('/:id', canEdit, validate({ params: idParams, body: alumnoBody }), async (req, res) => {
+    const { id } = req.params;
+    const { documento, nombres, apellidos, email, telefono } = req.body;
+
+    const existing = await pool.query(
+        'SELECT idalumno FROM cegae_alumnos WHERE documento = $1 AND idalumno <> $2',
+        [documento, id]
+    );
+
+    if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'Ya existe un alumno con ese documento' });
+    }
+
+    const result = await pool.query(
+        `UPDATE cegae_alumnos
+         SET documento = $1,
+             nombres = $2,
+             apellidos = $3,
+             email = $4,
+             telefono = $5,
+             fechaedicion = CURRENT_TIMESTAMP
+         WHERE idalumno = $6
+         RETURNING *`,
+        [documento, nombres, apellidos, email, telefono, id]
+    );
+
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Alumno no encontrado' });
+    }
+
+    res.json({
+        message: 'Alumno actualizado exitosamente',
+        alumno: result.rows[0]
+    });
+});
+
+module.exports = router;
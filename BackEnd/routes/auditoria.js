@@ -0,0 +1,62 @@
+const express = require('express');
+const { pool } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { auditoriaQuery } = require('../schemas/auditoria');
+
+const router = express.Router();
+
+// ========================================
+// RUTAS DE AUDITORÍA
+// ========================================
+
+router.use(authenticateToken, authorize('admin', 'editor'));
+
+// Consultar el historial de cambios
+// Filtros: entidad, identidad, usuario (username), desde, hasta (YYYY-MM-DD), limit, page
+router.get('/', validate({ query: auditoriaQuery }), async (req, res) => {
+    const { entidad, identidad, usuario, desde, hasta } = req.query;
+    const limit = req.query.limit || 100;
+    const page = req.query.page || 1;
+
+    let query = `
+        SELECT idauditoria, entidad, identidad, accion, idusuario, username,
+               datos_anteriores, datos_nuevos, fecha
+        FROM cegae_auditoria
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (entidad) {
+        params.push(entidad);
+        query += ` AND entidad = $${params.length}`;
+    }
+
+    if (identidad) {
+        params.push(identidad);
+        query += ` AND identidad = $${params.length}`;
+    }
+
+    if (usuario) {
+        params.push(usuario);
+        query += ` AND username = $${params.length}`;
+    }
+
+    if (desde) {
+        params.push(desde);
+        query += ` AND fecha::date >= $${params.length}::date`;
+    }
+
+    if (hasta) {
+        params.push(hasta);
+        query += ` AND fecha::date <= $${params.length}::date`;
+    }
+
+    params.push(limit, (page - 1) * limit);
+    query += ` ORDER BY fecha DESC, idauditoria DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
+const { JWT_SECRET, authenticateToken } = require('../middleware/auth');
+const bloqueoLogin = require('../middleware/bloqueoLogin');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Access token corto; la sesión se mantiene con el refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const refreshTokenExpiration = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Bloqueo ante fuerza bruta: LOGIN_MAX_INTENTOS fallos del mismo usuario desde
+// una IP (o LOGIN_MAX_INTENTOS_IP desde una IP) bloquean LOGIN_BLOQUEO_MINUTOS
+const bloqueo = bloqueoLogin({
+    maxPorUsuario: parseInt(process.env.LOGIN_MAX_INTENTOS) || 5,
+    maxPorIp: parseInt(process.env.LOGIN_MAX_INTENTOS_IP) || 20,
+    bloqueoMs: (parseInt(process.env.LOGIN_BLOQUEO_MINUTOS) || 15) * 60 * 1000
+});
+
+function signAccessToken(usuario, idsesion) {
+    const user = {
+        idusuario: usuario.idusuario,
+        username: usuario.username,
+        nombre: usuario.nombre,
+        role: usuario.rol
+    };
+    const token = jwt.sign({ ...user, sid: idsesion }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    return { token, user };
+}
+
+// ========================================
+// RUTAS DE AUTENTICACIÓN
+// ========================================
+
+// Login
+router.post('/login', bloqueo.verificar, async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Usuario y contraseña son requeridos' });
+    }
+
+    const result = await pool.query(
+        'SELECT * FROM cegae_usuarios WHERE username = $1 AND activo = TRUE',
+        [username]
+    );
+    const usuario = result.rows[0];
+
+    if (!usuario || !(await bcrypt.compare(password, usuario.password_hash))) {
+        bloqueo.registrarFallo(req);
+        return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+
+    bloqueo.registrarExito(req);
+
+    // Crear la sesión con su refresh token
+    const refreshToken = generateRefreshToken();
+    const sesion = await pool.query(
+        `INSERT INTO cegae_sesiones
+         (idusuario, refresh_token_hash, ip, user_agent, fechaexpiracion)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING idsesion`,
+        [usuario.idusuario, hashToken(refreshToken), req.ip,
+         (req.get('user-agent') || '').slice(0, 255), refreshTokenExpiration()]
+    );
+
+    const { token, user } = signAccessToken(usuario, sesion.rows[0].idsesion);
+
+    res.json({
+        token,
+        refreshToken,
+        user,
+        message: 'Login exitoso'
+    });
+});
+
+// Renovar access token (rota el refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token no proporcionado' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const result = await pool.query(
+        `SELECT s.*, u.username, u.nombre, u.rol, u.activo
+         FROM cegae_sesiones s
+         INNER JOIN cegae_usuarios u ON s.idusuario = u.idusuario
+         WHERE s.refresh_token_hash = $1`,
+        [tokenHash]
+    );
+    const sesion = result.rows[0];
+
+    if (!sesion) {
+        // Reutilizar un token ya rotado indica robo: se revoca la sesión completa
+        const reused = await pool.query(
+            `UPDATE cegae_sesiones
+             SET fecharevocacion = CURRENT_TIMESTAMP
+             WHERE refresh_token_anterior = $1 AND fecharevocacion IS NULL
+             RETURNING idsesion`,
+            [tokenHash]
+        );
+        if (reused.rows.length > 0) {
+            logger.warn('Refresh token reutilizado, sesión revocada', { idsesion: reused.rows[0].idsesion, requestId: req.id });
+        }
+        return res.status(401).json({ error: 'Refresh token inválido' });
+    }
+
+    if (sesion.fecharevocacion || !sesion.activo || new Date(sesion.fechaexpiracion) <= new Date()) {
+        return res.status(401).json({ error: 'Sesión expirada o revocada' });
+    }
+
+    // La condición sobre el hash actual evita que dos renovaciones simultáneas roten el mismo token
+    const newRefreshToken = generateRefreshToken();
+    const rotated = await pool.query(
+        `UPDATE cegae_sesiones
+         SET refresh_token_anterior = refresh_token_hash,
+             refresh_token_hash = $1,
+             fechaedicion = CURRENT_TIMESTAMP
+         WHERE idsesion = $2 AND refresh_token_hash = $3`,
+        [hashToken(newRefreshToken), sesion.idsesion, tokenHash]
+    );
+
+    if (rotated.rowCount === 0) {
+        return res.status(401).json({ error: 'Refresh token inválido' });
+    }
+
+    const { token, user } = signAccessToken(sesion, sesion.idsesion);
+
+    res.json({ token, refreshToken: newRefreshToken, user });
+});
+
+// Logout (revoca la sesión del refresh token)
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token no proporcionado' });
+    }
+
+    await pool.query(
+        `UPDATE cegae_sesiones
+         SET fecharevocacion = CURRENT_TIMESTAMP
+         WHERE refresh_token_hash = $1 AND fecharevocacion IS NULL`,
+        [hashToken(refreshToken)]
+    );
+
+    res.json({ message: 'Sesión cerrada exitosamente' });
+});
+
+// Verificar token
+router.get('/verify', authenticateToken, (req, res) => {
+    res.json({ valid: true, user: req.user });
+});
+
+module.exports = router;
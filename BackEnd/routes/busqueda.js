@@ -0,0 +1,21 @@
+const express = require('express');
+const { pool } = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { busquedaQuery } = require('../schemas/busqueda');
+const { buscarEnCatalogo } = require('../services/busqueda');
+
+const router = express.Router();
+
+// ========================================
+// RUTAS DE BÚSQUEDA
+// ========================================
+
+router.use(authenticateToken);
+
+// Cursos y ciclos ordenados por relevancia (filtros: q, tipo, page, pageSize)
+router.get('/', validate({ query: busquedaQuery }), async (req, res) => {
+    res.json(await buscarEnCatalogo(pool, req.query));
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const { pool } = require('../db');
+const rateLimit = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { calendarioDeCiclos } = require('../services/calendario');
+
+const router = express.Router();
+
+// ========================================
+// FEEDS iCALENDAR (sin autenticación)
+// ========================================
+//
+// Google Calendar y Outlook se suscriben por URL sin enviar cabeceras, por eso
+// los feeds son públicos como el catálogo. Este router se monta en /api, así
+// que el límite de peticiones se aplica por ruta y no con router.use.
+
+const limiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.PUBLIC_RATE_LIMIT) || 120
+});
+
+// Ciclos activos, los finalizados (para que no desaparezcan del calendario de
+// los suscritos) y los anulados que aún no terminan (se publican como
+// cancelados)
+const PUBLICADOS = `(e.codigo IN ('ACTIVO', 'FINALIZADO')
+    OR (e.codigo = 'ANULADO' AND ci.fecha_fin_clase >= CURRENT_DATE))`;
+
+function sendCalendar(res, filename, calendario) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(calendario);
+}
+
+// Todos los ciclos publicados
+router.get('/calendar.ics', limiter, async (req, res) => {
+    const calendario = await calendarioDeCiclos(pool, 'Cursos y ciclos', {
+        where: PUBLICADOS,
+        params: []
+    });
+    sendCalendar(res, 'ciclos.ics', calendario);
+});
+
+// Ciclos de un curso
+router.get('/cursos/:id/calendar.ics', limiter, validate({ params: idParams }), async (req, res) => {
+    const curso = await pool.query(
+        'SELECT nombre_curso FROM cegae_cursosdisponibles WHERE idcurso = $1',
+        [req.params.id]
+    );
+
+    if (curso.rows.length === 0) {
+        return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+
+    const calendario = await calendarioDeCiclos(pool, curso.rows[0].nombre_curso, {
+        where: `ci.idcurso = $1 AND ${PUBLICADOS}`,
+        params: [req.params.id]
+    });
+    sendCalendar(res, `curso-${req.params.id}.ics`, calendario);
+});
+
+// Un ciclo, con las mismas reglas de publicación que los otros feeds
+router.get('/ciclos/:id/calendar.ics', limiter, validate({ params: idParams }), async (req, res) => {
+    const ciclo = await pool.query(
+        `SELECT ci.nombreciclo
+         FROM cegae_cursosdisponiblesciclo ci
+         LEFT JOIN cegae_estados e ON ci.idestado = e.idestado
+         WHERE ci.idciclo = $1 AND ${PUBLICADOS}`,
+        [req.params.id]
+    );
+
+    if (ciclo.rows.length === 0) {
+        return res.status(404).json({ error: 'Ciclo no encontrado' });
+    }
+
+    const calendario = await calendarioDeCiclos(pool, ciclo.rows[0].nombreciclo, {
+        where: `ci.idciclo = $1 AND ${PUBLICADOS}`,
+        params: [req.params.id]
+    });
+    sendCalendar(res, `ciclo-${req.params.id}.ics`, calendario);
+});
+
+module.exports = router;
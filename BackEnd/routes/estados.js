@@ -0,0 +1,265 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { estadoBody } = require('../schemas/estados');
+const { registrarAuditoria } = require('../services/auditoria');
+const {
+    ENTIDADES,
+    REQUERIDOS,
+    cargarEstados,
+    esDelSistema,
+    transicionesPermitidas
+} = require('../services/estados');
+
+const router = express.Router();
+
+const isAdmin = authorize('admin');
+
+// ========================================
+// RUTAS PARA ESTADOS
+// ========================================
+//
+// Todos los usuarios consultan el catálogo; solo los administradores lo
+// modifican. Cada estado se devuelve con `sistema` (no se puede eliminar ni
+// cambiar de código) y los estados a los que puede pasar un curso o un ciclo.
+
+router.use(authenticateToken);
+
+function conTransiciones(estados, estado) {
+    return {
+        ...estado,
+        sistema: esDelSistema(estado),
+        transiciones: {
+            curso: transicionesPermitidas(estados, 'curso', estado),
+            ciclo: transicionesPermitidas(estados, 'ciclo', estado)
+        }
+    };
+}
+
+// Otro estado con el mismo código o nombre
+async function buscarDuplicado(db, { codigo, nombre }, idestado = 0) {
+    const result = await db.query(
+        `SELECT codigo FROM cegae_estados
+         WHERE (codigo = $1 OR LOWER(nombre) = LOWER($2)) AND idestado <> $3`,
+        [codigo, nombre, idestado]
+    );
+
+    if (result.rows.length === 0) return null;
+    return result.rows[0].codigo === codigo
+        ? 'Ya existe un estado con ese código'
+        : 'Ya existe un estado con ese nombre';
+}
+
+// Registros que usan el estado
+async function contarUsos(db, idestado) {
+    const result = await db.query(
+        `SELECT
+            (SELECT COUNT(*) FROM cegae_cursosdisponibles WHERE idestado = $1) AS cursos,
+            (SELECT COUNT(*) FROM cegae_cursosdisponiblesciclo WHERE idestado = $1) AS ciclos,
+            (SELECT COUNT(*) FROM cegae_ciclo_estados_historial
+             WHERE idestado_anterior = $1 OR idestado_nuevo = $1) AS historial`,
+        [idestado]
+    );
+    const { cursos, ciclos, historial } = result.rows[0];
+    return { curso: parseInt(cursos), ciclo: parseInt(ciclos), historial: parseInt(historial) };
+}
+
+// Obtener todos los estados
+router.get('/', async (req, res) => {
+    const estados = await cargarEstados(pool);
+    res.json(estados.map(estado => conTransiciones(estados, estado)));
+});
+
+// Obtener un estado por ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+    const estados = await cargarEstados(pool);
+    const estado = estados.find(e => e.idestado === req.params.id);
+
+    if (!estado) {
+        return res.status(404).json({ error: 'Estado no encontrado' });
+    }
+
+    res.json(conTransiciones(estados, estado));
+});
+
+// Crear estado
+router.post('/', isAdmin, validate({ body: estadoBody }), async (req, res) => {
+    const { codigo, nombre, descripcion, aplica_cursos, aplica_ciclos } = req.body;
+
+    const resultado = await withTransaction(async (client) => {
+        const duplicado = await buscarDuplicado(client, req.body);
+        if (duplicado) {
+            return { status: 409, error: duplicado };
+        }
+
+        const result = await client.query(
+            `INSERT INTO cegae_estados (codigo, nombre, descripcion, aplica_cursos, aplica_ciclos)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [codigo, nombre, descripcion, aplica_cursos ?? true, aplica_ciclos ?? true]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'estado',
+            identidad: result.rows[0].idestado,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+
+        return { status: 201, estado: result.rows[0] };
+    });
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.status(201).json({
+        message: 'Estado creado exitosamente',
+        estado: resultado.estado
+    });
+});
+
+// Actualizar estado. Un estado del sistema conserva su código y sigue
+// aplicando a las entidades que lo necesitan; un estado en uso sigue
+// aplicando a las entidades que lo usan.
+router.put('/:id', isAdmin, validate({ params: idParams, body: estadoBody }), async (req, res) => {
+    const { id } = req.params;
+    const { codigo, nombre, descripcion } = req.body;
+    const aplica = {
+        curso: req.body.aplica_cursos ?? true,
+        ciclo: req.body.aplica_ciclos ?? true
+    };
+
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_estados WHERE idestado = $1 FOR UPDATE',
+            [id]
+        );
+
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+
+        const estado = anterior.rows[0];
+        const errors = [];
+
+        if (esDelSistema(estado) && codigo !== estado.codigo) {
+            errors.push({ field: 'codigo', message: 'No se puede cambiar el código de un estado del sistema' });
+        }
+
+        Object.entries(ENTIDADES).forEach(([entidad, { columna, plural }]) => {
+            if (!aplica[entidad] && REQUERIDOS[entidad].includes(estado.codigo)) {
+                errors.push({ field: columna, message: `La aplicación necesita este estado para ${plural}` });
+            }
+        });
+
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+
+        const duplicado = await buscarDuplicado(client, req.body, id);
+        if (duplicado) {
+            return { status: 409, error: duplicado };
+        }
+
+        const usos = await contarUsos(client, id);
+        for (const [entidad, { columna, plural }] of Object.entries(ENTIDADES)) {
+            if (estado[columna] && !aplica[entidad] && usos[entidad] > 0) {
+                return { status: 409, error: `Hay ${usos[entidad]} ${plural} en este estado` };
+            }
+        }
+
+        const result = await client.query(
+            `UPDATE cegae_estados
+             SET codigo = $1,
+                 nombre = $2,
+                 descripcion = $3,
+                 aplica_cursos = $4,
+                 aplica_ciclos = $5
+             WHERE idestado = $6
+             RETURNING *`,
+            [codigo, nombre, descripcion, aplica.curso, aplica.ciclo, id]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'estado',
+            identidad: id,
+            accion: 'actualizar',
+            antes: estado,
+            despues: result.rows[0]
+        });
+
+        return { status: 200, estado: result.rows[0] };
+    });
+
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Estado no encontrado' });
+    }
+
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.json({
+        message: 'Estado actualizado exitosamente',
+        estado: resultado.estado
+    });
+});
+
+// Eliminar estado (solo si no es del sistema y ningún registro lo usa)
+router.delete('/:id', isAdmin, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_estados WHERE idestado = $1 FOR UPDATE',
+            [id]
+        );
+
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+
+        if (esDelSistema(anterior.rows[0])) {
+            return { status: 409, error: 'Los estados del sistema no se pueden eliminar' };
+        }
+
+        const usos = await contarUsos(client, id);
+        if (usos.curso > 0 || usos.ciclo > 0 || usos.historial > 0) {
+            return {
+                status: 409,
+                error: 'No se puede eliminar el estado porque está en uso',
+                usos: { cursos: usos.curso, ciclos: usos.ciclo, historial: usos.historial }
+            };
+        }
+
+        await client.query('DELETE FROM cegae_estados WHERE idestado = $1', [id]);
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'estado',
+            identidad: id,
+            accion: 'eliminar',
+            antes: anterior.rows[0]
+        });
+
+        return { status: 200 };
+    });
+
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Estado no encontrado' });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error, usos: resultado.usos });
+    }
+
+    res.json({ message: 'Estado eliminado exitosamente' });
+});
+
+module.exports = router;
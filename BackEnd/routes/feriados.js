@@ -0,0 +1,110 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { toDateString } = require('../schemas/ciclos');
+const { feriadoBody, feriadosQuery } = require('../schemas/horarios');
+const { registrarAuditoria } = require('../services/auditoria');
+
+const router = express.Router();
+
+const canEdit = authorize('admin', 'editor');
+
+// ========================================
+// RUTAS PARA FERIADOS (días sin clases)
+// ========================================
+
+router.use(authenticateToken);
+
+// Obtener feriados (filtros: desde, hasta)
+router.get('/', validate({ query: feriadosQuery }), async (req, res) => {
+    const { desde, hasta } = req.query;
+    let query = 'SELECT * FROM cegae_feriados WHERE 1=1';
+    const params = [];
+
+    if (desde) {
+        params.push(desde);
+        query += ` AND fecha >= $${params.length}`;
+    }
+
+    if (hasta) {
+        params.push(hasta);
+        query += ` AND fecha <= $${params.length}`;
+    }
+
+    query += ' ORDER BY fecha';
+
+    const result = await pool.query(query, params);
+    res.json(result.rows.map(feriado => ({ ...feriado, fecha: toDateString(feriado.fecha) })));
+});
+
+// Registrar feriado
+router.post('/', canEdit, validate({ body: feriadoBody }), async (req, res) => {
+    const { fecha, descripcion } = req.body;
+
+    const existing = await pool.query(
+        'SELECT idferiado FROM cegae_feriados WHERE fecha = $1',
+        [fecha]
+    );
+
+    if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'Ya existe un feriado en esa fecha' });
+    }
+
+    const feriado = await withTransaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO cegae_feriados (fecha, descripcion)
+             VALUES ($1, $2)
+             RETURNING *`,
+            [fecha, descripcion]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'feriado',
+            identidad: result.rows[0].idferiado,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+
+        return result.rows[0];
+    });
+
+    res.status(201).json({
+        message: 'Feriado registrado exitosamente',
+        feriado: { ...feriado, fecha: toDateString(feriado.fecha) }
+    });
+});
+
+// Eliminar feriado
+router.delete('/:id', canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    const eliminado = await withTransaction(async (client) => {
+        const result = await client.query(
+            'DELETE FROM cegae_feriados WHERE idferiado = $1 RETURNING *',
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'feriado',
+            identidad: id,
+            accion: 'eliminar',
+            antes: result.rows[0]
+        });
+
+        return true;
+    });
+
+    if (!eliminado) {
+        return res.status(404).json({ error: 'Feriado no encontrado' });
+    }
+
+    res.json({ message: 'Feriado eliminado exitosamente' });
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { pool } = require('../db');
+const { getPendingMigrations } = require('../migrate');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// ========================================
+// HEALTH CHECKS
+// ========================================
+//
+// /health/live: el proceso responde (liveness; si falla, reiniciar).
+// /health/ready y /health: además la base de datos responde y no hay
+// migraciones pendientes (readiness; si falla, no enviarle tráfico).
+// Responden 200 si todo está bien y 503 si algo falla. Son públicos: cada
+// chequeo dice solo 'ok' o 'error' y el motivo de la falla va al log.
+
+const TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 2000);
+
+// Ejecutar un chequeo con límite de tiempo; devuelve 'ok' o 'error'
+async function chequear(nombre, fn) {
+    const inicio = Date.now();
+    let timer;
+
+    try {
+        const limite = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Sin respuesta en ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+        });
+        await Promise.race([fn(), limite]);
+        return 'ok';
+    } catch (error) {
+        logger.error('Health check fallido', { check: nombre, ms: Date.now() - inicio, error });
+        return 'error';
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const CHEQUEOS = {
+    database: async () => {
+        await pool.query('SELECT 1');
+    },
+    migrations: async () => {
+        const pendientes = await getPendingMigrations();
+        if (pendientes.length > 0) {
+            throw new Error(`Migraciones pendientes: ${pendientes.map(m => `${m.version}_${m.nombre}`).join(', ')}`);
+        }
+    }
+};
+
+router.get('/live', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+router.get(['/', '/ready'], async (req, res) => {
+    const checks = {};
+    // La base de datos primero: si no responde, las migraciones tampoco
+    for (const [nombre, fn] of Object.entries(CHEQUEOS)) {
+        checks[nombre] = await chequear(nombre, fn);
+    }
+    const ok = Object.values(checks).every(check => check === 'ok');
+
+    res.set('Cache-Control', 'no-store');
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'error', checks });
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { toDateString } = require('../schemas/ciclos');
+const { horarioBody, horariosQuery, semanaQuery } = require('../schemas/horarios');
+const { registrarAuditoria } = require('../services/auditoria');
+const { idsEstados } = require('../services/estados');
+const { normalizarHorario, sesionesDeSemana, buscarConflictos } = require('../services/horarios');
+
+const router = express.Router();
+
+const canEdit = authorize('admin', 'editor');
+
+// ========================================
+// RUTAS PARA HORARIOS
+// ========================================
+
+router.use(authenticateToken);
+
+// Obtener horarios (ej. martes por la noche: dia_semana=2&hora_desde=18:00)
+router.get('/', validate({ query: horariosQuery }), async (req, res) => {
+    const { idciclo, dia_semana, hora_desde, hora_hasta, aula, instructor, fecha } = req.query;
+    let query = `
+        SELECT h.*, ci.nombreciclo, ci.fecha_inicio_clase, ci.fecha_fin_clase, cu.nombre_curso
+        FROM cegae_horarios h
+        INNER JOIN cegae_cursosdisponiblesciclo ci ON h.idciclo = ci.idciclo
+        INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+        WHERE ci.idestado <> $1
+    `;
+    const { ANULADO } = await idsEstados();
+    const params = [ANULADO];
+
+    if (idciclo) {
+        params.push(idciclo);
+        query += ` AND h.idciclo = $${params.length}`;
+    }
+
+    if (dia_semana) {
+        params.push(dia_semana);
+        query += ` AND h.dia_semana = $${params.length}`;
+    }
+
+    if (hora_desde) {
+        params.push(hora_desde);
+        query += ` AND h.hora_fin > $${params.length}::time`;
+    }
+
+    if (hora_hasta) {
+        params.push(hora_hasta);
+        query += ` AND h.hora_inicio < $${params.length}::time`;
+    }
+
+    if (aula) {
+        params.push(`%${aula}%`);
+        query += ` AND h.aula ILIKE $${params.length}`;
+    }
+
+    if (instructor) {
+        params.push(`%${instructor}%`);
+        query += ` AND h.instructor ILIKE $${params.length}`;
+    }
+
+    if (fecha) {
+        params.push(fecha);
+        query += ` AND ci.fecha_inicio_clase <= $${params.length} AND ci.fecha_fin_clase >= $${params.length}`;
+    }
+
+    query += ' ORDER BY h.dia_semana, h.hora_inicio, h.idhorario';
+
+    const result = await pool.query(query, params);
+    res.json(result.rows.map(horario => ({
+        ...normalizarHorario(horario),
+        fecha_inicio_clase: toDateString(horario.fecha_inicio_clase),
+        fecha_fin_clase: toDateString(horario.fecha_fin_clase)
+    })));
+});
+
+// Calendario semanal: sesiones de los ciclos activos de lunes a domingo
+router.get('/semana', validate({ query: semanaQuery }), async (req, res) => {
+    const { fecha, aula, instructor } = req.query;
+    const semana = await sesionesDeSemana(pool, fecha || toDateString(new Date()), { aula, instructor });
+    res.json(semana);
+});
+
+// Crear horario (rechazado si el aula o el instructor ya están ocupados)
+router.post('/', canEdit, validate({ body: horarioBody }), async (req, res) => {
+    const { idciclo, dia_semana, hora_inicio, hora_fin, aula, instructor } = req.body;
+
+    const conflictos = await buscarConflictos(pool, req.body);
+    if (conflictos.length > 0) {
+        return res.status(409).json({
+            error: 'El aula o el instructor ya tienen clase en ese horario',
+            conflictos
+        });
+    }
+
+    const horario = await withTransaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO cegae_horarios
+             (idciclo, dia_semana, hora_inicio, hora_fin, aula, instructor)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [idciclo, dia_semana, hora_inicio, hora_fin, aula, instructor]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'horario',
+            identidad: result.rows[0].idhorario,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+
+        return result.rows[0];
+    });
+
+    res.status(201).json({
+        message: 'Horario creado exitosamente',
+        horario: normalizarHorario(horario)
+    });
+});
+
+// Actualizar horario
+router.put('/:id', canEdit, validate({ params: idParams, body: horarioBody }), async (req, res) => {
+    const { id } = req.params;
+    const { idciclo, dia_semana, hora_inicio, hora_fin, aula, instructor } = req.body;
+
+    const conflictos = await buscarConflictos(pool, req.body, id);
+    if (conflictos.length > 0) {
+        return res.status(409).json({
+            error: 'El aula o el instructor ya tienen clase en ese horario',
+            conflictos
+        });
+    }
+
+    const horario = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_horarios WHERE idhorario = $1 FOR UPDATE',
+            [id]
+        );
+
+        if (anterior.rows.length === 0) {
+            return null;
+        }
+
+        const result = await client.query(
+            `UPDATE cegae_horarios
+             SET idciclo = $1,
+                 dia_semana = $2,
+                 hora_inicio = $3,
+                 hora_fin = $4,
+                 aula = $5,
+                 instructor = $6,
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idhorario = $7
+             RETURNING *`,
+            [idciclo, dia_semana, hora_inicio, hora_fin, aula, instructor, id]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'horario',
+            identidad: id,
+            accion: 'actualizar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+
+        return result.rows[0];
+    });
+
+    if (!horario) {
+        return res.status(404).json({ error: 'Horario no encontrado' });
+    }
+
+    res.json({
+        message: 'Horario actualizado exitosamente',
+        horario: normalizarHorario(horario)
+    });
+});
+
+// Eliminar horario
+router.delete('/:id', canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    const eliminado = await withTransaction(async (client) => {
+        const result = await client.query(
+            'DELETE FROM cegae_horarios WHERE idhorario = $1 RETURNING *',
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'horario',
+            identidad: id,
+            accion: 'eliminar',
+            antes: result.rows[0]
+        });
+
+        return true;
+    });
+
+    if (!eliminado) {
+        return res.status(404).json({ error: 'Horario no encontrado' });
+    }
+
+    res.json({ message: 'Horario eliminado exitosamente' });
+});
+
+module.exports = router;
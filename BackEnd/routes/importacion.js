@@ -0,0 +1,122 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { CURSO_SORT_COLUMNS } = require('../schemas/cursos');
+const { CICLO_SORT_COLUMNS } = require('../schemas/ciclos');
+const { dryRunQuery } = require('../schemas/common');
+const { cursosExportQuery, ciclosExportQuery } = require('../schemas/importacion');
+const { buildOrderBy } = require('../services/listado');
+const { CURSOS_SELECT, CICLOS_SELECT, filtrosCursos, filtrosCiclos } = require('../services/catalogo');
+const { leerHoja, escribirHoja } = require('../services/hojas');
+const { CATALOGOS, filaExportada, prepararImportacion, aplicarImportacion } = require('../services/importacion');
+
+const router = express.Router();
+
+const canEdit = authorize('admin', 'editor');
+
+// ========================================
+// EXPORTACIÓN E IMPORTACIÓN DE CURSOS Y CICLOS
+// ========================================
+//
+// Este router se monta en /api antes de las rutas /api/cursos/:id y
+// /api/ciclos/:id, por eso la autenticación se aplica por ruta.
+
+const MAX_ARCHIVO = process.env.IMPORT_MAX_SIZE || '5mb';
+
+// El archivo (CSV o XLSX) llega como cuerpo de la petición, sin multipart
+const parseArchivo = express.raw({ type: () => true, limit: MAX_ARCHIVO });
+
+function recibirArchivo(req, res, next) {
+    parseArchivo(req, res, (error) => {
+        if (error) {
+            return res.status(error.status || 400).json({
+                error: error.type === 'entity.too.large'
+                    ? `El archivo supera el tamaño máximo (${MAX_ARCHIVO})`
+                    : 'No se pudo leer el archivo'
+            });
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Debe enviar un archivo CSV o XLSX' });
+        }
+
+        next();
+    });
+}
+
+async function enviarExportacion(res, nombre, formato, rows) {
+    const { contenido, contentType, filename } = await escribirHoja(
+        formato || 'csv',
+        nombre,
+        CATALOGOS[nombre].columnas,
+        rows.map(row => filaExportada(nombre, row))
+    );
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(contenido);
+}
+
+// Vista previa (dry_run=true) o importación en una sola transacción, que
+// vuelve a comparar el archivo con los registros ya bloqueados. Si alguna
+// fila tiene errores no se guarda ninguna.
+const importar = (nombre) => async (req, res) => {
+    let hoja;
+    try {
+        hoja = await leerHoja(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: 'No se pudo leer el archivo; use CSV o XLSX' });
+    }
+
+    const vistaPrevia = req.query.dry_run
+        ? await prepararImportacion(pool, nombre, hoja)
+        : await withTransaction(async (client) => {
+            const vista = await prepararImportacion(client, nombre, hoja, { bloquear: true });
+            if (!vista.error && vista.resumen.error === 0) {
+                await aplicarImportacion(client, req.user, nombre, vista.filas);
+            }
+            return vista;
+        });
+
+    if (vistaPrevia.error) {
+        return res.status(400).json({ error: vistaPrevia.error });
+    }
+
+    if (req.query.dry_run) {
+        return res.json({ dry_run: true, ...vistaPrevia });
+    }
+
+    if (vistaPrevia.resumen.error > 0) {
+        return res.status(400).json({
+            error: 'El archivo tiene filas con errores; no se importó ningún registro',
+            ...vistaPrevia
+        });
+    }
+
+    res.json({
+        message: 'Importación realizada exitosamente',
+        ...vistaPrevia
+    });
+};
+
+// Exportar cursos con los filtros y el orden del listado (formato=csv|xlsx)
+router.get('/cursos/export', authenticateToken, validate({ query: cursosExportQuery }), async (req, res) => {
+    const { from, params } = filtrosCursos(req.query);
+    const orderBy = buildOrderBy(req.query.sort, CURSO_SORT_COLUMNS, '-idcurso', 'c.idcurso DESC');
+    const result = await pool.query(`SELECT ${CURSOS_SELECT} ${from} ${orderBy}`, params);
+    await enviarExportacion(res, 'cursos', req.query.formato, result.rows);
+});
+
+// Exportar ciclos con los filtros y el orden del listado (formato=csv|xlsx)
+router.get('/ciclos/export', authenticateToken, validate({ query: ciclosExportQuery }), async (req, res) => {
+    const { from, params } = filtrosCiclos(req.query);
+    const orderBy = buildOrderBy(req.query.sort, CICLO_SORT_COLUMNS, '-idcurso', 'ci.idciclo DESC');
+    const result = await pool.query(`SELECT ${CICLOS_SELECT} ${from} ${orderBy}`, params);
+    await enviarExportacion(res, 'ciclos', req.query.formato, result.rows);
+});
+
+router.post('/cursos/import', authenticateToken, canEdit, validate({ query: dryRunQuery }), recibirArchivo, importar('cursos'));
+router.post('/ciclos/import', authenticateToken, canEdit, validate({ query: dryRunQuery }), recibirArchivo, importar('ciclos'));
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { matriculaBody, matriculasQuery } = require('../schemas/matriculas');
+const { planBody } = require('../schemas/pagos');
+const { registrarAuditoria } = require('../services/auditoria');
+const { queryList } = require('../services/listado');
+const { generarCuotas, estadoDeCuenta } = require('../services/pagos');
+const { idsEstados } = require('../services/estados');
+const { contarInscritos, promoverListaEspera } = require('../services/matriculas');
+
+const router = express.Router();
+
+const canEdit = authorize('admin', 'editor');
+
+// ========================================
+// RUTAS PARA MATRÍCULAS
+// ========================================
+
+router.use(authenticateToken);
+
+// Obtener matrículas (filtros: idciclo, idalumno, estado)
+router.get('/', validate({ query: matriculasQuery }), async (req, res) => {
+    const { idciclo, idalumno, estado, page, pageSize } = req.query;
+    let from = `
+        FROM cegae_matriculas m
+        INNER JOIN cegae_alumnos a ON m.idalumno = a.idalumno
+        INNER JOIN cegae_cursosdisponiblesciclo ci ON m.idciclo = ci.idciclo
+        INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (idciclo) {
+        params.push(idciclo);
+        from += ` AND m.idciclo = $${params.length}`;
+    }
+
+    if (idalumno) {
+        params.push(idalumno);
+        from += ` AND m.idalumno = $${params.length}`;
+    }
+
+    if (estado) {
+        params.push(estado);
+        from += ` AND m.estado = $${params.length}`;
+    }
+
+    const result = await queryList({
+        select: `m.*, a.documento, a.nombres, a.apellidos, a.email, a.telefono,
+                 ci.nombreciclo, cu.nombre_curso`,
+        from,
+        params,
+        // Inscritos primero; la lista de espera en orden de llegada
+        orderBy: `ORDER BY m.idciclo DESC,
+                  CASE m.estado WHEN 'inscrito' THEN 1 WHEN 'lista_espera' THEN 2 ELSE 3 END,
+                  m.fechacreacion, m.idmatricula`,
+        page,
+        pageSize
+    });
+    res.json(result);
+});
+
+// Matricular un alumno en un ciclo. Si no hay vacantes y el ciclo lo permite,
+// la matrícula queda en lista de espera.
+router.post('/', canEdit, validate({ body: matriculaBody }), async (req, res) => {
+    const { idciclo, idalumno } = req.body;
+
+    const resultado = await withTransaction(async (client) => {
+        // Bloquear el ciclo serializa las matrículas concurrentes sobre sus vacantes
+        const cicloResult = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1 FOR UPDATE',
+            [idciclo]
+        );
+        const ciclo = cicloResult.rows[0];
+
+        if (!ciclo) {
+            return { status: 400, errors: [{ field: 'idciclo', message: 'El ciclo especificado no existe' }] };
+        }
+
+        const alumno = await client.query(
+            'SELECT idalumno FROM cegae_alumnos WHERE idalumno = $1',
+            [idalumno]
+        );
+
+        if (alumno.rows.length === 0) {
+            return { status: 400, errors: [{ field: 'idalumno', message: 'El alumno especificado no existe' }] };
+        }
+
+        const { ACTIVO } = await idsEstados();
+        if (ciclo.idestado !== ACTIVO) {
+            return { status: 409, error: 'Solo se puede matricular en ciclos activos' };
+        }
+
+        const vigente = await client.query(
+            `SELECT idmatricula FROM cegae_matriculas
+             WHERE idciclo = $1 AND idalumno = $2 AND estado <> 'anulado'`,
+            [idciclo, idalumno]
+        );
+
+        if (vigente.rows.length > 0) {
+            return { status: 409, error: 'El alumno ya está matriculado en este ciclo' };
+        }
+
+        let estado = 'inscrito';
+        if (ciclo.vacantes !== null && await contarInscritos(client, idciclo) >= ciclo.vacantes) {
+            if (!ciclo.permite_lista_espera) {
+                return { status: 409, error: 'El ciclo no tiene vacantes disponibles' };
+            }
+            estado = 'lista_espera';
+        }
+
+        // Se cobra el precio de promoción si el ciclo tiene uno vigente
+        const tipoPrecio = ciclo.precio_promocion !== null ? 'promocion' : 'regular';
+        const precio = tipoPrecio === 'promocion' ? ciclo.precio_promocion : ciclo.precio_regular;
+
+        const result = await client.query(
+            `INSERT INTO cegae_matriculas
+             (idciclo, idalumno, estado, precio, tipo_precio, idusuario)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [idciclo, idalumno, estado, precio, tipoPrecio, req.user.idusuario]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'matricula',
+            identidad: result.rows[0].idmatricula,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+
+        return { status: 201, matricula: result.rows[0] };
+    });
+
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.status(201).json({
+        message: resultado.matricula.estado === 'lista_espera'
+            ? 'Ciclo sin vacantes: el alumno quedó en lista de espera'
+            : 'Matrícula registrada exitosamente',
+        matricula: resultado.matricula
+    });
+});
+
+// Anular matrícula. Si libera una vacante, pasa a inscrito el primero de la lista de espera.
+router.delete('/:id', canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_matriculas WHERE idmatricula = $1 FOR UPDATE',
+            [id]
+        );
+        const matricula = anterior.rows[0];
+
+        if (!matricula) {
+            return { status: 404 };
+        }
+
+        if (matricula.estado === 'anulado') {
+            return { status: 409, error: 'La matrícula ya está anulada' };
+        }
+
+        const ciclo = await client.query(
+            'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1 FOR UPDATE',
+            [matricula.idciclo]
+        );
+
+        const result = await client.query(
+            `UPDATE cegae_matriculas
+             SET estado = 'anulado',
+                 fechaanulacion = CURRENT_TIMESTAMP,
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idmatricula = $1
+             RETURNING *`,
+            [id]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'matricula',
+            identidad: id,
+            accion: 'eliminar',
+            antes: matricula,
+            despues: result.rows[0]
+        });
+
+        // Solo entra alguien de la lista de espera si queda una vacante libre
+        const [promovida = null] = matricula.estado === 'inscrito'
+            ? await promoverListaEspera(client, req.user, ciclo.rows[0])
+            : [];
+
+        return { status: 200, promovida };
+    });
+
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Matrícula no encontrada' });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.json({
+        message: 'Matrícula anulada exitosamente',
+        promovida: resultado.promovida
+    });
+});
+
+// Estado de cuenta: precio, pagado, saldo, cuotas y pagos de la matrícula
+router.get('/:id/cuenta', validate({ params: idParams }), async (req, res) => {
+    const cuenta = await estadoDeCuenta(pool, req.params.id);
+
+    if (!cuenta) {
+        return res.status(404).json({ error: 'Matrícula no encontrada' });
+    }
+
+    res.json(cuenta);
+});
+
+// Definir (o reemplazar) el plan de pagos: pago único o N cuotas mensuales
+router.put('/:id/cuotas', canEdit, validate({ params: idParams, body: planBody }), async (req, res) => {
+    const { id } = req.params;
+    const { numero_cuotas, fecha_primer_vencimiento } = req.body;
+
+    const resultado = await withTransaction(async (client) => {
+        const matricula = await client.query(
+            'SELECT * FROM cegae_matriculas WHERE idmatricula = $1 FOR UPDATE',
+            [id]
+        );
+
+        if (matricula.rows.length === 0) {
+            return { status: 404 };
+        }
+
+        if (matricula.rows[0].estado === 'anulado') {
+            return { status: 409, error: 'No se puede definir el plan de pagos de una matrícula anulada' };
+        }
+
+        if (!(Number(matricula.rows[0].precio) > 0)) {
+            return { status: 409, error: 'La matrícula no tiene un precio a cobrar' };
+        }
+
+        const anteriores = await client.query(
+            'SELECT numero, monto, fecha_vencimiento FROM cegae_cuotas WHERE idmatricula = $1 ORDER BY numero',
+            [id]
+        );
+
+        await client.query('DELETE FROM cegae_cuotas WHERE idmatricula = $1', [id]);
+
+        const cuotas = generarCuotas(matricula.rows[0].precio, numero_cuotas, fecha_primer_vencimiento);
+        for (const cuota of cuotas) {
+            await client.query(
+                `INSERT INTO cegae_cuotas (idmatricula, numero, monto, fecha_vencimiento)
+                 VALUES ($1, $2, $3, $4)`,
+                [id, cuota.numero, cuota.monto, cuota.fecha_vencimiento]
+            );
+        }
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'matricula',
+            identidad: id,
+            accion: 'actualizar',
+            antes: { cuotas: anteriores.rows },
+            despues: { cuotas }
+        });
+
+        return { status: 200 };
+    });
+
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Matrícula no encontrada' });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.json({
+        message: 'Plan de pagos registrado exitosamente',
+        cuenta: await estadoDeCuenta(pool, id)
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { pool } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { notificacionesQuery } = require('../schemas/notificaciones');
+const { queryList } = require('../services/listado');
+const { encolarPorIniciar, procesarPendientes } = require('../services/notificaciones');
+
+const router = express.Router();
+
+// ========================================
+// RUTAS DE NOTIFICACIONES (solo administradores)
+// ========================================
+
+router.use(authenticateToken, authorize('admin'));
+
+// Bandeja de salida (filtros: tipo, estado, idciclo, destinatario)
+router.get('/', validate({ query: notificacionesQuery }), async (req, res) => {
+    const { tipo, estado, idciclo, destinatario, page, pageSize } = req.query;
+    let from = 'FROM cegae_notificaciones WHERE 1=1';
+    const params = [];
+
+    if (tipo) {
+        params.push(tipo);
+        from += ` AND tipo = $${params.length}`;
+    }
+
+    if (estado) {
+        params.push(estado);
+        from += ` AND estado = $${params.length}`;
+    }
+
+    if (idciclo) {
+        params.push(idciclo);
+        from += ` AND idciclo = $${params.length}`;
+    }
+
+    if (destinatario) {
+        params.push(`%${destinatario}%`);
+        from += ` AND destinatario ILIKE $${params.length}`;
+    }
+
+    const result = await queryList({
+        select: '*',
+        from,
+        params,
+        orderBy: 'ORDER BY fechacreacion DESC, idnotificacion DESC',
+        page,
+        pageSize
+    });
+
+    res.json(result);
+});
+
+// Encolar los avisos de inicio y enviar los pendientes sin esperar al proceso
+// periódico
+router.post('/procesar', async (req, res) => {
+    const encolados = await encolarPorIniciar();
+    const resultado = await procesarPendientes();
+
+    res.json({ encolados, ...resultado });
+});
+
+// Volver a intentar un mensaje que agotó sus intentos
+router.post('/:id/reintentar', validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const result = await pool.query(
+        `UPDATE cegae_notificaciones
+         SET estado = 'pendiente', intentos = 0, proximo_intento = CURRENT_TIMESTAMP
+         WHERE idnotificacion = $1 AND estado = 'fallido'
+         RETURNING *`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        const existe = await pool.query(
+            'SELECT estado FROM cegae_notificaciones WHERE idnotificacion = $1',
+            [id]
+        );
+
+        if (existe.rows.length === 0) {
+            return res.status(404).json({ error: 'Notificación no encontrada' });
+        }
+
+        return res.status(409).json({ error: 'Solo se pueden reintentar notificaciones fallidas' });
+    }
+
+    res.json({
+        message: 'Notificación programada para reenvío',
+        notificacion: result.rows[0]
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { pagoBody, pagosQuery, saldosQuery, vencidosQuery } = require('../schemas/pagos');
+const { registrarAuditoria } = require('../services/auditoria');
+const { queryList } = require('../services/listado');
+const { toCentimos, toMonto, cuotasVencidas } = require('../services/pagos');
+
+const router = express.Router();
+
+const canEdit = authorize('admin', 'editor');
+
+// Columnas por las que se agrupan los saldos (parámetro `agrupar`)
+const SALDO_GRUPOS = {
+    matricula: `m.idmatricula, m.estado, a.idalumno, a.documento, a.nombres, a.apellidos,
+                ci.idciclo, ci.nombreciclo, cu.nombre_curso`,
+    alumno: 'a.idalumno, a.documento, a.nombres, a.apellidos',
+    ciclo: 'ci.idciclo, ci.nombreciclo, cu.nombre_curso'
+};
+
+// ========================================
+// RUTAS PARA PAGOS
+// ========================================
+
+router.use(authenticateToken);
+
+// Obtener pagos (filtros: idmatricula, idciclo, idalumno, desde, hasta)
+router.get('/', validate({ query: pagosQuery }), async (req, res) => {
+    const { idmatricula, idciclo, idalumno, desde, hasta, page, pageSize } = req.query;
+    let from = `
+        FROM cegae_pagos p
+        INNER JOIN cegae_matriculas m ON p.idmatricula = m.idmatricula
+        INNER JOIN cegae_alumnos a ON m.idalumno = a.idalumno
+        INNER JOIN cegae_cursosdisponiblesciclo ci ON m.idciclo = ci.idciclo
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (idmatricula) {
+        params.push(idmatricula);
+        from += ` AND p.idmatricula = $${params.length}`;
+    }
+
+    if (idciclo) {
+        params.push(idciclo);
+        from += ` AND m.idciclo = $${params.length}`;
+    }
+
+    if (idalumno) {
+        params.push(idalumno);
+        from += ` AND m.idalumno = $${params.length}`;
+    }
+
+    if (desde) {
+        params.push(desde);
+        from += ` AND p.fecha_pago >= $${params.length}`;
+    }
+
+    if (hasta) {
+        params.push(hasta);
+        from += ` AND p.fecha_pago <= $${params.length}`;
+    }
+
+    const result = await queryList({
+        select: `p.*, m.idciclo, m.idalumno, a.documento, a.nombres, a.apellidos, ci.nombreciclo`,
+        from,
+        params,
+        orderBy: 'ORDER BY p.fecha_pago DESC, p.idpago DESC',
+        page,
+        pageSize
+    });
+    res.json(result);
+});
+
+// Saldo pendiente de las matrículas inscritas, por matrícula, alumno o ciclo
+router.get('/saldos', validate({ query: saldosQuery }), async (req, res) => {
+    const { agrupar, idciclo, idalumno, con_saldo } = req.query;
+    const columnas = SALDO_GRUPOS[agrupar || 'matricula'];
+    let query = `
+        SELECT ${columnas},
+               SUM(COALESCE(m.precio, 0)) AS precio,
+               SUM(COALESCE(p.pagado, 0)) AS pagado,
+               SUM(COALESCE(m.precio, 0) - COALESCE(p.pagado, 0)) AS saldo
+        FROM cegae_matriculas m
+        INNER JOIN cegae_alumnos a ON m.idalumno = a.idalumno
+        INNER JOIN cegae_cursosdisponiblesciclo ci ON m.idciclo = ci.idciclo
+        INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+        LEFT JOIN (
+            SELECT idmatricula, SUM(monto) AS pagado
+            FROM cegae_pagos
+            WHERE fechaanulacion IS NULL
+            GROUP BY idmatricula
+        ) p ON p.idmatricula = m.idmatricula
+        WHERE m.estado = 'inscrito'
+    `;
+    const params = [];
+
+    if (idciclo) {
+        params.push(idciclo);
+        query += ` AND m.idciclo = $${params.length}`;
+    }
+
+    if (idalumno) {
+        params.push(idalumno);
+        query += ` AND m.idalumno = $${params.length}`;
+    }
+
+    query += ` GROUP BY ${columnas} ORDER BY saldo DESC`;
+
+    const result = await pool.query(query, params);
+    res.json(con_saldo ? result.rows.filter(row => Number(row.saldo) > 0) : result.rows);
+});
+
+// Cuotas vencidas con saldo pendiente
+router.get('/vencidos', validate({ query: vencidosQuery }), async (req, res) => {
+    res.json(await cuotasVencidas(pool, req.query));
+});
+
+// Registrar un pago de una matrícula
+router.post('/', canEdit, validate({ body: pagoBody }), async (req, res) => {
+    const { idmatricula, monto, metodo, numero_recibo, fecha_pago, observacion } = req.body;
+
+    const resultado = await withTransaction(async (client) => {
+        // Bloquear la matrícula serializa los pagos concurrentes sobre su saldo
+        const matricula = await client.query(
+            'SELECT * FROM cegae_matriculas WHERE idmatricula = $1 FOR UPDATE',
+            [idmatricula]
+        );
+
+        if (matricula.rows.length === 0) {
+            return { status: 400, errors: [{ field: 'idmatricula', message: 'La matrícula especificada no existe' }] };
+        }
+
+        if (matricula.rows[0].estado === 'anulado') {
+            return { status: 409, error: 'No se pueden registrar pagos de una matrícula anulada' };
+        }
+
+        const recibo = await client.query(
+            'SELECT idpago FROM cegae_pagos WHERE numero_recibo = $1',
+            [numero_recibo]
+        );
+
+        if (recibo.rows.length > 0) {
+            return { status: 409, error: 'Ya existe un pago con ese número de recibo' };
+        }
+
+        const pagado = await client.query(
+            `SELECT COALESCE(SUM(monto), 0) AS total FROM cegae_pagos
+             WHERE idmatricula = $1 AND fechaanulacion IS NULL`,
+            [idmatricula]
+        );
+        const saldo = toCentimos(matricula.rows[0].precio) - toCentimos(pagado.rows[0].total);
+
+        if (toCentimos(monto) > saldo) {
+            return {
+                status: 400,
+                errors: [{ field: 'monto', message: `El monto supera el saldo pendiente (${toMonto(saldo)})` }]
+            };
+        }
+
+        const result = await client.query(
+            `INSERT INTO cegae_pagos
+             (idmatricula, monto, metodo, numero_recibo, fecha_pago, observacion, idusuario)
+             VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_DATE), $6, $7)
+             RETURNING *`,
+            [idmatricula, monto, metodo, numero_recibo, fecha_pago, observacion, req.user.idusuario]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'pago',
+            identidad: result.rows[0].idpago,
+            accion: 'crear',
+            despues: result.rows[0]
+        });
+
+        return { status: 201, pago: result.rows[0], saldo: toMonto(saldo - toCentimos(monto)) };
+    });
+
+    if (resultado.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errors: resultado.errors });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.status(201).json({
+        message: 'Pago registrado exitosamente',
+        pago: resultado.pago,
+        saldo: resultado.saldo
+    });
+});
+
+// Anular pago (se conserva el registro con fechaanulacion)
+router.delete('/:id', canEdit, validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_pagos WHERE idpago = $1 FOR UPDATE',
+            [id]
+        );
+
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+
+        if (anterior.rows[0].fechaanulacion) {
+            return { status: 409, error: 'El pago ya está anulado' };
+        }
+
+        const result = await client.query(
+            `UPDATE cegae_pagos
+             SET fechaanulacion = CURRENT_TIMESTAMP
+             WHERE idpago = $1
+             RETURNING *`,
+            [id]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'pago',
+            identidad: id,
+            accion: 'eliminar',
+            antes: anterior.rows[0],
+            despues: result.rows[0]
+        });
+
+        return { status: 200 };
+    });
+
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Pago no encontrado' });
+    }
+
+    if (resultado.status === 409) {
+        return res.status(409).json({ error: resultado.error });
+    }
+
+    res.json({ message: 'Pago anulado exitosamente' });
+});
+
+module.exports = router;
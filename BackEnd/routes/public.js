@@ -0,0 +1,121 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pool } = require('../db');
+const rateLimit = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { toDateString } = require('../schemas/ciclos');
+const { idsEstados } = require('../services/estados');
+
+const router = express.Router();
+
+// ========================================
+// CATÁLOGO PÚBLICO (sin autenticación)
+// ========================================
+//
+// Solo cursos Activos con sus ciclos Activos próximos a iniciar. Las columnas
+// se listan explícitamente para no exponer campos internos.
+
+router.use(rateLimit({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.PUBLIC_RATE_LIMIT) || 120
+}));
+
+async function loadCatalogo(idcurso = null) {
+    const { ACTIVO } = await idsEstados();
+    const params = [ACTIVO];
+    let cursoFilter = '';
+
+    if (idcurso) {
+        params.push(idcurso);
+        cursoFilter = ` AND c.idcurso = $${params.length}`;
+    }
+
+    const cursos = await pool.query(
+        `SELECT c.idcurso, c.nombre_curso, c.descripcion, c.dirigido,
+                c.horas_clases_por_dia, c.horarios, c.frecuencia, c.fechaedicion
+         FROM cegae_cursosdisponibles c
+         WHERE c.idestado = $1${cursoFilter}
+         ORDER BY c.nombre_curso`,
+        params
+    );
+
+    const ciclos = await pool.query(
+        `SELECT ci.idciclo, ci.idcurso, ci.nombreciclo, ci.precio_regular, ci.precio_promocion,
+                ci.fecha_inicio_clase, ci.fecha_fin_clase, ci.duracion_curso_total, ci.fechaedicion
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles c ON ci.idcurso = c.idcurso
+         WHERE ci.idestado = $1
+           AND ci.fecha_inicio_clase >= CURRENT_DATE
+           AND c.idestado = $1${cursoFilter}
+         ORDER BY ci.fecha_inicio_clase, ci.idciclo`,
+        params
+    );
+
+    return { cursos: cursos.rows, ciclos: ciclos.rows };
+}
+
+// ETag a partir de fechaedicion de las filas publicadas. Incluye los ids para
+// cambiar también cuando un registro deja de publicarse, y la fecha actual
+// porque los ciclos dejan de ser "próximos" al iniciar. No se envía
+// Last-Modified: ninguna fecha de las filas publicadas avanza cuando una sale
+// del catálogo, y un If-Modified-Since devolvería datos viejos.
+function catalogoEtag({ cursos, ciclos }) {
+    const fingerprint = [
+        new Date().toISOString().slice(0, 10),
+        ...cursos.map(c => `c${c.idcurso}:${new Date(c.fechaedicion).getTime()}`),
+        ...ciclos.map(ci => `ci${ci.idciclo}:${new Date(ci.fechaedicion).getTime()}`)
+    ].join('|');
+
+    return `"${crypto.createHash('sha1').update(fingerprint).digest('hex')}"`;
+}
+
+// Responder 304 si el cliente ya tiene la versión actual
+function sendCached(req, res, catalogo, body) {
+    const etag = catalogoEtag(catalogo);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.set('ETag', etag);
+
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+        return res.status(304).end();
+    }
+
+    res.json(body);
+}
+
+// Quitar columnas de control antes de publicar
+function toPublicCurso(curso, ciclos) {
+    const { fechaedicion, ...publico } = curso;
+    return {
+        ...publico,
+        ciclos: ciclos
+            .filter(ciclo => ciclo.idcurso === curso.idcurso)
+            .map(({ fechaedicion, idcurso, ...ciclo }) => ({
+                ...ciclo,
+                fecha_inicio_clase: toDateString(ciclo.fecha_inicio_clase),
+                fecha_fin_clase: toDateString(ciclo.fecha_fin_clase)
+            }))
+    };
+}
+
+// Listar el catálogo de cursos activos con sus próximos ciclos
+router.get('/cursos', async (req, res) => {
+    const catalogo = await loadCatalogo();
+    const body = catalogo.cursos.map(curso => toPublicCurso(curso, catalogo.ciclos));
+    sendCached(req, res, catalogo, body);
+});
+
+// Obtener un curso activo del catálogo
+router.get('/cursos/:id', validate({ params: idParams }), async (req, res) => {
+    const catalogo = await loadCatalogo(req.params.id);
+
+    if (catalogo.cursos.length === 0) {
+        return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+
+    sendCached(req, res, catalogo, toPublicCurso(catalogo.cursos[0], catalogo.ciclos));
+});
+
+module.exports = router;
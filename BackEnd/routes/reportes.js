@@ -0,0 +1,21 @@
+const express = require('express');
+const { pool } = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { reportesQuery } = require('../schemas/reportes');
+const { generarReporte } = require('../services/reportes');
+
+const router = express.Router();
+
+// ========================================
+// RUTAS PARA REPORTES
+// ========================================
+
+router.use(authenticateToken);
+
+// Reporte del dashboard (filtros: desde, hasta, dias)
+router.get('/', validate({ query: reportesQuery }), async (req, res) => {
+    res.json(await generarReporte(pool, req.query));
+});
+
+module.exports = router;
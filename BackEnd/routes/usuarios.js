@@ -0,0 +1,158 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PRODUCCION, SECRETOS_DE_EJEMPLO } = require('../middleware/seguridad');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { MIN_PASSWORD_LENGTH, usuarioBody } = require('../schemas/usuarios');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 10;
+
+// Columnas públicas (nunca devolver password_hash)
+const USUARIO_COLUMNS = 'idusuario, username, nombre, email, recibe_notificaciones, rol, activo, fechacreacion, fechaedicion';
+
+// ========================================
+// RUTAS PARA USUARIOS (solo administradores)
+// ========================================
+
+router.use(authenticateToken, authorize('admin'));
+
+// Obtener todos los usuarios
+router.get('/', async (req, res) => {
+    const result = await pool.query(
+        `SELECT ${USUARIO_COLUMNS} FROM cegae_usuarios ORDER BY idusuario`
+    );
+    res.json(result.rows);
+});
+
+// Obtener un usuario por ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const result = await pool.query(
+        `SELECT ${USUARIO_COLUMNS} FROM cegae_usuarios WHERE idusuario = $1`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json(result.rows[0]);
+});
+
+// Crear nuevo usuario
+router.post('/', validate({ body: usuarioBody }), async (req, res) => {
+    const { username, password, nombre, rol, email, recibe_notificaciones } = req.body;
+
+    const existing = await pool.query(
+        'SELECT idusuario FROM cegae_usuarios WHERE username = $1',
+        [username]
+    );
+
+    if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'El nombre de usuario ya existe' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const result = await pool.query(
+        `INSERT INTO cegae_usuarios (username, password_hash, nombre, rol, email, recibe_notificaciones)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${USUARIO_COLUMNS}`,
+        [username, passwordHash, nombre, rol || 'viewer', email || null, recibe_notificaciones ?? true]
+    );
+
+    res.status(201).json({
+        message: 'Usuario creado exitosamente',
+        usuario: result.rows[0]
+    });
+});
+
+// Actualizar usuario (la contraseña solo se cambia si se envía)
+router.put('/:id', validate({ params: idParams, body: usuarioBody }, { partial: true }), async (req, res) => {
+    const { id } = req.params;
+    const { nombre, rol, activo, password, email, recibe_notificaciones } = req.body;
+
+    // Un administrador no puede quitarse a sí mismo el acceso
+    const isSelf = id === req.user.idusuario;
+    if (isSelf && ((rol && rol !== 'admin') || activo === false)) {
+        return res.status(400).json({
+            error: 'No puede desactivar ni cambiar el rol de su propio usuario'
+        });
+    }
+
+    const passwordHash = password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null;
+    const result = await pool.query(
+        `UPDATE cegae_usuarios
+         SET nombre = COALESCE($1, nombre),
+             rol = COALESCE($2, rol),
+             activo = COALESCE($3, activo),
+             password_hash = COALESCE($4, password_hash),
+             email = COALESCE($5, email),
+             recibe_notificaciones = COALESCE($6, recibe_notificaciones),
+             fechaedicion = CURRENT_TIMESTAMP
+         WHERE idusuario = $7
+         RETURNING ${USUARIO_COLUMNS}`,
+        [nombre, rol, activo, passwordHash, email, recibe_notificaciones, id]
+    );
+
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json({
+        message: 'Usuario actualizado exitosamente',
+        usuario: result.rows[0]
+    });
+});
+
+// Eliminar usuario (soft delete: se desactiva)
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    if (id === req.user.idusuario) {
+        return res.status(400).json({ error: 'No puede eliminar su propio usuario' });
+    }
+
+    const result = await pool.query(
+        `UPDATE cegae_usuarios
+         SET activo = FALSE,
+             fechaedicion = CURRENT_TIMESTAMP
+         WHERE idusuario = $1
+         RETURNING idusuario`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json({ message: 'Usuario eliminado exitosamente' });
+});
+
+// Crear el administrador inicial desde ADMIN_USER/ADMIN_PASSWORD si no hay usuarios
+async function ensureAdminUser() {
+    const result = await pool.query('SELECT COUNT(*) FROM cegae_usuarios');
+    if (parseInt(result.rows[0].count) > 0) return;
+
+    const username = process.env.ADMIN_USER || 'admin';
+    const password = process.env.ADMIN_PASSWORD || 'admin123';
+
+    if (PRODUCCION && (SECRETOS_DE_EJEMPLO.includes(password) || password.length < MIN_PASSWORD_LENGTH)) {
+        throw new Error('Configure ADMIN_PASSWORD con una contraseña segura para crear el administrador inicial');
+    }
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    await pool.query(
+        `INSERT INTO cegae_usuarios (username, password_hash, nombre, rol)
+         VALUES ($1, $2, $3, 'admin')`,
+        [username, passwordHash, 'Administrador']
+    );
+    logger.info('Usuario administrador inicial creado', { username });
+}
+
+module.exports = router;
+module.exports.ensureAdminUser = ensureAdminUser;
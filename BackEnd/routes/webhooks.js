@@ -0,0 +1,209 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { webhookBody, entregasQuery } = require('../schemas/webhooks');
+const { registrarAuditoria } = require('../services/auditoria');
+const { queryList } = require('../services/listado');
+const { generarSecreto, reentregar } = require('../services/webhooks');
+
+const router = express.Router();
+
+// Columnas públicas: el secreto solo se muestra al crear el webhook
+const WEBHOOK_COLUMNS = 'idwebhook, url, eventos, descripcion, activo, fechacreacion, fechaedicion';
+
+// El secreto tampoco se guarda en la auditoría
+const sinSecreto = ({ secreto, ...webhook }) => webhook;
+
+// ========================================
+// RUTAS DE WEBHOOKS (solo administradores)
+// ========================================
+
+router.use(authenticateToken, authorize('admin'));
+
+// Obtener todos los webhooks
+router.get('/', async (req, res) => {
+    const result = await pool.query(
+        `SELECT ${WEBHOOK_COLUMNS} FROM cegae_webhooks ORDER BY idwebhook`
+    );
+    res.json(result.rows);
+});
+
+// Obtener un webhook por ID
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+    const result = await pool.query(
+        `SELECT ${WEBHOOK_COLUMNS} FROM cegae_webhooks WHERE idwebhook = $1`,
+        [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json(result.rows[0]);
+});
+
+// Registrar webhook. Si no se envía un secreto se genera uno; la respuesta es
+// la única vez que se devuelve.
+router.post('/', validate({ body: webhookBody }), async (req, res) => {
+    const { url, eventos, descripcion, activo } = req.body;
+    const secreto = req.body.secreto || generarSecreto();
+
+    const webhook = await withTransaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO cegae_webhooks (url, eventos, secreto, descripcion, activo)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [url, JSON.stringify(eventos), secreto, descripcion, activo ?? true]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'webhook',
+            identidad: result.rows[0].idwebhook,
+            accion: 'crear',
+            despues: sinSecreto(result.rows[0])
+        });
+
+        return result.rows[0];
+    });
+
+    res.status(201).json({
+        message: 'Webhook registrado exitosamente',
+        webhook
+    });
+});
+
+// Actualizar webhook (sin secreto se conserva el actual)
+router.put('/:id', validate({ params: idParams, body: webhookBody }), async (req, res) => {
+    const { id } = req.params;
+    const { url, eventos, secreto, descripcion, activo } = req.body;
+
+    const resultado = await withTransaction(async (client) => {
+        const anterior = await client.query(
+            'SELECT * FROM cegae_webhooks WHERE idwebhook = $1 FOR UPDATE',
+            [id]
+        );
+
+        if (anterior.rows.length === 0) {
+            return { status: 404 };
+        }
+
+        const result = await client.query(
+            `UPDATE cegae_webhooks
+             SET url = $1,
+                 eventos = $2,
+                 secreto = COALESCE($3, secreto),
+                 descripcion = $4,
+                 activo = $5,
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idwebhook = $6
+             RETURNING ${WEBHOOK_COLUMNS}`,
+            [url, JSON.stringify(eventos), secreto || null, descripcion, activo ?? true, id]
+        );
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'webhook',
+            identidad: id,
+            accion: 'actualizar',
+            antes: sinSecreto(anterior.rows[0]),
+            despues: result.rows[0]
+        });
+
+        return { status: 200, webhook: result.rows[0] };
+    });
+
+    if (resultado.status === 404) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({
+        message: 'Webhook actualizado exitosamente',
+        webhook: resultado.webhook
+    });
+});
+
+// Eliminar webhook (junto con su registro de entregas)
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    const webhook = await withTransaction(async (client) => {
+        const result = await client.query(
+            'DELETE FROM cegae_webhooks WHERE idwebhook = $1 RETURNING *',
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        await registrarAuditoria(client, req.user, {
+            entidad: 'webhook',
+            identidad: id,
+            accion: 'eliminar',
+            antes: sinSecreto(result.rows[0])
+        });
+
+        return result.rows[0];
+    });
+
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({ message: 'Webhook eliminado exitosamente' });
+});
+
+// Registro de entregas de un webhook (filtros: estado, evento)
+router.get('/:id/entregas', validate({ params: idParams, query: entregasQuery }), async (req, res) => {
+    const { id } = req.params;
+    const { estado, evento, page, pageSize } = req.query;
+
+    const existe = await pool.query('SELECT 1 FROM cegae_webhooks WHERE idwebhook = $1', [id]);
+    if (existe.rows.length === 0) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    let from = 'FROM cegae_webhook_entregas WHERE idwebhook = $1';
+    const params = [id];
+
+    if (estado) {
+        params.push(estado);
+        from += ` AND estado = $${params.length}`;
+    }
+
+    if (evento) {
+        params.push(evento);
+        from += ` AND evento = $${params.length}`;
+    }
+
+    const result = await queryList({
+        select: '*',
+        from,
+        params,
+        orderBy: 'ORDER BY fechacreacion DESC, identrega DESC',
+        page,
+        pageSize
+    });
+
+    res.json(result);
+});
+
+// Volver a enviar una entrega (entregada o no) como una entrega nueva, con un
+// primer intento inmediato; si falla sigue los reintentos normales
+router.post('/entregas/:id/reentregar', validate({ params: idParams }), async (req, res) => {
+    const entrega = await reentregar(req.params.id);
+
+    if (!entrega) {
+        return res.status(404).json({ error: 'Entrega no encontrada' });
+    }
+
+    res.status(201).json({
+        message: entrega.estado === 'entregado'
+            ? 'Entrega reenviada exitosamente'
+            : 'No se pudo reenviar; se reintentará más tarde',
+        entrega
+    });
+});
+
+module.exports = router;
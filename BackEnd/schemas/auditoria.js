@@ -0,0 +1,29 @@
+// ========================================
+// ESQUEMAS DE AUDITORÍA
+// ========================================
+
+const MAX_LIMIT = 500;
+
+function fechasOrdenadas(data) {
+    if (!data.desde || !data.hasta || data.hasta >= data.desde) return [];
+    return [{ field: 'hasta', message: 'Debe ser posterior a desde' }];
+}
+
+// usuario es el username; desde y hasta se comparan con el día del cambio.
+// El historial se devuelve como lista: page avanza de `limit` en `limit`.
+const auditoriaQuery = {
+    fields: {
+        entidad: { type: 'string', maxLength: 50 },
+        identidad: { type: 'integer', min: 1 },
+        usuario: { type: 'string', maxLength: 50 },
+        desde: { type: 'date' },
+        hasta: { type: 'date' },
+        limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+        page: { type: 'integer', min: 1 }
+    },
+    checks: [fechasOrdenadas]
+};
+
+module.exports = {
+    auditoriaQuery
+};
@@ -0,0 +1,22 @@
+const { paginationFields } = require('../services/listado');
+
+// ========================================
+// ESQUEMAS DE BÚSQUEDA
+// ========================================
+
+const TIPOS_RESULTADO = ['curso', 'ciclo'];
+
+// q admite la sintaxis de un buscador web: "frase exacta", -excluir, or
+const busquedaQuery = {
+    fields: {
+        q: { type: 'string', required: true, maxLength: 200 },
+        tipo: { type: 'string', enum: TIPOS_RESULTADO },
+        page: paginationFields.page,
+        pageSize: paginationFields.pageSize
+    }
+};
+
+module.exports = {
+    TIPOS_RESULTADO,
+    busquedaQuery
+};
@@ -0,0 +1,176 @@
+const { pool } = require('../db');
+const { PRECIO_MAX, estadoAplicable } = require('./common');
+const { paginationFields, sortCheck } = require('../services/listado');
+
+// ========================================
+// ESQUEMAS DE CICLOS
+// ========================================
+
+// Fecha como 'YYYY-MM-DD' (las columnas DATE llegan de pg como Date local)
+function toDateString(value) {
+    if (!(value instanceof Date)) return value;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// Reglas entre campos: fechas ordenadas (las inscripciones abren antes del
+// fin de clases) y promoción no mayor al precio regular.
+// Acepta tanto datos validados como filas de la base de datos (PATCH).
+function fechasYPrecios(data) {
+    const errors = [];
+    const inicio = toDateString(data.fecha_inicio_clase);
+    const fin = toDateString(data.fecha_fin_clase);
+
+    if (inicio && fin && fin < inicio) {
+        errors.push({
+            field: 'fecha_fin_clase',
+            message: 'La fecha de fin no puede ser anterior a la fecha de inicio'
+        });
+    }
+
+    const inscripcion = toDateString(data.fecha_inicio_inscripcion);
+    if (inscripcion && fin && fin < inscripcion) {
+        errors.push({
+            field: 'fecha_inicio_inscripcion',
+            message: 'Las inscripciones no pueden abrir después de la fecha de fin'
+        });
+    }
+
+    if (data.precio_promocion != null && data.precio_regular != null
+        && Number(data.precio_promocion) > Number(data.precio_regular)) {
+        errors.push({
+            field: 'precio_promocion',
+            message: 'El precio de promoción no puede ser mayor al precio regular'
+        });
+    }
+
+    return errors;
+}
+
+async function cursoExists(data) {
+    if (data.idcurso === undefined || data.idcurso === null) return [];
+
+    const result = await pool.query(
+        'SELECT 1 FROM cegae_cursosdisponibles WHERE idcurso = $1',
+        [data.idcurso]
+    );
+    return result.rows.length > 0
+        ? []
+        : [{ field: 'idcurso', message: 'El curso especificado no existe' }];
+}
+
+const cicloBody = {
+    fields: {
+        idcurso: { type: 'integer', required: true, min: 1 },
+        nombreciclo: { type: 'string', required: true, maxLength: 255 },
+        precio_regular: { type: 'number', min: 0, max: PRECIO_MAX },
+        precio_promocion: { type: 'number', min: 0, max: PRECIO_MAX },
+        fecha_inicio_clase: { type: 'date' },
+        fecha_fin_clase: { type: 'date' },
+        fecha_inicio_inscripcion: { type: 'date' },
+        duracion_curso_total: { type: 'string', maxLength: 100 },
+        vacantes: { type: 'integer', min: 0 },
+        permite_lista_espera: { type: 'boolean' },
+        idestado: { type: 'integer', min: 1 }
+    },
+    checks: [fechasYPrecios, cursoExists, estadoAplicable('ciclo')]
+};
+
+// Columnas por las que se puede ordenar el listado (parámetro `sort`)
+const CICLO_SORT_COLUMNS = {
+    idciclo: 'ci.idciclo',
+    idcurso: 'ci.idcurso',
+    nombre_curso: 'cu.nombre_curso',
+    nombreciclo: 'ci.nombreciclo',
+    precio_regular: 'ci.precio_regular',
+    precio_promocion: 'ci.precio_promocion',
+    fecha_inicio_clase: 'ci.fecha_inicio_clase',
+    fecha_fin_clase: 'ci.fecha_fin_clase',
+    estado_nombre: 'e.nombre',
+    fechacreacion: 'ci.fechacreacion',
+    fechaedicion: 'ci.fechaedicion'
+};
+
+// Los rangos de filtros deben estar ordenados
+function rangos(data) {
+    const errors = [];
+
+    if (data.precio_min != null && data.precio_max != null && data.precio_min > data.precio_max) {
+        errors.push({ field: 'precio_max', message: 'Debe ser mayor o igual a precio_min' });
+    }
+
+    if (data.fecha_inicio_desde && data.fecha_inicio_hasta
+        && data.fecha_inicio_hasta < data.fecha_inicio_desde) {
+        errors.push({ field: 'fecha_inicio_hasta', message: 'Debe ser posterior a fecha_inicio_desde' });
+    }
+
+    return errors;
+}
+
+const ciclosQuery = {
+    fields: {
+        search: { type: 'string', maxLength: 255 },
+        idcurso: { type: 'integer', min: 1 },
+        estado: { type: 'integer', min: 1 },
+        precio_min: { type: 'number', min: 0 },
+        precio_max: { type: 'number', min: 0 },
+        fecha_inicio_desde: { type: 'date' },
+        fecha_inicio_hasta: { type: 'date' },
+        dirigido: { type: 'string', maxLength: 255 },
+        ...paginationFields
+    },
+    checks: [rangos, sortCheck(CICLO_SORT_COLUMNS)]
+};
+
+// Las fechas de una copia se desplazan en días o en meses, no en ambos
+function unDesplazamiento(data) {
+    if (data.desplazar_dias != null && data.desplazar_meses != null) {
+        return [{ field: 'desplazar_meses', message: 'Indique desplazar_dias o desplazar_meses, no ambos' }];
+    }
+    return [];
+}
+
+function conDesplazamiento(data) {
+    if (data.desplazar_dias == null && data.desplazar_meses == null) {
+        return [{ field: 'desplazar_meses', message: 'Indique desplazar_dias o desplazar_meses' }];
+    }
+    return [];
+}
+
+// Opciones de copia: desplazamiento de fechas, ajuste de precios en % y horarios
+const copiaFields = {
+    desplazar_dias: { type: 'integer', min: -3650, max: 3650 },
+    desplazar_meses: { type: 'integer', min: -120, max: 120 },
+    ajuste_precio: { type: 'number', min: -100, max: 1000 },
+    copiar_horarios: { type: 'boolean' }
+};
+
+const duplicarBody = {
+    fields: {
+        ...copiaFields,
+        nombreciclo: { type: 'string', maxLength: 255 }
+    },
+    checks: [unDesplazamiento]
+};
+
+// Copiar los ciclos activos o finalizados de los cursos al siguiente periodo; el periodo
+// de origen se puede acotar por fecha de inicio
+const rollForwardBody = {
+    fields: {
+        idcursos: { type: 'array', required: true, items: { type: 'integer', min: 1 }, maxItems: 100 },
+        fecha_inicio_desde: { type: 'date' },
+        fecha_inicio_hasta: { type: 'date' },
+        ...copiaFields
+    },
+    checks: [rangos, unDesplazamiento, conDesplazamiento]
+};
+
+module.exports = {
+    CICLO_SORT_COLUMNS,
+    cicloBody,
+    ciclosQuery,
+    duplicarBody,
+    rollForwardBody,
+    fechasYPrecios,
+    toDateString
+};
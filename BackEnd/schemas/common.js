@@ -0,0 +1,59 @@
+const { pool } = require('../db');
+const { ENTIDADES } = require('../services/estados');
+
+// ========================================
+// ESQUEMAS COMPARTIDOS
+// ========================================
+
+// Parámetro :id de las rutas
+const idParams = {
+    fields: {
+        id: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function emailValido(data) {
+    if (!data.email || EMAIL_FORMAT.test(data.email)) return [];
+    return [{ field: 'email', message: 'Debe ser un correo electrónico válido' }];
+}
+
+// NUMERIC(10,2)
+const PRECIO_MAX = 99999999.99;
+
+// El idestado enviado debe existir en cegae_estados y aplicar a la entidad
+// ('curso' o 'ciclo')
+const estadoAplicable = (entidad) => async (data) => {
+    if (data.idestado === undefined || data.idestado === null) return [];
+
+    const result = await pool.query(
+        'SELECT nombre, aplica_cursos, aplica_ciclos FROM cegae_estados WHERE idestado = $1',
+        [data.idestado]
+    );
+
+    if (result.rows.length === 0) {
+        return [{ field: 'idestado', message: 'El estado especificado no existe' }];
+    }
+
+    const { columna, plural } = ENTIDADES[entidad];
+    return result.rows[0][columna]
+        ? []
+        : [{ field: 'idestado', message: `El estado "${result.rows[0].nombre}" no aplica a ${plural}` }];
+};
+
+// dry_run=true solo devuelve la vista previa, sin guardar
+const dryRunQuery = {
+    fields: {
+        dry_run: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    idParams,
+    dryRunQuery,
+    EMAIL_FORMAT,
+    emailValido,
+    PRECIO_MAX,
+    estadoAplicable
+};
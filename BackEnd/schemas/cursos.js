@@ -0,0 +1,45 @@
+const { estadoAplicable } = require('./common');
+const { paginationFields, sortCheck } = require('../services/listado');
+
+// ========================================
+// ESQUEMAS DE CURSOS
+// ========================================
+
+const cursoBody = {
+    fields: {
+        nombre_curso: { type: 'string', required: true, maxLength: 255 },
+        descripcion: { type: 'string' },
+        dirigido: { type: 'string' },
+        horas_clases_por_dia: { type: 'string', maxLength: 100 },
+        horarios: { type: 'string' },
+        frecuencia: { type: 'string' },
+        idestado: { type: 'integer', min: 1 }
+    },
+    checks: [estadoAplicable('curso')]
+};
+
+// Columnas por las que se puede ordenar el listado (parámetro `sort`)
+const CURSO_SORT_COLUMNS = {
+    idcurso: 'c.idcurso',
+    nombre_curso: 'c.nombre_curso',
+    dirigido: 'c.dirigido',
+    estado_nombre: 'e.nombre',
+    fechacreacion: 'c.fechacreacion',
+    fechaedicion: 'c.fechaedicion'
+};
+
+const cursosQuery = {
+    fields: {
+        search: { type: 'string', maxLength: 255 },
+        estado: { type: 'integer', min: 1 },
+        dirigido: { type: 'string', maxLength: 255 },
+        ...paginationFields
+    },
+    checks: [sortCheck(CURSO_SORT_COLUMNS)]
+};
+
+module.exports = {
+    CURSO_SORT_COLUMNS,
+    cursoBody,
+    cursosQuery
+};
@@ -0,0 +1,31 @@
+// ========================================
+// ESQUEMAS DE ESTADOS
+// ========================================
+
+// Código estable con el que la aplicación se refiere al estado (ej. EN_REVISION)
+const CODIGO_FORMAT = /^[A-Z][A-Z0-9_]*$/;
+
+function codigoValido(data) {
+    if (!data.codigo || CODIGO_FORMAT.test(data.codigo)) return [];
+    return [{ field: 'codigo', message: 'Use mayúsculas, números y guiones bajos (ej. EN_REVISION)' }];
+}
+
+function aplicaAlguno(data) {
+    if (data.aplica_cursos !== false || data.aplica_ciclos !== false) return [];
+    return [{ field: 'aplica_ciclos', message: 'El estado debe aplicar a cursos, a ciclos o a ambos' }];
+}
+
+const estadoBody = {
+    fields: {
+        codigo: { type: 'string', required: true, maxLength: 30 },
+        nombre: { type: 'string', required: true, maxLength: 50 },
+        descripcion: { type: 'string', maxLength: 200 },
+        aplica_cursos: { type: 'boolean' },
+        aplica_ciclos: { type: 'boolean' }
+    },
+    checks: [codigoValido, aplicaAlguno]
+};
+
+module.exports = {
+    estadoBody
+};
@@ -0,0 +1,79 @@
+const { pool } = require('../db');
+
+// ========================================
+// ESQUEMAS DE HORARIOS Y FERIADOS
+// ========================================
+
+// La hora de fin debe ser posterior a la de inicio (HH:MM se compara como texto)
+function horasOrdenadas(data) {
+    if (!data.hora_inicio || !data.hora_fin || data.hora_fin > data.hora_inicio) return [];
+    return [{ field: 'hora_fin', message: 'La hora de fin debe ser posterior a la hora de inicio' }];
+}
+
+async function cicloExists(data) {
+    if (data.idciclo === undefined || data.idciclo === null) return [];
+
+    const result = await pool.query(
+        'SELECT 1 FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1',
+        [data.idciclo]
+    );
+    return result.rows.length > 0
+        ? []
+        : [{ field: 'idciclo', message: 'El ciclo especificado no existe' }];
+}
+
+const horarioBody = {
+    fields: {
+        idciclo: { type: 'integer', required: true, min: 1 },
+        dia_semana: { type: 'integer', required: true, min: 1, max: 7 },
+        hora_inicio: { type: 'time', required: true },
+        hora_fin: { type: 'time', required: true },
+        aula: { type: 'string', maxLength: 100 },
+        instructor: { type: 'string', maxLength: 150 }
+    },
+    checks: [horasOrdenadas, cicloExists]
+};
+
+// `fecha` limita a los ciclos que dictan clases ese día; `hora_desde` y
+// `hora_hasta` devuelven las sesiones que se cruzan con esa franja.
+const horariosQuery = {
+    fields: {
+        idciclo: { type: 'integer', min: 1 },
+        dia_semana: { type: 'integer', min: 1, max: 7 },
+        hora_desde: { type: 'time' },
+        hora_hasta: { type: 'time' },
+        aula: { type: 'string', maxLength: 100 },
+        instructor: { type: 'string', maxLength: 150 },
+        fecha: { type: 'date' }
+    }
+};
+
+const semanaQuery = {
+    fields: {
+        fecha: { type: 'date' },
+        aula: { type: 'string', maxLength: 100 },
+        instructor: { type: 'string', maxLength: 150 }
+    }
+};
+
+const feriadoBody = {
+    fields: {
+        fecha: { type: 'date', required: true },
+        descripcion: { type: 'string', required: true, maxLength: 255 }
+    }
+};
+
+const feriadosQuery = {
+    fields: {
+        desde: { type: 'date' },
+        hasta: { type: 'date' }
+    }
+};
+
+module.exports = {
+    horarioBody,
+    horariosQuery,
+    semanaQuery,
+    feriadoBody,
+    feriadosQuery
+};
@@ -0,0 +1,26 @@
+const { cursosQuery } = require('./cursos');
+const { ciclosQuery } = require('./ciclos');
+
+// ========================================
+// ESQUEMAS DE EXPORTACIÓN E IMPORTACIÓN
+// ========================================
+
+// Los mismos filtros y orden del listado, sin paginación, más el formato
+function exportQuery(listQuery) {
+    const { page, pageSize, ...fields } = listQuery.fields;
+    return {
+        fields: {
+            ...fields,
+            formato: { type: 'string', enum: ['csv', 'xlsx'] }
+        },
+        checks: listQuery.checks
+    };
+}
+
+const cursosExportQuery = exportQuery(cursosQuery);
+const ciclosExportQuery = exportQuery(ciclosQuery);
+
+module.exports = {
+    cursosExportQuery,
+    ciclosExportQuery
+};
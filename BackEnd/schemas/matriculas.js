@@ -0,0 +1,51 @@
+const { paginationFields } = require('../services/listado');
+const { emailValido } = require('./common');
+
+// ========================================
+// ESQUEMAS DE ALUMNOS Y MATRÍCULAS
+// ========================================
+
+const ESTADOS_MATRICULA = ['inscrito', 'lista_espera', 'anulado'];
+
+const alumnoBody = {
+    fields: {
+        documento: { type: 'string', required: true, maxLength: 20 },
+        nombres: { type: 'string', required: true, maxLength: 150 },
+        apellidos: { type: 'string', required: true, maxLength: 150 },
+        email: { type: 'string', maxLength: 150 },
+        telefono: { type: 'string', maxLength: 30 }
+    },
+    checks: [emailValido]
+};
+
+const alumnosQuery = {
+    fields: {
+        search: { type: 'string', maxLength: 255 },
+        documento: { type: 'string', maxLength: 20 }
+    }
+};
+
+const matriculaBody = {
+    fields: {
+        idciclo: { type: 'integer', required: true, min: 1 },
+        idalumno: { type: 'integer', required: true, min: 1 }
+    }
+};
+
+const matriculasQuery = {
+    fields: {
+        idciclo: { type: 'integer', min: 1 },
+        idalumno: { type: 'integer', min: 1 },
+        estado: { type: 'string', enum: ESTADOS_MATRICULA },
+        page: paginationFields.page,
+        pageSize: paginationFields.pageSize
+    }
+};
+
+module.exports = {
+    ESTADOS_MATRICULA,
+    alumnoBody,
+    alumnosQuery,
+    matriculaBody,
+    matriculasQuery
+};
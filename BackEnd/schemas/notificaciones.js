@@ -0,0 +1,25 @@
+const { paginationFields } = require('../services/listado');
+
+// ========================================
+// ESQUEMAS DE NOTIFICACIONES
+// ========================================
+
+const TIPOS_NOTIFICACION = ['ciclo_por_iniciar', 'ciclo_modificado', 'ciclo_anulado'];
+const ESTADOS_NOTIFICACION = ['pendiente', 'enviado', 'fallido'];
+
+const notificacionesQuery = {
+    fields: {
+        tipo: { type: 'string', enum: TIPOS_NOTIFICACION },
+        estado: { type: 'string', enum: ESTADOS_NOTIFICACION },
+        idciclo: { type: 'integer', min: 1 },
+        destinatario: { type: 'string', maxLength: 150 },
+        page: paginationFields.page,
+        pageSize: paginationFields.pageSize
+    }
+};
+
+module.exports = {
+    TIPOS_NOTIFICACION,
+    ESTADOS_NOTIFICACION,
+    notificacionesQuery
+};
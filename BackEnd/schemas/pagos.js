@@ -0,0 +1,66 @@
+const { PRECIO_MAX } = require('./common');
+const { paginationFields } = require('../services/listado');
+
+// ========================================
+// ESQUEMAS DE PAGOS Y CUOTAS
+// ========================================
+
+const METODOS_PAGO = ['efectivo', 'transferencia', 'tarjeta', 'deposito'];
+
+const MAX_CUOTAS = 24;
+
+const pagoBody = {
+    fields: {
+        idmatricula: { type: 'integer', required: true, min: 1 },
+        monto: { type: 'number', required: true, min: 0.01, max: PRECIO_MAX },
+        metodo: { type: 'string', required: true, enum: METODOS_PAGO },
+        numero_recibo: { type: 'string', required: true, maxLength: 50 },
+        fecha_pago: { type: 'date' },
+        observacion: { type: 'string', maxLength: 1000 }
+    }
+};
+
+const pagosQuery = {
+    fields: {
+        idmatricula: { type: 'integer', min: 1 },
+        idciclo: { type: 'integer', min: 1 },
+        idalumno: { type: 'integer', min: 1 },
+        desde: { type: 'date' },
+        hasta: { type: 'date' },
+        page: paginationFields.page,
+        pageSize: paginationFields.pageSize
+    }
+};
+
+// Plan de pagos: el precio de la matrícula se reparte en cuotas mensuales
+const planBody = {
+    fields: {
+        numero_cuotas: { type: 'integer', required: true, min: 1, max: MAX_CUOTAS },
+        fecha_primer_vencimiento: { type: 'date', required: true }
+    }
+};
+
+const saldosQuery = {
+    fields: {
+        agrupar: { type: 'string', enum: ['matricula', 'alumno', 'ciclo'] },
+        idciclo: { type: 'integer', min: 1 },
+        idalumno: { type: 'integer', min: 1 },
+        con_saldo: { type: 'boolean' }
+    }
+};
+
+const vencidosQuery = {
+    fields: {
+        idciclo: { type: 'integer', min: 1 },
+        idalumno: { type: 'integer', min: 1 }
+    }
+};
+
+module.exports = {
+    METODOS_PAGO,
+    pagoBody,
+    pagosQuery,
+    planBody,
+    saldosQuery,
+    vencidosQuery
+};
@@ -0,0 +1,37 @@
+// ========================================
+// ESQUEMAS DE REPORTES
+// ========================================
+
+// Un reporte abarca como máximo 5 años (60 puntos por serie)
+const MAX_MESES = 60;
+
+function rangoFechas(data) {
+    if (!data.desde || !data.hasta) return [];
+
+    if (data.hasta < data.desde) {
+        return [{ field: 'hasta', message: 'Debe ser posterior a desde' }];
+    }
+
+    const [anioDesde, mesDesde] = data.desde.split('-').map(Number);
+    const [anioHasta, mesHasta] = data.hasta.split('-').map(Number);
+    if ((anioHasta - anioDesde) * 12 + (mesHasta - mesDesde) >= MAX_MESES) {
+        return [{ field: 'hasta', message: `El rango no puede superar ${MAX_MESES} meses` }];
+    }
+
+    return [];
+}
+
+// desde/hasta acotan las series y los precios por la fecha de inicio de los
+// ciclos; dias define la ventana de "ciclos por terminar"
+const reportesQuery = {
+    fields: {
+        desde: { type: 'date' },
+        hasta: { type: 'date' },
+        dias: { type: 'integer', min: 1, max: 365 }
+    },
+    checks: [rangoFechas]
+};
+
+module.exports = {
+    reportesQuery
+};
@@ -0,0 +1,34 @@
+const { ROLES } = require('../middleware/auth');
+const { emailValido } = require('./common');
+
+// ========================================
+// ESQUEMAS DE USUARIOS
+// ========================================
+
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignora lo que pase de 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+
+function passwordSegura(data) {
+    if (!data.password || data.password.length >= MIN_PASSWORD_LENGTH) return [];
+    return [{ field: 'password', message: `Debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres` }];
+}
+
+// Al editar (validate con partial) la contraseña solo se cambia si se envía
+const usuarioBody = {
+    fields: {
+        username: { type: 'string', required: true, maxLength: 50 },
+        password: { type: 'string', required: true, trim: false, maxLength: MAX_PASSWORD_LENGTH },
+        nombre: { type: 'string', maxLength: 150 },
+        rol: { type: 'string', enum: ROLES },
+        email: { type: 'string', maxLength: 150 },
+        recibe_notificaciones: { type: 'boolean' },
+        activo: { type: 'boolean' }
+    },
+    checks: [passwordSegura, emailValido]
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    usuarioBody
+};
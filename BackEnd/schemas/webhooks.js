@@ -0,0 +1,71 @@
+const { paginationFields } = require('../services/listado');
+const { SUSCRIPCIONES } = require('../services/webhooks');
+
+// ========================================
+// ESQUEMAS DE WEBHOOKS
+// ========================================
+
+const ESTADOS_ENTREGA = ['pendiente', 'entregado', 'fallido'];
+const SECRETO_MIN = 16;
+
+function urlValida(data) {
+    if (!data.url) return [];
+
+    try {
+        const { protocol } = new URL(data.url);
+        if (protocol === 'http:' || protocol === 'https:') return [];
+    } catch (error) {
+        // URL mal formada
+    }
+
+    return [{ field: 'url', message: 'Debe ser una URL http o https (ej. https://ejemplo.com/webhook)' }];
+}
+
+function eventosValidos(data) {
+    if (!data.eventos) return [];
+
+    if (data.eventos.length === 0) {
+        return [{ field: 'eventos', message: 'Indique al menos un evento' }];
+    }
+
+    const desconocidos = data.eventos.filter(evento => !SUSCRIPCIONES.includes(evento));
+    return desconocidos.length === 0
+        ? []
+        : [{
+            field: 'eventos',
+            message: `Eventos desconocidos: ${desconocidos.join(', ')}. Use: ${SUSCRIPCIONES.join(', ')}`
+        }];
+}
+
+// Un secreto corto se puede adivinar por fuerza bruta
+function secretoSeguro(data) {
+    if (!data.secreto || data.secreto.length >= SECRETO_MIN) return [];
+    return [{ field: 'secreto', message: `Debe tener al menos ${SECRETO_MIN} caracteres` }];
+}
+
+// Sin secreto se genera uno al crear el webhook (y se conserva al editarlo)
+const webhookBody = {
+    fields: {
+        url: { type: 'string', required: true, maxLength: 500 },
+        eventos: { type: 'array', required: true, items: { type: 'string', maxLength: 50 }, maxItems: 20 },
+        secreto: { type: 'string', maxLength: 100 },
+        descripcion: { type: 'string', maxLength: 200 },
+        activo: { type: 'boolean' }
+    },
+    checks: [urlValida, eventosValidos, secretoSeguro]
+};
+
+const entregasQuery = {
+    fields: {
+        estado: { type: 'string', enum: ESTADOS_ENTREGA },
+        evento: { type: 'string', maxLength: 50 },
+        page: paginationFields.page,
+        pageSize: paginationFields.pageSize
+    }
+};
+
+module.exports = {
+    ESTADOS_ENTREGA,
+    webhookBody,
+    entregasQuery
+};
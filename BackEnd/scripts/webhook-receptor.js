@@ -0,0 +1,62 @@
+const http = require('http');
+const crypto = require('crypto');
+const { firmar } = require('../services/webhooks');
+
+// ========================================
+// RECEPTOR DE WEBHOOKS DE PRUEBA
+// ========================================
+//
+// Servidor local que hace de receptor para probar los webhooks sin un sistema
+// externo. Verifica la firma de cada entrega, la muestra en el log y responde
+// con RECEPTOR_CODIGO (200 por defecto; use 500 para probar los reintentos).
+//
+//   RECEPTOR_SECRETO=<secreto del webhook> RECEPTOR_PUERTO=4000 npm run webhooks:receptor
+//
+// Registre el webhook con la URL http://localhost:4000/ y el mismo secreto.
+
+const PUERTO = Number(process.env.RECEPTOR_PUERTO || 4000);
+const SECRETO = process.env.RECEPTOR_SECRETO;
+const CODIGO = Number(process.env.RECEPTOR_CODIGO || 200);
+
+// Las entregas con un timestamp más antiguo se rechazan (evita reenvíos ajenos)
+const TOLERANCIA_SEGUNDOS = 5 * 60;
+
+function firmaValida(cabeceras, cuerpo) {
+    const timestamp = Number(cabeceras['x-cegae-timestamp']);
+    const firma = String(cabeceras['x-cegae-firma'] || '').replace(/^sha256=/, '');
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCIA_SEGUNDOS) {
+        return false;
+    }
+
+    const esperada = Buffer.from(firmar(SECRETO, timestamp, cuerpo), 'hex');
+    const recibida = Buffer.from(firma, 'hex');
+    return recibida.length === esperada.length && crypto.timingSafeEqual(recibida, esperada);
+}
+
+if (!SECRETO) {
+    console.error('❌ Indique el secreto del webhook en RECEPTOR_SECRETO');
+    process.exit(1);
+}
+
+http.createServer((req, res) => {
+    let cuerpo = '';
+    req.setEncoding('utf8');
+    req.on('data', (parte) => { cuerpo += parte; });
+    req.on('end', () => {
+        const evento = req.headers['x-cegae-evento'];
+        const entrega = req.headers['x-cegae-entrega'];
+
+        if (!firmaValida(req.headers, cuerpo)) {
+            console.log(`⛔ Entrega ${entrega} (${evento}) con firma inválida`);
+            res.writeHead(401).end();
+            return;
+        }
+
+        console.log(`🔗 Entrega ${entrega} (${evento}) → ${CODIGO}`);
+        console.log(JSON.stringify(JSON.parse(cuerpo), null, 2).replace(/^/gm, '   '));
+        res.writeHead(CODIGO).end();
+    });
+}).listen(PUERTO, () => {
+    console.log(`✅ Receptor de webhooks en http://localhost:${PUERTO}/`);
+});
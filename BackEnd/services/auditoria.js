@@ -0,0 +1,21 @@
+// ========================================
+// REGISTRO DE AUDITORÍA
+// ========================================
+
+// Registrar un cambio. Se recibe el client de la transacción en curso para que
+// el registro se confirme o revierta junto con el cambio auditado.
+async function registrarAuditoria(client, user, { entidad, identidad, accion, antes = null, despues = null }) {
+    await client.query(
+        `INSERT INTO cegae_auditoria
+         (entidad, identidad, accion, idusuario, username, datos_anteriores, datos_nuevos)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [entidad, identidad, accion,
+         user ? user.idusuario : null, user ? user.username : null,
+         antes ? JSON.stringify(antes) : null,
+         despues ? JSON.stringify(despues) : null]
+    );
+}
+
+module.exports = {
+    registrarAuditoria
+};
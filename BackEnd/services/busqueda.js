@@ -0,0 +1,137 @@
+// ========================================
+// BÚSQUEDA EN EL CATÁLOGO
+// ========================================
+//
+// Búsqueda de texto completo sobre los cursos (nombre, descripción y público
+// al que va dirigido) y los ciclos (nombre), con la configuración
+// cegae_espanol de la migración 012: sin tildes y por raíces en español, así
+// "computacion" encuentra "Computación" y "computadora" encuentra
+// "Computadoras". Como la raíz se saca del texto ya sin tildes y el stemmer
+// solo reconoce los sufijos con tilde ("-ación"), "programar" no encuentra
+// "Programación".
+// Los resultados de ambos tipos se ordenan juntos por relevancia (ts_rank).
+//
+// Los textos resaltados vienen de ts_headline con delimitadores de control
+// que no aparecen en los datos, y se devuelven como partes
+// [{ texto, resaltado }] para que el cliente no tenga que interpretar HTML.
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const INICIO = '\u0002';
+const FIN = '\u0003';
+const SELECCION = `StartSel="${INICIO}", StopSel="${FIN}"`;
+// El nombre se resalta completo; la descripción, en uno o dos fragmentos
+const OPCIONES_NOMBRE = `${SELECCION}, HighlightAll=true`;
+const OPCIONES_DETALLE = `${SELECCION}, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Una rama por tipo de resultado, con las mismas columnas
+const RAMAS = {
+    curso: `
+        SELECT 'curso' AS tipo, c.idcurso AS id, c.nombre_curso AS nombre,
+               c.idcurso, c.nombre_curso, c.idestado,
+               NULLIF(concat_ws(' · ', c.descripcion, c.dirigido), '') AS detalle,
+               ts_rank(cegae_curso_documento(c.nombre_curso, c.descripcion, c.dirigido), consulta.q) AS rank
+        FROM consulta
+        CROSS JOIN cegae_cursosdisponibles c
+        WHERE cegae_curso_documento(c.nombre_curso, c.descripcion, c.dirigido) @@ consulta.q`,
+    ciclo: `
+        SELECT 'ciclo' AS tipo, ci.idciclo AS id, ci.nombreciclo AS nombre,
+               cu.idcurso, cu.nombre_curso, ci.idestado,
+               NULL::text AS detalle,
+               ts_rank(cegae_ciclo_documento(ci.nombreciclo), consulta.q) AS rank
+        FROM consulta
+        CROSS JOIN cegae_cursosdisponiblesciclo ci
+        INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+        WHERE cegae_ciclo_documento(ci.nombreciclo) @@ consulta.q`
+};
+
+// Partes de un texto de ts_headline: [{ texto, resaltado }]
+function partesResaltadas(texto) {
+    if (texto === null) return null;
+
+    return texto
+        .split(new RegExp(`(${INICIO}[^${FIN}]*${FIN})`))
+        .filter(Boolean)
+        .map(parte => (parte.startsWith(INICIO)
+            ? { texto: parte.slice(1, -1), resaltado: true }
+            : { texto: parte, resaltado: false }));
+}
+
+// Total de coincidencias, para una página que quedó vacía
+async function contarCoincidencias(pool, q, ramas) {
+    const result = await pool.query(
+        `WITH consulta AS (
+            SELECT websearch_to_tsquery('cegae_espanol', $1) AS q
+        )
+        SELECT COUNT(*) FROM (${ramas.join('\nUNION ALL\n')}) coincidencias`,
+        [q]
+    );
+    return parseInt(result.rows[0].count);
+}
+
+// Buscar en cursos y ciclos (`tipo` limita a uno de ellos). El ts_headline,
+// que es lo más costoso, solo se calcula para la página pedida.
+// Devuelve { data, page, pageSize, total, totalPages }, como los listados.
+async function buscarEnCatalogo(pool, { q, tipo, page, pageSize }) {
+    page = page || 1;
+    pageSize = pageSize || DEFAULT_PAGE_SIZE;
+    const ramas = tipo ? [RAMAS[tipo]] : Object.values(RAMAS);
+
+    const result = await pool.query(
+        `WITH consulta AS (
+            SELECT websearch_to_tsquery('cegae_espanol', $1) AS q
+        ),
+        coincidencias AS (
+            ${ramas.join('\nUNION ALL\n')}
+        ),
+        pagina AS (
+            SELECT *, COUNT(*) OVER () AS total
+            FROM coincidencias
+            ORDER BY rank DESC, nombre, id
+            LIMIT $4 OFFSET $5
+        )
+        SELECT p.tipo, p.id, p.nombre, p.idcurso, p.nombre_curso,
+               p.idestado, e.nombre AS estado_nombre, p.rank, p.total,
+               ts_headline('cegae_espanol', p.nombre, consulta.q, $2) AS nombre_resaltado,
+               ts_headline('cegae_espanol', p.detalle, consulta.q, $3) AS detalle_resaltado
+        FROM pagina p
+        CROSS JOIN consulta
+        LEFT JOIN cegae_estados e ON p.idestado = e.idestado
+        ORDER BY p.rank DESC, p.nombre, p.id`,
+        [q, OPCIONES_NOMBRE, OPCIONES_DETALLE, pageSize, (page - 1) * pageSize]
+    );
+
+    // Una página más allá del final no trae filas ni, por lo tanto, el total
+    let total = 0;
+    if (result.rows.length > 0) {
+        total = parseInt(result.rows[0].total);
+    } else if (page > 1) {
+        total = await contarCoincidencias(pool, q, ramas);
+    }
+
+    return {
+        data: result.rows.map(fila => ({
+            tipo: fila.tipo,
+            id: fila.id,
+            nombre: fila.nombre,
+            idcurso: fila.idcurso,
+            nombre_curso: fila.nombre_curso,
+            idestado: fila.idestado,
+            estado_nombre: fila.estado_nombre,
+            rank: Number(fila.rank),
+            resaltado: {
+                nombre: partesResaltadas(fila.nombre_resaltado),
+                detalle: partesResaltadas(fila.detalle_resaltado)
+            }
+        })),
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+    };
+}
+
+module.exports = {
+    buscarEnCatalogo,
+    partesResaltadas
+};
@@ -0,0 +1,177 @@
+const { toDateString } = require('../schemas/ciclos');
+const { toHora, sumarDias, diaSemana } = require('./horarios');
+
+// ========================================
+// CALENDARIO iCALENDAR (RFC 5545)
+// ========================================
+//
+// Cada horario semanal de un ciclo se publica como un evento recurrente
+// (RRULE semanal hasta fecha_fin_clase, con los feriados como EXDATE). Un
+// ciclo sin horario se publica como un evento de día completo. Los UID
+// dependen solo de los ids, así los clientes suscritos actualizan el evento
+// existente cuando el ciclo cambia; los ciclos anulados se publican con
+// STATUS:CANCELLED.
+//
+// Los feeds son públicos: el aula y el instructor de los horarios, que solo ve
+// el personal autenticado, no se publican.
+//
+// Las horas se emiten como hora local "flotante" (sin zona) e indican la zona
+// del instituto con X-WR-TIMEZONE.
+
+
+const CALENDAR_TZ = process.env.CALENDAR_TZ || 'America/Lima';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'cegae';
+
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const fechaICS = (fecha) => fecha.replace(/-/g, '');
+const fechaHoraICS = (fecha, hora) => `${fechaICS(fecha)}T${toHora(hora).replace(':', '')}00`;
+const timestampICS = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT: escapar \ ; , y saltos de línea
+const textoICS = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Líneas de máximo 75 octetos; las continuaciones empiezan con un espacio
+function plegarLinea(linea) {
+    const partes = [];
+    let actual = '';
+
+    for (const caracter of linea) {
+        const limite = partes.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(actual + caracter) > limite) {
+            partes.push(actual);
+            actual = '';
+        }
+        actual += caracter;
+    }
+    partes.push(actual);
+
+    return partes.join('\r\n ');
+}
+
+// Propiedades comunes a los eventos de un ciclo
+function propiedadesCiclo(ciclo, modificado) {
+    return [
+        `SUMMARY:${textoICS(`${ciclo.nombre_curso} - ${ciclo.nombreciclo}`)}`,
+        ...(ciclo.duracion_curso_total ? [`DESCRIPTION:${textoICS(`Duración: ${ciclo.duracion_curso_total}`)}`] : []),
+        `STATUS:${ciclo.estado_codigo === 'ANULADO' ? 'CANCELLED' : 'CONFIRMED'}`,
+        `LAST-MODIFIED:${timestampICS(modificado)}`,
+        // Crece con cada edición para que los clientes reemplacen su copia
+        `SEQUENCE:${Math.floor(new Date(modificado).getTime() / 1000)}`
+    ];
+}
+
+function eventosCiclo(ciclo, horarios, feriados, dtstamp) {
+    const inicio = toDateString(ciclo.fecha_inicio_clase);
+    const fin = toDateString(ciclo.fecha_fin_clase);
+
+    if (!inicio || !fin) return [];
+
+    if (horarios.length === 0) {
+        return [[
+            'BEGIN:VEVENT',
+            `UID:ciclo-${ciclo.idciclo}@${UID_DOMAIN}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART;VALUE=DATE:${fechaICS(inicio)}`,
+            // DTEND de día completo no es inclusivo
+            `DTEND;VALUE=DATE:${fechaICS(sumarDias(fin, 1))}`,
+            ...propiedadesCiclo(ciclo, ciclo.fechaedicion),
+            'END:VEVENT'
+        ]];
+    }
+
+    return horarios.flatMap(horario => {
+        // Primera fecha del ciclo que cae en el día del horario
+        const primera = sumarDias(inicio, (horario.dia_semana - diaSemana(inicio) + 7) % 7);
+        if (primera > fin) return [];
+
+        const excluidas = feriados
+            .filter(fecha => fecha >= primera && fecha <= fin && diaSemana(fecha) === horario.dia_semana)
+            .map(fecha => fechaHoraICS(fecha, horario.hora_inicio));
+
+        const modificado = Math.max(
+            new Date(ciclo.fechaedicion).getTime(),
+            new Date(horario.fechaedicion).getTime()
+        );
+
+        return [[
+            'BEGIN:VEVENT',
+            `UID:ciclo-${ciclo.idciclo}-horario-${horario.idhorario}@${UID_DOMAIN}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART:${fechaHoraICS(primera, horario.hora_inicio)}`,
+            `DTEND:${fechaHoraICS(primera, horario.hora_fin)}`,
+            `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[horario.dia_semana - 1]};UNTIL=${fechaICS(fin)}T235959`,
+            ...(excluidas.length > 0 ? [`EXDATE:${excluidas.join(',')}`] : []),
+            ...propiedadesCiclo(ciclo, modificado),
+            'END:VEVENT'
+        ]];
+    });
+}
+
+// Documento VCALENDAR con los eventos de `ciclos` (cada uno con nombre_curso)
+function generarCalendario(nombre, ciclos, horarios, feriados) {
+    const dtstamp = timestampICS(new Date());
+    const fechasFeriado = feriados.map(feriado => toDateString(feriado.fecha));
+
+    const eventos = ciclos.flatMap(ciclo => eventosCiclo(
+        ciclo,
+        horarios.filter(horario => horario.idciclo === ciclo.idciclo),
+        fechasFeriado,
+        dtstamp
+    ));
+
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${UID_DOMAIN}//Cursos y Ciclos//ES`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${textoICS(nombre)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TZ}`,
+        ...eventos.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+}
+
+// Cargar ciclos, horarios y feriados según un filtro sobre `ci` y su estado `e`
+// y generar el feed
+async function calendarioDeCiclos(db, nombre, { where, params }) {
+    const ciclos = await db.query(
+        `SELECT ci.*, cu.nombre_curso, e.codigo AS estado_codigo
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         LEFT JOIN cegae_estados e ON ci.idestado = e.idestado
+         WHERE ${where}
+         ORDER BY ci.fecha_inicio_clase, ci.idciclo`,
+        params
+    );
+
+    if (ciclos.rows.length === 0) {
+        return generarCalendario(nombre, [], [], []);
+    }
+
+    const horarios = await db.query(
+        `SELECT h.*
+         FROM cegae_horarios h
+         INNER JOIN cegae_cursosdisponiblesciclo ci ON h.idciclo = ci.idciclo
+         LEFT JOIN cegae_estados e ON ci.idestado = e.idestado
+         WHERE ${where}
+         ORDER BY h.dia_semana, h.hora_inicio`,
+        params
+    );
+
+    const feriados = await db.query('SELECT fecha FROM cegae_feriados ORDER BY fecha');
+
+    return generarCalendario(nombre, ciclos.rows, horarios.rows, feriados.rows);
+}
+
+module.exports = {
+    generarCalendario,
+    calendarioDeCiclos
+};
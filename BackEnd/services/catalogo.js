@@ -0,0 +1,105 @@
+// ========================================
+// FILTROS DEL CATÁLOGO (CURSOS Y CICLOS)
+// ========================================
+//
+// FROM ... WHERE de los listados a partir de la query ya validada. Los comparten
+// el listado paginado y la exportación, así el archivo exportado tiene
+// exactamente lo que el usuario ve filtrado.
+
+const CURSOS_SELECT = 'c.*, e.nombre as estado_nombre';
+const CICLOS_SELECT = 'ci.*, cu.nombre_curso, e.nombre as estado_nombre';
+
+function filtrosCursos({ search, estado, dirigido }) {
+    let from = `
+        FROM cegae_cursosdisponibles c
+        LEFT JOIN cegae_estados e ON c.idestado = e.idestado
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (search) {
+        params.push(`%${search}%`);
+        from += ` AND (c.nombre_curso ILIKE $${params.length}
+                  OR c.descripcion ILIKE $${params.length})`;
+    }
+
+    if (estado) {
+        params.push(estado);
+        from += ` AND c.idestado = $${params.length}`;
+    }
+
+    if (dirigido) {
+        params.push(`%${dirigido}%`);
+        from += ` AND c.dirigido ILIKE $${params.length}`;
+    }
+
+    return { from, params };
+}
+
+function filtrosCiclos({
+    search,
+    idcurso,
+    estado,
+    precio_min,
+    precio_max,
+    fecha_inicio_desde,
+    fecha_inicio_hasta,
+    dirigido
+}) {
+    let from = `
+        FROM cegae_cursosdisponiblesciclo ci
+        INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+        LEFT JOIN cegae_estados e ON ci.idestado = e.idestado
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (search) {
+        params.push(`%${search}%`);
+        from += ` AND ci.nombreciclo ILIKE $${params.length}`;
+    }
+
+    if (idcurso) {
+        params.push(idcurso);
+        from += ` AND ci.idcurso = $${params.length}`;
+    }
+
+    if (estado) {
+        params.push(estado);
+        from += ` AND ci.idestado = $${params.length}`;
+    }
+
+    if (precio_min != null) {
+        params.push(precio_min);
+        from += ` AND ci.precio_regular >= $${params.length}`;
+    }
+
+    if (precio_max != null) {
+        params.push(precio_max);
+        from += ` AND ci.precio_regular <= $${params.length}`;
+    }
+
+    if (fecha_inicio_desde) {
+        params.push(fecha_inicio_desde);
+        from += ` AND ci.fecha_inicio_clase >= $${params.length}`;
+    }
+
+    if (fecha_inicio_hasta) {
+        params.push(fecha_inicio_hasta);
+        from += ` AND ci.fecha_inicio_clase <= $${params.length}`;
+    }
+
+    if (dirigido) {
+        params.push(`%${dirigido}%`);
+        from += ` AND cu.dirigido ILIKE $${params.length}`;
+    }
+
+    return { from, params };
+}
+
+module.exports = {
+    CURSOS_SELECT,
+    CICLOS_SELECT,
+    filtrosCursos,
+    filtrosCiclos
+};
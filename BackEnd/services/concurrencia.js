@@ -0,0 +1,47 @@
+// ========================================
+// CONTROL DE CONCURRENCIA OPTIMISTA
+// ========================================
+//
+// La versión de un registro es su fechaedicion. El cliente la envía como
+// cabecera If-Match (ETag devuelto por GET) o como campo `fechaedicion` en el
+// body; si no coincide con la actual, otro usuario modificó el registro. Un
+// PATCH sin versión se rechaza (428): sin ella no se puede saber si el cliente
+// vio la última edición.
+
+function etagFor(row) {
+    return `"${new Date(row.fechaedicion).getTime()}"`;
+}
+
+// true si la petición trae If-Match o `fechaedicion`
+function hasVersion(req) {
+    return Boolean(req.get('If-Match') || req.body.fechaedicion);
+}
+
+// true si la versión enviada coincide con la actual
+function matchesVersion(req, row) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch) {
+        return ifMatch === '*' || ifMatch.split(',').map(tag => tag.trim()).includes(etagFor(row));
+    }
+
+    const { fechaedicion } = req.body;
+    if (fechaedicion) {
+        return new Date(fechaedicion).getTime() === new Date(row.fechaedicion).getTime();
+    }
+
+    return false;
+}
+
+// Solo los campos del esquema presentes en el body
+function pickFields(schema, body) {
+    return Object.keys(schema.fields)
+        .filter(field => body[field] !== undefined)
+        .reduce((data, field) => ({ ...data, [field]: body[field] }), {});
+}
+
+module.exports = {
+    etagFor,
+    hasVersion,
+    matchesVersion,
+    pickFields
+};
@@ -0,0 +1,253 @@
+const { toDateString } = require('../schemas/ciclos');
+const { PRECIO_MAX } = require('../schemas/common');
+const { sumarDias, sumarMeses } = require('./horarios');
+const { toCentimos, toMonto } = require('./pagos');
+const { registrarAuditoria } = require('./auditoria');
+const { idsEstados } = require('./estados');
+const { estadoInicial } = require('./estadosCiclo');
+const { emitirEvento } = require('./webhooks');
+
+// ========================================
+// COPIA DE CICLOS AL SIGUIENTE PERIODO
+// ========================================
+//
+// Una copia conserva curso, duración, vacantes y horarios del ciclo original,
+// desplaza sus fechas, ajusta sus precios en un porcentaje y recibe el nombre
+// del periodo siguiente. Las copias se crean en estado Activo, o Pendiente si
+// sus inscripciones abren en el futuro.
+
+const ROMANOS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+// Año y periodo: "2026-I", "2026 - II", "2026-2"
+const PERIODO = new RegExp(
+    `(\\d{4})(\\s*-\\s*)(${[...ROMANOS].sort((a, b) => b.length - a.length).join('|')}|\\d{1,2})\\b`
+);
+
+function desplazarFecha(fecha, { desplazar_dias, desplazar_meses }) {
+    fecha = toDateString(fecha);
+    if (!fecha) return null;
+    if (desplazar_meses) return sumarMeses(fecha, desplazar_meses);
+    if (desplazar_dias) return sumarDias(fecha, desplazar_dias);
+    return fecha;
+}
+
+// Precio ajustado en `porcentaje`, redondeado al céntimo
+function ajustarPrecio(precio, porcentaje) {
+    if (precio === null || precio === undefined) return null;
+    return toMonto(Math.round(toCentimos(precio) * (100 + (porcentaje || 0)) / 100));
+}
+
+// Nombre del periodo siguiente según cómo cambia la fecha de inicio:
+//   "Ciclo 2026-I"  → "Ciclo 2026-II"  (la copia empieza el mismo año)
+//   "Ciclo 2026-II" → "Ciclo 2027-I"   (empieza el año siguiente)
+//   "Ciclo 2026-I"  → "Ciclo 2027-I"   (desplazamiento de años completos)
+//   "Verano 2026"   → "Verano 2027",   "Grupo 3" → "Grupo 4"
+// Si el nombre no tiene un patrón reconocible se agrega " (copia)".
+function siguienteNombre(nombre, inicioAnterior, inicioNuevo) {
+    const anios = inicioAnterior && inicioNuevo
+        ? Number(inicioNuevo.slice(0, 4)) - Number(inicioAnterior.slice(0, 4))
+        : 0;
+    const mismoMes = anios !== 0 && inicioAnterior.slice(5, 7) === inicioNuevo.slice(5, 7);
+
+    const periodo = nombre.match(PERIODO);
+    if (periodo) {
+        const [texto, anio, separador, numero] = periodo;
+        const romano = ROMANOS.includes(numero);
+        let valor = romano ? ROMANOS.indexOf(numero) + 1 : Number(numero);
+
+        if (anios === 0) valor += 1;
+        else if (!mismoMes) valor = 1;
+
+        const siguiente = romano && ROMANOS[valor - 1] ? ROMANOS[valor - 1] : String(valor);
+        return nombre.replace(texto, `${Number(anio) + anios}${separador}${siguiente}`);
+    }
+
+    const anio = nombre.match(/\b(\d{4})\b/);
+    if (anio && anios !== 0) {
+        return nombre.replace(anio[0], String(Number(anio[1]) + anios));
+    }
+
+    const numero = nombre.match(/\b(\d{1,3})$/);
+    if (numero && !anio) {
+        return nombre.slice(0, numero.index) + (Number(numero[1]) + 1);
+    }
+
+    return `${nombre} (copia)`.slice(0, 255);
+}
+
+// Datos del ciclo copia (sin guardar). `ids` son los de idsEstados().
+function datosCopia(ciclo, opciones, ids) {
+    const inicioAnterior = toDateString(ciclo.fecha_inicio_clase);
+    const fecha_inicio_clase = desplazarFecha(ciclo.fecha_inicio_clase, opciones);
+    const fecha_inicio_inscripcion = desplazarFecha(ciclo.fecha_inicio_inscripcion, opciones);
+
+    return {
+        idcurso: ciclo.idcurso,
+        nombreciclo: opciones.nombreciclo
+            || siguienteNombre(ciclo.nombreciclo, inicioAnterior, fecha_inicio_clase),
+        precio_regular: ajustarPrecio(ciclo.precio_regular, opciones.ajuste_precio),
+        precio_promocion: ajustarPrecio(ciclo.precio_promocion, opciones.ajuste_precio),
+        fecha_inicio_clase,
+        fecha_fin_clase: desplazarFecha(ciclo.fecha_fin_clase, opciones),
+        fecha_inicio_inscripcion,
+        duracion_curso_total: ciclo.duracion_curso_total,
+        vacantes: ciclo.vacantes,
+        permite_lista_espera: ciclo.permite_lista_espera,
+        idestado: estadoInicial(ids, fecha_inicio_inscripcion)
+    };
+}
+
+// El ajuste de precio puede superar el máximo de la columna
+function erroresCopia(datos) {
+    return ['precio_regular', 'precio_promocion']
+        .filter(campo => datos[campo] !== null && datos[campo] > PRECIO_MAX)
+        .map(campo => ({ field: campo, message: `Debe ser menor o igual a ${PRECIO_MAX}` }));
+}
+
+// Guardar la copia y, opcionalmente, sus horarios
+async function crearCopia(client, user, idcicloOrigen, datos, copiarHorarios = true) {
+    const result = await client.query(
+        `INSERT INTO cegae_cursosdisponiblesciclo
+         (idcurso, nombreciclo, precio_regular, precio_promocion,
+          fecha_inicio_clase, fecha_fin_clase, fecha_inicio_inscripcion,
+          duracion_curso_total, vacantes, permite_lista_espera, idestado)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [datos.idcurso, datos.nombreciclo, datos.precio_regular, datos.precio_promocion,
+         datos.fecha_inicio_clase, datos.fecha_fin_clase, datos.fecha_inicio_inscripcion,
+         datos.duracion_curso_total, datos.vacantes, datos.permite_lista_espera, datos.idestado]
+    );
+    const ciclo = result.rows[0];
+
+    await registrarAuditoria(client, user, {
+        entidad: 'ciclo',
+        identidad: ciclo.idciclo,
+        accion: 'crear',
+        despues: { ...ciclo, idciclo_origen: idcicloOrigen }
+    });
+
+    await emitirEvento(client, 'ciclo.created', ciclo);
+
+    const horarios = [];
+    if (copiarHorarios) {
+        const originales = await client.query(
+            'SELECT * FROM cegae_horarios WHERE idciclo = $1 ORDER BY dia_semana, hora_inicio',
+            [idcicloOrigen]
+        );
+
+        for (const horario of originales.rows) {
+            const copia = await client.query(
+                `INSERT INTO cegae_horarios
+                 (idciclo, dia_semana, hora_inicio, hora_fin, aula, instructor)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING *`,
+                [ciclo.idciclo, horario.dia_semana, horario.hora_inicio,
+                 horario.hora_fin, horario.aula, horario.instructor]
+            );
+
+            await registrarAuditoria(client, user, {
+                entidad: 'horario',
+                identidad: copia.rows[0].idhorario,
+                accion: 'crear',
+                despues: copia.rows[0]
+            });
+
+            horarios.push(copia.rows[0]);
+        }
+    }
+
+    return { ciclo, horarios };
+}
+
+// Vista previa de la copia de los ciclos activos o finalizados de `idcursos`
+// que empiezan entre fecha_inicio_desde y fecha_inicio_hasta. No se copian
+// ciclos cuyo nombre nuevo ya existe en el curso, así repetir la operación
+// sobre el mismo periodo no duplica ciclos.
+async function planCopiaCursos(db, opciones) {
+    const { idcursos, fecha_inicio_desde, fecha_inicio_hasta } = opciones;
+    const ids = await idsEstados();
+    // Lista de idcursos como parámetros a partir de $desde
+    const listaCursos = (desde) => idcursos.map((idcurso, i) => `$${i + desde}`).join(', ');
+    const placeholders = listaCursos(3);
+    const params = [ids.ACTIVO, ids.FINALIZADO, ...idcursos];
+    let periodo = '';
+
+    if (fecha_inicio_desde) {
+        params.push(fecha_inicio_desde);
+        periodo += ` AND ci.fecha_inicio_clase >= $${params.length}`;
+    }
+
+    if (fecha_inicio_hasta) {
+        params.push(fecha_inicio_hasta);
+        periodo += ` AND ci.fecha_inicio_clase <= $${params.length}`;
+    }
+
+    const ciclos = await db.query(
+        `SELECT ci.*, cu.nombre_curso
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE ci.idestado IN ($1, $2) AND ci.idcurso IN (${placeholders})${periodo}
+         ORDER BY cu.nombre_curso, ci.fecha_inicio_clase, ci.idciclo`,
+        params
+    );
+
+    const existentes = await db.query(
+        `SELECT idcurso, nombreciclo FROM cegae_cursosdisponiblesciclo
+         WHERE idestado <> $1 AND idcurso IN (${listaCursos(2)})`,
+        [ids.ANULADO, ...idcursos]
+    );
+
+    const horarios = await db.query(
+        `SELECT h.idciclo, COUNT(*) AS total
+         FROM cegae_horarios h
+         INNER JOIN cegae_cursosdisponiblesciclo ci ON h.idciclo = ci.idciclo
+         WHERE ci.idestado IN ($1, $2) AND ci.idcurso IN (${placeholders})${periodo}
+         GROUP BY h.idciclo`,
+        params
+    );
+    const horariosPorCiclo = new Map(horarios.rows.map(row => [row.idciclo, parseInt(row.total)]));
+
+    const clave = (ciclo) => `${ciclo.idcurso}|${ciclo.nombreciclo.trim().toLowerCase()}`;
+    const ocupados = new Set(existentes.rows.map(clave));
+
+    const copias = ciclos.rows.map(ciclo => {
+        const datos = datosCopia(ciclo, opciones, ids);
+        const copia = {
+            idciclo_origen: ciclo.idciclo,
+            nombreciclo_origen: ciclo.nombreciclo,
+            nombre_curso: ciclo.nombre_curso,
+            horarios: opciones.copiar_horarios === false ? 0 : (horariosPorCiclo.get(ciclo.idciclo) || 0),
+            ciclo: datos
+        };
+
+        const errors = erroresCopia(datos);
+        if (errors.length > 0) {
+            return { ...copia, accion: 'error', errors };
+        }
+
+        if (ocupados.has(clave(datos))) {
+            return { ...copia, accion: 'omitir', motivo: 'Ya existe un ciclo con ese nombre en el curso' };
+        }
+
+        ocupados.add(clave(datos));
+        return { ...copia, accion: 'crear' };
+    });
+
+    const conCiclos = new Set(ciclos.rows.map(ciclo => ciclo.idcurso));
+    const resumen = { crear: 0, omitir: 0, error: 0 };
+    copias.forEach(copia => { resumen[copia.accion]++; });
+
+    return {
+        resumen,
+        cursos_sin_ciclos: idcursos.filter(idcurso => !conCiclos.has(idcurso)),
+        copias
+    };
+}
+
+module.exports = {
+    siguienteNombre,
+    datosCopia,
+    erroresCopia,
+    crearCopia,
+    planCopiaCursos
+};
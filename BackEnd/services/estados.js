@@ -0,0 +1,152 @@
+const { pool } = require('../db');
+
+// ========================================
+// ESTADOS DE CURSOS Y CICLOS
+// ========================================
+//
+// La lógica se refiere a los estados por su código (ACTIVO, ANULADO, ...) y
+// nunca por su id. Los estados del sistema no se pueden eliminar ni cambiar de
+// código; el resto los crea y administra el usuario. Cada estado indica si
+// aplica a cursos, a ciclos o a ambos.
+
+const ESTADOS_SISTEMA = ['ACTIVO', 'INACTIVO', 'ANULADO', 'PENDIENTE', 'FINALIZADO'];
+
+const ENTIDADES = {
+    curso: { columna: 'aplica_cursos', plural: 'cursos' },
+    ciclo: { columna: 'aplica_ciclos', plural: 'ciclos' }
+};
+
+// Estados que la aplicación usa directamente; deben aplicar a la entidad
+const REQUERIDOS = {
+    curso: ['ACTIVO', 'ANULADO'],
+    ciclo: ['ACTIVO', 'ANULADO', 'PENDIENTE', 'FINALIZADO']
+};
+
+// Máquina de estados de cada entidad: a qué estados del sistema se puede pasar
+// desde cada uno. Desde un estado creado por el usuario se puede pasar a
+// cualquiera, y a uno creado por el usuario desde cualquiera que no sea
+// terminal (lista vacía).
+const TRANSICIONES = {
+    curso: {
+        ACTIVO: ['INACTIVO'],
+        INACTIVO: ['ACTIVO'],
+        ANULADO: ['ACTIVO', 'INACTIVO']
+    },
+    ciclo: {
+        ACTIVO: ['INACTIVO', 'ANULADO', 'FINALIZADO'],
+        INACTIVO: ['ACTIVO', 'ANULADO', 'PENDIENTE'],
+        // Un ciclo anulado solo sale de ese estado con POST /api/ciclos/:id/restore
+        ANULADO: [],
+        PENDIENTE: ['ACTIVO', 'INACTIVO', 'ANULADO'],
+        // Reabrir un ciclo finalizado, p. ej. si se extendió la fecha de fin
+        FINALIZADO: ['ACTIVO', 'ANULADO']
+    }
+};
+
+// Estados a los que un registro solo llega con DELETE, que revisa y registra
+// la anulación (un curso con ciclos no se anula); ni al crearlo ni al editarlo
+const SOLO_CON_DELETE = {
+    curso: ['ANULADO'],
+    ciclo: []
+};
+
+// Id de cada estado del sistema por código. Como no se eliminan ni cambian de
+// código, basta con cargarlos una vez.
+let idsSistema = null;
+
+async function idsEstados(db = pool) {
+    if (idsSistema) return idsSistema;
+
+    const result = await db.query(
+        `SELECT idestado, codigo FROM cegae_estados
+         WHERE codigo IN (${ESTADOS_SISTEMA.map((codigo, i) => `$${i + 1}`).join(', ')})`,
+        ESTADOS_SISTEMA
+    );
+    const ids = Object.fromEntries(result.rows.map(row => [row.codigo, row.idestado]));
+
+    const faltantes = ESTADOS_SISTEMA.filter(codigo => !ids[codigo]);
+    if (faltantes.length > 0) {
+        throw new Error(`Faltan estados del sistema: ${faltantes.join(', ')}`);
+    }
+
+    idsSistema = ids;
+    return idsSistema;
+}
+
+async function cargarEstados(db = pool) {
+    const result = await db.query('SELECT * FROM cegae_estados ORDER BY idestado');
+    return result.rows;
+}
+
+const esDelSistema = (estado) => ESTADOS_SISTEMA.includes(estado.codigo);
+
+// Ids de los estados a los que puede pasar un registro de `entidad` que está
+// en `estado` (solo estados que aplican a la entidad)
+function transicionesPermitidas(estados, entidad, estado) {
+    const reglas = TRANSICIONES[entidad][estado.codigo];
+
+    return estados
+        .filter(destino => destino.idestado !== estado.idestado && destino[ENTIDADES[entidad].columna])
+        .filter(destino => !SOLO_CON_DELETE[entidad].includes(destino.codigo))
+        .filter(destino => !reglas
+            || reglas.includes(destino.codigo)
+            || (reglas.length > 0 && !esDelSistema(destino)))
+        .map(destino => destino.idestado);
+}
+
+// Errores de validación (formato de validate) al pasar de `desde` a `hacia`.
+// Con `desde` null (un registro nuevo) solo se revisa SOLO_CON_DELETE.
+function erroresTransicion(estados, entidad, desde, hacia) {
+    if (desde === hacia || hacia === null || hacia === undefined) return [];
+
+    const origen = estados.find(estado => estado.idestado === desde);
+    const destino = estados.find(estado => estado.idestado === hacia);
+    if (!destino) return [];
+
+    if (SOLO_CON_DELETE[entidad].includes(destino.codigo)) {
+        const { plural } = ENTIDADES[entidad];
+        return [{ field: 'idestado', message: `Un ${entidad} se anula con DELETE /api/${plural}/:id` }];
+    }
+
+    if (!origen) return [];
+
+    if (transicionesPermitidas(estados, entidad, origen).includes(hacia)) return [];
+
+    if (entidad === 'ciclo' && origen.codigo === 'ANULADO') {
+        return [{
+            field: 'idestado',
+            message: 'Un ciclo anulado solo se puede restaurar (POST /api/ciclos/:id/restore)'
+        }];
+    }
+
+    return [{
+        field: 'idestado',
+        message: `No se puede cambiar el estado de "${origen.nombre}" a "${destino.nombre}"`
+    }];
+}
+
+// Expresión para fechaanulacion en un UPDATE que deja el registro en
+// `idestado`: se fija al anularlo (o se conserva si ya lo estaba) y se borra
+// al sacarlo de ANULADO
+function fechaAnulacion(ids, idestado) {
+    return idestado === ids.ANULADO ? 'COALESCE(fechaanulacion, CURRENT_TIMESTAMP)' : 'NULL';
+}
+
+// El cambio de `antes` a `despues` anula el registro: se trata como un DELETE
+// (evento deleted), venga de la edición, de la importación o del propio DELETE
+const seAnulo = (ids, antes, despues) => despues.idestado === ids.ANULADO && antes.idestado !== ids.ANULADO;
+
+module.exports = {
+    ESTADOS_SISTEMA,
+    ENTIDADES,
+    REQUERIDOS,
+    TRANSICIONES,
+    SOLO_CON_DELETE,
+    idsEstados,
+    cargarEstados,
+    esDelSistema,
+    transicionesPermitidas,
+    erroresTransicion,
+    fechaAnulacion,
+    seAnulo
+};
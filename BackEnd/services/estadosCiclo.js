@@ -0,0 +1,150 @@
+const { withTransaction } = require('../db');
+const { toDateString } = require('../schemas/ciclos');
+const { registrarAuditoria } = require('./auditoria');
+const { idsEstados } = require('./estados');
+const { emitirEvento } = require('./webhooks');
+const logger = require('./logger');
+
+// ========================================
+// CICLO DE VIDA DE LOS CICLOS
+// ========================================
+//
+// Un ciclo Pendiente pasa a Activo al llegar su fecha_inicio_inscripcion y un
+// ciclo Activo pasa a Finalizado cuando termina su fecha_fin_clase. Los cambios
+// manuales (PUT, PATCH, importación) siguen la máquina de estados de
+// services/estados; un ciclo Anulado solo sale de ese estado con
+// POST /api/ciclos/:id/restore.
+
+// Estado con el que se crea un ciclo que no indica uno: Pendiente si las
+// inscripciones aún no abren. `ids` son los de idsEstados().
+function estadoInicial(ids, fechaInicioInscripcion, hoy = toDateString(new Date())) {
+    const inscripcion = toDateString(fechaInicioInscripcion);
+    return inscripcion && inscripcion > hoy ? ids.PENDIENTE : ids.ACTIVO;
+}
+
+async function registrarTransicion(client, user, { idciclo, desde, hacia, origen }) {
+    if (desde === hacia) return;
+
+    await client.query(
+        `INSERT INTO cegae_ciclo_estados_historial
+         (idciclo, idestado_anterior, idestado_nuevo, origen, idusuario, username)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [idciclo, desde, hacia, origen,
+         user ? user.idusuario : null, user ? user.username : null]
+    );
+}
+
+// Estado al que vuelve un ciclo restaurado: el que tenía antes de anularse
+// o, si no hay historial, Activo
+async function estadoAntesDeAnular(db, idciclo) {
+    const { ACTIVO, ANULADO } = await idsEstados();
+    const result = await db.query(
+        `SELECT idestado_anterior FROM cegae_ciclo_estados_historial
+         WHERE idciclo = $1 AND idestado_nuevo = $2
+         ORDER BY fecha DESC, idhistorial DESC
+         LIMIT 1`,
+        [idciclo, ANULADO]
+    );
+    const anterior = result.rows.length > 0 ? result.rows[0].idestado_anterior : null;
+    return anterior && anterior !== ANULADO ? anterior : ACTIVO;
+}
+
+// ---------- Transiciones automáticas ----------
+
+const AUTOMATICAS = [
+    {
+        desde: 'PENDIENTE',
+        hacia: 'ACTIVO',
+        condicion: 'fecha_inicio_inscripcion <= CURRENT_DATE'
+    },
+    {
+        desde: 'ACTIVO',
+        hacia: 'FINALIZADO',
+        condicion: 'fecha_fin_clase < CURRENT_DATE'
+    }
+];
+
+// Aplicar las transiciones por fecha en una transacción. Devuelve los ciclos
+// cambiados: [{ idciclo, desde, hacia }].
+async function aplicarTransicionesAutomaticas() {
+    const ids = await idsEstados();
+
+    return withTransaction(async (client) => {
+        const cambios = [];
+
+        for (const automatica of AUTOMATICAS) {
+            const desde = ids[automatica.desde];
+            const hacia = ids[automatica.hacia];
+            const { condicion } = automatica;
+            const anteriores = await client.query(
+                `SELECT * FROM cegae_cursosdisponiblesciclo
+                 WHERE idestado = $1 AND ${condicion}
+                 ORDER BY idciclo
+                 FOR UPDATE`,
+                [desde]
+            );
+
+            for (const anterior of anteriores.rows) {
+                const result = await client.query(
+                    `UPDATE cegae_cursosdisponiblesciclo
+                     SET idestado = $1,
+                         fechaedicion = CURRENT_TIMESTAMP
+                     WHERE idciclo = $2
+                     RETURNING *`,
+                    [hacia, anterior.idciclo]
+                );
+
+                await registrarTransicion(client, null, {
+                    idciclo: anterior.idciclo,
+                    desde,
+                    hacia,
+                    origen: 'automatico'
+                });
+
+                await registrarAuditoria(client, null, {
+                    entidad: 'ciclo',
+                    identidad: anterior.idciclo,
+                    accion: 'actualizar',
+                    antes: anterior,
+                    despues: result.rows[0]
+                });
+
+                await emitirEvento(client, 'ciclo.updated', result.rows[0]);
+
+                cambios.push({ idciclo: anterior.idciclo, desde, hacia });
+            }
+        }
+
+        return cambios;
+    });
+}
+
+// Ejecutar las transiciones al iniciar y luego cada `minutos`. Con 0 no se
+// programan (p. ej. si otra instancia o un cron externo se encarga).
+function programarTransiciones(minutos) {
+    if (!minutos) return null;
+
+    const ejecutar = async () => {
+        try {
+            const cambios = await aplicarTransicionesAutomaticas();
+            if (cambios.length > 0) {
+                logger.info('Ciclos con cambio de estado automático', { ciclos: cambios.length });
+            }
+        } catch (error) {
+            logger.error('Error al aplicar transiciones de ciclos', { error });
+        }
+    };
+
+    ejecutar();
+    const timer = setInterval(ejecutar, minutos * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    estadoInicial,
+    registrarTransicion,
+    estadoAntesDeAnular,
+    aplicarTransicionesAutomaticas,
+    programarTransiciones
+};
@@ -0,0 +1,187 @@
+const ExcelJS = require('exceljs');
+const { toDateString } = require('../schemas/ciclos');
+
+// ========================================
+// HOJAS DE CÁLCULO: CSV Y XLSX
+// ========================================
+//
+// Una hoja es una fila de cabecera (nombres de columna) seguida de filas de
+// datos. Al leer se devuelven valores simples (texto, número, booleano o fecha
+// 'YYYY-MM-DD') y el número de fila tal como lo ve el usuario en Excel.
+
+const FORMATOS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    }
+};
+
+// Excel interpreta como fórmula el texto que empieza con = + - @
+const FORMULA = /^[=+\-@\t\r]/;
+const protegerTexto = (value) => (typeof value === 'string' && FORMULA.test(value) ? `'${value}` : value);
+const desprotegerTexto = (value) => (typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// ---------- CSV (RFC 4180) ----------
+
+function campoCSV(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(protegerTexto(value));
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Con BOM para que Excel reconozca UTF-8 (tildes y eñes)
+function escribirCSV(columnas, filas) {
+    const lineas = [columnas, ...filas.map(fila => columnas.map(columna => fila[columna]))]
+        .map(valores => valores.map(campoCSV).join(','));
+    return '\uFEFF' + lineas.join('\r\n') + '\r\n';
+}
+
+// Excel en español guarda los CSV separados por ";"
+function detectarSeparador(texto) {
+    const cabecera = texto.split(/\r?\n/, 1)[0];
+    const contar = (separador) => cabecera.split(separador).length;
+    return contar(';') > contar(',') ? ';' : ',';
+}
+
+function leerCSV(texto) {
+    texto = texto.replace(/^\uFEFF/, '');
+    const separador = detectarSeparador(texto);
+    const filas = [];
+    let fila = [];
+    let campo = '';
+    let comillas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const caracter = texto[i];
+
+        if (comillas) {
+            if (caracter === '"' && texto[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (caracter === '"') {
+                comillas = false;
+            } else {
+                campo += caracter;
+            }
+        } else if (caracter === '"') {
+            comillas = true;
+        } else if (caracter === separador) {
+            fila.push(campo);
+            campo = '';
+        } else if (caracter === '\n' || caracter === '\r') {
+            if (caracter === '\r' && texto[i + 1] === '\n') i++;
+            fila.push(campo);
+            filas.push(fila);
+            fila = [];
+            campo = '';
+        } else {
+            campo += caracter;
+        }
+    }
+
+    if (campo !== '' || fila.length > 0) {
+        fila.push(campo);
+        filas.push(fila);
+    }
+
+    return filas.map(valores => valores.map(desprotegerTexto));
+}
+
+// ---------- XLSX ----------
+
+async function escribirXLSX(nombre, columnas, filas) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(nombre);
+
+    sheet.columns = columnas.map(columna => ({
+        header: columna,
+        key: columna,
+        width: Math.max(columna.length + 2, 12)
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    filas.forEach(fila => sheet.addRow(columnas.reduce(
+        (valores, columna) => ({ ...valores, [columna]: protegerTexto(fila[columna]) }),
+        {}
+    )));
+
+    return workbook.xlsx.writeBuffer();
+}
+
+// Valor simple de una celda (fórmulas, texto enriquecido, hipervínculos)
+function valorCelda(value) {
+    if (value === null || value === undefined) return '';
+    // Excel guarda las fechas sin zona; ExcelJS las entrega como UTC
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return value;
+    if (value.richText) return value.richText.map(parte => parte.text).join('');
+    if (value.result !== undefined) return valorCelda(value.result);
+    if (value.text !== undefined) return valorCelda(value.text);
+    return '';
+}
+
+async function leerXLSX(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    const filas = [];
+
+    if (!sheet) return filas;
+
+    sheet.eachRow({ includeEmpty: true }, (row, numero) => {
+        // row.values empieza en el índice 1 (columna A)
+        const valores = [];
+        for (let i = 1; i < row.values.length; i++) {
+            valores.push(desprotegerTexto(valorCelda(row.values[i])));
+        }
+        filas[numero - 1] = valores;
+    });
+
+    return Array.from(filas, valores => valores || []);
+}
+
+// ---------- Lectura y escritura ----------
+
+// Un .xlsx es un archivo zip: empieza con "PK"
+const esXLSX = (buffer) => buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+// { columnas, filas: [{ numero, valores: { columna: valor } }] } sin filas vacías
+async function leerHoja(buffer) {
+    const matriz = esXLSX(buffer) ? await leerXLSX(buffer) : leerCSV(buffer.toString('utf8'));
+    const [cabecera = [], ...datos] = matriz;
+    const columnas = cabecera.map(columna => String(columna).trim());
+
+    const filas = datos
+        .map((valores, i) => ({
+            numero: i + 2,
+            valores: columnas.reduce((fila, columna, j) => {
+                if (columna) fila[columna] = valores[j] === undefined ? '' : valores[j];
+                return fila;
+            }, {})
+        }))
+        .filter(fila => Object.values(fila.valores).some(valor => String(valor).trim() !== ''));
+
+    return { columnas: columnas.filter(Boolean), filas };
+}
+
+// Buffer o texto del archivo y sus cabeceras HTTP
+async function escribirHoja(formato, nombre, columnas, filas) {
+    const contenido = formato === 'xlsx'
+        ? await escribirXLSX(nombre, columnas, filas)
+        : escribirCSV(columnas, filas);
+    const { contentType, extension } = FORMATOS[formato];
+
+    return {
+        contenido,
+        contentType,
+        filename: `${nombre}-${toDateString(new Date())}.${extension}`
+    };
+}
+
+module.exports = {
+    FORMATOS,
+    leerHoja,
+    escribirHoja
+};
@@ -0,0 +1,263 @@
+const { toDateString } = require('../schemas/ciclos');
+const { idsEstados } = require('./estados');
+
+// ========================================
+// HORARIOS: SESIONES, FERIADOS Y CRUCES
+// ========================================
+//
+// Un horario es una sesión semanal de un ciclo (día, hora de inicio y fin,
+// aula e instructor). Las fechas de cada sesión se calculan entre
+// fecha_inicio_clase y fecha_fin_clase del ciclo, sin contar feriados.
+
+// pg devuelve las columnas TIME como 'HH:MM:SS'
+const toHora = (value) => (value ? String(value).slice(0, 5) : value);
+
+function minutos(hora) {
+    const [horas, mins] = toHora(hora).split(':').map(Number);
+    return horas * 60 + mins;
+}
+
+const duracionHoras = (horario) => (minutos(horario.hora_fin) - minutos(horario.hora_inicio)) / 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function sumarDias(fecha, dias) {
+    const date = new Date(`${fecha}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + dias);
+    return date.toISOString().slice(0, 10);
+}
+
+// Sumar meses; si el día no existe en el mes destino se usa el último
+// (31/01 + 1 mes = 28/02)
+function sumarMeses(fecha, meses) {
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    const total = anio * 12 + (mes - 1) + meses;
+    const nuevoAnio = Math.floor(total / 12);
+    const nuevoMes = total - nuevoAnio * 12 + 1;
+    const ultimoDia = new Date(Date.UTC(nuevoAnio, nuevoMes, 0)).getUTCDate();
+    return `${nuevoAnio}-${pad(nuevoMes)}-${pad(Math.min(dia, ultimoDia))}`;
+}
+
+// Días de `desde` a `hasta` (negativo si `hasta` es anterior)
+const diasEntre = (desde, hasta) =>
+    Math.round((Date.parse(`${hasta}T00:00:00Z`) - Date.parse(`${desde}T00:00:00Z`)) / 86400000);
+
+// 1 = lunes ... 7 = domingo
+const diaSemana = (fecha) => new Date(`${fecha}T00:00:00Z`).getUTCDay() || 7;
+
+// Lunes de la semana que contiene `fecha`
+const inicioSemana = (fecha) => sumarDias(fecha, 1 - diaSemana(fecha));
+
+// Fechas de clase de un ciclo, opcionalmente limitadas a [desde, hasta]
+function calcularSesiones(ciclo, horarios, feriados = new Set(), { desde, hasta } = {}) {
+    let inicio = toDateString(ciclo.fecha_inicio_clase);
+    let fin = toDateString(ciclo.fecha_fin_clase);
+
+    if (!inicio || !fin) return [];
+    if (desde && desde > inicio) inicio = desde;
+    if (hasta && hasta < fin) fin = hasta;
+
+    const ordenados = [...horarios].sort((a, b) => minutos(a.hora_inicio) - minutos(b.hora_inicio));
+    const sesiones = [];
+
+    for (let fecha = inicio; fecha <= fin; fecha = sumarDias(fecha, 1)) {
+        if (feriados.has(fecha)) continue;
+
+        const dia = diaSemana(fecha);
+        ordenados
+            .filter(horario => horario.dia_semana === dia)
+            .forEach(horario => sesiones.push({
+                fecha,
+                idhorario: horario.idhorario,
+                idciclo: ciclo.idciclo,
+                dia_semana: dia,
+                hora_inicio: toHora(horario.hora_inicio),
+                hora_fin: toHora(horario.hora_fin),
+                aula: horario.aula,
+                instructor: horario.instructor,
+                horas: duracionHoras(horario)
+            }));
+    }
+
+    return sesiones;
+}
+
+async function cargarFeriados(db, desde, hasta) {
+    const result = await db.query(
+        `SELECT * FROM cegae_feriados
+         WHERE fecha >= $1 AND fecha <= $2
+         ORDER BY fecha`,
+        [desde, hasta]
+    );
+    return result.rows.map(feriado => ({ ...feriado, fecha: toDateString(feriado.fecha) }));
+}
+
+const fechasDe = (feriados) => new Set(feriados.map(feriado => feriado.fecha));
+
+const normalizarHorario = (horario) => ({
+    ...horario,
+    hora_inicio: toHora(horario.hora_inicio),
+    hora_fin: toHora(horario.hora_fin)
+});
+
+// Sesiones de un ciclo con totales; null si el ciclo no existe
+async function sesionesDeCiclo(db, idciclo) {
+    const ciclo = await db.query(
+        'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1',
+        [idciclo]
+    );
+
+    if (ciclo.rows.length === 0) {
+        return null;
+    }
+
+    const horarios = await db.query(
+        'SELECT * FROM cegae_horarios WHERE idciclo = $1 ORDER BY dia_semana, hora_inicio',
+        [idciclo]
+    );
+
+    const inicio = toDateString(ciclo.rows[0].fecha_inicio_clase);
+    const fin = toDateString(ciclo.rows[0].fecha_fin_clase);
+    const feriados = inicio && fin ? await cargarFeriados(db, inicio, fin) : [];
+    const sesiones = calcularSesiones(ciclo.rows[0], horarios.rows, fechasDe(feriados));
+
+    return {
+        horarios: horarios.rows.map(normalizarHorario),
+        sesiones,
+        feriados,
+        total_sesiones: sesiones.length,
+        total_horas: sesiones.reduce((total, sesion) => total + sesion.horas, 0)
+    };
+}
+
+// Sesiones de los ciclos activos en la semana (lunes a domingo) de `fecha`
+async function sesionesDeSemana(db, fecha, { aula, instructor } = {}) {
+    const desde = inicioSemana(fecha);
+    const hasta = sumarDias(desde, 6);
+    const { ACTIVO } = await idsEstados();
+    const params = [ACTIVO, desde, hasta];
+    let filtros = '';
+
+    if (aula) {
+        params.push(aula);
+        filtros += ` AND LOWER(h.aula) = LOWER($${params.length})`;
+    }
+
+    if (instructor) {
+        params.push(instructor);
+        filtros += ` AND LOWER(h.instructor) = LOWER($${params.length})`;
+    }
+
+    const horarios = await db.query(
+        `SELECT h.*, ci.nombreciclo, ci.fecha_inicio_clase, ci.fecha_fin_clase, cu.nombre_curso
+         FROM cegae_horarios h
+         INNER JOIN cegae_cursosdisponiblesciclo ci ON h.idciclo = ci.idciclo
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE ci.idestado = $1
+           AND ci.fecha_inicio_clase <= $3
+           AND ci.fecha_fin_clase >= $2${filtros}`,
+        params
+    );
+
+    const feriados = await cargarFeriados(db, desde, hasta);
+    const porCiclo = new Map();
+    horarios.rows.forEach(horario => {
+        if (!porCiclo.has(horario.idciclo)) porCiclo.set(horario.idciclo, []);
+        porCiclo.get(horario.idciclo).push(horario);
+    });
+
+    const sesiones = [...porCiclo.values()]
+        .flatMap(lista => calcularSesiones(lista[0], lista, fechasDe(feriados), { desde, hasta })
+            .map(sesion => ({
+                ...sesion,
+                nombreciclo: lista[0].nombreciclo,
+                nombre_curso: lista[0].nombre_curso
+            })))
+        .sort((a, b) => a.fecha.localeCompare(b.fecha) || a.hora_inicio.localeCompare(b.hora_inicio));
+
+    return { desde, hasta, sesiones, feriados };
+}
+
+// Rangos de fechas que se cruzan (un extremo NULL se considera abierto)
+function rangosSeCruzan(a, b) {
+    const inicioA = toDateString(a.fecha_inicio_clase);
+    const finA = toDateString(a.fecha_fin_clase);
+    const inicioB = toDateString(b.fecha_inicio_clase);
+    const finB = toDateString(b.fecha_fin_clase);
+    return (!inicioA || !finB || inicioA <= finB) && (!inicioB || !finA || inicioB <= finA);
+}
+
+// Horarios de ciclos no anulados que usan la misma aula o instructor en una
+// franja que se cruza con `horario` (se excluye el propio al editar)
+async function buscarConflictos(db, horario, idhorario = null) {
+    if (!horario.aula && !horario.instructor) return [];
+
+    const ciclo = await db.query(
+        'SELECT * FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1',
+        [horario.idciclo]
+    );
+
+    const { ANULADO } = await idsEstados();
+    const params = [ANULADO, horario.dia_semana, horario.hora_inicio, horario.hora_fin];
+    const recursos = [];
+
+    if (horario.aula) {
+        params.push(horario.aula);
+        recursos.push(`LOWER(h.aula) = LOWER($${params.length})`);
+    }
+
+    if (horario.instructor) {
+        params.push(horario.instructor);
+        recursos.push(`LOWER(h.instructor) = LOWER($${params.length})`);
+    }
+
+    let query = `
+        SELECT h.*, ci.nombreciclo, ci.fecha_inicio_clase, ci.fecha_fin_clase, cu.nombre_curso
+        FROM cegae_horarios h
+        INNER JOIN cegae_cursosdisponiblesciclo ci ON h.idciclo = ci.idciclo
+        INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+        WHERE ci.idestado <> $1
+          AND h.dia_semana = $2
+          AND h.hora_inicio < $4::time
+          AND h.hora_fin > $3::time
+          AND (${recursos.join(' OR ')})
+    `;
+
+    if (idhorario) {
+        params.push(idhorario);
+        query += ` AND h.idhorario <> $${params.length}`;
+    }
+
+    const candidatos = await db.query(query, params);
+
+    return candidatos.rows
+        .filter(otro => rangosSeCruzan(ciclo.rows[0], otro))
+        .map(otro => ({
+            idhorario: otro.idhorario,
+            idciclo: otro.idciclo,
+            nombreciclo: otro.nombreciclo,
+            nombre_curso: otro.nombre_curso,
+            dia_semana: otro.dia_semana,
+            hora_inicio: toHora(otro.hora_inicio),
+            hora_fin: toHora(otro.hora_fin),
+            aula: otro.aula,
+            instructor: otro.instructor,
+            recurso: horario.aula && otro.aula && otro.aula.toLowerCase() === horario.aula.toLowerCase()
+                ? 'aula'
+                : 'instructor'
+        }));
+}
+
+module.exports = {
+    toHora,
+    pad,
+    sumarDias,
+    sumarMeses,
+    diasEntre,
+    diaSemana,
+    normalizarHorario,
+    cargarFeriados,
+    sesionesDeCiclo,
+    sesionesDeSemana,
+    buscarConflictos
+};
@@ -0,0 +1,434 @@
+const { validateSchema } = require('../middleware/validate');
+const { cursoBody } = require('../schemas/cursos');
+const { cicloBody, toDateString } = require('../schemas/ciclos');
+const { registrarAuditoria } = require('./auditoria');
+const { idsEstados, cargarEstados, erroresTransicion, fechaAnulacion, seAnulo } = require('./estados');
+const { estadoInicial, registrarTransicion } = require('./estadosCiclo');
+const { emitirEvento } = require('./webhooks');
+const { notificarCambioCiclo } = require('./notificaciones');
+const { errorVacantes, promoverListaEspera, aumentaronVacantes } = require('./matriculas');
+
+// ========================================
+// IMPORTACIÓN Y EXPORTACIÓN DEL CATÁLOGO
+// ========================================
+//
+// Cada fila del archivo se valida con el mismo esquema que el formulario. Una
+// fila con id, o con el mismo nombre que un registro no anulado, actualiza ese
+// registro; las demás crean uno nuevo. Al actualizar, las columnas que no
+// vienen en el archivo conservan su valor. El curso y el estado se indican por
+// nombre, como aparecen en la exportación.
+
+const MAX_FILAS = 2000;
+
+const normalizarNombre = (nombre) => String(nombre).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// "Fecha Inicio" → fecha_inicio, "Duración" → duracion
+const normalizarColumna = (columna) => String(columna)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+const CATALOGOS = {
+    cursos: {
+        entidad: 'curso',
+        tabla: 'cegae_cursosdisponibles',
+        id: 'idcurso',
+        schema: cursoBody,
+        columnas: [
+            'idcurso', 'nombre_curso', 'descripcion', 'dirigido',
+            'horas_clases_por_dia', 'horarios', 'frecuencia', 'estado'
+        ],
+        alias: { id: 'idcurso', curso: 'nombre_curso', nombre: 'nombre_curso', estado_nombre: 'estado' },
+        requeridas: [['nombre_curso']],
+        predeterminados: {},
+        clave: (curso) => normalizarNombre(curso.nombre_curso)
+    },
+    ciclos: {
+        entidad: 'ciclo',
+        tabla: 'cegae_cursosdisponiblesciclo',
+        id: 'idciclo',
+        schema: cicloBody,
+        columnas: [
+            'idciclo', 'curso', 'nombreciclo', 'precio_regular', 'precio_promocion',
+            'fecha_inicio_clase', 'fecha_fin_clase', 'fecha_inicio_inscripcion', 'duracion_curso_total',
+            'vacantes', 'permite_lista_espera', 'estado'
+        ],
+        alias: {
+            id: 'idciclo',
+            nombre_curso: 'curso',
+            ciclo: 'nombreciclo',
+            nombre_ciclo: 'nombreciclo',
+            fecha_inicio: 'fecha_inicio_clase',
+            fecha_fin: 'fecha_fin_clase',
+            inicio_inscripcion: 'fecha_inicio_inscripcion',
+            inscripcion: 'fecha_inicio_inscripcion',
+            duracion: 'duracion_curso_total',
+            lista_espera: 'permite_lista_espera',
+            estado_nombre: 'estado'
+        },
+        requeridas: [['nombreciclo'], ['curso', 'idcurso']],
+        predeterminados: { permite_lista_espera: false },
+        clave: (ciclo) => `${ciclo.idcurso}|${normalizarNombre(ciclo.nombreciclo)}`,
+        // Los cambios de estado se registran en el historial del ciclo
+        historialEstados: true,
+        // Los cambios de fechas o precios y la anulación se avisan como en la
+        // edición manual
+        avisos: true,
+        // Las vacantes no bajan de los inscritos y, si suben, se ofrecen a la
+        // lista de espera, como en PUT y PATCH
+        vacantes: true
+    }
+};
+
+// ---------- Exportación ----------
+
+// Fila del listado (con nombre_curso y estado_nombre) → valores de la hoja
+function filaExportada(nombre, row) {
+    const { schema, columnas } = CATALOGOS[nombre];
+
+    return columnas.reduce((fila, columna) => {
+        const rule = schema.fields[columna];
+        let value = row[columna];
+
+        if (columna === 'curso') value = row.nombre_curso;
+        if (columna === 'estado') value = row.estado_nombre;
+        // NUMERIC llega de pg como texto
+        if (rule && rule.type === 'number' && value != null) value = Number(value);
+        if (rule && rule.type === 'date') value = toDateString(value);
+
+        fila[columna] = value === undefined ? null : value;
+        return fila;
+    }, {});
+}
+
+// ---------- Importación ----------
+
+const VERDADERO = ['true', 'verdadero', 'si', 'sí', 's', 'x', '1'];
+const FALSO = ['false', 'falso', 'no', 'n', '0'];
+
+// Texto de una celda listo para el esquema; acepta los formatos que produce
+// Excel en español (fechas DD/MM/AAAA, decimales con coma, SÍ/NO)
+function valorTexto(valor, rule) {
+    let texto = valor === null || valor === undefined ? '' : String(valor).trim();
+    if (!rule || texto === '') return texto;
+
+    if (rule.type === 'date') {
+        const fecha = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (fecha) texto = `${fecha[3]}-${fecha[2].padStart(2, '0')}-${fecha[1].padStart(2, '0')}`;
+    }
+
+    if (rule.type === 'number' && /^-?\d+,\d+$/.test(texto)) {
+        texto = texto.replace(',', '.');
+    }
+
+    if (rule.type === 'boolean') {
+        const bool = texto.toLowerCase();
+        if (VERDADERO.includes(bool)) texto = 'true';
+        if (FALSO.includes(bool)) texto = 'false';
+    }
+
+    return texto;
+}
+
+// Valor de la base de datos como lo recibiría el esquema
+const valorActual = (value) => (value instanceof Date ? toDateString(value) : value);
+
+function mismoValor(actual, nuevo) {
+    const a = actual === '' || actual === undefined ? null : valorActual(actual);
+    const b = nuevo === '' || nuevo === undefined ? null : nuevo;
+    if (a === null || b === null) return a === b;
+    if (typeof b === 'number') return Number(a) === b;
+    return a === b;
+}
+
+// Nombre normalizado → ids (puede haber repetidos)
+async function indicePorNombre(db, query, params = []) {
+    const result = await db.query(query, params);
+    const indice = new Map();
+    result.rows.forEach(row => {
+        const nombre = normalizarNombre(row.nombre);
+        indice.set(nombre, [...(indice.get(nombre) || []), row.id]);
+    });
+    return indice;
+}
+
+// Resolver un nombre a su id; devuelve { id } o { message }
+function resolverNombre(indice, valor, etiqueta) {
+    const ids = indice.get(normalizarNombre(valor)) || [];
+    if (ids.length === 0) return { message: `No existe ${etiqueta} "${valor}"` };
+    if (ids.length > 1) return { message: `Hay varios registros llamados "${valor}"; indique el id` };
+    return { id: ids[0] };
+}
+
+async function prepararFila(contexto, numero, datos) {
+    const { db, catalogo, porId, porClave, estados, cursos, vistas, ids } = contexto;
+    const { entidad, id, schema } = catalogo;
+    const errors = [];
+    let existente = null;
+
+    if (datos[id]) {
+        existente = porId.get(Number(datos[id])) || null;
+        if (!existente) {
+            errors.push({ field: id, message: `No existe el ${entidad} con ${id} ${datos[id]}` });
+        }
+    }
+
+    const body = {};
+    Object.keys(schema.fields).forEach(campo => {
+        if (datos[campo] !== undefined) {
+            body[campo] = datos[campo];
+        } else if (existente) {
+            body[campo] = valorActual(existente[campo]);
+        }
+    });
+
+    if (datos.estado) {
+        const estado = resolverNombre(estados, datos.estado, 'el estado');
+        if (estado.message) errors.push({ field: 'estado', message: estado.message });
+        else body.idestado = estado.id;
+    }
+    if (body.idestado === undefined || body.idestado === null || body.idestado === '') {
+        body.idestado = existente ? existente.idestado
+            : catalogo.historialEstados ? estadoInicial(ids, body.fecha_inicio_inscripcion) : ids.ACTIVO;
+    }
+
+    if (cursos && datos.curso && !datos.idcurso) {
+        const curso = resolverNombre(cursos, datos.curso, 'el curso');
+        if (curso.message) errors.push({ field: 'curso', message: curso.message });
+        else body.idcurso = curso.id;
+    }
+
+    // Se informan todos los errores de la fila, sin repetir el del id que no
+    // se pudo resolver a partir del nombre
+    const validacion = await validateSchema(schema, body);
+    const sinResolver = errors.map(error => ({ curso: 'idcurso', estado: 'idestado' })[error.field]);
+    errors.push(...validacion.errors.filter(error => !sinResolver.includes(error.field)));
+
+    if (errors.length > 0) {
+        return { fila: numero, accion: 'error', datos, errors };
+    }
+    const data = validacion.data;
+
+    if (!existente) {
+        const coincidencias = porClave.get(catalogo.clave(data)) || [];
+        if (coincidencias.length > 1) {
+            return {
+                fila: numero,
+                accion: 'error',
+                datos,
+                errors: [{ field: id, message: `Hay varios registros con el mismo nombre; indique el ${id}` }]
+            };
+        }
+        existente = coincidencias[0] || null;
+
+        // Sin columna estado, el registro encontrado por nombre conserva el suyo
+        if (existente && !datos.estado && !datos.idestado) {
+            data.idestado = existente.idestado;
+        }
+    }
+
+    // Dos filas del archivo no pueden referirse al mismo registro
+    const clave = existente ? `id:${existente[id]}` : catalogo.clave(data);
+    if (vistas.has(clave)) {
+        return {
+            fila: numero,
+            accion: 'error',
+            datos,
+            errors: [{ field: id, message: `Repite el registro de la fila ${vistas.get(clave)}` }]
+        };
+    }
+    vistas.set(clave, numero);
+
+    // Los cambios de estado siguen la máquina de estados de la entidad
+    const desde = existente ? existente.idestado : null;
+    const transicion = erroresTransicion(contexto.catalogoEstados, entidad, desde, data.idestado);
+    if (transicion.length > 0) {
+        return { fila: numero, accion: 'error', datos, errors: transicion };
+    }
+
+    if (!existente) {
+        return { fila: numero, accion: 'crear', datos: data };
+    }
+
+    const cambios = Object.keys(schema.fields).filter(campo => !mismoValor(existente[campo], data[campo]));
+
+    if (catalogo.vacantes && cambios.includes('vacantes')) {
+        const conflicto = await errorVacantes(db, existente[id], data.vacantes);
+        if (conflicto) {
+            return { fila: numero, accion: 'error', datos, errors: [{ field: 'vacantes', message: conflicto }] };
+        }
+    }
+
+    return {
+        fila: numero,
+        accion: cambios.length > 0 ? 'actualizar' : 'sin_cambios',
+        [id]: existente[id],
+        datos: data,
+        cambios
+    };
+}
+
+// Vista previa: qué hará cada fila. Devuelve { error } si el archivo en sí no
+// sirve (columnas faltantes, vacío o demasiado grande). Para importar se llama
+// dentro de la transacción con `bloquear`: los registros quedan bloqueados
+// desde que se comparan con el archivo hasta que se guardan, así no se pisan
+// ediciones hechas entre la vista previa y el guardado.
+async function prepararImportacion(db, nombre, hoja, { bloquear = false } = {}) {
+    const catalogo = CATALOGOS[nombre];
+    const conocidas = new Set([...catalogo.columnas, ...Object.keys(catalogo.schema.fields)]);
+    const campos = {};
+    const columnas_ignoradas = [];
+
+    hoja.columnas.forEach(columna => {
+        const normalizada = normalizarColumna(columna);
+        const campo = catalogo.alias[normalizada] || normalizada;
+        if (conocidas.has(campo)) campos[columna] = campo;
+        else columnas_ignoradas.push(columna);
+    });
+
+    const presentes = new Set(Object.values(campos));
+    const faltantes = catalogo.requeridas.filter(opciones => !opciones.some(campo => presentes.has(campo)));
+    if (faltantes.length > 0) {
+        return { error: `Faltan columnas requeridas: ${faltantes.map(opciones => opciones.join(' o ')).join(', ')}` };
+    }
+
+    if (hoja.filas.length === 0) {
+        return { error: 'El archivo no tiene filas de datos' };
+    }
+
+    if (hoja.filas.length > MAX_FILAS) {
+        return { error: `El archivo supera el máximo de ${MAX_FILAS} filas` };
+    }
+
+    const ids = await idsEstados();
+    const existentes = await db.query(`SELECT * FROM ${catalogo.tabla}${bloquear ? ' FOR UPDATE' : ''}`);
+    const porId = new Map(existentes.rows.map(row => [row[catalogo.id], row]));
+    const porClave = new Map();
+    existentes.rows
+        .filter(row => row.idestado !== ids.ANULADO)
+        .forEach(row => {
+            const clave = catalogo.clave(row);
+            porClave.set(clave, [...(porClave.get(clave) || []), row]);
+        });
+
+    const contexto = {
+        db,
+        catalogo,
+        porId,
+        porClave,
+        vistas: new Map(),
+        ids,
+        estados: await indicePorNombre(db, 'SELECT idestado AS id, nombre FROM cegae_estados'),
+        catalogoEstados: await cargarEstados(db),
+        cursos: nombre === 'ciclos'
+            ? await indicePorNombre(
+                db,
+                'SELECT idcurso AS id, nombre_curso AS nombre FROM cegae_cursosdisponibles WHERE idestado <> $1',
+                [ids.ANULADO]
+            )
+            : null
+    };
+
+    const filas = [];
+    for (const { numero, valores } of hoja.filas) {
+        const datos = {};
+        Object.entries(campos).forEach(([columna, campo]) => {
+            datos[campo] = valorTexto(valores[columna], catalogo.schema.fields[campo]);
+        });
+        filas.push(await prepararFila(contexto, numero, datos));
+    }
+
+    const resumen = { crear: 0, actualizar: 0, sin_cambios: 0, error: 0 };
+    filas.forEach(fila => { resumen[fila.accion]++; });
+
+    return { resumen, columnas_ignoradas, filas };
+}
+
+// Guardar las filas de una vista previa sin errores, preparada con `bloquear`
+// en la misma transacción
+async function aplicarImportacion(client, user, nombre, filas) {
+    const { entidad, tabla, id, schema, predeterminados, historialEstados, avisos, vacantes } = CATALOGOS[nombre];
+    const todos = Object.keys(schema.fields);
+    const ids = await idsEstados();
+
+    for (const fila of filas) {
+        if (fila.accion === 'crear') {
+            const valores = todos.map(campo => fila.datos[campo] ?? predeterminados[campo] ?? null);
+            const result = await client.query(
+                `INSERT INTO ${tabla} (${todos.join(', ')})
+                 VALUES (${todos.map((campo, i) => `$${i + 1}`).join(', ')})
+                 RETURNING *`,
+                valores
+            );
+
+            await registrarAuditoria(client, user, {
+                entidad,
+                identidad: result.rows[0][id],
+                accion: 'crear',
+                despues: result.rows[0]
+            });
+
+            await emitirEvento(client, `${entidad}.created`, result.rows[0]);
+
+            fila[id] = result.rows[0][id];
+        }
+
+        if (fila.accion === 'actualizar') {
+            const anterior = await client.query(
+                `SELECT * FROM ${tabla} WHERE ${id} = $1 FOR UPDATE`,
+                [fila[id]]
+            );
+            const valores = fila.cambios.map(campo => fila.datos[campo] ?? predeterminados[campo] ?? null);
+            const idestado = fila.datos.idestado || anterior.rows[0].idestado;
+            const result = await client.query(
+                `UPDATE ${tabla}
+                 SET ${fila.cambios.map((campo, i) => `${campo} = $${i + 1}`).join(', ')},
+                     fechaanulacion = ${fechaAnulacion(ids, idestado)},
+                     fechaedicion = CURRENT_TIMESTAMP
+                 WHERE ${id} = $${fila.cambios.length + 1}
+                 RETURNING *`,
+                [...valores, fila[id]]
+            );
+
+            if (vacantes && aumentaronVacantes(anterior.rows[0], result.rows[0])) {
+                await promoverListaEspera(client, user, result.rows[0]);
+            }
+
+            if (historialEstados) {
+                await registrarTransicion(client, user, {
+                    idciclo: fila[id],
+                    desde: anterior.rows[0].idestado,
+                    hacia: result.rows[0].idestado,
+                    origen: 'manual'
+                });
+            }
+
+            // Anular desde la hoja equivale a eliminar el registro
+            const anulado = seAnulo(ids, anterior.rows[0], result.rows[0]);
+            await registrarAuditoria(client, user, {
+                entidad,
+                identidad: fila[id],
+                accion: anulado ? 'eliminar' : 'actualizar',
+                antes: anterior.rows[0],
+                despues: result.rows[0]
+            });
+
+            await emitirEvento(client, `${entidad}.${anulado ? 'deleted' : 'updated'}`, result.rows[0]);
+
+            if (avisos) {
+                await notificarCambioCiclo(client, anterior.rows[0], result.rows[0]);
+            }
+        }
+    }
+
+    return filas;
+}
+
+module.exports = {
+    CATALOGOS,
+    filaExportada,
+    prepararImportacion,
+    aplicarImportacion
+};
@@ -0,0 +1,84 @@
+const { pool } = require('../db');
+
+// ========================================
+// LISTADOS: ORDENAMIENTO Y PAGINACIÓN
+// ========================================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parámetros de query comunes a los listados
+const paginationFields = {
+    page: { type: 'integer', min: 1 },
+    pageSize: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    sort: { type: 'string', maxLength: 200 }
+};
+
+// `sort` es una lista separada por comas de campos; un "-" inicial indica
+// orden descendente. Ej: sort=-fecha_inicio_clase,nombreciclo
+function parseSort(sort) {
+    return sort
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => ({
+            field: item.replace(/^-/, ''),
+            desc: item.startsWith('-')
+        }));
+}
+
+// Regla de esquema: solo se permite ordenar por las columnas de la lista blanca
+const sortCheck = (columns) => (data) => {
+    if (!data.sort) return [];
+    const invalid = parseSort(data.sort).filter(({ field }) => !columns[field]);
+    return invalid.length === 0 ? [] : [{
+        field: 'sort',
+        message: `Campos de ordenamiento permitidos: ${Object.keys(columns).join(', ')}`
+    }];
+};
+
+// ORDER BY a partir de `sort` (ya validado) y la columna de desempate
+function buildOrderBy(sort, columns, defaultSort, tieBreaker) {
+    const order = parseSort(sort || defaultSort)
+        .map(({ field, desc }) => `${columns[field]} ${desc ? 'DESC' : 'ASC'} NULLS LAST`);
+    order.push(tieBreaker);
+    return `ORDER BY ${order.join(', ')}`;
+}
+
+// Ejecutar un listado. Sin `page` ni `pageSize` devuelve todas las filas (arreglo);
+// con alguno de ellos devuelve { data, page, pageSize, total, totalPages }.
+async function queryList({ select, from, params, orderBy, page, pageSize }) {
+    const query = `SELECT ${select} ${from} ${orderBy}`;
+
+    if (!page && !pageSize) {
+        const result = await pool.query(query, params);
+        return result.rows;
+    }
+
+    page = page || 1;
+    pageSize = pageSize || DEFAULT_PAGE_SIZE;
+
+    const [result, count] = await Promise.all([
+        pool.query(
+            `${query} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, pageSize, (page - 1) * pageSize]
+        ),
+        pool.query(`SELECT COUNT(*) ${from}`, params)
+    ]);
+    const total = parseInt(count.rows[0].count);
+
+    return {
+        data: result.rows,
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+    };
+}
+
+module.exports = {
+    paginationFields,
+    sortCheck,
+    buildOrderBy,
+    queryList
+};
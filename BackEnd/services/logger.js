@@ -0,0 +1,50 @@
+// ========================================
+// LOGS ESTRUCTURADOS
+// ========================================
+//
+// Una línea JSON por evento, para que el recolector de logs pueda filtrar por
+// campo (requestId, status, ms...):
+//
+//   {"fecha":"2026-10-19T12:00:00.000Z","nivel":"info","mensaje":"Petición atendida","requestId":"...","status":200,"ms":12}
+//
+// LOG_LEVEL (debug, info, warn, error; por defecto info) descarta los niveles
+// menores. Los errores se escriben en stderr y el resto en stdout.
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const nivelMinimo = NIVELES[process.env.LOG_LEVEL] || NIVELES.info;
+
+// Los Error no se serializan con JSON.stringify; se guardan sus datos útiles
+// (incluido el código y el detalle de los errores de Postgres)
+function serializarError(error) {
+    if (!(error instanceof Error)) return error;
+
+    const datos = { tipo: error.name, mensaje: error.message };
+    ['code', 'detail', 'constraint', 'table', 'column'].forEach(campo => {
+        if (error[campo]) datos[campo] = error[campo];
+    });
+    datos.stack = error.stack;
+    return datos;
+}
+
+function escribir(nivel, mensaje, campos = {}) {
+    if (NIVELES[nivel] < nivelMinimo) return;
+
+    const { error, ...resto } = campos;
+    const linea = JSON.stringify({
+        fecha: new Date().toISOString(),
+        nivel,
+        mensaje,
+        ...resto,
+        ...(error ? { error: serializarError(error) } : {})
+    });
+
+    (nivel === 'error' ? process.stderr : process.stdout).write(linea + '\n');
+}
+
+module.exports = {
+    debug: (mensaje, campos) => escribir('debug', mensaje, campos),
+    info: (mensaje, campos) => escribir('info', mensaje, campos),
+    warn: (mensaje, campos) => escribir('warn', mensaje, campos),
+    error: (mensaje, campos) => escribir('error', mensaje, campos)
+};
@@ -0,0 +1,82 @@
+const { registrarAuditoria } = require('./auditoria');
+
+// ========================================
+// VACANTES Y LISTA DE ESPERA
+// ========================================
+//
+// Estas funciones reciben el client de una transacción que ya bloqueó el
+// ciclo (SELECT ... FOR UPDATE), así dos operaciones concurrentes no cuentan
+// la misma vacante.
+
+async function contarInscritos(client, idciclo) {
+    const result = await client.query(
+        `SELECT COUNT(*) FROM cegae_matriculas WHERE idciclo = $1 AND estado = 'inscrito'`,
+        [idciclo]
+    );
+    return parseInt(result.rows[0].count);
+}
+
+// Mensaje de error si `vacantes` queda por debajo de los alumnos ya inscritos
+async function errorVacantes(client, idciclo, vacantes) {
+    if (vacantes === null || vacantes === undefined) return null;
+
+    const inscritos = await contarInscritos(client, idciclo);
+    return vacantes < inscritos
+        ? `El ciclo tiene ${inscritos} alumnos inscritos; las vacantes no pueden ser menos`
+        : null;
+}
+
+// Pasar a inscrito, por orden de llegada, a los de la lista de espera que
+// quepan en las vacantes libres (todos si el ciclo no tiene límite).
+// Devuelve las matrículas promovidas.
+async function promoverListaEspera(client, user, ciclo) {
+    const libres = ciclo.vacantes === null
+        ? Infinity
+        : ciclo.vacantes - await contarInscritos(client, ciclo.idciclo);
+
+    if (libres <= 0) return [];
+
+    const espera = await client.query(
+        `SELECT * FROM cegae_matriculas
+         WHERE idciclo = $1 AND estado = 'lista_espera'
+         ORDER BY fechacreacion, idmatricula`,
+        [ciclo.idciclo]
+    );
+
+    const promovidas = [];
+    for (const matricula of espera.rows.slice(0, libres)) {
+        const result = await client.query(
+            `UPDATE cegae_matriculas
+             SET estado = 'inscrito',
+                 fechaedicion = CURRENT_TIMESTAMP
+             WHERE idmatricula = $1
+             RETURNING *`,
+            [matricula.idmatricula]
+        );
+
+        await registrarAuditoria(client, user, {
+            entidad: 'matricula',
+            identidad: matricula.idmatricula,
+            accion: 'actualizar',
+            antes: matricula,
+            despues: result.rows[0]
+        });
+
+        promovidas.push(result.rows[0]);
+    }
+
+    return promovidas;
+}
+
+// true si el cambio del ciclo deja más vacantes que antes
+function aumentaronVacantes(antes, despues) {
+    if (antes.vacantes === null) return false;
+    return despues.vacantes === null || despues.vacantes > antes.vacantes;
+}
+
+module.exports = {
+    contarInscritos,
+    errorVacantes,
+    promoverListaEspera,
+    aumentaronVacantes
+};
@@ -0,0 +1,253 @@
+const { pool, withTransaction } = require('../db');
+const { toDateString } = require('../schemas/ciclos');
+const { idsEstados } = require('./estados');
+const { sumarDias, diasEntre } = require('./horarios');
+const { CAMPOS_AVISADOS, renderizar } = require('./plantillas');
+const { crearTransporte } = require('./transportes');
+const logger = require('./logger');
+
+// ========================================
+// NOTIFICACIONES DE CICLOS
+// ========================================
+//
+// Los avisos se encolan en cegae_notificaciones (uno por destinatario) dentro
+// de la misma transacción que el cambio que los origina, así solo se avisa lo
+// que realmente se guardó. Un proceso periódico los envía con el transporte
+// configurado y reintenta los que fallan.
+//
+// Destinatarios: el personal activo con correo que recibe notificaciones y
+// los alumnos con matrícula vigente (inscritos o en lista de espera) en el
+// ciclo. Cada correo recibe un solo mensaje por aviso.
+
+const MAX_INTENTOS = 5;
+const LOTE = 50;
+const DIAS_ANTES = 7;
+// Mientras se envía un lote sus mensajes quedan reservados; si el proceso se
+// cae a mitad de camino se vuelven a intentar al vencer la reserva
+const RESERVA = '10 minutes';
+
+async function destinatarios(db, idciclo) {
+    const personal = await db.query(
+        `SELECT email, nombre FROM cegae_usuarios
+         WHERE activo = TRUE AND recibe_notificaciones = TRUE AND email IS NOT NULL
+         ORDER BY idusuario`
+    );
+    const alumnos = await db.query(
+        `SELECT a.email, a.nombres AS nombre
+         FROM cegae_matriculas m
+         INNER JOIN cegae_alumnos a ON m.idalumno = a.idalumno
+         WHERE m.idciclo = $1 AND m.estado <> 'anulado' AND a.email IS NOT NULL
+         ORDER BY m.idmatricula`,
+        [idciclo]
+    );
+
+    const porCorreo = new Map();
+    [...personal.rows, ...alumnos.rows].forEach(({ email, nombre }) => {
+        const correo = email.trim();
+        if (correo && !porCorreo.has(correo.toLowerCase())) {
+            porCorreo.set(correo.toLowerCase(), { email: correo, nombre });
+        }
+    });
+
+    return [...porCorreo.values()];
+}
+
+// Encolar un aviso del ciclo (con nombre_curso) para todos sus destinatarios.
+// Con `clave`, el índice único (clave, destinatario) descarta el mensaje si
+// otro proceso ya lo encoló. Devuelve cuántos mensajes se encolaron.
+async function encolar(db, tipo, ciclo, datos = {}, clave = null) {
+    const lista = await destinatarios(db, ciclo.idciclo);
+    let encolados = 0;
+
+    for (const { email, nombre } of lista) {
+        const { asunto, texto } = renderizar(tipo, { ciclo, ...datos }, nombre);
+        const result = await db.query(
+            `INSERT INTO cegae_notificaciones
+             (tipo, idciclo, clave, destinatario, nombre_destinatario, asunto, cuerpo)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT DO NOTHING`,
+            [tipo, ciclo.idciclo, clave, email, nombre, asunto, texto]
+        );
+        encolados += result.rowCount;
+    }
+
+    return encolados;
+}
+
+// Las columnas DATE llegan como Date y las NUMERIC como texto
+const normalizar = (valor) => (valor instanceof Date ? toDateString(valor) : valor ?? null);
+
+// Cambios de fechas o precios entre dos versiones de un ciclo
+function cambiosAvisados(antes, despues) {
+    return Object.keys(CAMPOS_AVISADOS)
+        .filter(campo => normalizar(antes[campo]) !== normalizar(despues[campo]))
+        .map(campo => ({ campo, antes: antes[campo], despues: despues[campo] }));
+}
+
+// Avisos por un cambio manual de un ciclo (PUT, PATCH o DELETE): su
+// anulación o, si sigue vigente, los cambios de fechas o precios
+async function notificarCambioCiclo(client, antes, despues) {
+    const { ANULADO } = await idsEstados();
+    const anulado = despues.idestado === ANULADO && antes.idestado !== ANULADO;
+    const cambios = cambiosAvisados(antes, despues);
+
+    if (!anulado && (despues.idestado === ANULADO || cambios.length === 0)) {
+        return 0;
+    }
+
+    const curso = await client.query(
+        'SELECT nombre_curso FROM cegae_cursosdisponibles WHERE idcurso = $1',
+        [despues.idcurso]
+    );
+    const ciclo = { ...despues, nombre_curso: curso.rows[0].nombre_curso };
+
+    return anulado
+        ? encolar(client, 'ciclo_anulado', ciclo)
+        : encolar(client, 'ciclo_modificado', ciclo, { cambios });
+}
+
+// Avisar de los ciclos activos que inician en los próximos `dias` días. La
+// clave incluye la fecha de inicio: si el ciclo se reprograma se avisa otra vez.
+async function encolarPorIniciar(dias = DIAS_ANTES, hoy = toDateString(new Date())) {
+    const { ACTIVO } = await idsEstados();
+
+    return withTransaction(async (client) => {
+        const ciclos = await client.query(
+            `SELECT ci.*, cu.nombre_curso
+             FROM cegae_cursosdisponiblesciclo ci
+             INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+             WHERE ci.idestado = $1 AND ci.fecha_inicio_clase BETWEEN $2 AND $3
+             ORDER BY ci.fecha_inicio_clase, ci.idciclo`,
+            [ACTIVO, hoy, sumarDias(hoy, dias)]
+        );
+
+        let encolados = 0;
+        for (const ciclo of ciclos.rows) {
+            const inicio = toDateString(ciclo.fecha_inicio_clase);
+            const clave = `por_iniciar:${ciclo.idciclo}:${inicio}`;
+            const avisado = await client.query(
+                'SELECT 1 FROM cegae_notificaciones WHERE clave = $1 LIMIT 1',
+                [clave]
+            );
+
+            if (avisado.rows.length === 0) {
+                encolados += await encolar(client, 'ciclo_por_iniciar', ciclo,
+                    { dias: diasEntre(hoy, inicio) }, clave);
+            }
+        }
+
+        return encolados;
+    });
+}
+
+// Reservar hasta `limite` mensajes pendientes cuyo próximo intento ya llegó,
+// moviendo ese intento al final de la reserva. SKIP LOCKED hace que otra
+// instancia tome mensajes distintos en lugar de los mismos.
+async function reservarPendientes(limite) {
+    const result = await pool.query(
+        `UPDATE cegae_notificaciones
+         SET proximo_intento = CURRENT_TIMESTAMP + CAST($2 AS INTERVAL)
+         WHERE idnotificacion IN (
+             SELECT idnotificacion FROM cegae_notificaciones
+             WHERE estado = 'pendiente' AND proximo_intento <= CURRENT_TIMESTAMP
+             ORDER BY proximo_intento, idnotificacion
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limite, RESERVA]
+    );
+    return result.rows.sort((a, b) => a.idnotificacion - b.idnotificacion);
+}
+
+// Enviar los mensajes pendientes cuyo próximo intento ya llegó. Tras cada
+// fallo se espera el doble que la vez anterior (1, 2, 4... minutos); al
+// llegar a MAX_INTENTOS el mensaje queda como fallido.
+async function procesarPendientes(transporte = crearTransporte(), limite = LOTE) {
+    const pendientes = await reservarPendientes(limite);
+    const resultado = { enviados: 0, reintentos: 0, fallidos: 0 };
+
+    for (const notificacion of pendientes) {
+        const intentos = notificacion.intentos + 1;
+
+        try {
+            await transporte.enviar({
+                para: notificacion.destinatario,
+                nombre: notificacion.nombre_destinatario,
+                asunto: notificacion.asunto,
+                texto: notificacion.cuerpo
+            });
+
+            await pool.query(
+                `UPDATE cegae_notificaciones
+                 SET estado = 'enviado', intentos = $2, ultimo_error = NULL, fechaenvio = CURRENT_TIMESTAMP
+                 WHERE idnotificacion = $1`,
+                [notificacion.idnotificacion, intentos]
+            );
+            resultado.enviados += 1;
+        } catch (error) {
+            const agotado = intentos >= MAX_INTENTOS;
+
+            await pool.query(
+                `UPDATE cegae_notificaciones
+                 SET estado = $2, intentos = $3, ultimo_error = $4,
+                     proximo_intento = CURRENT_TIMESTAMP + CAST($5 AS INTERVAL)
+                 WHERE idnotificacion = $1`,
+                [notificacion.idnotificacion, agotado ? 'fallido' : 'pendiente', intentos,
+                 error.message, `${2 ** (intentos - 1)} minutes`]
+            );
+            resultado[agotado ? 'fallidos' : 'reintentos'] += 1;
+        }
+    }
+
+    return resultado;
+}
+
+// Encolar los avisos de inicio y enviar los pendientes al iniciar y luego cada
+// `minutos`. Con 0 no se programan (p. ej. si otra instancia se encarga).
+function programarNotificaciones(minutos, dias = DIAS_ANTES) {
+    if (!minutos) return null;
+
+    let transporte;
+    try {
+        transporte = crearTransporte();
+    } catch (error) {
+        logger.error('Error al configurar notificaciones', { error });
+        return null;
+    }
+
+    // Con un servidor SMTP lento una pasada puede durar más que el intervalo;
+    // no se inicia otra hasta que termine
+    let enCurso = false;
+
+    const ejecutar = async () => {
+        if (enCurso) return;
+        enCurso = true;
+
+        try {
+            await encolarPorIniciar(dias);
+            const { enviados, fallidos } = await procesarPendientes(transporte);
+            if (enviados > 0 || fallidos > 0) {
+                logger.info('Notificaciones procesadas', { enviados, fallidos });
+            }
+        } catch (error) {
+            logger.error('Error al procesar notificaciones', { error });
+        } finally {
+            enCurso = false;
+        }
+    };
+
+    ejecutar();
+    const timer = setInterval(ejecutar, minutos * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    MAX_INTENTOS,
+    destinatarios,
+    notificarCambioCiclo,
+    encolarPorIniciar,
+    procesarPendientes,
+    programarNotificaciones
+};
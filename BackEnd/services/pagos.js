@@ -0,0 +1,205 @@
+const { toDateString } = require('../schemas/ciclos');
+const { sumarMeses } = require('./horarios');
+
+// ========================================
+// PAGOS: CUOTAS, SALDOS E INGRESOS
+// ========================================
+//
+// Los montos se operan en céntimos (enteros) para no acumular errores de
+// redondeo; pg devuelve las columnas NUMERIC como texto.
+
+const toCentimos = (value) => Math.round(Number(value || 0) * 100);
+const toMonto = (centimos) => centimos / 100;
+
+// Repartir el precio en cuotas mensuales; la diferencia de redondeo va a la última
+function generarCuotas(precio, numeroCuotas, fechaPrimerVencimiento) {
+    const total = toCentimos(precio);
+    const base = Math.floor(total / numeroCuotas);
+
+    return Array.from({ length: numeroCuotas }, (_, i) => ({
+        numero: i + 1,
+        monto: toMonto(i === numeroCuotas - 1 ? total - base * (numeroCuotas - 1) : base),
+        fecha_vencimiento: sumarMeses(fechaPrimerVencimiento, i)
+    }));
+}
+
+// Aplicar lo pagado a las cuotas en orden y calcular el estado de cada una
+function aplicarPagos(cuotas, totalPagado, hoy = toDateString(new Date())) {
+    let restante = toCentimos(totalPagado);
+
+    return cuotas.map(cuota => {
+        const monto = toCentimos(cuota.monto);
+        const aplicado = Math.min(monto, restante);
+        const pendiente = monto - aplicado;
+        const vencimiento = toDateString(cuota.fecha_vencimiento);
+        restante -= aplicado;
+
+        let estado = 'pendiente';
+        if (pendiente === 0) estado = 'pagada';
+        else if (vencimiento < hoy) estado = 'vencida';
+        else if (aplicado > 0) estado = 'parcial';
+
+        return {
+            ...cuota,
+            monto: toMonto(monto),
+            fecha_vencimiento: vencimiento,
+            pagado: toMonto(aplicado),
+            pendiente: toMonto(pendiente),
+            estado
+        };
+    });
+}
+
+// Estado de cuenta de una matrícula: precio, pagado, saldo, cuotas y pagos
+async function estadoDeCuenta(db, idmatricula) {
+    const matricula = await db.query(
+        `SELECT m.*, a.documento, a.nombres, a.apellidos, ci.nombreciclo, cu.nombre_curso
+         FROM cegae_matriculas m
+         INNER JOIN cegae_alumnos a ON m.idalumno = a.idalumno
+         INNER JOIN cegae_cursosdisponiblesciclo ci ON m.idciclo = ci.idciclo
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE m.idmatricula = $1`,
+        [idmatricula]
+    );
+
+    if (matricula.rows.length === 0) {
+        return null;
+    }
+
+    const cuotas = await db.query(
+        'SELECT * FROM cegae_cuotas WHERE idmatricula = $1 ORDER BY numero',
+        [idmatricula]
+    );
+    const pagos = await db.query(
+        'SELECT * FROM cegae_pagos WHERE idmatricula = $1 ORDER BY fecha_pago, idpago',
+        [idmatricula]
+    );
+
+    const pagado = pagos.rows
+        .filter(pago => !pago.fechaanulacion)
+        .reduce((total, pago) => total + toCentimos(pago.monto), 0);
+    const precio = toCentimos(matricula.rows[0].precio);
+
+    return {
+        matricula: matricula.rows[0],
+        precio: toMonto(precio),
+        pagado: toMonto(pagado),
+        saldo: toMonto(precio - pagado),
+        cuotas: aplicarPagos(cuotas.rows, toMonto(pagado)),
+        pagos: pagos.rows.map(pago => ({ ...pago, fecha_pago: toDateString(pago.fecha_pago) }))
+    };
+}
+
+// Cuotas vencidas con monto pendiente de las matrículas inscritas
+async function cuotasVencidas(db, { idciclo, idalumno } = {}) {
+    const params = [];
+    let filtros = '';
+
+    if (idciclo) {
+        params.push(idciclo);
+        filtros += ` AND m.idciclo = $${params.length}`;
+    }
+
+    if (idalumno) {
+        params.push(idalumno);
+        filtros += ` AND m.idalumno = $${params.length}`;
+    }
+
+    // Se traen todas las cuotas de cada matrícula: los pagos se aplican en orden
+    const cuotas = await db.query(
+        `SELECT cuo.*, m.idciclo, m.idalumno, a.documento, a.nombres, a.apellidos,
+                a.email, a.telefono, ci.nombreciclo, cu.nombre_curso
+         FROM cegae_cuotas cuo
+         INNER JOIN cegae_matriculas m ON cuo.idmatricula = m.idmatricula
+         INNER JOIN cegae_alumnos a ON m.idalumno = a.idalumno
+         INNER JOIN cegae_cursosdisponiblesciclo ci ON m.idciclo = ci.idciclo
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE m.estado = 'inscrito'
+           AND cuo.idmatricula IN (
+               SELECT idmatricula FROM cegae_cuotas WHERE fecha_vencimiento < CURRENT_DATE
+           )${filtros}
+         ORDER BY cuo.idmatricula, cuo.numero`,
+        params
+    );
+
+    const porMatricula = new Map();
+    cuotas.rows.forEach(cuota => {
+        if (!porMatricula.has(cuota.idmatricula)) porMatricula.set(cuota.idmatricula, []);
+        porMatricula.get(cuota.idmatricula).push(cuota);
+    });
+
+    const pagos = await db.query(
+        `SELECT idmatricula, SUM(monto) AS pagado
+         FROM cegae_pagos
+         WHERE fechaanulacion IS NULL
+           AND idmatricula IN (
+               SELECT idmatricula FROM cegae_cuotas WHERE fecha_vencimiento < CURRENT_DATE
+           )
+         GROUP BY idmatricula`
+    );
+    const pagado = Object.fromEntries(pagos.rows.map(row => [row.idmatricula, row.pagado]));
+    const hoy = toDateString(new Date());
+
+    return [...porMatricula.entries()]
+        .flatMap(([idmatricula, lista]) => aplicarPagos(lista, pagado[idmatricula], hoy))
+        .filter(cuota => cuota.estado === 'vencida')
+        .map(cuota => ({
+            ...cuota,
+            dias_vencida: Math.round((Date.parse(hoy) - Date.parse(cuota.fecha_vencimiento)) / 86400000)
+        }))
+        .sort((a, b) => a.fecha_vencimiento.localeCompare(b.fecha_vencimiento));
+}
+
+// Ingresos esperados (precio de los inscritos) vs cobrados por ciclo
+async function ingresosPorCiclo(db) {
+    const esperados = await db.query(
+        `SELECT idciclo, SUM(precio) AS esperado
+         FROM cegae_matriculas
+         WHERE estado = 'inscrito'
+         GROUP BY idciclo`
+    );
+    const cobrados = await db.query(
+        `SELECT m.idciclo, SUM(p.monto) AS cobrado
+         FROM cegae_pagos p
+         INNER JOIN cegae_matriculas m ON p.idmatricula = m.idmatricula
+         WHERE p.fechaanulacion IS NULL
+         GROUP BY m.idciclo`
+    );
+
+    const porCiclo = new Map();
+    const acumular = (idciclo, campo, monto) => {
+        const fila = porCiclo.get(idciclo) || { esperado: 0, cobrado: 0 };
+        fila[campo] += toCentimos(monto);
+        porCiclo.set(idciclo, fila);
+    };
+    esperados.rows.forEach(row => acumular(row.idciclo, 'esperado', row.esperado));
+    cobrados.rows.forEach(row => acumular(row.idciclo, 'cobrado', row.cobrado));
+
+    const ciclos = await db.query(
+        `SELECT ci.idciclo, ci.nombreciclo, cu.nombre_curso
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE ci.idciclo IN (SELECT idciclo FROM cegae_matriculas)
+         ORDER BY ci.fecha_inicio_clase DESC NULLS LAST, ci.idciclo DESC`
+    );
+
+    return ciclos.rows.filter(ciclo => porCiclo.has(ciclo.idciclo)).map(ciclo => {
+        const { esperado, cobrado } = porCiclo.get(ciclo.idciclo);
+        return {
+            ...ciclo,
+            esperado: toMonto(esperado),
+            cobrado: toMonto(cobrado),
+            pendiente: toMonto(esperado - cobrado)
+        };
+    });
+}
+
+module.exports = {
+    toCentimos,
+    toMonto,
+    generarCuotas,
+    aplicarPagos,
+    estadoDeCuenta,
+    cuotasVencidas,
+    ingresosPorCiclo
+};
@@ -0,0 +1,91 @@
+const { toDateString } = require('../schemas/ciclos');
+
+// ========================================
+// PLANTILLAS DE NOTIFICACIONES
+// ========================================
+//
+// Cada plantilla recibe los datos del aviso y devuelve { asunto, texto }; el
+// saludo y la despedida se agregan para cada destinatario. Los ciclos llegan
+// con nombre_curso.
+
+const INSTITUCION = process.env.NOTIFICACIONES_FIRMA || 'CEGAE';
+
+const fecha = (valor) => {
+    const iso = toDateString(valor);
+    if (!iso) return 'sin fecha';
+    const [anio, mes, dia] = iso.split('-');
+    return `${dia}/${mes}/${anio}`;
+};
+
+const precio = (valor) => (valor === null || valor === undefined
+    ? 'sin precio'
+    : `S/ ${Number(valor).toFixed(2)}`);
+
+// Campos cuyo cambio se avisa, con su etiqueta y formato
+const CAMPOS_AVISADOS = {
+    fecha_inicio_clase: { etiqueta: 'Fecha de inicio', formato: fecha },
+    fecha_fin_clase: { etiqueta: 'Fecha de fin', formato: fecha },
+    precio_regular: { etiqueta: 'Precio regular', formato: precio },
+    precio_promocion: { etiqueta: 'Precio de promoción', formato: precio }
+};
+
+const titulo = (ciclo) => `"${ciclo.nombre_curso} - ${ciclo.nombreciclo}"`;
+
+const cuando = (dias) => {
+    if (dias === 0) return 'hoy';
+    if (dias === 1) return 'mañana';
+    return `en ${dias} días`;
+};
+
+const PLANTILLAS = {
+    ciclo_por_iniciar: ({ ciclo, dias }) => ({
+        asunto: `El ciclo ${titulo(ciclo)} inicia ${cuando(dias)}`,
+        texto: [
+            `Le recordamos que el ciclo ${titulo(ciclo)} inicia el ${fecha(ciclo.fecha_inicio_clase)}`
+                + ` y termina el ${fecha(ciclo.fecha_fin_clase)}.`
+        ]
+    }),
+
+    ciclo_modificado: ({ ciclo, cambios }) => ({
+        asunto: `Cambios en el ciclo ${titulo(ciclo)}`,
+        texto: [
+            `El ciclo ${titulo(ciclo)} tiene los siguientes cambios:`,
+            '',
+            ...cambios.map(({ campo, antes, despues }) => {
+                const { etiqueta, formato } = CAMPOS_AVISADOS[campo];
+                return `- ${etiqueta}: ${formato(antes)} → ${formato(despues)}`;
+            })
+        ]
+    }),
+
+    ciclo_anulado: ({ ciclo }) => ({
+        asunto: `El ciclo ${titulo(ciclo)} fue cancelado`,
+        texto: [
+            `Lamentamos informarle que el ciclo ${titulo(ciclo)}, previsto para el`
+                + ` ${fecha(ciclo.fecha_inicio_clase)}, fue cancelado.`,
+            'Nos pondremos en contacto para coordinar los pasos a seguir.'
+        ]
+    })
+};
+
+// Mensaje completo para un destinatario
+function renderizar(tipo, datos, nombre) {
+    const { asunto, texto } = PLANTILLAS[tipo](datos);
+
+    return {
+        asunto,
+        texto: [
+            nombre ? `Hola ${nombre}:` : 'Hola:',
+            '',
+            ...texto,
+            '',
+            'Saludos,',
+            INSTITUCION
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    CAMPOS_AVISADOS,
+    renderizar
+};
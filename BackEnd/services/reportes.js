@@ -0,0 +1,204 @@
+const { toDateString } = require('../schemas/ciclos');
+const { idsEstados } = require('./estados');
+const { pad, sumarDias, diasEntre } = require('./horarios');
+const { toCentimos, toMonto } = require('./pagos');
+
+// ========================================
+// REPORTES DEL DASHBOARD
+// ========================================
+//
+// Series mensuales, precios y descuentos de los ciclos cuya fecha de inicio
+// cae en el rango pedido (sin contar los anulados), más los cursos activos
+// sin ciclos próximos y los ciclos activos que terminan en los próximos días.
+// Las series se arman aquí para incluir los meses sin ciclos.
+
+const DIAS_POR_TERMINAR = 30;
+
+// Tramos de profundidad del descuento (%), para el histograma del dashboard
+const TRAMOS_DESCUENTO = [[0, 10], [10, 25], [25, 50], [50, 100]];
+
+// Rango por defecto: los últimos 12 meses completos hasta el mes actual. Si
+// solo se indica un extremo, el otro queda a 12 meses.
+function rangoReporte({ desde, hasta }, hoy = toDateString(new Date())) {
+    const inicioDeMes = (anio, mes) => {
+        const total = anio * 12 + (mes - 1);
+        return `${Math.floor(total / 12)}-${pad(total % 12 + 1)}-01`;
+    };
+    const finDeMes = (anio, mes) => {
+        const fin = new Date(Date.UTC(anio, mes, 0));
+        return fin.toISOString().slice(0, 10);
+    };
+    const [anio, mes] = (hasta || desde || hoy).split('-').map(Number);
+
+    if (desde && !hasta) {
+        return { desde, hasta: finDeMes(anio, mes + 11) };
+    }
+
+    return {
+        desde: desde || inicioDeMes(anio, mes - 11),
+        hasta: hasta || finDeMes(anio, mes)
+    };
+}
+
+// Meses 'YYYY-MM' entre dos fechas, inclusive
+function mesesEntre(desde, hasta) {
+    const meses = [];
+    let [anio, mes] = desde.split('-').map(Number);
+    const ultimo = hasta.slice(0, 7);
+
+    for (let actual = `${anio}-${pad(mes)}`; actual <= ultimo; actual = `${anio}-${pad(mes)}`) {
+        meses.push(actual);
+        mes += 1;
+        if (mes > 12) {
+            mes = 1;
+            anio += 1;
+        }
+    }
+
+    return meses;
+}
+
+// Descuento de la promoción sobre el precio regular en %, con un decimal
+// (null si el ciclo no tiene promoción)
+function descuento(ciclo) {
+    const regular = toCentimos(ciclo.precio_regular);
+    if (ciclo.precio_promocion === null || regular === 0) return null;
+
+    const promocion = toCentimos(ciclo.precio_promocion);
+    if (promocion >= regular) return null;
+
+    return Math.round((regular - promocion) * 1000 / regular) / 10;
+}
+
+const promedio = (valores) => valores.length === 0
+    ? null
+    : Math.round(valores.reduce((total, valor) => total + valor, 0) * 10 / valores.length) / 10;
+
+function ciclosPorMes(ciclos, { desde, hasta }) {
+    const porMes = new Map(mesesEntre(desde, hasta)
+        .map(mes => [mes, { mes, iniciados: 0, finalizados: 0 }]));
+
+    const contar = (fecha, campo) => {
+        if (!fecha || fecha < desde || fecha > hasta) return;
+        porMes.get(fecha.slice(0, 7))[campo] += 1;
+    };
+
+    ciclos.forEach(ciclo => {
+        contar(ciclo.fecha_inicio_clase, 'iniciados');
+        contar(ciclo.fecha_fin_clase, 'finalizados');
+    });
+
+    return [...porMes.values()];
+}
+
+// Precio regular promedio, mínimo y máximo por curso, y su descuento promedio
+function preciosPorCurso(ciclos) {
+    const porCurso = new Map();
+
+    ciclos.filter(ciclo => ciclo.precio_regular !== null).forEach(ciclo => {
+        const curso = porCurso.get(ciclo.idcurso)
+            || { idcurso: ciclo.idcurso, nombre_curso: ciclo.nombre_curso, precios: [], descuentos: [] };
+        curso.precios.push(toCentimos(ciclo.precio_regular));
+        const porcentaje = descuento(ciclo);
+        if (porcentaje !== null) curso.descuentos.push(porcentaje);
+        porCurso.set(ciclo.idcurso, curso);
+    });
+
+    return [...porCurso.values()]
+        .map(({ precios, descuentos, ...curso }) => ({
+            ...curso,
+            ciclos: precios.length,
+            precio_promedio: toMonto(Math.round(precios.reduce((a, b) => a + b, 0) / precios.length)),
+            precio_min: toMonto(Math.min(...precios)),
+            precio_max: toMonto(Math.max(...precios)),
+            descuento_promedio: promedio(descuentos)
+        }))
+        .sort((a, b) => a.nombre_curso.localeCompare(b.nombre_curso, 'es'));
+}
+
+function resumenDescuentos(ciclos) {
+    const conPrecio = ciclos.filter(ciclo => ciclo.precio_regular !== null);
+    const descuentos = conPrecio.map(descuento).filter(porcentaje => porcentaje !== null);
+
+    return {
+        ciclos: conPrecio.length,
+        con_promocion: descuentos.length,
+        descuento_promedio: promedio(descuentos),
+        descuento_maximo: descuentos.length > 0 ? Math.max(...descuentos) : null,
+        tramos: TRAMOS_DESCUENTO.map(([desde, hasta], i) => ({
+            desde,
+            hasta,
+            ciclos: descuentos.filter(porcentaje => porcentaje >= desde
+                && (porcentaje < hasta || i === TRAMOS_DESCUENTO.length - 1)).length
+        }))
+    };
+}
+
+async function generarReporte(db, filtros = {}, hoy = toDateString(new Date())) {
+    const { ACTIVO, ANULADO } = await idsEstados();
+    const rango = rangoReporte(filtros, hoy);
+    const dias = filtros.dias || DIAS_POR_TERMINAR;
+
+    const ciclos = await db.query(
+        `SELECT ci.idciclo, ci.idcurso, cu.nombre_curso, ci.fecha_inicio_clase, ci.fecha_fin_clase,
+                ci.precio_regular, ci.precio_promocion
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE ci.idestado <> $1
+         AND (ci.fecha_inicio_clase BETWEEN $2 AND $3 OR ci.fecha_fin_clase BETWEEN $2 AND $3)`,
+        [ANULADO, rango.desde, rango.hasta]
+    );
+    const filas = ciclos.rows.map(ciclo => ({
+        ...ciclo,
+        fecha_inicio_clase: toDateString(ciclo.fecha_inicio_clase),
+        fecha_fin_clase: toDateString(ciclo.fecha_fin_clase)
+    }));
+    const iniciados = filas.filter(ciclo => ciclo.fecha_inicio_clase
+        && ciclo.fecha_inicio_clase >= rango.desde && ciclo.fecha_inicio_clase <= rango.hasta);
+
+    // Cursos activos sin ciclos (no anulados) que empiecen hoy o después: su
+    // último inicio es anterior a hoy o no tienen ciclos
+    const ultimosInicios = await db.query(
+        `SELECT cu.idcurso, cu.nombre_curso, MAX(ci.fecha_inicio_clase) AS ultimo_inicio
+         FROM cegae_cursosdisponibles cu
+         LEFT JOIN cegae_cursosdisponiblesciclo ci ON ci.idcurso = cu.idcurso AND ci.idestado <> $2
+         WHERE cu.idestado = $1
+         GROUP BY cu.idcurso, cu.nombre_curso
+         ORDER BY cu.nombre_curso`,
+        [ACTIVO, ANULADO]
+    );
+    const sinProximo = ultimosInicios.rows
+        .map(curso => ({ ...curso, ultimo_inicio: toDateString(curso.ultimo_inicio) }))
+        .filter(curso => !curso.ultimo_inicio || curso.ultimo_inicio < hoy);
+
+    const porTerminar = await db.query(
+        `SELECT ci.idciclo, ci.nombreciclo, cu.nombre_curso, ci.fecha_fin_clase
+         FROM cegae_cursosdisponiblesciclo ci
+         INNER JOIN cegae_cursosdisponibles cu ON ci.idcurso = cu.idcurso
+         WHERE ci.idestado = $1 AND ci.fecha_fin_clase BETWEEN $2 AND $3
+         ORDER BY ci.fecha_fin_clase, ci.idciclo`,
+        [ACTIVO, hoy, sumarDias(hoy, dias)]
+    );
+
+    return {
+        rango,
+        ciclosPorMes: ciclosPorMes(filas, rango),
+        preciosPorCurso: preciosPorCurso(iniciados),
+        descuentos: resumenDescuentos(iniciados),
+        cursosSinProximoCiclo: sinProximo,
+        ciclosPorTerminar: {
+            dias,
+            ciclos: porTerminar.rows.map(ciclo => {
+                const fin = toDateString(ciclo.fecha_fin_clase);
+                return { ...ciclo, fecha_fin_clase: fin, dias_restantes: diasEntre(hoy, fin) };
+            })
+        }
+    };
+}
+
+module.exports = {
+    rangoReporte,
+    mesesEntre,
+    descuento,
+    generarReporte
+};
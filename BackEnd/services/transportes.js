@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const { PRODUCCION } = require('../middleware/seguridad');
+const logger = require('./logger');
+
+// ========================================
+// TRANSPORTES DE NOTIFICACIONES
+// ========================================
+//
+// Un transporte entrega un mensaje { para, nombre, asunto, texto } y lanza un
+// error si no pudo. NOTIFICACIONES_TRANSPORTE elige cuál usar:
+// - smtp: correo real con nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+//   SMTP_USER, SMTP_PASSWORD, SMTP_FROM)
+// - archivo: agrega cada mensaje como una línea JSON a NOTIFICACIONES_ARCHIVO
+// - consola: lo escribe en el log (por defecto, solo para desarrollo local)
+// En producción no hay valor por defecto ni se acepta consola: los mensajes se
+// darían por enviados sin salir del servidor.
+// Se pueden agregar otros con registrarTransporte().
+
+const transportes = {
+    smtp: () => {
+        // nodemailer solo se carga si se usa SMTP
+        const nodemailer = require('nodemailer');
+        const port = Number(process.env.SMTP_PORT || 587);
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+        const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+
+        return {
+            nombre: 'smtp',
+            enviar: ({ para, nombre, asunto, texto }) => transporter.sendMail({
+                from,
+                to: nombre ? { name: nombre, address: para } : para,
+                subject: asunto,
+                text: texto
+            })
+        };
+    },
+
+    archivo: () => {
+        const archivo = process.env.NOTIFICACIONES_ARCHIVO || 'notificaciones.log';
+
+        return {
+            nombre: 'archivo',
+            enviar: (mensaje) => fs.appendFile(
+                archivo,
+                JSON.stringify({ fecha: new Date().toISOString(), ...mensaje }) + '\n'
+            )
+        };
+    },
+
+    consola: () => ({
+        nombre: 'consola',
+        enviar: async ({ para, asunto, texto }) => {
+            logger.info('Notificación (consola)', { para, asunto, texto });
+        }
+    })
+};
+
+function registrarTransporte(nombre, crear) {
+    transportes[nombre] = crear;
+}
+
+function crearTransporte(nombre = process.env.NOTIFICACIONES_TRANSPORTE || (PRODUCCION ? '' : 'consola')) {
+    if (PRODUCCION && (!nombre || nombre === 'consola')) {
+        throw new Error('En producción NOTIFICACIONES_TRANSPORTE debe ser un transporte real (smtp, archivo...)');
+    }
+
+    const crear = transportes[nombre];
+    if (!crear) {
+        throw new Error(`Transporte de notificaciones desconocido: ${nombre}`);
+    }
+    return crear();
+}
+
+module.exports = {
+    registrarTransporte,
+    crearTransporte
+};
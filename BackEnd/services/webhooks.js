@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { pool } = require('../db');
+const logger = require('./logger');
+
+// ========================================
+// WEBHOOKS DEL CATÁLOGO
+// ========================================
+//
+// Cada cambio de un curso o ciclo encola una entrega por webhook suscrito, en
+// la misma transacción que el cambio. Un proceso periódico las envía por POST
+// con el cuerpo JSON { evento, fecha, datos } y estas cabeceras:
+//
+//   X-Cegae-Evento: curso.updated
+//   X-Cegae-Entrega: 42
+//   X-Cegae-Timestamp: 1760832000
+//   X-Cegae-Firma: sha256=<HMAC-SHA256(secreto, "<timestamp>.<cuerpo>") en hex>
+//
+// El receptor verifica la firma con el secreto del webhook y descarta los
+// timestamps antiguos. Cualquier respuesta 2xx cuenta como entregada; el resto
+// se reintenta esperando el doble cada vez (1, 2, 4... minutos) hasta
+// MAX_INTENTOS.
+
+const EVENTOS = [
+    'curso.created',
+    'curso.updated',
+    'curso.deleted',
+    'ciclo.created',
+    'ciclo.updated',
+    'ciclo.deleted',
+    'ciclo.restored'
+];
+
+// Eventos a los que se puede suscribir un webhook (incluye comodines)
+const SUSCRIPCIONES = [...EVENTOS, 'curso.*', 'ciclo.*', '*'];
+
+const MAX_INTENTOS = 8;
+const LOTE = 50;
+const TIMEOUT_MS = Number(process.env.WEBHOOKS_TIMEOUT_MS || 10000);
+// Mientras se envía un lote sus entregas quedan reservadas; si el proceso se
+// cae a mitad de camino se vuelven a intentar al vencer la reserva
+const RESERVA = '10 minutes';
+
+const suscrito = (eventos, evento) => eventos.some(patron => patron === '*'
+    || patron === evento
+    || (patron.endsWith('.*') && evento.startsWith(patron.slice(0, -1))));
+
+const generarSecreto = () => crypto.randomBytes(24).toString('hex');
+
+function firmar(secreto, timestamp, cuerpo) {
+    return crypto.createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+}
+
+// Encolar `evento` con el registro afectado para los webhooks activos
+// suscritos. Devuelve cuántas entregas se encolaron.
+async function emitirEvento(client, evento, datos) {
+    const webhooks = await client.query(
+        'SELECT idwebhook, eventos FROM cegae_webhooks WHERE activo = TRUE ORDER BY idwebhook'
+    );
+    const destinos = webhooks.rows.filter(webhook => suscrito(webhook.eventos, evento));
+    const payload = JSON.stringify({ evento, fecha: new Date().toISOString(), datos });
+
+    for (const { idwebhook } of destinos) {
+        await client.query(
+            `INSERT INTO cegae_webhook_entregas (idwebhook, evento, payload)
+             VALUES ($1, $2, $3)`,
+            [idwebhook, evento, payload]
+        );
+    }
+
+    return destinos.length;
+}
+
+// POST firmado; devuelve el código HTTP de la respuesta
+async function enviar(webhook, entrega) {
+    const cuerpo = JSON.stringify(entrega.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const respuesta = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'CEGAE-Webhooks/1.0',
+            'X-Cegae-Evento': entrega.evento,
+            'X-Cegae-Entrega': String(entrega.identrega),
+            'X-Cegae-Timestamp': String(timestamp),
+            'X-Cegae-Firma': `sha256=${firmar(webhook.secreto, timestamp, cuerpo)}`
+        },
+        body: cuerpo,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    return respuesta.status;
+}
+
+// Un intento de entrega; actualiza y devuelve la fila de la entrega
+async function intentarEntrega(webhook, entrega) {
+    const intentos = entrega.intentos + 1;
+    let codigo = null;
+
+    try {
+        codigo = await enviar(webhook, entrega);
+        if (codigo < 200 || codigo >= 300) {
+            throw new Error(`Respuesta HTTP ${codigo}`);
+        }
+
+        const result = await pool.query(
+            `UPDATE cegae_webhook_entregas
+             SET estado = 'entregado', intentos = $2, ultimo_codigo = $3, ultimo_error = NULL,
+                 fechaentrega = CURRENT_TIMESTAMP
+             WHERE identrega = $1
+             RETURNING *`,
+            [entrega.identrega, intentos, codigo]
+        );
+        return result.rows[0];
+    } catch (error) {
+        const result = await pool.query(
+            `UPDATE cegae_webhook_entregas
+             SET estado = $2, intentos = $3, ultimo_codigo = $4, ultimo_error = $5,
+                 proximo_intento = CURRENT_TIMESTAMP + CAST($6 AS INTERVAL)
+             WHERE identrega = $1
+             RETURNING *`,
+            [entrega.identrega, intentos >= MAX_INTENTOS ? 'fallido' : 'pendiente', intentos, codigo,
+             error.message, `${2 ** (intentos - 1)} minutes`]
+        );
+        return result.rows[0];
+    }
+}
+
+// Reservar hasta `limite` entregas pendientes de webhooks activos cuyo
+// próximo intento ya llegó, moviendo ese intento al final de la reserva. SKIP
+// LOCKED hace que otra instancia tome entregas distintas en lugar de las
+// mismas. Cada entrega lleva la url y el secreto de su webhook.
+async function reservarEntregas(limite) {
+    const result = await pool.query(
+        `UPDATE cegae_webhook_entregas
+         SET proximo_intento = CURRENT_TIMESTAMP + CAST($2 AS INTERVAL)
+         WHERE identrega IN (
+             SELECT identrega FROM cegae_webhook_entregas
+             WHERE estado = 'pendiente' AND proximo_intento <= CURRENT_TIMESTAMP
+             AND idwebhook IN (SELECT idwebhook FROM cegae_webhooks WHERE activo = TRUE)
+             ORDER BY proximo_intento, identrega
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limite, RESERVA]
+    );
+    if (result.rows.length === 0) return [];
+
+    const webhooks = await pool.query('SELECT idwebhook, url, secreto FROM cegae_webhooks');
+    const porId = new Map(webhooks.rows.map(webhook => [webhook.idwebhook, webhook]));
+
+    return result.rows
+        .sort((a, b) => a.identrega - b.identrega)
+        .map(entrega => ({ ...entrega, ...porId.get(entrega.idwebhook) }));
+}
+
+// Enviar las entregas pendientes de webhooks activos cuyo próximo intento ya llegó
+async function procesarEntregas(limite = LOTE) {
+    const pendientes = await reservarEntregas(limite);
+    const resultado = { entregados: 0, reintentos: 0, fallidos: 0 };
+
+    for (const entrega of pendientes) {
+        const { estado } = await intentarEntrega(entrega, entrega);
+        const clave = { entregado: 'entregados', pendiente: 'reintentos', fallido: 'fallidos' }[estado];
+        resultado[clave] += 1;
+    }
+
+    return resultado;
+}
+
+// Volver a enviar el payload de una entrega como una entrega nueva (enlazada
+// con idreentrega) y hacer el primer intento de inmediato. La entrega nueva
+// nace reservada para que el proceso periódico no la envíe a la vez. null si
+// no existe.
+async function reentregar(identrega) {
+    const original = await pool.query(
+        `SELECT e.*, w.url, w.secreto
+         FROM cegae_webhook_entregas e
+         INNER JOIN cegae_webhooks w ON e.idwebhook = w.idwebhook
+         WHERE e.identrega = $1`,
+        [identrega]
+    );
+
+    if (original.rows.length === 0) {
+        return null;
+    }
+
+    const webhook = original.rows[0];
+    const nueva = await pool.query(
+        `INSERT INTO cegae_webhook_entregas (idwebhook, evento, payload, idreentrega, proximo_intento)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + CAST($5 AS INTERVAL))
+         RETURNING *`,
+        [webhook.idwebhook, webhook.evento, JSON.stringify(webhook.payload), identrega, RESERVA]
+    );
+
+    return intentarEntrega(webhook, nueva.rows[0]);
+}
+
+// Enviar las entregas pendientes al iniciar y luego cada `segundos`. Con 0 no
+// se programan (p. ej. si otra instancia se encarga).
+function programarWebhooks(segundos) {
+    if (!segundos) return null;
+
+    // Un receptor lento puede hacer que una pasada dure más que el intervalo;
+    // no se inicia otra hasta que termine, para no enviar dos veces
+    let enCurso = false;
+
+    const ejecutar = async () => {
+        if (enCurso) return;
+        enCurso = true;
+
+        try {
+            const { entregados, fallidos } = await procesarEntregas();
+            if (entregados > 0 || fallidos > 0) {
+                logger.info('Entregas de webhooks procesadas', { entregados, fallidos });
+            }
+        } catch (error) {
+            logger.error('Error al procesar webhooks', { error });
+        } finally {
+            enCurso = false;
+        }
+    };
+
+    ejecutar();
+    const timer = setInterval(ejecutar, segundos * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    EVENTOS,
+    SUSCRIPCIONES,
+    MAX_INTENTOS,
+    suscrito,
+    generarSecreto,
+    firmar,
+    emitirEvento,
+    procesarEntregas,
+    reentregar,
+    programarWebhooks
+};
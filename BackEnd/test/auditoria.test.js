@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DEL HISTORIAL DE AUDITORÍA
+// ========================================
+
+let api;
+let token;
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('filtra por entidad e id y pagina de limit en limit', async () => {
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Auditado' } });
+    assert.equal(creado.status, 201);
+    const { idcurso } = creado.body.curso;
+    const editado = await api.peticion('PATCH', `/api/cursos/${idcurso}`, {
+        token,
+        body: { nombre_curso: 'Auditado 2', fechaedicion: creado.body.curso.fechaedicion }
+    });
+    assert.equal(editado.status, 200);
+
+    const { status, body } = await api.peticion('GET', `/api/auditoria?entidad=curso&identidad=${idcurso}`, { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(registro => registro.accion).sort(), ['actualizar', 'crear']);
+
+    const primera = await api.peticion('GET', `/api/auditoria?entidad=curso&identidad=${idcurso}&limit=1`, { token });
+    const segunda = await api.peticion('GET', `/api/auditoria?entidad=curso&identidad=${idcurso}&limit=1&page=2`,
+        { token });
+    assert.equal(primera.body.length, 1);
+    assert.equal(segunda.body.length, 1);
+    assert.notEqual(primera.body[0].idauditoria, segunda.body[0].idauditoria);
+});
+
+test('un filtro inválido responde 400 con los campos', async () => {
+    const { status, body } = await api.peticion(
+        'GET', '/api/auditoria?identidad=abc&desde=2026-13-01&limit=1000&page=0', { token }
+    );
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(error => error.field).sort(), ['desde', 'identidad', 'limit', 'page']);
+
+    const invertido = await api.peticion('GET', '/api/auditoria?desde=2026-05-01&hasta=2026-04-01', { token });
+    assert.equal(invertido.status, 400);
+    assert.deepEqual(invertido.body.errors.map(error => error.field), ['hasta']);
+});
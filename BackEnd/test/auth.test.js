@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE AUTENTICACIÓN
+// ========================================
+
+let api;
+
+before(async () => {
+    api = await iniciarApp();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('login con credenciales válidas devuelve token, refresh token y usuario', async () => {
+    const { status, body } = await api.peticion('POST', '/api/auth/login', {
+        body: { username: 'admin', password: process.env.ADMIN_PASSWORD }
+    });
+
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.ok(body.refreshToken);
+    assert.equal(body.user.username, 'admin');
+    assert.equal(body.user.role, 'admin');
+
+    const verify = await api.peticion('GET', '/api/auth/verify', { token: body.token });
+    assert.equal(verify.status, 200);
+    assert.equal(verify.body.user.username, 'admin');
+});
+
+test('login con contraseña incorrecta responde 401', async () => {
+    const { status, body } = await api.peticion('POST', '/api/auth/login', {
+        body: { username: 'admin', password: 'incorrecta' }
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Credenciales inválidas');
+});
+
+test('login sin usuario o contraseña responde 400', async () => {
+    const { status } = await api.peticion('POST', '/api/auth/login', { body: { username: 'admin' } });
+    assert.equal(status, 400);
+});
+
+test('las rutas protegidas exigen un token válido', async () => {
+    const sinToken = await api.peticion('GET', '/api/cursos');
+    assert.equal(sinToken.status, 401);
+    assert.equal(sinToken.body.code, 'TOKEN_MISSING');
+
+    const invalido = await api.peticion('GET', '/api/cursos', { token: 'no-es-un-jwt' });
+    assert.equal(invalido.status, 401);
+    assert.equal(invalido.body.code, 'TOKEN_INVALID');
+
+    const expirado = jwt.sign(
+        { idusuario: 1, username: 'admin', role: 'admin', sid: 1, exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET
+    );
+    const vencido = await api.peticion('GET', '/api/cursos', { token: expirado });
+    assert.equal(vencido.status, 401);
+    assert.equal(vencido.body.code, 'TOKEN_EXPIRED');
+});
+
+test('refresh rota el refresh token y logout revoca la sesión', async () => {
+    const login = await api.peticion('POST', '/api/auth/login', {
+        body: { username: 'admin', password: process.env.ADMIN_PASSWORD }
+    });
+
+    const refresh = await api.peticion('POST', '/api/auth/refresh', {
+        body: { refreshToken: login.body.refreshToken }
+    });
+    assert.equal(refresh.status, 200);
+    assert.ok(refresh.body.token);
+    assert.notEqual(refresh.body.refreshToken, login.body.refreshToken);
+
+    const logout = await api.peticion('POST', '/api/auth/logout', {
+        body: { refreshToken: refresh.body.refreshToken }
+    });
+    assert.equal(logout.status, 200);
+
+    const revocado = await api.peticion('POST', '/api/auth/refresh', {
+        body: { refreshToken: refresh.body.refreshToken }
+    });
+    assert.equal(revocado.status, 401);
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const { buscarEnCatalogo } = require('../services/busqueda');
+
+// ========================================
+// PRUEBAS DE BÚSQUEDA EN POSTGRESQL
+// ========================================
+//
+// La búsqueda de texto completo (unaccent, spanish_stem, ts_rank, ts_headline)
+// no existe en pg-mem, así que estas pruebas usan un PostgreSQL real y se
+// omiten si no hay DATABASE_URL, p. ej.:
+//
+//   DATABASE_URL=postgres://postgres@localhost:5432/pruebas npm test
+//
+// Cada ejecución aplica las migraciones en un esquema propio y lo borra al
+// terminar; la base indicada no se modifica. Hace falta la extensión unaccent.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const DATABASE_URL = process.env.DATABASE_URL;
+const ESQUEMA = `pruebas_busqueda_${process.pid}`;
+
+const opciones = { skip: !DATABASE_URL && 'Sin DATABASE_URL' };
+
+let pool;
+let ids;
+
+async function aplicarMigraciones() {
+    const archivos = fs.readdirSync(MIGRATIONS_DIR).filter(archivo => archivo.endsWith('.up.sql')).sort();
+    for (const archivo of archivos) {
+        await pool.query(fs.readFileSync(path.join(MIGRATIONS_DIR, archivo), 'utf8'));
+    }
+}
+
+async function crearCurso(nombre_curso, descripcion = null, dirigido = null) {
+    const result = await pool.query(
+        `INSERT INTO cegae_cursosdisponibles (nombre_curso, descripcion, dirigido, idestado)
+         VALUES ($1, $2, $3, (SELECT idestado FROM cegae_estados WHERE codigo = 'ACTIVO'))
+         RETURNING idcurso`,
+        [nombre_curso, descripcion, dirigido]
+    );
+    return result.rows[0].idcurso;
+}
+
+async function crearCiclo(idcurso, nombreciclo) {
+    const result = await pool.query(
+        `INSERT INTO cegae_cursosdisponiblesciclo (idcurso, nombreciclo, idestado)
+         VALUES ($1, $2, (SELECT idestado FROM cegae_estados WHERE codigo = 'ACTIVO'))
+         RETURNING idciclo`,
+        [idcurso, nombreciclo]
+    );
+    return result.rows[0].idciclo;
+}
+
+const buscar = (parametros) => buscarEnCatalogo(pool, parametros);
+const claves = (resultado) => resultado.data.map(fila => `${fila.tipo}:${fila.id}`);
+
+before(async () => {
+    if (!DATABASE_URL) return;
+
+    // Los objetos nuevos van al esquema de la prueba; public sigue en la ruta
+    // por si unaccent ya está instalada allí
+    const inicial = new Pool({ connectionString: DATABASE_URL });
+    await inicial.query(`CREATE SCHEMA ${ESQUEMA}`);
+    await inicial.end();
+    pool = new Pool({ connectionString: DATABASE_URL, options: `-c search_path=${ESQUEMA},public` });
+
+    await aplicarMigraciones();
+
+    const computacion = await crearCurso('Computación básica', 'Primeros pasos en computación y uso de computadoras',
+        'Público en general');
+    const excel = await crearCurso('Excel avanzado', 'Tablas dinámicas y macros', 'Profesionales de computación');
+    await crearCurso('Marketing digital', 'Redes sociales y publicidad');
+    ids = {
+        computacion,
+        excel,
+        ciclo: await crearCiclo(computacion, 'Computación 2026-I')
+    };
+});
+
+after(async () => {
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA ${ESQUEMA} CASCADE`);
+    await pool.end();
+});
+
+test('encuentra cursos y ciclos sin distinguir tildes ni plurales', opciones, async () => {
+    const resultado = await buscar({ q: 'computacion' });
+    assert.equal(resultado.total, 3);
+    assert.deepEqual(claves(resultado).sort(), [
+        `ciclo:${ids.ciclo}`,
+        `curso:${ids.computacion}`,
+        `curso:${ids.excel}`
+    ].sort());
+
+    const plural = await buscar({ q: 'computadora' });
+    assert.deepEqual(claves(plural), [`curso:${ids.computacion}`]);
+});
+
+test('ordena por relevancia: el nombre pesa más que el público', opciones, async () => {
+    const { data } = await buscar({ q: 'computación' });
+    assert.equal(data[0].id, ids.computacion);
+    assert.equal(data[0].tipo, 'curso');
+    assert.equal(data.at(-1).id, ids.excel);
+    assert.ok(data[0].rank > data.at(-1).rank);
+});
+
+test('resalta las coincidencias del nombre y del detalle', opciones, async () => {
+    const { data } = await buscar({ q: 'computacion', tipo: 'curso' });
+    const computacion = data.find(fila => fila.id === ids.computacion);
+    assert.deepEqual(computacion.resaltado.nombre, [
+        { texto: 'Computación', resaltado: true },
+        { texto: ' básica', resaltado: false }
+    ]);
+    assert.ok(computacion.resaltado.detalle.some(parte => parte.resaltado && parte.texto === 'computación'));
+    assert.equal(computacion.estado_nombre, 'Activo');
+
+    const ciclo = await buscar({ q: 'computacion', tipo: 'ciclo' });
+    assert.deepEqual(claves(ciclo), [`ciclo:${ids.ciclo}`]);
+    assert.equal(ciclo.data[0].nombre_curso, 'Computación básica');
+    assert.equal(ciclo.data[0].resaltado.detalle, null);
+});
+
+test('pagina y da el total también en una página vacía', opciones, async () => {
+    const segunda = await buscar({ q: 'computacion', page: 2, pageSize: 2 });
+    assert.equal(segunda.data.length, 1);
+    assert.equal(segunda.total, 3);
+    assert.equal(segunda.totalPages, 2);
+
+    const vacia = await buscar({ q: 'computacion', page: 5, pageSize: 2 });
+    assert.deepEqual(vacia.data, []);
+    assert.equal(vacia.total, 3);
+
+    const soloPalabrasVacias = await buscar({ q: 'de la' });
+    assert.equal(soloPalabrasVacias.total, 0);
+});
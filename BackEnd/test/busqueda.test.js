@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+const { partesResaltadas } = require('../services/busqueda');
+
+// ========================================
+// PRUEBAS DE BÚSQUEDA
+// ========================================
+//
+// pg-mem no tiene búsqueda de texto completo: aquí se prueban la
+// autenticación, la validación y el armado de los textos resaltados. La
+// búsqueda en sí se prueba contra PostgreSQL en busqueda.postgres.test.js.
+
+let api;
+let token;
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('GET /api/buscar requiere sesión', async () => {
+    const { status } = await api.peticion('GET', '/api/buscar?q=excel');
+    assert.equal(status, 401);
+});
+
+test('GET /api/buscar valida la consulta, el tipo y la paginación', async () => {
+    const sinConsulta = await api.peticion('GET', '/api/buscar?q=%20%20', { token });
+    assert.equal(sinConsulta.status, 400);
+    assert.deepEqual(sinConsulta.body.errors, [{ field: 'q', message: 'Es requerido' }]);
+
+    const larga = await api.peticion('GET', `/api/buscar?q=${'a'.repeat(201)}`, { token });
+    assert.equal(larga.status, 400);
+    assert.equal(larga.body.errors[0].field, 'q');
+
+    const { status, body } = await api.peticion('GET', '/api/buscar?q=excel&tipo=alumno&pageSize=500', { token });
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(error => error.field), ['tipo', 'pageSize']);
+});
+
+test('partesResaltadas separa las coincidencias marcadas por ts_headline', () => {
+    assert.deepEqual(partesResaltadas('Curso de \u0002Programación\u0003 en \u0002Python\u0003'), [
+        { texto: 'Curso de ', resaltado: false },
+        { texto: 'Programación', resaltado: true },
+        { texto: ' en ', resaltado: false },
+        { texto: 'Python', resaltado: true }
+    ]);
+    assert.deepEqual(partesResaltadas('Sin coincidencias'), [{ texto: 'Sin coincidencias', resaltado: false }]);
+    assert.equal(partesResaltadas(null), null);
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE LOS FEEDS iCALENDAR
+// ========================================
+
+let api;
+let token;
+let curso;
+
+const crearCiclo = async (datos = {}) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: {
+            idcurso: curso.idcurso,
+            nombreciclo: 'Ciclo de prueba',
+            fecha_inicio_clase: '2026-03-02',
+            fecha_fin_clase: '2999-06-30',
+            ...datos
+        }
+    });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+const propiedad = (ics, nombre) => ics.match(new RegExp(`^${nombre}:(.*)$`, 'm'))?.[1];
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    curso = creado.body.curso;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('el feed de un ciclo no publicado responde 404', async () => {
+    const pendiente = await crearCiclo({ fecha_inicio_inscripcion: '2999-01-01' });
+
+    const { status } = await api.peticion('GET', `/api/ciclos/${pendiente.idciclo}/calendar.ics`);
+    assert.equal(status, 404);
+});
+
+test('un ciclo anulado se publica cancelado con un SEQUENCE mayor', async () => {
+    const ciclo = await crearCiclo();
+    // Simular que la última edición fue hace tiempo (SEQUENCE va en segundos)
+    await api.pool.query(
+        "UPDATE cegae_cursosdisponiblesciclo SET fechaedicion = '2026-01-01 10:00:00' WHERE idciclo = $1",
+        [ciclo.idciclo]
+    );
+
+    const activo = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}/calendar.ics`);
+    assert.equal(activo.status, 200);
+    assert.equal(propiedad(activo.body, 'STATUS'), 'CONFIRMED');
+
+    const anulado = await api.peticion('DELETE', `/api/ciclos/${ciclo.idciclo}`, { token });
+    assert.equal(anulado.status, 200);
+
+    const cancelado = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}/calendar.ics`);
+    assert.equal(cancelado.status, 200);
+    assert.equal(propiedad(cancelado.body, 'STATUS'), 'CANCELLED');
+    assert.ok(
+        Number(propiedad(cancelado.body, 'SEQUENCE')) > Number(propiedad(activo.body, 'SEQUENCE')),
+        'el SEQUENCE debe crecer al anular'
+    );
+});
+
+test('un ciclo finalizado sigue publicado, sin el aula ni el instructor', async () => {
+    const ciclo = await crearCiclo({ fecha_fin_clase: '2026-04-30' });
+    const horario = await api.peticion('POST', '/api/horarios', {
+        token,
+        body: {
+            idciclo: ciclo.idciclo,
+            dia_semana: 1,
+            hora_inicio: '18:00',
+            hora_fin: '20:00',
+            aula: 'Laboratorio 3',
+            instructor: 'Ana Torres'
+        }
+    });
+    assert.equal(horario.status, 201);
+    await api.pool.query(
+        `UPDATE cegae_cursosdisponiblesciclo
+         SET idestado = (SELECT idestado FROM cegae_estados WHERE codigo = 'FINALIZADO')
+         WHERE idciclo = $1`,
+        [ciclo.idciclo]
+    );
+
+    const { status, body } = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}/calendar.ics`);
+    assert.equal(status, 200);
+    assert.equal(propiedad(body, 'STATUS'), 'CONFIRMED');
+    assert.equal(propiedad(body, 'DTSTART'), '20260302T180000');
+    assert.equal(propiedad(body, 'LOCATION'), undefined);
+    assert.ok(!body.includes('Ana Torres'));
+
+    const todos = await api.peticion('GET', '/api/calendar.ics');
+    assert.ok(todos.body.includes(`UID:ciclo-${ciclo.idciclo}-horario-${horario.body.horario.idhorario}@`));
+});
@@ -0,0 +1,269 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE CICLOS
+// ========================================
+
+let api;
+let token;
+let ids;
+let curso;
+
+const crearCiclo = async (datos = {}) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo de prueba', ...datos }
+    });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const estados = await api.peticion('GET', '/api/estados', { token });
+    ids = Object.fromEntries(estados.body.map(estado => [estado.codigo, estado.idestado]));
+
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    curso = creado.body.curso;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('POST crea el ciclo y GET /:id lo devuelve con su curso', async () => {
+    const ciclo = await crearCiclo({
+        nombreciclo: '2026-I',
+        precio_regular: 500,
+        precio_promocion: 400,
+        fecha_inicio_clase: '2026-03-01',
+        fecha_fin_clase: '2026-06-30'
+    });
+    assert.equal(ciclo.idestado, ids.ACTIVO);
+
+    const { status, body } = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.nombreciclo, '2026-I');
+    assert.equal(body.nombre_curso, 'Excel');
+    assert.equal(body.estado_nombre, 'Activo');
+});
+
+test('POST crea como pendiente el ciclo cuyas inscripciones aún no abren', async () => {
+    const ciclo = await crearCiclo({ fecha_inicio_inscripcion: '2999-01-01' });
+    assert.equal(ciclo.idestado, ids.PENDIENTE);
+});
+
+test('POST valida fechas, precios y el curso', async () => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: {
+            idcurso: curso.idcurso,
+            nombreciclo: 'Inválido',
+            precio_regular: 100,
+            precio_promocion: 200,
+            fecha_inicio_clase: '2026-06-01',
+            fecha_fin_clase: '2026-05-01'
+        }
+    });
+    assert.equal(status, 400);
+    const campos = body.errors.map(error => error.field);
+    assert.ok(campos.includes('fecha_fin_clase'));
+    assert.ok(campos.includes('precio_promocion'));
+
+    const sinCurso = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: 99999, nombreciclo: 'Huérfano' }
+    });
+    assert.equal(sinCurso.status, 400);
+    assert.ok(sinCurso.body.errors.some(error => error.field === 'idcurso'));
+});
+
+test('GET /:id de un ciclo inexistente responde 404', async () => {
+    const { status } = await api.peticion('GET', '/api/ciclos/99999', { token });
+    assert.equal(status, 404);
+});
+
+test('PUT reemplaza el ciclo y registra el cambio de estado', async () => {
+    const ciclo = await crearCiclo({ nombreciclo: 'Original', vacantes: 20 });
+
+    const { status, body } = await api.peticion('PUT', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Reemplazado', idestado: ids.INACTIVO }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.ciclo.nombreciclo, 'Reemplazado');
+    assert.equal(body.ciclo.vacantes, null);
+    assert.equal(body.ciclo.idestado, ids.INACTIVO);
+
+    const historial = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}/estados`, { token });
+    assert.equal(historial.status, 200);
+    assert.equal(historial.body.length, 1);
+    assert.equal(historial.body[0].idestado_anterior, ids.ACTIVO);
+    assert.equal(historial.body[0].idestado_nuevo, ids.INACTIVO);
+
+    const inexistente = await api.peticion('PUT', '/api/ciclos/99999', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'X' }
+    });
+    assert.equal(inexistente.status, 404);
+});
+
+test('PATCH valida las reglas sobre el registro resultante', async () => {
+    const ciclo = await crearCiclo({ precio_regular: 300 });
+
+    const valido = await api.peticion('PATCH', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { precio_promocion: 250, fechaedicion: ciclo.fechaedicion }
+    });
+    assert.equal(valido.status, 200);
+    assert.equal(Number(valido.body.ciclo.precio_promocion), 250);
+    assert.equal(Number(valido.body.ciclo.precio_regular), 300);
+
+    const invalido = await api.peticion('PATCH', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { precio_regular: 100, fechaedicion: valido.body.ciclo.fechaedicion }
+    });
+    assert.equal(invalido.status, 400);
+    assert.equal(invalido.body.errors[0].field, 'precio_promocion');
+});
+
+test('GET / filtra por búsqueda, curso y estado', async () => {
+    const otroCurso = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Marketing digital' } });
+    const idcurso = otroCurso.body.curso.idcurso;
+    const activo = await crearCiclo({ idcurso, nombreciclo: 'Marketing verano' });
+    const inactivo = await crearCiclo({ idcurso, nombreciclo: 'Marketing invierno', idestado: ids.INACTIVO });
+
+    const busqueda = await api.peticion('GET', '/api/ciclos?search=marketing', { token });
+    assert.equal(busqueda.status, 200);
+    assert.deepEqual(busqueda.body.map(ciclo => ciclo.idciclo).sort(), [activo.idciclo, inactivo.idciclo].sort());
+
+    const porCurso = await api.peticion('GET', `/api/ciclos?idcurso=${idcurso}&estado=${ids.INACTIVO}`, { token });
+    assert.equal(porCurso.status, 200);
+    assert.deepEqual(porCurso.body.map(ciclo => ciclo.idciclo), [inactivo.idciclo]);
+
+    const rangoInvalido = await api.peticion('GET', '/api/ciclos?precio_min=10&precio_max=5', { token });
+    assert.equal(rangoInvalido.status, 400);
+});
+
+test('DELETE anula el ciclo y restore lo devuelve a su estado anterior', async () => {
+    const ciclo = await crearCiclo({ idestado: ids.INACTIVO });
+
+    const eliminado = await api.peticion('DELETE', `/api/ciclos/${ciclo.idciclo}`, { token });
+    assert.equal(eliminado.status, 200);
+
+    const anulado = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}`, { token });
+    assert.equal(anulado.body.idestado, ids.ANULADO);
+    assert.ok(anulado.body.fechaanulacion);
+
+    // Un ciclo anulado solo sale de ese estado con restore
+    const edicion = await api.peticion('PATCH', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { idestado: ids.ACTIVO, fechaedicion: anulado.body.fechaedicion }
+    });
+    assert.equal(edicion.status, 400);
+
+    const restaurado = await api.peticion('POST', `/api/ciclos/${ciclo.idciclo}/restore`, { token });
+    assert.equal(restaurado.status, 200);
+    assert.equal(restaurado.body.ciclo.idestado, ids.INACTIVO);
+    assert.equal(restaurado.body.ciclo.fechaanulacion, null);
+
+    const noAnulado = await api.peticion('POST', `/api/ciclos/${ciclo.idciclo}/restore`, { token });
+    assert.equal(noAnulado.status, 409);
+
+    const inexistente = await api.peticion('DELETE', '/api/ciclos/99999', { token });
+    assert.equal(inexistente.status, 404);
+});
+
+test('restore registra la transición, la auditoría y el evento, y respeta al curso anulado', async () => {
+    const webhook = await api.peticion('POST', '/api/webhooks', {
+        token,
+        body: { url: 'https://ejemplo.com/restaurados', eventos: ['ciclo.restored'] }
+    });
+    assert.equal(webhook.status, 201);
+    const ciclo = await crearCiclo({ nombreciclo: 'Restaurable' });
+    assert.equal((await api.peticion('DELETE', `/api/ciclos/${ciclo.idciclo}`, { token })).status, 200);
+
+    const restaurado = await api.peticion('POST', `/api/ciclos/${ciclo.idciclo}/restore`, { token });
+    assert.equal(restaurado.status, 200);
+    assert.equal(restaurado.body.ciclo.idestado, ids.ACTIVO);
+
+    const historial = await api.peticion('GET', `/api/ciclos/${ciclo.idciclo}/estados`, { token });
+    assert.deepEqual(
+        historial.body.map(fila => [fila.idestado_anterior, fila.idestado_nuevo, fila.origen, fila.username]),
+        [[ids.ANULADO, ids.ACTIVO, 'restaurar', 'admin'], [ids.ACTIVO, ids.ANULADO, 'manual', 'admin']]
+    );
+
+    const auditoria = await api.pool.query(
+        "SELECT accion FROM cegae_auditoria WHERE entidad = 'ciclo' AND identidad = $1 ORDER BY idauditoria",
+        [ciclo.idciclo]
+    );
+    assert.deepEqual(auditoria.rows.map(fila => fila.accion), ['crear', 'eliminar', 'restaurar']);
+
+    const entregas = await api.pool.query(
+        'SELECT evento, payload FROM cegae_webhook_entregas WHERE idwebhook = $1',
+        [webhook.body.webhook.idwebhook]
+    );
+    assert.equal(entregas.rows.length, 1);
+    assert.equal(entregas.rows[0].evento, 'ciclo.restored');
+    assert.equal(entregas.rows[0].payload.datos.idciclo, ciclo.idciclo);
+
+    // Un ciclo no vuelve mientras su curso siga anulado
+    assert.equal((await api.peticion('DELETE', `/api/ciclos/${ciclo.idciclo}`, { token })).status, 200);
+    await api.pool.query('UPDATE cegae_cursosdisponibles SET idestado = $1 WHERE idcurso = $2',
+        [ids.ANULADO, curso.idcurso]);
+    try {
+        const bloqueado = await api.peticion('POST', `/api/ciclos/${ciclo.idciclo}/restore`, { token });
+        assert.equal(bloqueado.status, 409);
+        assert.equal(bloqueado.body.error, 'El curso del ciclo está anulado');
+        const sigue = await api.pool.query('SELECT idestado FROM cegae_cursosdisponiblesciclo WHERE idciclo = $1',
+            [ciclo.idciclo]);
+        assert.equal(sigue.rows[0].idestado, ids.ANULADO);
+    } finally {
+        await api.pool.query('UPDATE cegae_cursosdisponibles SET idestado = $1 WHERE idcurso = $2',
+            [ids.ACTIVO, curso.idcurso]);
+    }
+});
+
+test('anular un ciclo con PUT o PATCH equivale a eliminarlo', async () => {
+    const webhook = await api.peticion('POST', '/api/webhooks', {
+        token,
+        body: { url: 'https://ejemplo.com/webhook', eventos: ['ciclo.deleted'] }
+    });
+    assert.equal(webhook.status, 201);
+    const porPatch = await crearCiclo({ nombreciclo: 'Anulado con PATCH' });
+    const porPut = await crearCiclo({ nombreciclo: 'Anulado con PUT' });
+
+    const parcial = await api.peticion('PATCH', `/api/ciclos/${porPatch.idciclo}`, {
+        token,
+        body: { idestado: ids.ANULADO, fechaedicion: porPatch.fechaedicion }
+    });
+    assert.equal(parcial.status, 200);
+    assert.ok(parcial.body.ciclo.fechaanulacion);
+
+    const reemplazo = await api.peticion('PUT', `/api/ciclos/${porPut.idciclo}`, {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Anulado con PUT', idestado: ids.ANULADO }
+    });
+    assert.equal(reemplazo.status, 200);
+    assert.ok(reemplazo.body.ciclo.fechaanulacion);
+
+    const entregas = await api.pool.query(
+        `SELECT evento, payload->'datos'->>'idciclo' AS idciclo FROM cegae_webhook_entregas
+         WHERE idwebhook = $1 ORDER BY identrega`,
+        [webhook.body.webhook.idwebhook]
+    );
+    assert.deepEqual(entregas.rows, [
+        { evento: 'ciclo.deleted', idciclo: String(porPatch.idciclo) },
+        { evento: 'ciclo.deleted', idciclo: String(porPut.idciclo) }
+    ]);
+
+    const auditoria = await api.pool.query(
+        "SELECT accion FROM cegae_auditoria WHERE entidad = 'ciclo' AND identidad = $1",
+        [porPatch.idciclo]
+    );
+    assert.deepEqual(auditoria.rows.map(fila => fila.accion), ['crear', 'eliminar']);
+});
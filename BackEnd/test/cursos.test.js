@@ -0,0 +1,260 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE CURSOS
+// ========================================
+
+let api;
+let token;
+let ids;
+
+const crearCurso = async (datos = {}) => {
+    const { status, body } = await api.peticion('POST', '/api/cursos', {
+        token,
+        body: { nombre_curso: 'Curso de prueba', ...datos }
+    });
+    assert.equal(status, 201);
+    return body.curso;
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const { body } = await api.peticion('GET', '/api/estados', { token });
+    ids = Object.fromEntries(body.map(estado => [estado.codigo, estado.idestado]));
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('POST crea el curso como activo y GET /:id lo devuelve con su estado', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Excel básico', dirigido: 'Público general' });
+    assert.equal(curso.nombre_curso, 'Excel básico');
+    assert.equal(curso.idestado, ids.ACTIVO);
+
+    const { status, headers, body } = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.estado_nombre, 'Activo');
+    assert.ok(headers.get('etag'));
+});
+
+test('POST valida el cuerpo', async () => {
+    const sinNombre = await api.peticion('POST', '/api/cursos', { token, body: { descripcion: 'x' } });
+    assert.equal(sinNombre.status, 400);
+    assert.equal(sinNombre.body.error, 'Datos inválidos');
+    assert.ok(sinNombre.body.errors.some(error => error.field === 'nombre_curso'));
+
+    const estadoInexistente = await api.peticion('POST', '/api/cursos', {
+        token,
+        body: { nombre_curso: 'Curso', idestado: 999 }
+    });
+    assert.equal(estadoInexistente.status, 400);
+});
+
+test('GET /:id de un curso inexistente responde 404', async () => {
+    const { status } = await api.peticion('GET', '/api/cursos/99999', { token });
+    assert.equal(status, 404);
+});
+
+test('PUT reemplaza el curso y conserva el estado si no se envía', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Word', descripcion: 'Inicial' });
+
+    const { status, body } = await api.peticion('PUT', `/api/cursos/${curso.idcurso}`, {
+        token,
+        body: { nombre_curso: 'Word intermedio', frecuencia: 'Semanal' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.curso.nombre_curso, 'Word intermedio');
+    assert.equal(body.curso.descripcion, null);
+    assert.equal(body.curso.idestado, ids.ACTIVO);
+
+    const inexistente = await api.peticion('PUT', '/api/cursos/99999', { token, body: { nombre_curso: 'X' } });
+    assert.equal(inexistente.status, 404);
+});
+
+test('PATCH cambia solo los campos enviados y respeta If-Match', async () => {
+    const curso = await crearCurso({ nombre_curso: 'PowerPoint', descripcion: 'Presentaciones' });
+
+    const { status, body } = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        body: { idestado: ids.INACTIVO, fechaedicion: curso.fechaedicion }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.curso.idestado, ids.INACTIVO);
+    assert.equal(body.curso.descripcion, 'Presentaciones');
+
+    const desactualizado = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        headers: { 'If-Match': '"version-anterior"' },
+        body: { descripcion: 'Otra' }
+    });
+    assert.equal(desactualizado.status, 409);
+
+    const vacio = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, { token, body: {} });
+    assert.equal(vacio.status, 400);
+});
+
+test('PATCH sin versión responde 428 y con una versión vieja 409 con el registro actual', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Access' });
+
+    const sinVersion = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        body: { descripcion: 'Bases de datos' }
+    });
+    assert.equal(sinVersion.status, 428);
+
+    const actual = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    const etag = actual.headers.get('etag');
+    const editado = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        headers: { 'If-Match': etag },
+        body: { descripcion: 'Bases de datos' }
+    });
+    assert.equal(editado.status, 200);
+
+    const conflicto = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        headers: { 'If-Match': etag },
+        body: { descripcion: 'Otra' }
+    });
+    assert.equal(conflicto.status, 409);
+    assert.equal(conflicto.body.curso.descripcion, 'Bases de datos');
+});
+
+test('anular un curso cambia su versión', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Outlook' });
+    const antes = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    // La anulación puede caer en el mismo milisegundo que la creación
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const eliminado = await api.peticion('DELETE', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(eliminado.status, 200);
+
+    const despues = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        headers: { 'If-Match': antes.headers.get('etag') },
+        body: { descripcion: 'Tarde' }
+    });
+    assert.equal(despues.status, 409);
+});
+
+test('GET / filtra por búsqueda y por estado', async () => {
+    const python = await crearCurso({ nombre_curso: 'Python para datos' });
+    const inactivo = await crearCurso({ nombre_curso: 'Redes', descripcion: 'Python y redes', idestado: ids.INACTIVO });
+
+    const busqueda = await api.peticion('GET', '/api/cursos?search=python', { token });
+    assert.equal(busqueda.status, 200);
+    assert.deepEqual(busqueda.body.map(curso => curso.idcurso).sort(), [python.idcurso, inactivo.idcurso].sort());
+
+    const porEstado = await api.peticion('GET', `/api/cursos?search=python&estado=${ids.INACTIVO}`, { token });
+    assert.equal(porEstado.status, 200);
+    assert.deepEqual(porEstado.body.map(curso => curso.idcurso), [inactivo.idcurso]);
+
+    const paginado = await api.peticion('GET', '/api/cursos?search=python&page=1&pageSize=1', { token });
+    assert.equal(paginado.body.total, 2);
+    assert.equal(paginado.body.data.length, 1);
+});
+
+test('DELETE anula el curso (soft delete) sin borrarlo', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Access' });
+
+    const { status } = await api.peticion('DELETE', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(status, 200);
+
+    const { body } = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(body.idestado, ids.ANULADO);
+    assert.ok(body.fechaanulacion);
+
+    const inexistente = await api.peticion('DELETE', '/api/cursos/99999', { token });
+    assert.equal(inexistente.status, 404);
+});
+
+test('DELETE rechaza un curso con ciclos asociados', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Contabilidad' });
+    const ciclo = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo 1' }
+    });
+    assert.equal(ciclo.status, 201);
+
+    const { status, body } = await api.peticion('DELETE', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(status, 400);
+    assert.match(body.error, /ciclos asociados/);
+
+    const actual = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(actual.body.idestado, ids.ACTIVO);
+});
+
+test('un curso solo se anula con DELETE', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Photoshop' });
+    await api.peticion('POST', '/api/ciclos', { token, body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo 1' } });
+    const mensaje = 'Un curso se anula con DELETE /api/cursos/:id';
+
+    const parcial = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        body: { idestado: ids.ANULADO, fechaedicion: curso.fechaedicion }
+    });
+    assert.equal(parcial.status, 400);
+    assert.deepEqual(parcial.body.errors, [{ field: 'idestado', message: mensaje }]);
+
+    const reemplazo = await api.peticion('PUT', `/api/cursos/${curso.idcurso}`, {
+        token,
+        body: { nombre_curso: 'Photoshop', idestado: ids.ANULADO }
+    });
+    assert.equal(reemplazo.status, 400);
+
+    const nuevo = await api.peticion('POST', '/api/cursos', {
+        token,
+        body: { nombre_curso: 'Illustrator', idestado: ids.ANULADO }
+    });
+    assert.equal(nuevo.status, 400);
+
+    const importado = await api.peticion('POST', '/api/cursos/import', {
+        token,
+        headers: { 'Content-Type': 'text/csv' },
+        body: `idcurso,nombre_curso,estado\n${curso.idcurso},Photoshop,Anulado\n`
+    });
+    assert.equal(importado.status, 400);
+    assert.deepEqual(importado.body.filas[0].errors, [{ field: 'idestado', message: mensaje }]);
+
+    const actual = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    assert.equal(actual.body.idestado, ids.ACTIVO);
+});
+
+test('reactivar un curso anulado borra su fecha de anulación', async () => {
+    const curso = await crearCurso({ nombre_curso: 'Corel' });
+    await api.peticion('DELETE', `/api/cursos/${curso.idcurso}`, { token });
+    const anulado = await api.peticion('GET', `/api/cursos/${curso.idcurso}`, { token });
+    assert.ok(anulado.body.fechaanulacion);
+
+    const { status, body } = await api.peticion('PATCH', `/api/cursos/${curso.idcurso}`, {
+        token,
+        body: { idestado: ids.ACTIVO, fechaedicion: anulado.body.fechaedicion }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.curso.idestado, ids.ACTIVO);
+    assert.equal(body.curso.fechaanulacion, null);
+});
+
+test('un usuario de solo lectura no puede modificar cursos', async () => {
+    const usuario = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'lector', password: 'lector-pruebas-123', nombre: 'Lector', rol: 'viewer' }
+    });
+    assert.equal(usuario.status, 201);
+    const tokenLector = await api.login('lector', 'lector-pruebas-123');
+
+    const lista = await api.peticion('GET', '/api/cursos', { token: tokenLector });
+    assert.equal(lista.status, 200);
+
+    const { status, body } = await api.peticion('POST', '/api/cursos', {
+        token: tokenLector,
+        body: { nombre_curso: 'No permitido' }
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+});
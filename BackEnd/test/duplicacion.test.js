@@ -0,0 +1,175 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE COPIA DE CICLOS (duplicate y roll-forward)
+// ========================================
+
+let api;
+let token;
+let ids;
+let toDateString;
+
+const crearCurso = async (nombre_curso) => {
+    const { status, body } = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso } });
+    assert.equal(status, 201);
+    return body.curso;
+};
+
+const crearCiclo = async (datos) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', { token, body: datos });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+const ciclosDe = async (idcurso) => {
+    const { rows } = await api.pool.query(
+        `SELECT nombreciclo, fecha_inicio_clase, precio_regular
+         FROM cegae_cursosdisponiblesciclo WHERE idcurso = $1 ORDER BY idciclo`,
+        [idcurso]
+    );
+    return rows.map(fila => ({
+        nombreciclo: fila.nombreciclo,
+        inicio: toDateString(fila.fecha_inicio_clase),
+        precio_regular: fila.precio_regular === null ? null : Number(fila.precio_regular)
+    }));
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+    // Después de iniciarApp, que reemplaza el Pool de pg que carga db.js
+    ({ toDateString } = require('../schemas/ciclos'));
+
+    const estados = await api.peticion('GET', '/api/estados', { token });
+    ids = Object.fromEntries(estados.body.map(estado => [estado.codigo, estado.idestado]));
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('duplicar copia el ciclo con sus horarios, fechas desplazadas y el periodo siguiente', async () => {
+    const curso = await crearCurso('Excel');
+    const original = await crearCiclo({
+        idcurso: curso.idcurso,
+        nombreciclo: 'Ciclo 2026-I',
+        precio_regular: 500,
+        fecha_inicio_clase: '2026-03-02',
+        fecha_fin_clase: '2026-06-30',
+        vacantes: 20
+    });
+    const horario = await api.peticion('POST', '/api/horarios', {
+        token,
+        body: { idciclo: original.idciclo, dia_semana: 1, hora_inicio: '18:00', hora_fin: '20:00', aula: 'A1' }
+    });
+    assert.equal(horario.status, 201);
+
+    const ruta = `/api/ciclos/${original.idciclo}/duplicate`;
+    const vistaPrevia = await api.peticion('POST', `${ruta}?dry_run=true`, {
+        token,
+        body: { desplazar_meses: 6, ajuste_precio: 10 }
+    });
+    assert.equal(vistaPrevia.status, 200);
+    assert.equal(vistaPrevia.body.ciclo.nombreciclo, 'Ciclo 2026-II');
+    assert.equal((await ciclosDe(curso.idcurso)).length, 1, 'la vista previa no guarda nada');
+
+    const { status, body } = await api.peticion('POST', ruta, { token, body: { desplazar_meses: 6, ajuste_precio: 10 } });
+    assert.equal(status, 201);
+    assert.equal(body.horarios, 1);
+    assert.equal(body.ciclo.vacantes, 20);
+    assert.deepEqual((await ciclosDe(curso.idcurso)).at(-1), {
+        nombreciclo: 'Ciclo 2026-II',
+        inicio: '2026-09-02',
+        precio_regular: 550
+    });
+
+    const horarios = await api.pool.query('SELECT aula, hora_inicio FROM cegae_horarios WHERE idciclo = $1',
+        [body.ciclo.idciclo]);
+    assert.equal(horarios.rows.length, 1);
+    assert.equal(horarios.rows[0].aula, 'A1');
+
+    const auditoria = await api.pool.query(
+        "SELECT datos_nuevos FROM cegae_auditoria WHERE entidad = 'ciclo' AND identidad = $1 AND accion = 'crear'",
+        [body.ciclo.idciclo]
+    );
+    assert.equal(auditoria.rows[0].datos_nuevos.idciclo_origen, original.idciclo);
+});
+
+test('duplicar valida el desplazamiento, el precio resultante y el ciclo', async () => {
+    const curso = await crearCurso('Word');
+    const original = await crearCiclo({ idcurso: curso.idcurso, nombreciclo: 'Grupo 1', precio_regular: 99999999 });
+
+    const ambos = await api.peticion('POST', `/api/ciclos/${original.idciclo}/duplicate`, {
+        token,
+        body: { desplazar_dias: 7, desplazar_meses: 1 }
+    });
+    assert.equal(ambos.status, 400);
+
+    const caro = await api.peticion('POST', `/api/ciclos/${original.idciclo}/duplicate`, {
+        token,
+        body: { ajuste_precio: 50 }
+    });
+    assert.equal(caro.status, 400);
+    assert.deepEqual(caro.body.errors.map(error => error.field), ['precio_regular']);
+
+    const inexistente = await api.peticion('POST', '/api/ciclos/99999/duplicate', { token, body: {} });
+    assert.equal(inexistente.status, 404);
+
+    assert.deepEqual((await ciclosDe(curso.idcurso)).map(ciclo => ciclo.nombreciclo), ['Grupo 1']);
+});
+
+test('roll-forward copia los ciclos activos de los cursos y no repite los ya copiados', async () => {
+    const access = await crearCurso('Access');
+    const vacio = await crearCurso('Sin ciclos');
+    await crearCiclo({ idcurso: access.idcurso, nombreciclo: 'Access 2026-II', fecha_inicio_clase: '2026-08-03',
+        fecha_fin_clase: '2026-11-30', precio_regular: 300 });
+    await crearCiclo({ idcurso: access.idcurso, nombreciclo: 'Access inactivo', idestado: ids.INACTIVO });
+
+    const cuerpo = { idcursos: [access.idcurso, vacio.idcurso], desplazar_meses: 6 };
+    const vistaPrevia = await api.peticion('POST', '/api/ciclos/roll-forward?dry_run=true', { token, body: cuerpo });
+    assert.equal(vistaPrevia.status, 200);
+    assert.deepEqual(vistaPrevia.body.resumen, { crear: 1, omitir: 0, error: 0 });
+    assert.deepEqual(vistaPrevia.body.cursos_sin_ciclos, [vacio.idcurso]);
+    assert.equal((await ciclosDe(access.idcurso)).length, 2);
+
+    const { status, body } = await api.peticion('POST', '/api/ciclos/roll-forward', { token, body: cuerpo });
+    assert.equal(status, 201);
+    assert.deepEqual(body.resumen, { crear: 1, omitir: 0, error: 0 });
+    assert.deepEqual((await ciclosDe(access.idcurso)).at(-1), {
+        nombreciclo: 'Access 2027-I',
+        inicio: '2027-02-03',
+        precio_regular: 300
+    });
+
+    // Repetir la operación sobre el mismo periodo no duplica la copia
+    const repetido = await api.peticion('POST', '/api/ciclos/roll-forward', {
+        token,
+        body: { ...cuerpo, fecha_inicio_hasta: '2026-12-31' }
+    });
+    assert.equal(repetido.status, 200);
+    assert.deepEqual(repetido.body.resumen, { crear: 0, omitir: 1, error: 0 });
+    assert.equal((await ciclosDe(access.idcurso)).length, 3);
+});
+
+test('roll-forward no crea ningún ciclo si alguna copia tiene errores', async () => {
+    const curso = await crearCurso('PowerPoint');
+    await crearCiclo({ idcurso: curso.idcurso, nombreciclo: 'Grupo A', precio_regular: 100 });
+    await crearCiclo({ idcurso: curso.idcurso, nombreciclo: 'Grupo B', precio_regular: 99999999 });
+
+    const { status, body } = await api.peticion('POST', '/api/ciclos/roll-forward', {
+        token,
+        body: { idcursos: [curso.idcurso], desplazar_dias: 7, ajuste_precio: 5 }
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.resumen, { crear: 1, omitir: 0, error: 1 });
+    assert.equal((await ciclosDe(curso.idcurso)).length, 2);
+
+    const sinDesplazamiento = await api.peticion('POST', '/api/ciclos/roll-forward', {
+        token,
+        body: { idcursos: [curso.idcurso] }
+    });
+    assert.equal(sinDesplazamiento.status, 400);
+    assert.deepEqual(sinDesplazamiento.body.errors.map(error => error.field), ['desplazar_meses']);
+});
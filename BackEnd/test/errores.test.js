@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE ERRORES Y HEALTH CHECKS
+// ========================================
+
+let api;
+let token;
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('los health checks responden ok con la base de datos migrada', async () => {
+    const live = await api.peticion('GET', '/health/live');
+    assert.equal(live.status, 200);
+
+    const ready = await api.peticion('GET', '/health/ready');
+    assert.equal(ready.status, 200);
+    assert.deepEqual(ready.body, { status: 'ok', checks: { database: 'ok', migrations: 'ok' } });
+});
+
+test('un health check fallido no expone el motivo', async () => {
+    // Quitar el registro de la última migración la deja como pendiente
+    const { rows: [ultima] } = await api.pool.query(
+        'SELECT version, nombre FROM schema_migrations ORDER BY version DESC LIMIT 1'
+    );
+    await api.pool.query('DELETE FROM schema_migrations WHERE version = $1', [ultima.version]);
+
+    try {
+        const { status, body } = await api.peticion('GET', '/health');
+        assert.equal(status, 503);
+        assert.deepEqual(body, { status: 'error', checks: { database: 'ok', migrations: 'error' } });
+    } finally {
+        await api.pool.query(
+            'INSERT INTO schema_migrations (version, nombre) VALUES ($1, $2)',
+            [ultima.version, ultima.nombre]
+        );
+    }
+});
+
+test('una ruta de /api inexistente responde 404 con requestId', async () => {
+    const { status, headers, body } = await api.peticion('GET', '/api/no-existe', { token });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.equal(body.requestId, headers.get('x-request-id'));
+});
+
+test('se reutiliza el X-Request-Id recibido', async () => {
+    const { headers } = await api.peticion('GET', '/health/live', { headers: { 'X-Request-Id': 'prueba-123' } });
+    assert.equal(headers.get('x-request-id'), 'prueba-123');
+});
+
+test('un JSON inválido responde 400 INVALID_JSON', async () => {
+    const { status, body } = await api.peticion('POST', '/api/cursos', { token, body: '{"nombre_curso":' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_JSON');
+});
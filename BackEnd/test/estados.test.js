@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE ESTADOS
+// ========================================
+
+let api;
+let token;
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('GET / devuelve los estados del sistema con sus transiciones', async () => {
+    const { status, body } = await api.peticion('GET', '/api/estados', { token });
+    assert.equal(status, 200);
+
+    const codigos = body.map(estado => estado.codigo);
+    ['ACTIVO', 'INACTIVO', 'ANULADO', 'PENDIENTE', 'FINALIZADO'].forEach(codigo => {
+        assert.ok(codigos.includes(codigo), `falta ${codigo}`);
+    });
+
+    const anulado = body.find(estado => estado.codigo === 'ANULADO');
+    assert.equal(anulado.sistema, true);
+    assert.deepEqual(anulado.transiciones.ciclo, []);
+
+    const uno = await api.peticion('GET', `/api/estados/${anulado.idestado}`, { token });
+    assert.equal(uno.status, 200);
+    assert.equal(uno.body.codigo, 'ANULADO');
+
+    const inexistente = await api.peticion('GET', '/api/estados/99999', { token });
+    assert.equal(inexistente.status, 404);
+});
+
+test('POST, PUT y DELETE administran un estado propio', async () => {
+    const creado = await api.peticion('POST', '/api/estados', {
+        token,
+        body: { codigo: 'EN_REVISION', nombre: 'En revisión', aplica_cursos: false }
+    });
+    assert.equal(creado.status, 201);
+    const { idestado } = creado.body.estado;
+    assert.equal(creado.body.estado.aplica_cursos, false);
+
+    const duplicado = await api.peticion('POST', '/api/estados', {
+        token,
+        body: { codigo: 'OTRO', nombre: 'en revisión' }
+    });
+    assert.equal(duplicado.status, 409);
+
+    const actualizado = await api.peticion('PUT', `/api/estados/${idestado}`, {
+        token,
+        body: { codigo: 'EN_REVISION', nombre: 'Revisión', descripcion: 'Pendiente de revisar' }
+    });
+    assert.equal(actualizado.status, 200);
+    assert.equal(actualizado.body.estado.nombre, 'Revisión');
+    assert.equal(actualizado.body.estado.aplica_cursos, true);
+
+    const eliminado = await api.peticion('DELETE', `/api/estados/${idestado}`, { token });
+    assert.equal(eliminado.status, 200);
+
+    const despues = await api.peticion('GET', `/api/estados/${idestado}`, { token });
+    assert.equal(despues.status, 404);
+});
+
+test('POST valida el código y que el estado aplique a algo', async () => {
+    const { status, body } = await api.peticion('POST', '/api/estados', {
+        token,
+        body: { codigo: 'en revision', nombre: 'Nada', aplica_cursos: false, aplica_ciclos: false }
+    });
+    assert.equal(status, 400);
+    const campos = body.errors.map(error => error.field);
+    assert.ok(campos.includes('codigo'));
+    assert.ok(campos.includes('aplica_ciclos'));
+});
+
+test('los estados del sistema no se eliminan ni cambian de código', async () => {
+    const { body } = await api.peticion('GET', '/api/estados', { token });
+    const activo = body.find(estado => estado.codigo === 'ACTIVO');
+
+    const eliminado = await api.peticion('DELETE', `/api/estados/${activo.idestado}`, { token });
+    assert.equal(eliminado.status, 409);
+
+    const renombrado = await api.peticion('PUT', `/api/estados/${activo.idestado}`, {
+        token,
+        body: { codigo: 'VIGENTE', nombre: 'Activo' }
+    });
+    assert.equal(renombrado.status, 400);
+});
+
+test('un estado en uso no se puede eliminar', async () => {
+    const creado = await api.peticion('POST', '/api/estados', {
+        token,
+        body: { codigo: 'EN_DISENO', nombre: 'En diseño' }
+    });
+    const { idestado } = creado.body.estado;
+
+    const curso = await api.peticion('POST', '/api/cursos', {
+        token,
+        body: { nombre_curso: 'Curso en diseño', idestado }
+    });
+    assert.equal(curso.status, 201);
+
+    const { status, body } = await api.peticion('DELETE', `/api/estados/${idestado}`, { token });
+    assert.equal(status, 409);
+    assert.equal(body.usos.cursos, 1);
+});
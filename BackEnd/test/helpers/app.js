@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { newDb, DataType } = require('pg-mem');
+
+// ========================================
+// APLICACIÓN PARA PRUEBAS
+// ========================================
+//
+// Monta app.js sobre una base de datos en memoria (pg-mem) con todas las
+// migraciones aplicadas y el administrador inicial, y la pone a escuchar en un
+// puerto libre. No necesita Postgres ni red: cada archivo de prueba corre en su
+// propio proceso y por lo tanto con su propia base de datos vacía.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.JWT_SECRET = 'secreto-de-pruebas-con-al-menos-32-caracteres';
+process.env.ADMIN_USER = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-pruebas-123';
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+// Reemplazar el Pool de pg antes de que db.js lo cargue
+function usarBaseEnMemoria() {
+    const db = newDb();
+
+    // migrate.js serializa las migraciones con un advisory lock; en un solo
+    // proceso no hace falta
+    db.public.registerFunction({
+        name: 'pg_advisory_lock',
+        args: [DataType.integer],
+        returns: DataType.text,
+        implementation: () => '',
+        impure: true
+    });
+    db.public.registerFunction({
+        name: 'pg_advisory_unlock',
+        args: [DataType.integer],
+        returns: DataType.bool,
+        implementation: () => true,
+        impure: true
+    });
+
+    // pg-mem no implementa la búsqueda de texto completo (unaccent, tsvector):
+    // la migración 012 se da por aplicada sin ejecutarla y /api/buscar solo
+    // se prueba hasta la validación
+    db.public.interceptQueries((sql) => (sql.includes('TEXT SEARCH CONFIGURATION') ? [] : null));
+
+    // pg-mem tampoco reconoce SKIP LOCKED, con el que las bandejas de salida
+    // reservan sus lotes; en un solo proceso no hay filas bloqueadas que saltar
+    const { Pool: PoolEnMemoria } = db.adapters.createPg();
+    class Pool extends PoolEnMemoria {
+        query(sql, ...resto) {
+            return super.query(typeof sql === 'string' ? sql.replace(/\s+SKIP LOCKED/g, '') : sql, ...resto);
+        }
+    }
+    const pgPath = require.resolve('pg');
+    require.cache[pgPath] = { id: pgPath, filename: pgPath, loaded: true, exports: { Pool } };
+}
+
+// pg-mem no sabe combinar un índice con un JOIN cuando el WHERE también
+// filtra por otra condición ("lookups on joins"); sin los índices no únicos
+// hace un recorrido completo, que con los pocos datos de las pruebas da igual
+async function quitarIndices(pool) {
+    const sql = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(archivo => archivo.endsWith('.up.sql'))
+        .map(archivo => fs.readFileSync(path.join(MIGRATIONS_DIR, archivo), 'utf8'))
+        .join('\n');
+
+    for (const [, indice] of sql.matchAll(/CREATE INDEX IF NOT EXISTS (\w+)/g)) {
+        await pool.query(`DROP INDEX IF EXISTS ${indice}`);
+    }
+}
+
+// Levantar la aplicación; devuelve { peticion, login, cerrar }
+async function iniciarApp() {
+    usarBaseEnMemoria();
+
+    const { pool } = require('../../db');
+    const { migrateUp } = require('../../migrate');
+    const { ensureAdminUser } = require('../../routes/usuarios');
+
+    await migrateUp(() => {});
+    await quitarIndices(pool);
+    await ensureAdminUser();
+
+    const app = require('../../app');
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Petición JSON (un `body` string se envía tal cual); devuelve { status, headers, body }
+    const peticion = async (method, ruta, { body, token, headers = {} } = {}) => {
+        const response = await fetch(base + ruta, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const texto = await response.text();
+        let json = null;
+        try {
+            json = texto ? JSON.parse(texto) : null;
+        } catch {
+            json = texto;
+        }
+        return { status: response.status, headers: response.headers, body: json };
+    };
+
+    // Token del administrador inicial (o del usuario indicado)
+    const login = async (username = process.env.ADMIN_USER, password = process.env.ADMIN_PASSWORD) => {
+        const { status, body } = await peticion('POST', '/api/auth/login', { body: { username, password } });
+        if (status !== 200) {
+            throw new Error(`Login de ${username} falló con status ${status}`);
+        }
+        return body.token;
+    };
+
+    const cerrar = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return { pool, peticion, login, cerrar };
+}
+
+module.exports = {
+    iniciarApp
+};
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE HORARIOS
+// ========================================
+
+let api;
+let token;
+let curso;
+
+const crearCiclo = async (fecha_inicio_clase, fecha_fin_clase) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo de prueba', fecha_inicio_clase, fecha_fin_clase }
+    });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+const crearHorario = (idciclo, datos) => api.peticion('POST', '/api/horarios', {
+    token,
+    body: { idciclo, dia_semana: 1, hora_inicio: '18:00', hora_fin: '20:00', ...datos }
+});
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    curso = creado.body.curso;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('un horario que cruza el aula o el instructor de otro ciclo se rechaza', async () => {
+    const primero = await crearCiclo('2026-03-01', '2026-06-30');
+    const segundo = await crearCiclo('2026-05-01', '2026-08-31');
+    const original = await crearHorario(primero.idciclo, { aula: 'A-101', instructor: 'Ana Torres' });
+    assert.equal(original.status, 201);
+
+    const mismaAula = await crearHorario(segundo.idciclo, { hora_inicio: '19:00', hora_fin: '21:00', aula: 'a-101' });
+    assert.equal(mismaAula.status, 409);
+    assert.deepEqual(
+        mismaAula.body.conflictos.map(conflicto => conflicto.idhorario),
+        [original.body.horario.idhorario]
+    );
+
+    const mismoInstructor = await crearHorario(segundo.idciclo, { aula: 'B-202', instructor: 'Ana Torres' });
+    assert.equal(mismoInstructor.status, 409);
+
+    // Empezar cuando termina la otra clase, otro día u otra aula no es un cruce
+    const siguiente = await crearHorario(segundo.idciclo, { hora_inicio: '20:00', hora_fin: '22:00', aula: 'A-101' });
+    assert.equal(siguiente.status, 201);
+    const otroDia = await crearHorario(segundo.idciclo, { dia_semana: 2, aula: 'A-101' });
+    assert.equal(otroDia.status, 201);
+    const otraAula = await crearHorario(segundo.idciclo, { aula: 'C-303' });
+    assert.equal(otraAula.status, 201);
+});
+
+test('no hay cruce entre ciclos cuyas fechas de clase no se superponen', async () => {
+    const verano = await crearCiclo('2027-01-05', '2027-02-28');
+    const otono = await crearCiclo('2027-03-01', '2027-06-30');
+    assert.equal((await crearHorario(verano.idciclo, { dia_semana: 3, aula: 'D-404' })).status, 201);
+    assert.equal((await crearHorario(otono.idciclo, { dia_semana: 3, aula: 'D-404' })).status, 201);
+});
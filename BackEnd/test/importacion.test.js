@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE IMPORTACIÓN
+// ========================================
+
+let api;
+let token;
+let curso;
+
+const importar = (listado, csv, { dryRun = false } = {}) => api.peticion(
+    'POST',
+    `/api/${listado}/import${dryRun ? '?dry_run=true' : ''}`,
+    { token, headers: { 'Content-Type': 'text/csv' }, body: csv }
+);
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    curso = creado.body.curso;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('importar un cambio de precio de un ciclo avisa a sus alumnos', async () => {
+    const ciclo = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: '2026-I', precio_regular: 100 }
+    });
+    const { idciclo } = ciclo.body.ciclo;
+    const alumno = await api.peticion('POST', '/api/alumnos', {
+        token,
+        body: { documento: '40000001', nombres: 'Ana', apellidos: 'Pérez', email: 'ana@example.com' }
+    });
+    const matricula = await api.peticion('POST', '/api/matriculas', {
+        token,
+        body: { idciclo, idalumno: alumno.body.alumno.idalumno }
+    });
+    assert.equal(matricula.status, 201);
+
+    const { status } = await importar('ciclos', `idciclo,curso,nombreciclo,precio_regular\n${idciclo},Excel,2026-I,150\n`);
+    assert.equal(status, 200);
+
+    const avisos = await api.pool.query(
+        'SELECT tipo, destinatario FROM cegae_notificaciones WHERE idciclo = $1',
+        [idciclo]
+    );
+    assert.deepEqual(avisos.rows, [{ tipo: 'ciclo_modificado', destinatario: 'ana@example.com' }]);
+});
+
+test('importar un ciclo como anulado emite ciclo.deleted', async () => {
+    const webhook = await api.peticion('POST', '/api/webhooks', {
+        token,
+        body: { url: 'https://ejemplo.com/webhook', eventos: ['ciclo.*'] }
+    });
+    assert.equal(webhook.status, 201);
+    const ciclo = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: '2026-II' }
+    });
+    const { idciclo } = ciclo.body.ciclo;
+
+    const { status } = await importar('ciclos', `idciclo,curso,nombreciclo,estado\n${idciclo},Excel,2026-II,Anulado\n`);
+    assert.equal(status, 200);
+
+    const entregas = await api.pool.query(
+        "SELECT evento FROM cegae_webhook_entregas WHERE payload->'datos'->>'idciclo' = $1 ORDER BY identrega",
+        [String(idciclo)]
+    );
+    assert.deepEqual(entregas.rows.map(entrega => entrega.evento), ['ciclo.created', 'ciclo.deleted']);
+});
+
+test('la vista previa coincide con lo que se aplica', async () => {
+    const word = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Word' } });
+    const access = await api.peticion('POST', '/api/cursos', {
+        token,
+        body: { nombre_curso: 'Access', descripcion: 'Bases de datos' }
+    });
+    const csv = 'idcurso,nombre_curso,descripcion\n'
+        + `${word.body.curso.idcurso},Word,Procesador de textos\n`
+        + `${access.body.curso.idcurso},Access,Bases de datos\n`
+        + ',PowerPoint,Presentaciones\n';
+
+    const previa = await importar('cursos', csv, { dryRun: true });
+    assert.equal(previa.status, 200);
+    assert.deepEqual(previa.body.resumen, { crear: 1, actualizar: 1, sin_cambios: 1, error: 0 });
+    assert.deepEqual(previa.body.filas.map(fila => fila.accion), ['actualizar', 'sin_cambios', 'crear']);
+    assert.deepEqual(previa.body.filas[0].cambios, ['descripcion']);
+
+    // La vista previa no guarda nada
+    const antes = await api.pool.query(
+        "SELECT COUNT(*) FROM cegae_cursosdisponibles WHERE nombre_curso = 'PowerPoint'"
+    );
+    assert.equal(Number(antes.rows[0].count), 0);
+
+    const { status, body } = await importar('cursos', csv);
+    assert.equal(status, 200);
+    assert.deepEqual(body.resumen, previa.body.resumen);
+    // Al aplicar, la fila creada recibe el id del curso nuevo
+    const { idcurso: nuevo, ...creada } = body.filas[2];
+    assert.deepEqual([...body.filas.slice(0, 2), creada], previa.body.filas);
+
+    const guardados = await api.pool.query(
+        `SELECT idcurso, nombre_curso, descripcion FROM cegae_cursosdisponibles
+         WHERE nombre_curso IN ('Word', 'Access', 'PowerPoint') ORDER BY nombre_curso`
+    );
+    assert.deepEqual(guardados.rows, [
+        { idcurso: access.body.curso.idcurso, nombre_curso: 'Access', descripcion: 'Bases de datos' },
+        { idcurso: nuevo, nombre_curso: 'PowerPoint', descripcion: 'Presentaciones' },
+        { idcurso: word.body.curso.idcurso, nombre_curso: 'Word', descripcion: 'Procesador de textos' }
+    ]);
+
+    // Una vez aplicado, el mismo archivo ya no tiene cambios pendientes
+    const repetida = await importar('cursos', csv, { dryRun: true });
+    assert.deepEqual(repetida.body.resumen, { crear: 0, actualizar: 0, sin_cambios: 3, error: 0 });
+});
+
+test('importar vacantes respeta a los inscritos y promueve la lista de espera', async () => {
+    const ciclo = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: '2026-III', vacantes: 2, permite_lista_espera: true }
+    });
+    const { idciclo } = ciclo.body.ciclo;
+    const estados = [];
+    for (const documento of ['40000011', '40000012', '40000013']) {
+        const alumno = await api.peticion('POST', '/api/alumnos', {
+            token,
+            body: { documento, nombres: 'Alumno', apellidos: documento }
+        });
+        const matricula = await api.peticion('POST', '/api/matriculas', {
+            token,
+            body: { idciclo, idalumno: alumno.body.alumno.idalumno }
+        });
+        estados.push(matricula.body.matricula.estado);
+    }
+    assert.deepEqual(estados, ['inscrito', 'inscrito', 'lista_espera']);
+
+    const menos = await importar('ciclos', `idciclo,curso,nombreciclo,vacantes\n${idciclo},Excel,2026-III,1\n`);
+    assert.equal(menos.status, 400);
+    assert.equal(menos.body.filas[0].errors[0].field, 'vacantes');
+
+    const mas = await importar('ciclos', `idciclo,curso,nombreciclo,vacantes\n${idciclo},Excel,2026-III,3\n`);
+    assert.equal(mas.status, 200);
+
+    const matriculas = await api.pool.query(
+        'SELECT estado FROM cegae_matriculas WHERE idciclo = $1 ORDER BY idmatricula',
+        [idciclo]
+    );
+    assert.deepEqual(matriculas.rows.map(fila => fila.estado), ['inscrito', 'inscrito', 'inscrito']);
+});
+
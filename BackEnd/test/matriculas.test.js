@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE MATRÍCULAS
+// ========================================
+
+let api;
+let token;
+let curso;
+let documentos = 0;
+
+const crearCiclo = async (datos = {}) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo de prueba', precio_regular: 200, ...datos }
+    });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+const matricular = async (idciclo) => {
+    documentos += 1;
+    const alumno = await api.peticion('POST', '/api/alumnos', {
+        token,
+        body: { documento: String(10000000 + documentos), nombres: `Alumno ${documentos}`, apellidos: 'Prueba' }
+    });
+    return api.peticion('POST', '/api/matriculas', {
+        token,
+        body: { idciclo, idalumno: alumno.body.alumno.idalumno }
+    });
+};
+
+const estadoMatricula = async (idmatricula) => {
+    const result = await api.pool.query('SELECT estado FROM cegae_matriculas WHERE idmatricula = $1', [idmatricula]);
+    return result.rows[0].estado;
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    curso = creado.body.curso;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('un ciclo lleno deja al alumno en lista de espera o lo rechaza si no la admite', async () => {
+    const conEspera = await crearCiclo({ vacantes: 1, permite_lista_espera: true });
+    const inscrita = await matricular(conEspera.idciclo);
+    assert.equal(inscrita.status, 201);
+    assert.equal(inscrita.body.matricula.estado, 'inscrito');
+
+    const enEspera = await matricular(conEspera.idciclo);
+    assert.equal(enEspera.status, 201);
+    assert.equal(enEspera.body.matricula.estado, 'lista_espera');
+
+    const sinEspera = await crearCiclo({ vacantes: 1 });
+    assert.equal((await matricular(sinEspera.idciclo)).status, 201);
+    const rechazada = await matricular(sinEspera.idciclo);
+    assert.equal(rechazada.status, 409);
+    assert.equal(rechazada.body.error, 'El ciclo no tiene vacantes disponibles');
+});
+
+test('anular una matrícula solo promueve de la lista de espera si queda una vacante', async () => {
+    const ciclo = await crearCiclo({ vacantes: 2, permite_lista_espera: true });
+    const primera = await matricular(ciclo.idciclo);
+    await matricular(ciclo.idciclo);
+    const enEspera = await matricular(ciclo.idciclo);
+    assert.equal(enEspera.body.matricula.estado, 'lista_espera');
+
+    // Datos anteriores a la regla de vacantes: más inscritos que vacantes
+    await api.pool.query('UPDATE cegae_cursosdisponiblesciclo SET vacantes = 1 WHERE idciclo = $1', [ciclo.idciclo]);
+
+    const anulada = await api.peticion('DELETE', `/api/matriculas/${primera.body.matricula.idmatricula}`, { token });
+    assert.equal(anulada.status, 200);
+    assert.equal(anulada.body.promovida, null);
+    assert.equal(await estadoMatricula(enEspera.body.matricula.idmatricula), 'lista_espera');
+});
+
+test('las vacantes de un ciclo no pueden quedar por debajo de los inscritos', async () => {
+    const ciclo = await crearCiclo({ vacantes: 3 });
+    await matricular(ciclo.idciclo);
+    await matricular(ciclo.idciclo);
+
+    const menos = await api.peticion('PATCH', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { vacantes: 1, fechaedicion: ciclo.fechaedicion }
+    });
+    assert.equal(menos.status, 409);
+    assert.match(menos.body.error, /2 alumnos inscritos/);
+
+    const reemplazo = await api.peticion('PUT', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo de prueba', precio_regular: 200, vacantes: 1 }
+    });
+    assert.equal(reemplazo.status, 409);
+});
+
+test('aumentar las vacantes promueve a la lista de espera en orden de llegada', async () => {
+    const ciclo = await crearCiclo({ vacantes: 1, permite_lista_espera: true });
+    await matricular(ciclo.idciclo);
+    const segunda = await matricular(ciclo.idciclo);
+    const tercera = await matricular(ciclo.idciclo);
+    const cuarta = await matricular(ciclo.idciclo);
+
+    const { status } = await api.peticion('PATCH', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { vacantes: 3, fechaedicion: ciclo.fechaedicion }
+    });
+    assert.equal(status, 200);
+
+    assert.equal(await estadoMatricula(segunda.body.matricula.idmatricula), 'inscrito');
+    assert.equal(await estadoMatricula(tercera.body.matricula.idmatricula), 'inscrito');
+    assert.equal(await estadoMatricula(cuarta.body.matricula.idmatricula), 'lista_espera');
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE LA BANDEJA DE SALIDA DE NOTIFICACIONES
+// ========================================
+//
+// Los envíos usan un transporte de prueba que guarda los mensajes o falla.
+
+let api;
+let token;
+let notificaciones;
+let curso;
+
+const transporte = (fallar = false) => {
+    const enviados = [];
+    return {
+        enviados,
+        enviar: async (mensaje) => {
+            if (fallar) throw new Error('Servidor de correo no disponible');
+            enviados.push(mensaje);
+        }
+    };
+};
+
+const bandeja = async (idciclo) => {
+    const { rows } = await api.pool.query(
+        'SELECT * FROM cegae_notificaciones WHERE idciclo = $1 ORDER BY destinatario',
+        [idciclo]
+    );
+    return rows;
+};
+
+const crearCiclo = async (datos = {}) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.idcurso, nombreciclo: 'Ciclo avisado', precio_regular: 300, ...datos }
+    });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+const matricular = async (idciclo, documento, email) => {
+    const alumno = await api.peticion('POST', '/api/alumnos', {
+        token,
+        body: { documento, nombres: `Alumno ${documento}`, apellidos: 'Prueba', email }
+    });
+    assert.equal(alumno.status, 201);
+    const matricula = await api.peticion('POST', '/api/matriculas', {
+        token,
+        body: { idciclo, idalumno: alumno.body.alumno.idalumno }
+    });
+    assert.equal(matricula.status, 201);
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+    // Después de iniciarApp, que reemplaza el Pool de pg que carga db.js
+    notificaciones = require('../services/notificaciones');
+
+    // El administrador recibe avisos; otro usuario pidió no recibirlos
+    await api.pool.query("UPDATE cegae_usuarios SET email = 'admin@cegae.pe' WHERE username = 'admin'");
+    const silencioso = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'silencioso', password: 'silencioso-123', email: 'silencioso@cegae.pe',
+            recibe_notificaciones: false }
+    });
+    assert.equal(silencioso.status, 201);
+
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    curso = creado.body.curso;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('un cambio de precio avisa al personal y a los alumnos, y el envío marca los mensajes', async () => {
+    const ciclo = await crearCiclo();
+    await matricular(ciclo.idciclo, '40000001', 'alumno@correo.pe');
+    // Un correo repetido (sin distinguir mayúsculas) recibe un solo aviso
+    await matricular(ciclo.idciclo, '40000002', 'ADMIN@cegae.pe');
+
+    const editado = await api.peticion('PATCH', `/api/ciclos/${ciclo.idciclo}`, {
+        token,
+        body: { precio_regular: 350, fechaedicion: ciclo.fechaedicion }
+    });
+    assert.equal(editado.status, 200);
+
+    const encolados = await bandeja(ciclo.idciclo);
+    assert.deepEqual(encolados.map(fila => [fila.destinatario, fila.tipo, fila.estado]), [
+        ['admin@cegae.pe', 'ciclo_modificado', 'pendiente'],
+        ['alumno@correo.pe', 'ciclo_modificado', 'pendiente']
+    ]);
+
+    const listado = await api.peticion('GET', `/api/notificaciones?idciclo=${ciclo.idciclo}&estado=pendiente`, { token });
+    assert.equal(listado.status, 200);
+    assert.equal(listado.body.length, 2);
+
+    const correo = transporte();
+    assert.deepEqual(await notificaciones.procesarPendientes(correo), { enviados: 2, reintentos: 0, fallidos: 0 });
+    assert.deepEqual(correo.enviados.map(mensaje => mensaje.para).sort(), ['admin@cegae.pe', 'alumno@correo.pe']);
+    assert.ok(correo.enviados.every(mensaje => mensaje.asunto && mensaje.texto.includes('350')));
+
+    const enviados = await bandeja(ciclo.idciclo);
+    assert.ok(enviados.every(fila => fila.estado === 'enviado' && fila.intentos === 1 && fila.fechaenvio));
+
+    // Los enviados no se vuelven a enviar
+    assert.deepEqual(await notificaciones.procesarPendientes(transporte()), { enviados: 0, reintentos: 0, fallidos: 0 });
+});
+
+test('un envío fallido se reintenta más tarde y al agotar los intentos queda como fallido', async () => {
+    const ciclo = await crearCiclo({ nombreciclo: 'Ciclo con fallas' });
+    assert.equal((await api.peticion('DELETE', `/api/ciclos/${ciclo.idciclo}`, { token })).status, 200);
+    const [aviso] = await bandeja(ciclo.idciclo);
+    assert.equal(aviso.tipo, 'ciclo_anulado');
+
+    assert.deepEqual(await notificaciones.procesarPendientes(transporte(true)), { enviados: 0, reintentos: 1, fallidos: 0 });
+    const reintento = (await bandeja(ciclo.idciclo))[0];
+    assert.equal(reintento.estado, 'pendiente');
+    assert.equal(reintento.intentos, 1);
+    assert.equal(reintento.ultimo_error, 'Servidor de correo no disponible');
+    assert.ok(new Date(reintento.proximo_intento) > new Date());
+
+    // Hasta el próximo intento no se vuelve a enviar
+    assert.deepEqual(await notificaciones.procesarPendientes(transporte()), { enviados: 0, reintentos: 0, fallidos: 0 });
+
+    await api.pool.query(
+        `UPDATE cegae_notificaciones SET intentos = $2, proximo_intento = CURRENT_TIMESTAMP
+         WHERE idnotificacion = $1`,
+        [aviso.idnotificacion, notificaciones.MAX_INTENTOS - 1]
+    );
+    assert.deepEqual(await notificaciones.procesarPendientes(transporte(true)), { enviados: 0, reintentos: 0, fallidos: 1 });
+    assert.equal((await bandeja(ciclo.idciclo))[0].estado, 'fallido');
+});
+
+test('los avisos de inicio se encolan una vez y /procesar los envía', async () => {
+    const hoy = new Date();
+    const enDias = (dias) => new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() + dias)
+        .toLocaleDateString('sv-SE');
+    const ciclo = await crearCiclo({
+        nombreciclo: 'Ciclo por iniciar',
+        fecha_inicio_clase: enDias(3),
+        fecha_fin_clase: enDias(60)
+    });
+
+    const { status, body } = await api.peticion('POST', '/api/notificaciones/procesar', { token });
+    assert.equal(status, 200);
+    assert.equal(body.encolados, 1);
+    assert.equal(body.enviados, 1);
+
+    const [aviso] = await bandeja(ciclo.idciclo);
+    assert.equal(aviso.tipo, 'ciclo_por_iniciar');
+    assert.equal(aviso.estado, 'enviado');
+    assert.equal(aviso.clave, `por_iniciar:${ciclo.idciclo}:${enDias(3)}`);
+
+    assert.equal(await notificaciones.encolarPorIniciar(), 0);
+});
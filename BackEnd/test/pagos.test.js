@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE PAGOS
+// ========================================
+
+let api;
+let token;
+let matricula;
+let recibos = 0;
+
+const pagar = (monto) => {
+    recibos += 1;
+    return api.peticion('POST', '/api/pagos', {
+        token,
+        body: { idmatricula: matricula.idmatricula, monto, metodo: 'efectivo', numero_recibo: `R-${recibos}` }
+    });
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    const curso = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    const ciclo = await api.peticion('POST', '/api/ciclos', {
+        token,
+        body: { idcurso: curso.body.curso.idcurso, nombreciclo: '2026-I', precio_regular: 300 }
+    });
+    const alumno = await api.peticion('POST', '/api/alumnos', {
+        token,
+        body: { documento: '20000001', nombres: 'Luis', apellidos: 'Prueba' }
+    });
+    const creada = await api.peticion('POST', '/api/matriculas', {
+        token,
+        body: { idciclo: ciclo.body.ciclo.idciclo, idalumno: alumno.body.alumno.idalumno }
+    });
+    matricula = creada.body.matricula;
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('un pago mayor que el saldo pendiente se rechaza', async () => {
+    const primero = await pagar(200);
+    assert.equal(primero.status, 201);
+    assert.equal(primero.body.saldo, 100);
+
+    const excedido = await pagar(100.01);
+    assert.equal(excedido.status, 400);
+    assert.deepEqual(excedido.body.errors, [{ field: 'monto', message: 'El monto supera el saldo pendiente (100)' }]);
+
+    const exacto = await pagar(100);
+    assert.equal(exacto.status, 201);
+    assert.equal(exacto.body.saldo, 0);
+
+    const cancelado = await pagar(1);
+    assert.equal(cancelado.status, 400);
+});
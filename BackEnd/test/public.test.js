@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DEL CATÁLOGO PÚBLICO
+// ========================================
+
+let api;
+let token;
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('el catálogo se revalida con ETag y cambia cuando un curso sale de él', async () => {
+    const creado = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso: 'Excel' } });
+    const { idcurso } = creado.body.curso;
+
+    const catalogo = await api.peticion('GET', '/api/public/cursos');
+    assert.equal(catalogo.status, 200);
+    assert.deepEqual(catalogo.body.map(curso => curso.idcurso), [idcurso]);
+    assert.equal(catalogo.headers.get('last-modified'), null);
+
+    const etag = catalogo.headers.get('etag');
+    const igual = await api.peticion('GET', '/api/public/cursos', { headers: { 'If-None-Match': etag } });
+    assert.equal(igual.status, 304);
+
+    const anulado = await api.peticion('DELETE', `/api/cursos/${idcurso}`, { token });
+    assert.equal(anulado.status, 200);
+
+    const vacio = await api.peticion('GET', '/api/public/cursos', { headers: { 'If-None-Match': etag } });
+    assert.equal(vacio.status, 200);
+    assert.deepEqual(vacio.body, []);
+});
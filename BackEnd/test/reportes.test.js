@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE REPORTES DEL DASHBOARD
+// ========================================
+
+let api;
+let token;
+let excel;
+let word;
+
+const hoy = new Date();
+const enDias = (dias) => new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() + dias).toLocaleDateString('sv-SE');
+
+const crearCurso = async (nombre_curso) => {
+    const { status, body } = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso } });
+    assert.equal(status, 201);
+    return body.curso;
+};
+
+const crearCiclo = async (datos) => {
+    const { status, body } = await api.peticion('POST', '/api/ciclos', { token, body: datos });
+    assert.equal(status, 201);
+    return body.ciclo;
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+
+    excel = await crearCurso('Excel');
+    word = await crearCurso('Word');
+
+    await crearCiclo({ idcurso: excel.idcurso, nombreciclo: 'Excel 2030-I', precio_regular: 500,
+        precio_promocion: 400, fecha_inicio_clase: '2030-02-01', fecha_fin_clase: '2030-04-30' });
+    await crearCiclo({ idcurso: excel.idcurso, nombreciclo: 'Excel 2030-II', precio_regular: 300,
+        fecha_inicio_clase: '2030-03-15', fecha_fin_clase: '2030-08-31' });
+    const anulado = await crearCiclo({ idcurso: excel.idcurso, nombreciclo: 'Excel anulado', precio_regular: 900,
+        precio_promocion: 100, fecha_inicio_clase: '2030-02-10', fecha_fin_clase: '2030-03-10' });
+    assert.equal((await api.peticion('DELETE', `/api/ciclos/${anulado.idciclo}`, { token })).status, 200);
+
+    // Un ciclo de Word que ya empezó y termina en 5 días
+    await crearCiclo({ idcurso: word.idcurso, nombreciclo: 'Word en curso', fecha_inicio_clase: enDias(-30),
+        fecha_fin_clase: enDias(5) });
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('las series, precios y descuentos cubren el rango sin contar los anulados', async () => {
+    const { status, body } = await api.peticion('GET', '/api/reportes?desde=2030-01-01&hasta=2030-06-30', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.rango, { desde: '2030-01-01', hasta: '2030-06-30' });
+
+    assert.deepEqual(body.ciclosPorMes, [
+        { mes: '2030-01', iniciados: 0, finalizados: 0 },
+        { mes: '2030-02', iniciados: 1, finalizados: 0 },
+        { mes: '2030-03', iniciados: 1, finalizados: 0 },
+        { mes: '2030-04', iniciados: 0, finalizados: 1 },
+        { mes: '2030-05', iniciados: 0, finalizados: 0 },
+        { mes: '2030-06', iniciados: 0, finalizados: 0 }
+    ]);
+
+    assert.deepEqual(body.preciosPorCurso, [{
+        idcurso: excel.idcurso,
+        nombre_curso: 'Excel',
+        ciclos: 2,
+        precio_promedio: 400,
+        precio_min: 300,
+        precio_max: 500,
+        descuento_promedio: 20
+    }]);
+
+    assert.equal(body.descuentos.ciclos, 2);
+    assert.equal(body.descuentos.con_promocion, 1);
+    assert.equal(body.descuentos.descuento_maximo, 20);
+    assert.deepEqual(body.descuentos.tramos.map(tramo => tramo.ciclos), [0, 1, 0, 0]);
+});
+
+test('avisa de los cursos sin próximo ciclo y de los ciclos por terminar', async () => {
+    const { status, body } = await api.peticion('GET', '/api/reportes?dias=10', { token });
+    assert.equal(status, 200);
+
+    // Excel tiene ciclos futuros; Word solo uno que ya empezó
+    assert.deepEqual(body.cursosSinProximoCiclo.map(curso => curso.nombre_curso), ['Word']);
+    assert.equal(body.cursosSinProximoCiclo[0].ultimo_inicio, enDias(-30));
+
+    assert.equal(body.ciclosPorTerminar.dias, 10);
+    assert.deepEqual(body.ciclosPorTerminar.ciclos.map(ciclo => [ciclo.nombreciclo, ciclo.dias_restantes]),
+        [['Word en curso', 5]]);
+
+    const corto = await api.peticion('GET', '/api/reportes?dias=3', { token });
+    assert.deepEqual(corto.body.ciclosPorTerminar.ciclos, []);
+});
+
+test('valida el rango y lo pueden ver los usuarios de solo lectura', async () => {
+    const invertido = await api.peticion('GET', '/api/reportes?desde=2030-06-01&hasta=2030-01-01', { token });
+    assert.equal(invertido.status, 400);
+    assert.deepEqual(invertido.body.errors.map(error => error.field), ['hasta']);
+
+    const largo = await api.peticion('GET', '/api/reportes?desde=2020-01-01&hasta=2030-01-01', { token });
+    assert.equal(largo.status, 400);
+
+    const dias = await api.peticion('GET', '/api/reportes?dias=0', { token });
+    assert.equal(dias.status, 400);
+
+    const usuario = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'lector', password: 'lector-pruebas-123', rol: 'viewer' }
+    });
+    assert.equal(usuario.status, 201);
+    const lector = await api.peticion('GET', '/api/reportes', { token: await api.login('lector', 'lector-pruebas-123') });
+    assert.equal(lector.status, 200);
+
+    const anonimo = await api.peticion('GET', '/api/reportes');
+    assert.equal(anonimo.status, 401);
+});
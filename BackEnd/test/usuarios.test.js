@@ -0,0 +1,178 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE USUARIOS
+// ========================================
+
+let api;
+let token;
+
+const campos = (body) => body.errors.map(error => error.field).sort();
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+});
+
+after(async () => {
+    await api.cerrar();
+});
+
+test('crear un usuario con datos inválidos responde 400 con los campos', async () => {
+    const sinDatos = await api.peticion('POST', '/api/usuarios', { token, body: {} });
+    assert.equal(sinDatos.status, 400);
+    assert.deepEqual(campos(sinDatos.body), ['password', 'username']);
+
+    // Una contraseña que no es texto no llega a bcrypt
+    const noTexto = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'numerico', password: 12345678 }
+    });
+    assert.equal(noTexto.status, 400);
+    assert.deepEqual(campos(noTexto.body), ['password']);
+
+    const invalidos = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'invalido', password: 'corta', rol: 'root', email: 'sin-arroba' }
+    });
+    assert.equal(invalidos.status, 400);
+    assert.deepEqual(campos(invalidos.body), ['rol']);
+
+    const corta = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'invalido', password: 'corta', email: 'sin-arroba' }
+    });
+    assert.equal(corta.status, 400);
+    assert.deepEqual(campos(corta.body), ['email', 'password']);
+
+    const { rows } = await api.pool.query("SELECT 1 FROM cegae_usuarios WHERE username IN ('numerico', 'invalido')");
+    assert.equal(rows.length, 0);
+});
+
+test('la contraseña se guarda sin recortar espacios', async () => {
+    const { status } = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: ' espacios ', password: ' clave con espacios ' }
+    });
+    assert.equal(status, 201);
+
+    await api.login('espacios', ' clave con espacios ');
+    await assert.rejects(api.login('espacios', 'clave con espacios'));
+});
+
+test('editar un usuario valida el cuerpo y el id', async () => {
+    const creado = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'editable', password: 'editable-123' }
+    });
+    assert.equal(creado.status, 201);
+    const ruta = `/api/usuarios/${creado.body.usuario.idusuario}`;
+
+    const invalido = await api.peticion('PUT', ruta, { token, body: { password: ['x'], activo: 'quizas' } });
+    assert.equal(invalido.status, 400);
+    assert.deepEqual(campos(invalido.body), ['activo', 'password']);
+
+    const idInvalido = await api.peticion('PUT', '/api/usuarios/abc', { token, body: { nombre: 'X' } });
+    assert.equal(idInvalido.status, 400);
+    assert.deepEqual(campos(idInvalido.body), ['id']);
+});
+
+test('CRUD de usuarios sin exponer la contraseña', async () => {
+    const creado = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'ana', password: 'ana-clave-123', nombre: 'Ana', rol: 'editor', email: 'ana@cegae.pe' }
+    });
+    assert.equal(creado.status, 201);
+    assert.equal(creado.body.usuario.rol, 'editor');
+    assert.equal(creado.body.usuario.password_hash, undefined);
+    const ruta = `/api/usuarios/${creado.body.usuario.idusuario}`;
+
+    const repetido = await api.peticion('POST', '/api/usuarios', {
+        token,
+        body: { username: 'ana', password: 'otra-clave-123' }
+    });
+    assert.equal(repetido.status, 409);
+
+    const lista = await api.peticion('GET', '/api/usuarios', { token });
+    assert.equal(lista.status, 200);
+    assert.ok(lista.body.some(usuario => usuario.username === 'ana'));
+    assert.ok(lista.body.every(usuario => !('password_hash' in usuario)));
+
+    const uno = await api.peticion('GET', ruta, { token });
+    assert.equal(uno.body.email, 'ana@cegae.pe');
+    assert.equal((await api.peticion('GET', '/api/usuarios/99999', { token })).status, 404);
+
+    // Editar solo cambia lo enviado; la contraseña nueva reemplaza a la anterior
+    const editado = await api.peticion('PUT', ruta, {
+        token,
+        body: { nombre: 'Ana María', rol: 'viewer', password: 'ana-nueva-123' }
+    });
+    assert.equal(editado.status, 200);
+    assert.equal(editado.body.usuario.nombre, 'Ana María');
+    assert.equal(editado.body.usuario.rol, 'viewer');
+    assert.equal(editado.body.usuario.email, 'ana@cegae.pe');
+    await assert.rejects(api.login('ana', 'ana-clave-123'));
+    const tokenAna = await api.login('ana', 'ana-nueva-123');
+
+    // Eliminar desactiva al usuario y corta sus sesiones
+    const eliminado = await api.peticion('DELETE', ruta, { token });
+    assert.equal(eliminado.status, 200);
+    const { rows } = await api.pool.query('SELECT activo FROM cegae_usuarios WHERE username = $1', ['ana']);
+    assert.equal(rows[0].activo, false);
+    const sesion = await api.peticion('GET', '/api/cursos', { token: tokenAna });
+    assert.equal(sesion.status, 401);
+    await assert.rejects(api.login('ana', 'ana-nueva-123'));
+
+    assert.equal((await api.peticion('PUT', '/api/usuarios/99999', { token, body: { nombre: 'X' } })).status, 404);
+});
+
+test('un administrador no puede quitarse el acceso a sí mismo', async () => {
+    const { rows } = await api.pool.query("SELECT idusuario FROM cegae_usuarios WHERE username = 'admin'");
+    const ruta = `/api/usuarios/${rows[0].idusuario}`;
+
+    assert.equal((await api.peticion('PUT', ruta, { token, body: { rol: 'editor' } })).status, 400);
+    assert.equal((await api.peticion('PUT', ruta, { token, body: { activo: false } })).status, 400);
+    assert.equal((await api.peticion('DELETE', ruta, { token })).status, 400);
+
+    const admin = await api.pool.query('SELECT rol, activo FROM cegae_usuarios WHERE idusuario = $1', [rows[0].idusuario]);
+    assert.deepEqual(admin.rows[0], { rol: 'admin', activo: true });
+});
+
+test('cada rol solo accede a lo que le corresponde', async () => {
+    for (const [username, rol] of [['editor1', 'editor'], ['viewer1', 'viewer']]) {
+        const { status } = await api.peticion('POST', '/api/usuarios', {
+            token,
+            body: { username, password: `${username}-clave`, rol }
+        });
+        assert.equal(status, 201);
+    }
+    const editor = await api.login('editor1', 'editor1-clave');
+    const viewer = await api.login('viewer1', 'viewer1-clave');
+
+    // El editor modifica el catálogo y consulta la auditoría, pero no administra
+    const curso = await api.peticion('POST', '/api/cursos', { token: editor, body: { nombre_curso: 'Del editor' } });
+    assert.equal(curso.status, 201);
+    assert.equal((await api.peticion('GET', '/api/auditoria', { token: editor })).status, 200);
+    for (const ruta of ['/api/usuarios', '/api/webhooks', '/api/notificaciones']) {
+        const { status, body } = await api.peticion('GET', ruta, { token: editor });
+        assert.equal(status, 403, ruta);
+        assert.equal(body.code, 'FORBIDDEN');
+    }
+
+    // El lector solo consulta el catálogo
+    assert.equal((await api.peticion('GET', '/api/cursos', { token: viewer })).status, 200);
+    assert.equal((await api.peticion('GET', '/api/auditoria', { token: viewer })).status, 403);
+    assert.equal((await api.peticion('POST', '/api/ciclos', {
+        token: viewer,
+        body: { idcurso: curso.body.curso.idcurso, nombreciclo: 'No permitido' }
+    })).status, 403);
+    assert.equal((await api.peticion('POST', '/api/usuarios', {
+        token: viewer,
+        body: { username: 'intruso', password: 'intruso-123' }
+    })).status, 403);
+
+    const { rows } = await api.pool.query("SELECT 1 FROM cegae_usuarios WHERE username = 'intruso'");
+    assert.equal(rows.length, 0);
+});
@@ -0,0 +1,159 @@
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./helpers/app');
+
+// ========================================
+// PRUEBAS DE ENTREGAS DE WEBHOOKS
+// ========================================
+//
+// Un servidor local hace de receptor: guarda cada petición y responde con
+// `respuesta.status`.
+
+const SECRETO = 'secreto-de-pruebas-webhooks';
+
+let api;
+let token;
+let webhooks;
+let receptor;
+let url;
+const recibidas = [];
+const respuesta = { status: 200 };
+
+const entrega = async (identrega) => {
+    const { rows } = await api.pool.query('SELECT * FROM cegae_webhook_entregas WHERE identrega = $1', [identrega]);
+    return rows[0];
+};
+
+const ultimaEntrega = async () => {
+    const { rows } = await api.pool.query('SELECT * FROM cegae_webhook_entregas ORDER BY identrega DESC LIMIT 1');
+    return rows[0];
+};
+
+const crearCurso = async (nombre_curso) => {
+    const { status, body } = await api.peticion('POST', '/api/cursos', { token, body: { nombre_curso } });
+    assert.equal(status, 201);
+    return body.curso;
+};
+
+before(async () => {
+    api = await iniciarApp();
+    token = await api.login();
+    // Después de iniciarApp, que reemplaza el Pool de pg que carga db.js
+    webhooks = require('../services/webhooks');
+
+    receptor = http.createServer((req, res) => {
+        let cuerpo = '';
+        req.on('data', parte => { cuerpo += parte; });
+        req.on('end', () => {
+            recibidas.push({ headers: req.headers, cuerpo });
+            res.writeHead(respuesta.status).end();
+        });
+    });
+    await new Promise(resolve => receptor.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receptor.address().port}/webhook`;
+
+    const creado = await api.peticion('POST', '/api/webhooks', {
+        token,
+        body: { url, eventos: ['curso.*'], secreto: SECRETO }
+    });
+    assert.equal(creado.status, 201);
+});
+
+after(async () => {
+    receptor.closeAllConnections();
+    await new Promise(resolve => receptor.close(resolve));
+    await api.cerrar();
+});
+
+test('entrega el evento firmado con el secreto del webhook', async () => {
+    const curso = await crearCurso('Firmado');
+    const pendiente = await ultimaEntrega();
+    assert.equal(pendiente.estado, 'pendiente');
+    assert.equal(pendiente.evento, 'curso.created');
+
+    recibidas.length = 0;
+    const resultado = await webhooks.procesarEntregas();
+    assert.deepEqual(resultado, { entregados: 1, reintentos: 0, fallidos: 0 });
+
+    assert.equal(recibidas.length, 1);
+    const { headers, cuerpo } = recibidas[0];
+    const timestamp = headers['x-cegae-timestamp'];
+    assert.equal(headers['x-cegae-evento'], 'curso.created');
+    assert.equal(headers['x-cegae-entrega'], String(pendiente.identrega));
+    assert.equal(headers['x-cegae-firma'], `sha256=${webhooks.firmar(SECRETO, timestamp, cuerpo)}`);
+    assert.notEqual(headers['x-cegae-firma'], `sha256=${webhooks.firmar('otro-secreto', timestamp, cuerpo)}`);
+
+    const payload = JSON.parse(cuerpo);
+    assert.equal(payload.evento, 'curso.created');
+    assert.equal(payload.datos.idcurso, curso.idcurso);
+
+    const entregada = await entrega(pendiente.identrega);
+    assert.equal(entregada.estado, 'entregado');
+    assert.equal(entregada.intentos, 1);
+    assert.equal(entregada.ultimo_codigo, 200);
+    assert.ok(entregada.fechaentrega);
+
+    // Una entrega hecha no se vuelve a enviar
+    assert.deepEqual(await webhooks.procesarEntregas(), { entregados: 0, reintentos: 0, fallidos: 0 });
+    assert.equal(recibidas.length, 1);
+});
+
+test('una respuesta de error deja la entrega pendiente para más tarde', async () => {
+    await crearCurso('Rechazado');
+    const pendiente = await ultimaEntrega();
+
+    respuesta.status = 500;
+    try {
+        assert.deepEqual(await webhooks.procesarEntregas(), { entregados: 0, reintentos: 1, fallidos: 0 });
+    } finally {
+        respuesta.status = 200;
+    }
+
+    const reintento = await entrega(pendiente.identrega);
+    assert.equal(reintento.estado, 'pendiente');
+    assert.equal(reintento.intentos, 1);
+    assert.equal(reintento.ultimo_codigo, 500);
+    assert.equal(reintento.ultimo_error, 'Respuesta HTTP 500');
+    assert.ok(new Date(reintento.proximo_intento) > new Date());
+
+    // Hasta el próximo intento no se vuelve a enviar
+    assert.deepEqual(await webhooks.procesarEntregas(), { entregados: 0, reintentos: 0, fallidos: 0 });
+});
+
+test('reentregar crea una entrega nueva enlazada y la envía de inmediato', async () => {
+    await crearCurso('Reenviado');
+    await webhooks.procesarEntregas();
+    const original = await ultimaEntrega();
+    recibidas.length = 0;
+
+    const { status, body } = await api.peticion('POST', `/api/webhooks/entregas/${original.identrega}/reentregar`,
+        { token });
+    assert.equal(status, 201);
+    assert.equal(body.entrega.estado, 'entregado');
+    assert.equal(body.entrega.idreentrega, original.identrega);
+    assert.equal(recibidas.length, 1);
+    assert.deepEqual(JSON.parse(recibidas[0].cuerpo), original.payload);
+
+    const inexistente = await api.peticion('POST', '/api/webhooks/entregas/99999/reentregar', { token });
+    assert.equal(inexistente.status, 404);
+});
+
+test('las entregas de un webhook desactivado no se envían', async () => {
+    const { rows } = await api.pool.query('SELECT idwebhook FROM cegae_webhooks WHERE url = $1', [url]);
+    await api.pool.query('UPDATE cegae_webhooks SET activo = FALSE WHERE idwebhook = $1', [rows[0].idwebhook]);
+    try {
+        await api.pool.query(
+            `INSERT INTO cegae_webhook_entregas (idwebhook, evento, payload)
+             VALUES ($1, 'curso.updated', '{}')`,
+            [rows[0].idwebhook]
+        );
+        recibidas.length = 0;
+
+        assert.deepEqual(await webhooks.procesarEntregas(), { entregados: 0, reintentos: 0, fallidos: 0 });
+        assert.equal(recibidas.length, 0);
+        assert.equal((await ultimaEntrega()).estado, 'pendiente');
+    } finally {
+        await api.pool.query('UPDATE cegae_webhooks SET activo = TRUE WHERE idwebhook = $1', [rows[0].idwebhook]);
+    }
+});
@@ -0,0 +1,29 @@
+// ========================================
+// ACCIONES (BOTONES CON data-accion)
+// ========================================
+//
+// Los botones del HTML y de las filas generadas declaran qué hacen con
+// data-accion (y sus parámetros en otros data-*); un único listener en el
+// documento busca el manejador registrado. Así no hace falta exponer funciones
+// en window ni volver a enlazar eventos cada vez que se pinta una tabla.
+
+const manejadores = {};
+
+// mapa: { 'editar-curso': ({ id }) => ..., ... }
+export function registrarAcciones(mapa) {
+    Object.entries(mapa).forEach(([accion, fn]) => {
+        if (manejadores[accion]) {
+            throw new Error(`Acción duplicada: ${accion}`);
+        }
+        manejadores[accion] = fn;
+    });
+}
+
+document.addEventListener('click', (event) => {
+    const el = event.target.closest('[data-accion]');
+    const fn = el && manejadores[el.dataset.accion];
+    if (!fn || el.disabled) return;
+
+    event.preventDefault();
+    fn({ ...el.dataset }, el);
+});
@@ -0,0 +1,163 @@
+import { API_URL } from './config.js';
+import { estado, actualizar, cache } from './estado.js';
+
+// ========================================
+// PETICIONES A LA API
+// ========================================
+//
+// apiRequest() agrega el access token, lo renueva una vez si expiró y
+// convierte las respuestas de error en un Error con status, data y errors
+// ([{ field, message }]). Si la sesión ya no es válida emite 'sesion-expirada'.
+//
+// Sin conexión, un GET del catálogo devuelve la última respuesta guardada (y
+// marca estado.sinConexion); el resto de peticiones falla con `sinConexion: true`
+// para que el formulario conserve lo que el usuario escribió.
+
+let authToken = localStorage.getItem('authToken');
+
+export const haySesion = () => Boolean(authToken);
+
+export function saveTokens(token, refreshToken) {
+    authToken = token;
+    localStorage.setItem('authToken', token);
+    localStorage.setItem('refreshToken', refreshToken);
+}
+
+export function clearTokens() {
+    authToken = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('authUser');
+    cache.limpiar();
+}
+
+// Renovación del access token (una sola petición en curso a la vez)
+let refreshPromise = null;
+
+export function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            saveTokens(data.token, data.refreshToken);
+            return true;
+        })()
+            .catch(() => false)
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+}
+
+// Revocar la sesión en el servidor (sin esperar la respuesta)
+export function revokeSession() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+        fetch(`${API_URL}/auth/logout`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        }).catch(() => {});
+    }
+}
+
+function sinConexion(endpoint, method) {
+    if (method === 'GET') {
+        const guardado = cache.leer(endpoint);
+        if (guardado) {
+            if (!estado.sinConexion) actualizar('sinConexion', new Date(guardado.fecha));
+            return guardado.datos;
+        }
+    }
+
+    if (!estado.sinConexion) actualizar('sinConexion', new Date());
+    const err = new Error(method === 'GET'
+        ? 'Sin conexión con el servidor'
+        : 'Sin conexión con el servidor; los cambios no se guardaron');
+    err.sinConexion = true;
+    err.errors = [];
+    throw err;
+}
+
+// Función para hacer peticiones a la API
+export async function apiRequest(endpoint, options = {}, retry = true) {
+    const method = (options.method || 'GET').toUpperCase();
+    let response;
+
+    try {
+        response = await fetch(`${API_URL}${endpoint}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': authToken ? `Bearer ${authToken}` : '',
+                ...options.headers
+            }
+        });
+    } catch (error) {
+        // fetch solo se rechaza por errores de red
+        return sinConexion(endpoint, method);
+    }
+
+    if (estado.sinConexion) actualizar('sinConexion', null);
+
+    if (response.status === 401 && endpoint !== '/auth/login') {
+        // Intentar renovar la sesión y repetir la petición una vez
+        if (retry && await refreshAccessToken()) {
+            return apiRequest(endpoint, options, false);
+        }
+        window.dispatchEvent(new CustomEvent('sesion-expirada'));
+        throw new Error('Sesión expirada');
+    }
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const err = new Error(error.error || 'Error en la petición');
+        err.status = response.status;
+        err.data = error;
+        // Errores de validación por campo: [{ field, message }]
+        err.errors = error.errors || [];
+        throw err;
+    }
+
+    const data = await response.json();
+    if (method === 'GET') cache.guardar(endpoint, data);
+    return data;
+}
+
+// Descargar un archivo que requiere el token (un enlace no envía cabeceras)
+export async function downloadFile(endpoint, filename, retry = true) {
+    let response;
+    try {
+        response = await fetch(`${API_URL}${endpoint}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+    } catch (error) {
+        throw new Error('Sin conexión con el servidor');
+    }
+
+    if (response.status === 401 && retry && await refreshAccessToken()) {
+        return downloadFile(endpoint, filename, false);
+    }
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Error en la descarga');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,252 @@
+import { API_URL } from './config.js';
+import { apiRequest, downloadFile } from './api.js';
+
+// ========================================
+// CLIENTE DE LA API
+// ========================================
+//
+// Una función por endpoint, con los tipos de lo que envía y devuelve, para
+// que las vistas no armen URLs ni cuerpos a mano. Todas usan apiRequest().
+
+/**
+ * @typedef {Object} Pagina
+ * @property {Array} data
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} total
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} ListadoQuery
+ * @property {number} [page]
+ * @property {number} [pageSize]
+ * @property {string} [sort] Columna, con '-' para orden descendente
+ * @property {string} [search]
+ * @property {number} [estado]
+ */
+
+/**
+ * @typedef {Object} Estado
+ * @property {number} idestado
+ * @property {string} codigo
+ * @property {string} nombre
+ * @property {?string} descripcion
+ * @property {boolean} aplica_cursos
+ * @property {boolean} aplica_ciclos
+ * @property {boolean} sistema
+ * @property {{ curso: number[], ciclo: number[] }} transiciones Estados a los que se puede pasar
+ */
+
+/**
+ * @typedef {Object} Curso
+ * @property {number} idcurso
+ * @property {string} nombre_curso
+ * @property {?string} descripcion
+ * @property {?string} dirigido
+ * @property {?string} horas_clases_por_dia
+ * @property {?string} horarios
+ * @property {?string} frecuencia
+ * @property {number} idestado
+ * @property {string} [estado_nombre]
+ * @property {string} fechaedicion
+ */
+
+/**
+ * @typedef {Object} Ciclo
+ * @property {number} idciclo
+ * @property {number} idcurso
+ * @property {string} [nombre_curso]
+ * @property {string} nombreciclo
+ * @property {?number} precio_regular
+ * @property {?number} precio_promocion
+ * @property {?string} fecha_inicio_clase
+ * @property {?string} fecha_fin_clase
+ * @property {?string} fecha_inicio_inscripcion
+ * @property {?string} duracion_curso_total
+ * @property {?number} vacantes Null si no hay límite
+ * @property {boolean} permite_lista_espera
+ * @property {number} idestado
+ * @property {string} [estado_nombre]
+ * @property {string} fechaedicion
+ */
+
+/**
+ * @typedef {Object} Horario
+ * @property {number} idhorario
+ * @property {number} dia_semana 1 = lunes ... 7 = domingo
+ * @property {string} hora_inicio HH:MM
+ * @property {string} hora_fin HH:MM
+ * @property {?string} aula
+ * @property {?string} instructor
+ */
+
+/**
+ * @typedef {Object} Sesiones
+ * @property {Horario[]} horarios
+ * @property {Array<{ fecha: string, horas: number }>} sesiones
+ * @property {number} total_sesiones
+ * @property {number} total_horas
+ * @property {Array<{ fecha: string, descripcion: string }>} feriados
+ */
+
+/**
+ * @typedef {Object} CambioDeEstado
+ * @property {string} fecha
+ * @property {?string} estado_anterior
+ * @property {string} estado_nuevo
+ * @property {'manual'|'automatico'|'restaurar'} origen
+ * @property {?string} username
+ */
+
+/**
+ * @typedef {Object} Matricula
+ * @property {number} idmatricula
+ * @property {number} idciclo
+ * @property {string} documento
+ * @property {string} nombres
+ * @property {string} apellidos
+ * @property {?string} email
+ * @property {?string} telefono
+ * @property {'inscrito'|'lista_espera'|'anulado'} estado
+ * @property {number} precio
+ * @property {'regular'|'promocion'} tipo_precio
+ * @property {string} fechacreacion
+ */
+
+/**
+ * @typedef {Object} ResultadoBusqueda
+ * @property {'curso'|'ciclo'} tipo
+ * @property {number} id idcurso o idciclo según el tipo
+ * @property {string} nombre
+ * @property {number} idcurso Del curso, o del curso al que pertenece el ciclo
+ * @property {string} nombre_curso
+ * @property {?string} estado_nombre
+ * @property {number} rank Relevancia; los resultados vienen ordenados por ella
+ * @property {{ nombre: TextoResaltado, detalle: ?TextoResaltado }} resaltado
+ */
+
+/** @typedef {Array<{ texto: string, resaltado: boolean }>} TextoResaltado */
+
+const enviar = (method, datos) => ({ method, body: JSON.stringify(datos) });
+
+const query = (params = {}) => {
+    const definidos = Object.entries(params).filter(([, valor]) => valor !== undefined && valor !== null && valor !== '');
+    return new URLSearchParams(definidos).toString();
+};
+
+const dryRun = (simular) => (simular ? '?dry_run=true' : '');
+
+// Importar un archivo CSV o XLSX (el cuerpo es el archivo tal cual)
+const importar = (listado, archivo, simular) => apiRequest(`/${listado}/import${dryRun(simular)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': archivo.type || 'application/octet-stream' },
+    body: archivo
+});
+
+export const auth = {
+    /** @returns {Promise<{ token: string, refreshToken: string, user: Object }>} */
+    login: (username, password) => apiRequest('/auth/login', enviar('POST', { username, password })),
+    verify: () => apiRequest('/auth/verify')
+};
+
+export const estados = {
+    /** @returns {Promise<Estado[]>} */
+    listar: () => apiRequest('/estados'),
+    crear: (datos) => apiRequest('/estados', enviar('POST', datos)),
+    actualizar: (id, datos) => apiRequest(`/estados/${id}`, enviar('PUT', datos)),
+    eliminar: (id) => apiRequest(`/estados/${id}`, { method: 'DELETE' })
+};
+
+export const cursos = {
+    /** @param {ListadoQuery} params @returns {Promise<Pagina>} */
+    listar: (params) => apiRequest(`/cursos?${query(params)}`),
+    /** Sin paginar. @param {ListadoQuery} params @returns {Promise<Curso[]>} */
+    todos: (params) => apiRequest(`/cursos?${query(params)}`),
+    /** @returns {Promise<Curso>} */
+    obtener: (id) => apiRequest(`/cursos/${id}`),
+    /** @param {Partial<Curso>} datos @returns {Promise<{ message: string, curso: Curso }>} */
+    crear: (datos) => apiRequest('/cursos', enviar('POST', datos)),
+    /** `datos.fechaedicion` es obligatorio (428 sin él) y detecta cambios de otro usuario (409). */
+    actualizar: (id, datos) => apiRequest(`/cursos/${id}`, enviar('PATCH', datos)),
+    eliminar: (id) => apiRequest(`/cursos/${id}`, { method: 'DELETE' }),
+    exportar: (params, formato) => downloadFile(`/cursos/export?${query({ ...params, formato })}`, `cursos.${formato}`),
+    importar: (archivo, simular) => importar('cursos', archivo, simular)
+};
+
+export const ciclos = {
+    /** @param {ListadoQuery} params @returns {Promise<Pagina>} */
+    listar: (params) => apiRequest(`/ciclos?${query(params)}`),
+    /** Sin paginar. @param {ListadoQuery} params @returns {Promise<Ciclo[]>} */
+    todos: (params) => apiRequest(`/ciclos?${query(params)}`),
+    /** @returns {Promise<Ciclo>} */
+    obtener: (id) => apiRequest(`/ciclos/${id}`),
+    /** @param {Partial<Ciclo>} datos @returns {Promise<{ message: string, ciclo: Ciclo }>} */
+    crear: (datos) => apiRequest('/ciclos', enviar('POST', datos)),
+    /** `datos.fechaedicion` es obligatorio (428 sin él) y detecta cambios de otro usuario (409). */
+    actualizar: (id, datos) => apiRequest(`/ciclos/${id}`, enviar('PATCH', datos)),
+    eliminar: (id) => apiRequest(`/ciclos/${id}`, { method: 'DELETE' }),
+    /** @returns {Promise<{ message: string, ciclo: Ciclo }>} */
+    restaurar: (id) => apiRequest(`/ciclos/${id}/restore`, { method: 'POST' }),
+    /** @returns {Promise<Sesiones>} */
+    sesiones: (id) => apiRequest(`/ciclos/${id}/sesiones`),
+    /** @returns {Promise<CambioDeEstado[]>} Más reciente primero */
+    historialEstados: (id) => apiRequest(`/ciclos/${id}/estados`),
+    duplicar: (id, datos, simular) => apiRequest(`/ciclos/${id}/duplicate${dryRun(simular)}`, enviar('POST', datos)),
+    rollForward: (datos, simular) => apiRequest(`/ciclos/roll-forward${dryRun(simular)}`, enviar('POST', datos)),
+    exportar: (params, formato) => downloadFile(`/ciclos/export?${query({ ...params, formato })}`, `ciclos.${formato}`),
+    importar: (archivo, simular) => importar('ciclos', archivo, simular),
+    // Feed iCalendar público, para suscribirse por URL
+    calendarUrl: (id) => `${API_URL}/ciclos/${id}/calendar.ics`
+};
+
+export const auditoria = {
+    listar: (entidad, identidad) => apiRequest(`/auditoria?${query({ entidad, identidad })}`)
+};
+
+export const alumnos = {
+    buscarPorDocumento: (documento) => apiRequest(`/alumnos?${query({ documento })}`),
+    crear: (datos) => apiRequest('/alumnos', enviar('POST', datos))
+};
+
+export const matriculas = {
+    /** @returns {Promise<Matricula[]>} */
+    listar: (idciclo) => apiRequest(`/matriculas?${query({ idciclo })}`),
+    crear: (datos) => apiRequest('/matriculas', enviar('POST', datos)),
+    anular: (id) => apiRequest(`/matriculas/${id}`, { method: 'DELETE' }),
+    cuenta: (id) => apiRequest(`/matriculas/${id}/cuenta`),
+    definirCuotas: (id, datos) => apiRequest(`/matriculas/${id}/cuotas`, enviar('PUT', datos))
+};
+
+export const pagos = {
+    crear: (datos) => apiRequest('/pagos', enviar('POST', datos)),
+    anular: (id) => apiRequest(`/pagos/${id}`, { method: 'DELETE' }),
+    vencidos: () => apiRequest('/pagos/vencidos')
+};
+
+export const horarios = {
+    crear: (datos) => apiRequest('/horarios', enviar('POST', datos)),
+    eliminar: (id) => apiRequest(`/horarios/${id}`, { method: 'DELETE' }),
+    semana: (params) => apiRequest(`/horarios/semana?${query(params)}`),
+    calendarUrl: () => `${API_URL}/calendar.ics`
+};
+
+export const feriados = {
+    listar: (desde) => apiRequest(`/feriados?${query({ desde })}`),
+    crear: (datos) => apiRequest('/feriados', enviar('POST', datos)),
+    eliminar: (id) => apiRequest(`/feriados/${id}`, { method: 'DELETE' })
+};
+
+export const busqueda = {
+    /**
+     * `q` admite "frase exacta", -excluir y or; `tipo` limita a cursos o ciclos.
+     * @param {{ q: string, tipo?: 'curso'|'ciclo', page?: number, pageSize?: number }} params
+     * @returns {Promise<Pagina>} data: ResultadoBusqueda[]
+     */
+    buscar: (params) => apiRequest(`/buscar?${query(params)}`)
+};
+
+export const reportes = {
+    estadisticas: () => apiRequest('/estadisticas'),
+    dashboard: (params) => apiRequest(`/reportes?${query(params)}`)
+};
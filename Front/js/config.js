@@ -0,0 +1,2 @@
+// URL base de la API (CORS_ORIGINS del backend debe incluir el origen del front)
+export const API_URL = 'http://localhost:3001/api';
@@ -0,0 +1,98 @@
+// ========================================
+// CONSTRUCCIÓN DEL DOM
+// ========================================
+//
+// Las vistas arman las filas con h() en lugar de innerHTML: los textos que
+// vienen de la API se agregan como nodos de texto y nunca se interpretan como
+// HTML, así un nombre de curso con "<script>" se muestra tal cual.
+
+/**
+ * Crear un elemento.
+ *   h('button', { className: 'btn', dataset: { accion: 'editar-curso', id: 3 } }, '✏️')
+ * Las props `on*` se registran como listeners, `dataset` y `style` se copian y
+ * el resto se asigna como propiedad. Los hijos null/false se ignoran.
+ */
+export function h(tag, props = {}, ...hijos) {
+    const el = document.createElement(tag);
+
+    Object.entries(props || {}).forEach(([clave, valor]) => {
+        if (valor === undefined || valor === null || valor === false) return;
+        if (clave === 'dataset' || clave === 'style') {
+            Object.assign(el[clave], valor);
+        } else if (clave.startsWith('on') && typeof valor === 'function') {
+            el.addEventListener(clave.slice(2).toLowerCase(), valor);
+        } else {
+            el[clave] = valor;
+        }
+    });
+
+    hijos.flat().forEach(hijo => {
+        if (hijo === undefined || hijo === null || hijo === false) return;
+        el.append(hijo instanceof Node ? hijo : String(hijo));
+    });
+
+    return el;
+}
+
+export const byId = (id) => document.getElementById(id);
+
+// Reemplazar el contenido de un contenedor (id o elemento)
+export function reemplazar(contenedor, ...hijos) {
+    const el = typeof contenedor === 'string' ? byId(contenedor) : contenedor;
+    el.replaceChildren(...hijos.flat().filter(hijo => hijo !== null && hijo !== undefined && hijo !== false));
+    return el;
+}
+
+// Fila única de una tabla vacía, cargando o con error
+export function filaMensaje(colspan, texto) {
+    return h('tr', {}, h('td', { colSpan: colspan, style: { textAlign: 'center' } }, texto));
+}
+
+export function opcion(valor, texto) {
+    return h('option', { value: valor }, texto);
+}
+
+// Llenar un select conservando sus primeras `fijas` opciones (ej. "Seleccione...")
+export function llenarSelect(select, opciones, fijas = 0) {
+    const el = typeof select === 'string' ? byId(select) : select;
+    const valor = el.value;
+    reemplazar(el, [...el.options].slice(0, fijas), opciones);
+    if ([...el.options].some(o => o.value === valor)) el.value = valor;
+    return el;
+}
+
+// Botón de acción de una fila (se atiende por delegación, ver acciones.js)
+export function botonAccion(accion, id, texto, clase = 'btn-secondary', extra = {}) {
+    return h('button', {
+        className: `btn ${clase} btn-small`,
+        dataset: { accion, id, ...extra.dataset },
+        title: extra.title
+    }, texto);
+}
+
+export function mostrar(id, visible) {
+    byId(id).hidden = !visible;
+}
+
+export function formatDate(dateString) {
+    if (!dateString) return '-';
+    const date = new Date(dateString);
+    return date.toLocaleDateString('es-PE', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    });
+}
+
+export function formatDateTime(dateString) {
+    return new Date(dateString).toLocaleString('es-PE');
+}
+
+// Fecha YYYY-MM-DD local, para inputs type="date"
+export function toISODate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Valor de un input date a partir de una fecha de la API
+export const fechaInput = (valor) => (valor ? valor.split('T')[0] : '');
@@ -0,0 +1,76 @@
+// ========================================
+// ESTADO DE LA APLICACIÓN
+// ========================================
+//
+// Un solo objeto con los datos compartidos entre vistas (usuario, catálogo de
+// estados, selects de cursos y ciclos, paginación de los listados y conexión).
+// Las vistas que dependen de un dato se suscriben a su clave y se vuelven a
+// pintar cuando otra vista lo actualiza con `actualizar()`.
+//
+// La caché guarda en localStorage la última respuesta de los GET del catálogo
+// (listados y detalle de cursos y ciclos, y estados): si el servidor no
+// responde se muestran esos datos (con un aviso) en lugar de una pantalla
+// vacía. Alumnos, matrículas, pagos, auditoría y el resto no se guardan, para
+// no dejar datos personales en el navegador. Se borra al cerrar sesión.
+
+export const estado = {
+    usuario: JSON.parse(localStorage.getItem('authUser') || 'null'),
+    estados: [],
+    cursosActivos: [],
+    ciclosActivos: [],
+    // Paginación, orden y búsqueda de cada listado
+    listados: {
+        cursos: { page: 1, pageSize: 20, sort: '-idcurso', search: '' },
+        ciclos: { page: 1, pageSize: 20, sort: '-idcurso', search: '' }
+    },
+    // Sin conexión desde `desde` (Date) o null si el servidor responde
+    sinConexion: null
+};
+
+const suscriptores = {};
+
+export function suscribir(clave, fn) {
+    (suscriptores[clave] = suscriptores[clave] || []).push(fn);
+}
+
+export function actualizar(clave, valor) {
+    estado[clave] = valor;
+    (suscriptores[clave] || []).forEach(fn => fn(valor));
+}
+
+// Id de un estado por su código (ACTIVO, ANULADO, ...)
+export function idEstado(codigo) {
+    return estado.estados.find(e => e.codigo === codigo)?.idestado;
+}
+
+const CACHE_PREFIX = 'cache:';
+
+// Endpoints que se guardan: /cursos, /ciclos/12, /estados (con o sin query)
+const CACHEABLES = /^\/(cursos|ciclos|estados)(\/\d+)?(\?|$)/;
+
+export const cache = {
+    leer(clave) {
+        if (!CACHEABLES.test(clave)) return null;
+        const guardado = localStorage.getItem(CACHE_PREFIX + clave);
+        return guardado ? JSON.parse(guardado) : null;
+    },
+
+    guardar(clave, datos) {
+        if (!CACHEABLES.test(clave)) return;
+        try {
+            localStorage.setItem(CACHE_PREFIX + clave, JSON.stringify({ datos, fecha: Date.now() }));
+        } catch {
+            // Sin espacio en localStorage: se sigue sin caché
+        }
+    },
+
+    // Sin argumento borra toda la caché; con un filtro, solo esas claves
+    limpiar(filtro = () => true) {
+        Object.keys(localStorage)
+            .filter(clave => clave.startsWith(CACHE_PREFIX) && filtro(clave.slice(CACHE_PREFIX.length)))
+            .forEach(clave => localStorage.removeItem(clave));
+    }
+};
+
+// Versiones anteriores guardaban todos los GET
+cache.limpiar(clave => !CACHEABLES.test(clave));
@@ -0,0 +1,100 @@
+import { byId } from './dom.js';
+
+// ========================================
+// FORMULARIOS
+// ========================================
+
+// Campos de la API y su input en cada formulario
+export const FORM_FIELDS = {
+    curso: {
+        nombre_curso: 'cursoNombre',
+        descripcion: 'cursoDescripcion',
+        dirigido: 'cursoDirigido',
+        horas_clases_por_dia: 'cursoHoras',
+        horarios: 'cursoHorarios',
+        frecuencia: 'cursoFrecuencia',
+        idestado: 'cursoEstado'
+    },
+    ciclo: {
+        idcurso: 'cicloCurso',
+        nombreciclo: 'cicloNombre',
+        precio_regular: 'cicloPrecioRegular',
+        precio_promocion: 'cicloPrecioPromocion',
+        fecha_inicio_clase: 'cicloFechaInicio',
+        fecha_fin_clase: 'cicloFechaFin',
+        fecha_inicio_inscripcion: 'cicloInscripcion',
+        duracion_curso_total: 'cicloDuracion',
+        vacantes: 'cicloVacantes',
+        permite_lista_espera: 'cicloListaEspera',
+        idestado: 'cicloEstado'
+    },
+    pago: {
+        monto: 'pagoMonto',
+        metodo: 'pagoMetodo',
+        numero_recibo: 'pagoRecibo',
+        fecha_pago: 'pagoFecha'
+    },
+    estado: {
+        codigo: 'estadoCodigo',
+        nombre: 'estadoNombre',
+        descripcion: 'estadoDescripcion',
+        aplica_cursos: 'estadoAplicaCursos',
+        aplica_ciclos: 'estadoAplicaCiclos'
+    },
+    matricula: {
+        documento: 'alumnoDocumento',
+        nombres: 'alumnoNombres',
+        apellidos: 'alumnoApellidos',
+        email: 'alumnoEmail',
+        telefono: 'alumnoTelefono'
+    }
+};
+
+// Resaltar los inputs rechazados por la validación del servidor
+export function showFieldErrors(type, errors = []) {
+    clearFieldErrors(type);
+
+    errors.forEach(({ field, message }) => {
+        const inputId = FORM_FIELDS[type][field];
+        if (!inputId) return;
+
+        const input = byId(inputId);
+        input.classList.add('input-error');
+
+        const messageEl = document.createElement('div');
+        messageEl.className = 'field-error';
+        messageEl.textContent = message;
+        input.parentElement.appendChild(messageEl);
+    });
+}
+
+export function clearFieldErrors(type) {
+    const form = byId(`${type}Form`);
+    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+}
+
+// Cambios sin guardar: se compara el formulario con una foto de sus valores
+// tomada al abrirlo (o al terminar de cargarlo)
+const fotos = new Map();
+
+const valores = (form) => JSON.stringify(
+    [...form.elements].filter(el => el.id).map(el => [el.id, el.value])
+);
+
+export function marcarSinCambios(formId) {
+    fotos.set(formId, valores(byId(formId)));
+}
+
+export function tieneCambios(formId) {
+    return fotos.has(formId) && fotos.get(formId) !== valores(byId(formId));
+}
+
+// Otro usuario guardó el registro mientras se editaba
+export function handleConflict(type, recargar) {
+    const reload = confirm(
+        `Otro usuario modificó este ${type} mientras lo editaba.\n` +
+        '¿Desea cargar la versión actual? Se perderán sus cambios.'
+    );
+    if (reload) recargar();
+}
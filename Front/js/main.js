@@ -0,0 +1,70 @@
+import { haySesion } from './api.js';
+import { suscribir } from './estado.js';
+import { byId } from './dom.js';
+import { showError } from './mensajes.js';
+import { registrarAcciones } from './acciones.js';
+import { closeModal } from './modales.js';
+import { registrarRuta, aplicarRuta } from './router.js';
+import { checkAuth } from './vistas/auth.js';
+import { loadEstadisticas } from './vistas/dashboard.js';
+import { loadEstados } from './vistas/estados.js';
+import { loadCursos } from './vistas/cursos.js';
+import { loadCiclos } from './vistas/ciclos.js';
+import { mostrarCiclos } from './vistas/cicloDetalle.js';
+import { loadCiclosSelect, mostrarInscritos } from './vistas/inscritos.js';
+import { loadSemana, loadFeriados } from './vistas/horarios.js';
+import './vistas/pagos.js';
+import './vistas/copia.js';
+import './vistas/importacion.js';
+import './vistas/busqueda.js';
+
+// ========================================
+// INICIO DE LA APLICACIÓN
+// ========================================
+
+// Load all data
+async function loadAllData() {
+    try {
+        // Los listados buscan los estados por código
+        await loadEstados();
+        await Promise.all([
+            loadCursos(),
+            loadCiclos(),
+            loadCiclosSelect(),
+            loadSemana(),
+            loadFeriados(),
+            loadEstadisticas()
+        ]);
+    } catch (error) {
+        showError('Error al cargar los datos: ' + error.message);
+    }
+}
+
+registrarRuta('ciclos', mostrarCiclos);
+registrarRuta('inscritos', mostrarInscritos);
+
+registrarAcciones({
+    'cerrar-modal': ({ modal }) => closeModal(modal)
+});
+
+// Aviso mientras se muestran datos guardados por falta de conexión
+suscribir('sinConexion', (desde) => {
+    const banner = byId('offlineBanner');
+    banner.hidden = !desde;
+    if (desde) {
+        const hora = desde.toLocaleTimeString('es-PE', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+        banner.textContent = `⚠️ Sin conexión con el servidor: se muestran los datos guardados a las ${hora}. ` +
+            'Los cambios no se guardarán hasta recuperar la conexión.';
+    }
+});
+
+window.addEventListener('sesion-iniciada', async () => {
+    await loadAllData();
+    aplicarRuta();
+});
+
+window.addEventListener('online', () => {
+    if (haySesion()) loadAllData();
+});
+
+checkAuth();
@@ -0,0 +1,23 @@
+import { byId } from './dom.js';
+
+// ========================================
+// MENSAJES
+// ========================================
+
+export function showSuccess(message) {
+    const successEl = byId('successMessage');
+    successEl.textContent = '✅ ' + message;
+    successEl.style.display = 'block';
+    setTimeout(() => {
+        successEl.style.display = 'none';
+    }, 3000);
+}
+
+export function showError(message) {
+    const errorEl = byId('errorMessage');
+    errorEl.textContent = '❌ ' + message;
+    errorEl.style.display = 'block';
+    setTimeout(() => {
+        errorEl.style.display = 'none';
+    }, 5000);
+}
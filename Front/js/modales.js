@@ -0,0 +1,59 @@
+import { byId } from './dom.js';
+import { marcarSinCambios, tieneCambios } from './formularios.js';
+
+// ========================================
+// MODALES
+// ========================================
+//
+// Los modales de curso y ciclo piden confirmación antes de cerrarse si el
+// formulario tiene cambios sin guardar, por cualquier vía: botón Cancelar o ×,
+// clic fuera, Escape, cambio de ruta o cierre de la pestaña.
+
+const PROTEGIDOS = { curso: 'cursoForm', ciclo: 'cicloForm' };
+
+const abierto = (type) => byId(`${type}Modal`).classList.contains('active');
+
+const conCambios = (type) => PROTEGIDOS[type] && abierto(type) && tieneCambios(PROTEGIDOS[type]);
+
+// Mostrar el modal; el formulario ya debe tener sus valores cargados
+export function openModal(type) {
+    if (PROTEGIDOS[type]) marcarSinCambios(PROTEGIDOS[type]);
+    byId(`${type}Modal`).classList.add('active');
+}
+
+// Devuelve false si el usuario decidió seguir editando
+export function closeModal(type, { forzar = false } = {}) {
+    if (!forzar && conCambios(type) &&
+        !confirm('Hay cambios sin guardar. ¿Desea cerrar y descartarlos?')) {
+        return false;
+    }
+    byId(`${type}Modal`).classList.remove('active');
+    return true;
+}
+
+// Cerrar los modales abiertos (al cambiar de ruta); false si alguno se quedó
+export function cerrarModales() {
+    return [...document.querySelectorAll('.modal.active')]
+        .map(modal => closeModal(modal.id.replace(/Modal$/, '')))
+        .every(Boolean);
+}
+
+// Close modals on click outside
+window.addEventListener('click', (event) => {
+    if (event.target.classList.contains('modal')) {
+        closeModal(event.target.id.replace(/Modal$/, ''));
+    }
+});
+
+document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    const modal = [...document.querySelectorAll('.modal.active')].pop();
+    if (modal) closeModal(modal.id.replace(/Modal$/, ''));
+});
+
+window.addEventListener('beforeunload', (event) => {
+    if (Object.keys(PROTEGIDOS).some(conCambios)) {
+        event.preventDefault();
+        event.returnValue = '';
+    }
+});
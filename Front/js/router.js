@@ -0,0 +1,66 @@
+import { haySesion } from './api.js';
+import { cerrarModales } from './modales.js';
+
+// ========================================
+// RUTAS
+// ========================================
+//
+// Cada pestaña tiene su ruta en el hash (#/cursos, #/ciclos, ...) para poder
+// compartir enlaces y usar atrás/adelante. Algunas aceptan un id:
+// #/ciclos/12 abre el detalle del ciclo y #/inscritos/12 sus matrículas.
+
+const PESTANAS = ['cursos', 'ciclos', 'inscritos', 'horarios', 'estados'];
+const RUTA_INICIAL = '#/cursos';
+
+const vistas = {};
+let rutaActual = null;
+let revirtiendo = false;
+
+// fn(id) se llama al entrar a la pestaña; id es null si la ruta no lo tiene
+export function registrarRuta(tab, fn) {
+    vistas[tab] = fn;
+}
+
+function leerRuta(hash) {
+    const [, tab, id] = hash.match(/^#\/(\w+)(?:\/(\d+))?\/?$/) || [];
+    return PESTANAS.includes(tab) ? { tab, id: id ? parseInt(id) : null } : null;
+}
+
+export function navegar(ruta) {
+    location.hash = ruta;
+}
+
+// Mostrar la pestaña de la ruta actual (al iniciar sesión y en cada cambio)
+export function aplicarRuta() {
+    const ruta = leerRuta(location.hash);
+    if (!ruta) {
+        history.replaceState(null, '', RUTA_INICIAL);
+        return aplicarRuta();
+    }
+    rutaActual = location.hash;
+
+    document.querySelectorAll('.tab-content').forEach(tab => {
+        tab.classList.toggle('active', tab.id === `${ruta.tab}Tab`);
+    });
+    document.querySelectorAll('.tab').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === ruta.tab);
+    });
+
+    if (vistas[ruta.tab]) vistas[ruta.tab](ruta.id);
+}
+
+window.addEventListener('hashchange', () => {
+    if (revirtiendo) {
+        revirtiendo = false;
+        return;
+    }
+    if (!haySesion()) return;
+
+    // Un formulario con cambios sin guardar puede cancelar la navegación
+    if (!cerrarModales()) {
+        revirtiendo = true;
+        location.hash = rutaActual;
+        return;
+    }
+    aplicarRuta();
+});
@@ -0,0 +1,100 @@
+import { auth } from '../cliente.js';
+import { saveTokens, clearTokens, revokeSession, haySesion } from '../api.js';
+import { actualizar } from '../estado.js';
+import { byId } from '../dom.js';
+import { showSuccess } from '../mensajes.js';
+import { closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+
+// ========================================
+// SESIÓN
+// ========================================
+//
+// Al entrar (login o sesión guardada) se emite 'sesion-iniciada' en window
+// para que main.js cargue los datos y muestre la ruta actual.
+
+function mostrarAplicacion() {
+    byId('loginContainer').style.display = 'none';
+    byId('mainContainer').style.display = 'block';
+    window.dispatchEvent(new CustomEvent('sesion-iniciada'));
+}
+
+// Guardar el usuario autenticado y ajustar la interfaz a su rol
+function setCurrentUser(user) {
+    actualizar('usuario', user);
+    localStorage.setItem('authUser', JSON.stringify(user));
+    document.body.classList.toggle('read-only', user.role === 'viewer');
+    document.body.classList.toggle('no-admin', user.role !== 'admin');
+    byId('currentUserLabel').textContent = `${user.nombre || user.username} (${user.role})`;
+}
+
+byId('loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const loginBtn = byId('loginBtn');
+    const errorEl = byId('loginError');
+
+    try {
+        loginBtn.disabled = true;
+        loginBtn.textContent = 'Iniciando sesión';
+        loginBtn.append(Object.assign(document.createElement('span'), { className: 'loading' }));
+        errorEl.textContent = '';
+
+        const response = await auth.login(byId('username').value, byId('password').value);
+
+        saveTokens(response.token, response.refreshToken);
+        setCurrentUser(response.user);
+        mostrarAplicacion();
+        showSuccess('Sesión iniciada correctamente');
+    } catch (error) {
+        errorEl.textContent = error.message || 'Error al iniciar sesión';
+    } finally {
+        loginBtn.disabled = false;
+        loginBtn.textContent = 'Iniciar Sesión';
+    }
+});
+
+export function logout() {
+    revokeSession();
+    clearTokens();
+    actualizar('usuario', null);
+
+    document.querySelectorAll('.modal.active').forEach(modal => {
+        closeModal(modal.id.replace(/Modal$/, ''), { forzar: true });
+    });
+    document.body.classList.remove('read-only', 'no-admin');
+    byId('loginContainer').style.display = 'block';
+    byId('mainContainer').style.display = 'none';
+    byId('loginForm').reset();
+    byId('loginError').textContent = '';
+}
+
+// Check authentication on load
+export async function checkAuth() {
+    if (!haySesion()) return;
+
+    try {
+        const response = await auth.verify();
+        setCurrentUser(response.user);
+        mostrarAplicacion();
+    } catch (error) {
+        // Sin conexión se entra con el usuario guardado y los datos en caché
+        if (error.sinConexion) {
+            const usuario = JSON.parse(localStorage.getItem('authUser') || 'null');
+            if (usuario) {
+                setCurrentUser(usuario);
+                mostrarAplicacion();
+                return;
+            }
+        }
+        logout();
+    }
+}
+
+// La API no pudo renovar el token: volver al login
+window.addEventListener('sesion-expirada', () => {
+    if (haySesion()) logout();
+});
+
+registrarAcciones({
+    'logout': () => logout()
+});
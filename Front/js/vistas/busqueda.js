@@ -0,0 +1,134 @@
+import { busqueda } from '../cliente.js';
+import { suscribir } from '../estado.js';
+import { h, byId, reemplazar, mostrar } from '../dom.js';
+
+// ========================================
+// BÚSQUEDA GLOBAL (cabecera)
+// ========================================
+//
+// Busca en cursos y ciclos mientras se escribe y muestra los resultados por
+// relevancia bajo el campo. Un ciclo lleva a su detalle (#/ciclos/:id) y un
+// curso abre su formulario. Las coincidencias llegan separadas en partes y se
+// marcan con <mark> como nodos, sin pasar el texto por innerHTML.
+
+const PAGE_SIZE = 10;
+const ESPERA_MS = 300;
+const MIN_CARACTERES = 2;
+
+const TIPO_LABELS = { curso: 'Curso', ciclo: 'Ciclo' };
+
+let temporizador = null;
+// Solo se pinta la respuesta de la última búsqueda
+let ultimaBusqueda = 0;
+let resultados = [];
+
+// [{ texto, resaltado }] -> nodos
+function textoResaltado(partes) {
+    return partes.map(parte => (parte.resaltado ? h('mark', {}, parte.texto) : parte.texto));
+}
+
+function itemResultado(resultado) {
+    const contenido = [
+        h('span', { className: `busqueda-tipo busqueda-tipo-${resultado.tipo}` }, TIPO_LABELS[resultado.tipo]),
+        h('span', { className: 'busqueda-nombre' }, textoResaltado(resultado.resaltado.nombre)),
+        resultado.tipo === 'ciclo' && h('span', { className: 'busqueda-curso' }, resultado.nombre_curso),
+        resultado.estado_nombre && h('span', { className: 'busqueda-estado' }, resultado.estado_nombre),
+        resultado.resaltado.detalle && h('div', { className: 'busqueda-detalle' },
+            textoResaltado(resultado.resaltado.detalle))
+    ];
+
+    // Los cursos no tienen página propia: se abre su formulario
+    const enlace = resultado.tipo === 'ciclo'
+        ? h('a', { href: `#/ciclos/${resultado.id}` }, contenido)
+        : h('a', { href: '#', dataset: { accion: 'editar-curso', id: resultado.id } }, contenido);
+
+    return h('li', {}, enlace);
+}
+
+function renderResultados(result) {
+    const lista = byId('busquedaResultados');
+
+    if (result.total === 0) {
+        reemplazar(lista, h('p', { className: 'busqueda-vacia' }, 'Sin resultados'));
+    } else {
+        reemplazar(lista,
+            h('ul', {}, resultados.map(itemResultado)),
+            h('div', { className: 'busqueda-pie' },
+                `${resultados.length} de ${result.total}`,
+                result.page < result.totalPages && h('button', {
+                    type: 'button',
+                    className: 'btn btn-secondary btn-small',
+                    onclick: () => buscar(result.page + 1)
+                }, 'Ver más')
+            )
+        );
+    }
+    mostrar('busquedaResultados', true);
+}
+
+async function buscar(page = 1) {
+    const q = byId('busquedaInput').value.trim();
+    const numero = ++ultimaBusqueda;
+
+    if (q.length < MIN_CARACTERES) {
+        cerrarResultados();
+        return;
+    }
+
+    try {
+        const result = await busqueda.buscar({ q, page, pageSize: PAGE_SIZE });
+        if (numero !== ultimaBusqueda) return;
+
+        resultados = page === 1 ? result.data : [...resultados, ...result.data];
+        renderResultados(result);
+    } catch (error) {
+        if (numero !== ultimaBusqueda) return;
+        reemplazar('busquedaResultados', h('p', { className: 'busqueda-vacia' }, 'Error al buscar: ' + error.message));
+        mostrar('busquedaResultados', true);
+    }
+}
+
+function cerrarResultados() {
+    mostrar('busquedaResultados', false);
+}
+
+byId('busquedaInput').addEventListener('input', () => {
+    clearTimeout(temporizador);
+    temporizador = setTimeout(() => buscar(), ESPERA_MS);
+});
+
+byId('busquedaInput').addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') cerrarResultados();
+});
+
+// Volver al campo muestra otra vez los últimos resultados
+byId('busquedaInput').addEventListener('focus', () => {
+    const q = byId('busquedaInput').value.trim();
+    if (byId('busquedaResultados').hasChildNodes() && q.length >= MIN_CARACTERES) {
+        mostrar('busquedaResultados', true);
+    }
+});
+
+byId('busquedaForm').addEventListener('submit', (event) => {
+    event.preventDefault();
+    clearTimeout(temporizador);
+    buscar();
+});
+
+// Elegir un resultado o hacer clic fuera cierra la lista
+document.addEventListener('click', (event) => {
+    const form = byId('busquedaForm');
+    if (!form.contains(event.target) || event.target.closest('.busqueda-resultados a')) {
+        cerrarResultados();
+    }
+});
+
+// Al cerrar sesión no quedan a la vista resultados del usuario anterior
+suscribir('usuario', (usuario) => {
+    if (usuario) return;
+    ultimaBusqueda++;
+    resultados = [];
+    byId('busquedaInput').value = '';
+    reemplazar('busquedaResultados');
+    cerrarResultados();
+});
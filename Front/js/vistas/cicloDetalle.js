@@ -0,0 +1,87 @@
+import { ciclos, matriculas } from '../cliente.js';
+import { h, byId, reemplazar, filaMensaje, formatDate, formatDateTime, mostrar } from '../dom.js';
+import { showError } from '../mensajes.js';
+import { navegar } from '../router.js';
+import { accionesCiclo } from './ciclos.js';
+import { resumenSesiones, celdasHorario } from './horarios.js';
+
+// ========================================
+// DETALLE DE UN CICLO (#/ciclos/:id)
+// ========================================
+
+const ORIGEN_LABELS = { manual: 'Manual', automatico: 'Automático', restaurar: 'Restauración' };
+
+// Ciclo mostrado en el detalle (null en el listado)
+let cicloActual = null;
+
+// Ruta #/ciclos: listado o, con id, el detalle de ese ciclo
+export function mostrarCiclos(idciclo) {
+    cicloActual = idciclo;
+    mostrar('ciclosListado', !idciclo);
+    mostrar('cicloDetalle', Boolean(idciclo));
+    if (idciclo) loadDetalle(idciclo);
+}
+
+// Volver a cargar el detalle si muestra el ciclo que acaba de cambiar
+export function refrescarDetalle(idciclo) {
+    if (cicloActual && cicloActual === idciclo) loadDetalle(idciclo);
+}
+
+function dato(etiqueta, valor) {
+    return [h('dt', {}, etiqueta), h('dd', {}, valor)];
+}
+
+async function loadDetalle(idciclo) {
+    try {
+        const [ciclo, sesiones, cambios, inscritos] = await Promise.all([
+            ciclos.obtener(idciclo),
+            ciclos.sesiones(idciclo),
+            ciclos.historialEstados(idciclo),
+            matriculas.listar(idciclo)
+        ]);
+        // Se navegó a otro ciclo mientras se cargaba este
+        if (cicloActual !== idciclo) return;
+
+        byId('detalleTitulo').textContent = `${ciclo.nombre_curso} - ${ciclo.nombreciclo}`;
+        reemplazar('detalleAcciones', accionesCiclo(ciclo));
+
+        reemplazar('detalleDatos',
+            dato('Estado', ciclo.estado_nombre || '-'),
+            dato('Precio regular', `S/ ${ciclo.precio_regular || 0}`),
+            dato('Precio promoción', `S/ ${ciclo.precio_promocion || 0}`),
+            dato('Inicio de clases', formatDate(ciclo.fecha_inicio_clase)),
+            dato('Fin de clases', formatDate(ciclo.fecha_fin_clase)),
+            dato('Inicio de inscripciones', formatDate(ciclo.fecha_inicio_inscripcion)),
+            dato('Duración', ciclo.duracion_curso_total || '-'),
+            dato('Vacantes', ciclo.vacantes ?? 'Sin límite'),
+            dato('Lista de espera', ciclo.permite_lista_espera ? 'Sí' : 'No')
+        );
+
+        const vigentes = inscritos.filter(m => m.estado !== 'anulado');
+        const enEspera = vigentes.filter(m => m.estado === 'lista_espera').length;
+        byId('detalleInscritos').textContent =
+            `Inscritos: ${vigentes.length - enEspera}` +
+            (ciclo.vacantes !== null ? ` de ${ciclo.vacantes} vacantes` : ' (sin límite de vacantes)') +
+            (enEspera > 0 ? ` · En lista de espera: ${enEspera}` : '');
+        byId('detalleInscritosLink').href = `#/inscritos/${idciclo}`;
+
+        byId('detalleSesiones').textContent = resumenSesiones(sesiones);
+        byId('detalleCalendarLink').href = ciclos.calendarUrl(idciclo);
+        reemplazar('detalleHorariosBody', sesiones.horarios.length === 0
+            ? filaMensaje(4, 'Sin horario definido')
+            : sesiones.horarios.map(horario => h('tr', {}, celdasHorario(horario))));
+
+        reemplazar('detalleEstadosBody', cambios.length === 0
+            ? filaMensaje(5, 'Sin cambios de estado registrados')
+            : cambios.map(c => h('tr', {},
+                h('td', {}, formatDateTime(c.fecha)),
+                h('td', {}, c.estado_anterior || '-'),
+                h('td', {}, c.estado_nuevo),
+                h('td', {}, ORIGEN_LABELS[c.origen] || c.origen),
+                h('td', {}, c.username || '-')
+            )));
+    } catch (error) {
+        showError('Error al cargar ciclo: ' + error.message);
+        if (error.status === 404) navegar('#/ciclos');
+    }
+}
@@ -0,0 +1,184 @@
+import { ciclos } from '../cliente.js';
+import { idEstado, suscribir } from '../estado.js';
+import { h, byId, reemplazar, filaMensaje, botonAccion, opcion, llenarSelect, formatDate, fechaInput } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { showFieldErrors, clearFieldErrors, handleConflict } from '../formularios.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { listQuery, renderPagination, registrarListado } from './listados.js';
+import { limitarEstados } from './estados.js';
+import { loadHistorial, ocultarHistorial } from './historial.js';
+import { loadHorariosCiclo, ocultarHorariosCiclo } from './horarios.js';
+import { loadCiclosSelect } from './inscritos.js';
+import { loadEstadisticas } from './dashboard.js';
+import { refrescarDetalle } from './cicloDetalle.js';
+
+// ========================================
+// CICLOS
+// ========================================
+
+// Botones de un ciclo, en el listado y en su detalle
+export function accionesCiclo(ciclo) {
+    return h('div', { className: 'actions' },
+        botonAccion('editar-ciclo', ciclo.idciclo, '✏️', 'btn-warning'),
+        botonAccion('duplicar-ciclo', ciclo.idciclo, '📄', 'btn-secondary', { title: 'Duplicar' }),
+        ciclo.idestado === idEstado('ANULADO')
+            ? botonAccion('restaurar-ciclo', ciclo.idciclo, '♻️', 'btn-success', { title: 'Restaurar' })
+            : botonAccion('eliminar-ciclo', ciclo.idciclo, '🗑️', 'btn-danger')
+    );
+}
+
+function filaCiclo(ciclo) {
+    return h('tr', {},
+        h('td', {}, ciclo.idciclo),
+        h('td', {}, ciclo.nombre_curso || '-'),
+        h('td', {}, h('a', { href: `#/ciclos/${ciclo.idciclo}` }, ciclo.nombreciclo)),
+        h('td', {}, `S/ ${ciclo.precio_regular || 0}`),
+        h('td', {}, `S/ ${ciclo.precio_promocion || 0}`),
+        h('td', {}, formatDate(ciclo.fecha_inicio_clase)),
+        h('td', {}, formatDate(ciclo.fecha_fin_clase)),
+        h('td', {}, ciclo.duracion_curso_total || '-'),
+        h('td', {}, ciclo.estado_nombre || '-'),
+        h('td', {}, accionesCiclo(ciclo))
+    );
+}
+
+// Load Ciclos
+export async function loadCiclos() {
+    try {
+        const result = await ciclos.listar(listQuery('ciclos'));
+        renderPagination('ciclos', result);
+
+        reemplazar('ciclosTableBody', result.data.length === 0
+            ? filaMensaje(10, 'No hay ciclos disponibles')
+            : result.data.map(filaCiclo));
+    } catch (error) {
+        showError('Error al cargar ciclos: ' + error.message);
+    }
+}
+
+function nuevoCiclo() {
+    byId('cicloModalTitle').textContent = 'Nuevo Ciclo';
+    byId('cicloForm').reset();
+    byId('cicloId').value = '';
+    ocultarHistorial('ciclo');
+    ocultarHorariosCiclo();
+    byId('cicloEstado').value = idEstado('ACTIVO');
+    limitarEstados('ciclo');
+    clearFieldErrors('ciclo');
+    openModal('ciclo');
+}
+
+export async function editCiclo(id) {
+    try {
+        const ciclo = await ciclos.obtener(id);
+
+        byId('cicloModalTitle').textContent = 'Editar Ciclo';
+        clearFieldErrors('ciclo');
+        byId('cicloId').value = ciclo.idciclo;
+        byId('cicloFechaEdicion').value = ciclo.fechaedicion;
+        byId('cicloCurso').value = ciclo.idcurso;
+        byId('cicloNombre').value = ciclo.nombreciclo;
+        byId('cicloPrecioRegular').value = ciclo.precio_regular || '';
+        byId('cicloPrecioPromocion').value = ciclo.precio_promocion || '';
+        byId('cicloFechaInicio').value = fechaInput(ciclo.fecha_inicio_clase);
+        byId('cicloFechaFin').value = fechaInput(ciclo.fecha_fin_clase);
+        byId('cicloInscripcion').value = fechaInput(ciclo.fecha_inicio_inscripcion);
+        byId('cicloDuracion').value = ciclo.duracion_curso_total || '';
+        byId('cicloVacantes').value = ciclo.vacantes ?? '';
+        byId('cicloListaEspera').value = String(ciclo.permite_lista_espera);
+        byId('cicloEstado').value = ciclo.idestado;
+        limitarEstados('ciclo', ciclo.idestado);
+        openModal('ciclo');
+        loadHistorial('ciclo', ciclo.idciclo);
+        loadHorariosCiclo();
+    } catch (error) {
+        showError('Error al cargar ciclo: ' + error.message);
+    }
+}
+
+// Listado, selects, estadísticas y detalle abierto tras cambiar un ciclo
+async function recargarCiclos(id) {
+    await loadCiclos();
+    await loadCiclosSelect();
+    await loadEstadisticas();
+    refrescarDetalle(id);
+}
+
+async function deleteCiclo(id) {
+    if (confirm('¿Está seguro de eliminar este ciclo? Esta acción no se puede deshacer.')) {
+        try {
+            await ciclos.eliminar(id);
+            await recargarCiclos(id);
+            showSuccess('Ciclo eliminado correctamente');
+        } catch (error) {
+            showError('Error al eliminar ciclo: ' + error.message);
+        }
+    }
+}
+
+async function restoreCiclo(id) {
+    try {
+        const result = await ciclos.restaurar(id);
+        await recargarCiclos(id);
+        showSuccess(result.message);
+    } catch (error) {
+        showError('Error al restaurar ciclo: ' + error.message);
+    }
+}
+
+byId('cicloForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const id = byId('cicloId').value;
+    const cicloData = {
+        idcurso: parseInt(byId('cicloCurso').value),
+        nombreciclo: byId('cicloNombre').value,
+        precio_regular: parseFloat(byId('cicloPrecioRegular').value) || null,
+        precio_promocion: parseFloat(byId('cicloPrecioPromocion').value) || null,
+        fecha_inicio_clase: byId('cicloFechaInicio').value || null,
+        fecha_fin_clase: byId('cicloFechaFin').value || null,
+        fecha_inicio_inscripcion: byId('cicloInscripcion').value || null,
+        duracion_curso_total: byId('cicloDuracion').value,
+        vacantes: byId('cicloVacantes').value,
+        permite_lista_espera: byId('cicloListaEspera').value === 'true',
+        idestado: parseInt(byId('cicloEstado').value)
+    };
+
+    try {
+        if (id) {
+            // Update (fechaedicion detecta cambios de otro usuario)
+            await ciclos.actualizar(id, { ...cicloData, fechaedicion: byId('cicloFechaEdicion').value });
+            showSuccess('Ciclo actualizado correctamente');
+        } else {
+            await ciclos.crear(cicloData);
+            showSuccess('Ciclo creado correctamente');
+        }
+
+        closeModal('ciclo', { forzar: true });
+        await recargarCiclos(parseInt(id));
+    } catch (error) {
+        // Un 409 con el ciclo actual es un conflicto de versión; sin él, un
+        // error de negocio (ej. menos vacantes que inscritos)
+        if (error.status === 409 && error.data.ciclo) {
+            handleConflict('ciclo', () => editCiclo(id));
+            return;
+        }
+        showFieldErrors('ciclo', error.errors);
+        showError('Error al guardar ciclo: ' + error.message);
+    }
+});
+
+// Select de cursos del formulario (solo cursos activos)
+suscribir('cursosActivos', (lista) => {
+    llenarSelect('cicloCurso', lista.map(curso => opcion(curso.idcurso, curso.nombre_curso)), 1);
+});
+
+registrarListado('ciclos', loadCiclos);
+
+registrarAcciones({
+    'nuevo-ciclo': () => nuevoCiclo(),
+    'editar-ciclo': ({ id }) => editCiclo(parseInt(id)),
+    'eliminar-ciclo': ({ id }) => deleteCiclo(parseInt(id)),
+    'restaurar-ciclo': ({ id }) => restoreCiclo(parseInt(id))
+});
@@ -0,0 +1,112 @@
+import { ciclos } from '../cliente.js';
+import { estado } from '../estado.js';
+import { h, byId, reemplazar, opcion, formatDate } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { loadCiclos } from './ciclos.js';
+
+// ========================================
+// DUPLICAR CICLO / SIGUIENTE PERIODO
+// ========================================
+
+// Duplicar un ciclo (copiaOrigen) o copiar los ciclos de varios cursos
+// al siguiente periodo (copiaOrigen = null)
+let copiaOrigen = null;
+
+function openCopia(idciclo = null) {
+    copiaOrigen = idciclo;
+    byId('copiaModalTitle').textContent = idciclo ? '📄 Duplicar Ciclo' : '⏭️ Siguiente Periodo';
+    byId('copiaCursosGroup').style.display = idciclo ? 'none' : 'block';
+    byId('copiaNombreGroup').style.display = idciclo ? 'block' : 'none';
+    reemplazar('copiaCursos', estado.cursosActivos.map(curso => opcion(curso.idcurso, curso.nombre_curso)));
+    byId('copiaNombre').value = '';
+    byId('copiaResumen').textContent = '';
+    reemplazar('copiaBody');
+    byId('copiaConfirmar').disabled = true;
+    openModal('copia');
+}
+
+function copiaPeticion(dryRun) {
+    const desplazamiento = parseInt(byId('copiaDesplazamiento').value) || 0;
+    const body = {
+        [byId('copiaUnidad').value === 'dias' ? 'desplazar_dias' : 'desplazar_meses']: desplazamiento,
+        ajuste_precio: byId('copiaAjuste').value,
+        copiar_horarios: byId('copiaHorarios').value === 'true'
+    };
+
+    if (copiaOrigen) {
+        body.nombreciclo = byId('copiaNombre').value;
+        return ciclos.duplicar(copiaOrigen, body, dryRun);
+    }
+
+    body.idcursos = [...byId('copiaCursos').selectedOptions].map(option => Number(option.value));
+    body.fecha_inicio_desde = byId('copiaDesde').value;
+    body.fecha_inicio_hasta = byId('copiaHasta').value;
+    return ciclos.rollForward(body, dryRun);
+}
+
+const COPIA_ACCIONES = { crear: '➕ Crear', omitir: 'Omitir (ya existe)', error: '❌ Error' };
+
+function renderCopia(copias) {
+    reemplazar('copiaBody', copias.map(copia => h('tr', {},
+        h('td', {}, copia.nombre_curso),
+        h('td', {}, copia.nombreciclo_origen),
+        h('td', {}, copia.ciclo.nombreciclo,
+            copia.horarios && [h('br'), h('small', {}, `${copia.horarios} horario(s)`)]),
+        h('td', {}, `${formatDate(copia.ciclo.fecha_inicio_clase)} - ${formatDate(copia.ciclo.fecha_fin_clase)}`),
+        h('td', {}, `S/ ${copia.ciclo.precio_regular ?? 0}`),
+        h('td', { className: copia.accion === 'error' ? 'cuota-vencida' : '' }, COPIA_ACCIONES[copia.accion],
+            copia.errors && [h('br'), h('small', {}, copia.errors.map(e => e.message).join('; '))])
+    )));
+}
+
+async function previewCopia() {
+    const confirmar = byId('copiaConfirmar');
+    confirmar.disabled = true;
+
+    try {
+        const resultado = await copiaPeticion(true);
+
+        if (copiaOrigen) {
+            const original = byId('copiaNombre');
+            if (!original.value) original.placeholder = resultado.ciclo.nombreciclo;
+            byId('copiaResumen').textContent =
+                `Nuevo ciclo: ${resultado.ciclo.nombreciclo}, del ${formatDate(resultado.ciclo.fecha_inicio_clase)} ` +
+                `al ${formatDate(resultado.ciclo.fecha_fin_clase)}, S/ ${resultado.ciclo.precio_regular ?? 0}`;
+            confirmar.disabled = false;
+            return;
+        }
+
+        const { crear, omitir, error } = resultado.resumen;
+        byId('copiaResumen').textContent =
+            `${crear} por crear, ${omitir} omitidos, ${error} con errores` +
+            (resultado.cursos_sin_ciclos.length > 0
+                ? `. ${resultado.cursos_sin_ciclos.length} curso(s) sin ciclos para copiar en el periodo` : '');
+        renderCopia(resultado.copias);
+        confirmar.disabled = error > 0 || crear === 0;
+    } catch (error) {
+        byId('copiaResumen').textContent =
+            error.errors && error.errors.length > 0 ? error.errors.map(e => e.message).join('; ') : error.message;
+    }
+}
+
+async function confirmCopia() {
+    try {
+        const resultado = await copiaPeticion(false);
+        closeModal('copia');
+        showSuccess(resultado.message);
+        loadCiclos();
+    } catch (error) {
+        if (error.data && error.data.copias) renderCopia(error.data.copias);
+        byId('copiaConfirmar').disabled = true;
+        showError('Error al copiar ciclos: ' + error.message);
+    }
+}
+
+registrarAcciones({
+    'duplicar-ciclo': ({ id }) => openCopia(parseInt(id)),
+    'siguiente-periodo': () => openCopia(),
+    'vista-previa-copia': () => previewCopia(),
+    'confirmar-copia': () => confirmCopia()
+});
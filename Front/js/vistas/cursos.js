@@ -0,0 +1,152 @@
+import { cursos } from '../cliente.js';
+import { idEstado, actualizar } from '../estado.js';
+import { h, byId, reemplazar, filaMensaje, botonAccion } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { showFieldErrors, clearFieldErrors, handleConflict } from '../formularios.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { listQuery, renderPagination, registrarListado } from './listados.js';
+import { limitarEstados } from './estados.js';
+import { loadHistorial, ocultarHistorial } from './historial.js';
+import { loadEstadisticas } from './dashboard.js';
+
+// ========================================
+// CURSOS
+// ========================================
+
+function filaCurso(curso) {
+    return h('tr', {},
+        h('td', {}, curso.idcurso),
+        h('td', {}, curso.nombre_curso),
+        h('td', {}, curso.descripcion || '-'),
+        h('td', {}, curso.dirigido || '-'),
+        h('td', {}, curso.horas_clases_por_dia || '-'),
+        h('td', {}, curso.horarios || '-'),
+        h('td', {}, curso.frecuencia || '-'),
+        h('td', {}, curso.estado_nombre || '-'),
+        h('td', {},
+            h('div', { className: 'actions' },
+                botonAccion('editar-curso', curso.idcurso, '✏️', 'btn-warning'),
+                botonAccion('eliminar-curso', curso.idcurso, '🗑️', 'btn-danger')
+            )
+        )
+    );
+}
+
+// Load Cursos
+export async function loadCursos() {
+    try {
+        const result = await cursos.listar(listQuery('cursos'));
+        renderPagination('cursos', result);
+
+        // Actualizar select de cursos en ciclos
+        loadCursosSelect();
+
+        reemplazar('cursosTableBody', result.data.length === 0
+            ? filaMensaje(9, 'No hay cursos disponibles')
+            : result.data.map(filaCurso));
+    } catch (error) {
+        showError('Error al cargar cursos: ' + error.message);
+    }
+}
+
+// Todos los cursos activos, sin paginar (para los selects)
+export async function loadCursosSelect() {
+    try {
+        actualizar('cursosActivos', await cursos.todos({ estado: idEstado('ACTIVO'), sort: 'nombre_curso' }));
+    } catch (error) {
+        showError('Error al cargar cursos: ' + error.message);
+    }
+}
+
+function nuevoCurso() {
+    byId('cursoModalTitle').textContent = 'Nuevo Curso';
+    byId('cursoForm').reset();
+    byId('cursoId').value = '';
+    ocultarHistorial('curso');
+    byId('cursoEstado').value = idEstado('ACTIVO');
+    limitarEstados('curso');
+    clearFieldErrors('curso');
+    openModal('curso');
+}
+
+async function editCurso(id) {
+    try {
+        const curso = await cursos.obtener(id);
+
+        byId('cursoModalTitle').textContent = 'Editar Curso';
+        clearFieldErrors('curso');
+        byId('cursoId').value = curso.idcurso;
+        byId('cursoFechaEdicion').value = curso.fechaedicion;
+        byId('cursoNombre').value = curso.nombre_curso;
+        byId('cursoDescripcion').value = curso.descripcion || '';
+        byId('cursoDirigido').value = curso.dirigido || '';
+        byId('cursoHoras').value = curso.horas_clases_por_dia || '';
+        byId('cursoHorarios').value = curso.horarios || '';
+        byId('cursoFrecuencia').value = curso.frecuencia || '';
+        byId('cursoEstado').value = curso.idestado;
+        limitarEstados('curso', curso.idestado);
+        openModal('curso');
+        loadHistorial('curso', curso.idcurso);
+    } catch (error) {
+        showError('Error al cargar curso: ' + error.message);
+    }
+}
+
+async function deleteCurso(id) {
+    if (confirm('¿Está seguro de eliminar este curso? Esta acción no se puede deshacer.')) {
+        try {
+            await cursos.eliminar(id);
+            await loadCursos();
+            await loadEstadisticas();
+            showSuccess('Curso eliminado correctamente');
+        } catch (error) {
+            showError('Error al eliminar curso: ' + error.message);
+        }
+    }
+}
+
+byId('cursoForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const id = byId('cursoId').value;
+    const cursoData = {
+        nombre_curso: byId('cursoNombre').value,
+        descripcion: byId('cursoDescripcion').value,
+        dirigido: byId('cursoDirigido').value,
+        horas_clases_por_dia: byId('cursoHoras').value,
+        horarios: byId('cursoHorarios').value,
+        frecuencia: byId('cursoFrecuencia').value,
+        idestado: parseInt(byId('cursoEstado').value)
+    };
+
+    try {
+        if (id) {
+            // Update (fechaedicion detecta cambios de otro usuario)
+            await cursos.actualizar(id, { ...cursoData, fechaedicion: byId('cursoFechaEdicion').value });
+            showSuccess('Curso actualizado correctamente');
+        } else {
+            await cursos.crear(cursoData);
+            showSuccess('Curso creado correctamente');
+        }
+
+        closeModal('curso', { forzar: true });
+        await loadCursos();
+        await loadEstadisticas();
+    } catch (error) {
+        if (error.status === 409) {
+            handleConflict('curso', () => editCurso(id));
+            return;
+        }
+        showFieldErrors('curso', error.errors);
+        showError('Error al guardar curso: ' + error.message);
+    }
+});
+
+registrarListado('cursos', loadCursos);
+
+registrarAcciones({
+    'nuevo-curso': () => nuevoCurso(),
+    'editar-curso': ({ id }) => editCurso(parseInt(id)),
+    'eliminar-curso': ({ id }) => deleteCurso(parseInt(id))
+});
@@ -0,0 +1,128 @@
+import { reportes } from '../cliente.js';
+import { h, byId, reemplazar, formatDate } from '../dom.js';
+import { showError } from '../mensajes.js';
+import { registrarAcciones } from '../acciones.js';
+
+// ========================================
+// ESTADÍSTICAS Y REPORTES
+// ========================================
+
+export async function loadEstadisticas() {
+    try {
+        const stats = await reportes.estadisticas();
+        byId('statsContainer').style.display = 'grid';
+        byId('statCursosActivos').textContent = stats.cursosActivos || 0;
+        byId('statCiclosActivos').textContent = stats.ciclosActivos || 0;
+        byId('statCiclosProximos').textContent = stats.ciclosProximos || 0;
+        byId('statCiclosEnCurso').textContent = stats.ciclosEnCurso || 0;
+        byId('statCiclosPendientes').textContent = stats.ciclosPendientes || 0;
+        byId('statCiclosFinalizados').textContent = stats.ciclosFinalizados || 0;
+        byId('statIngresosCobrados').textContent = `S/ ${stats.ingresosCobrados || 0}`;
+        byId('statIngresosEsperados').textContent = `Cobrado de S/ ${stats.ingresosEsperados || 0}`;
+    } catch (error) {
+        console.error('Error al cargar estadísticas:', error);
+    }
+
+    await loadReportes();
+}
+
+const MESES_CORTOS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Set', 'Oct', 'Nov', 'Dic'];
+
+const claseBarra = (s) => `bar ${s > 0 ? 'secundaria' : ''}`;
+
+// Barras verticales: una columna por etiqueta con una barra por serie
+function barChart(etiquetas, series, { titulos = [] } = {}) {
+    const maximo = Math.max(1, ...series.flat());
+    const columnas = etiquetas.map((etiqueta, i) => h('div', {
+        className: 'bar-group',
+        title: `${etiqueta}: ${series.map(serie => serie[i]).join(' / ')}`
+    }, series.map((serie, s) => h('div', {
+        className: claseBarra(s),
+        style: { height: `${serie[i] * 100 / maximo}%` }
+    }))));
+
+    return [
+        h('div', { className: 'bar-chart' }, columnas),
+        h('div', { className: 'bar-labels' }, etiquetas.map(e => h('span', {}, e))),
+        titulos.length > 0 && h('div', { className: 'chart-legend' },
+            titulos.map((titulo, s) => [h('span', { className: claseBarra(s) }), titulo]))
+    ];
+}
+
+// Rango de precios de cada curso sobre una escala común
+function priceChart(cursos) {
+    if (cursos.length === 0) return h('p', { className: 'stat-label' }, 'Sin ciclos con precio en el rango');
+
+    const maximo = Math.max(...cursos.map(c => c.precio_max)) || 1;
+    return cursos.map(c => h('div', { className: 'price-row', title: `${c.ciclos} ciclo(s)` },
+        h('span', {}, c.nombre_curso),
+        h('div', { className: 'price-track' },
+            h('div', {
+                className: 'price-range',
+                style: {
+                    left: `${c.precio_min * 100 / maximo}%`,
+                    width: `${(c.precio_max - c.precio_min) * 100 / maximo}%`
+                }
+            }),
+            h('div', { className: 'price-avg', style: { left: `${c.precio_promedio * 100 / maximo}%` } })
+        ),
+        h('span', {}, `S/ ${c.precio_min} – ${c.precio_max} (≈ ${c.precio_promedio})`)
+    ));
+}
+
+// Reportes del dashboard (series, precios, descuentos y alertas)
+export async function loadReportes() {
+    try {
+        const reporte = await reportes.dashboard({
+            desde: byId('reporteDesde').value,
+            hasta: byId('reporteHasta').value,
+            dias: byId('reporteDias').value
+        });
+        byId('reporteDesde').value = reporte.rango.desde;
+        byId('reporteHasta').value = reporte.rango.hasta;
+
+        const meses = reporte.ciclosPorMes;
+        reemplazar('reporteCiclosPorMes', barChart(
+            // El año se indica en el primer mes y en cada enero
+            meses.map((m, i) => {
+                const mes = parseInt(m.mes.slice(5));
+                return `${MESES_CORTOS[mes - 1]}${i === 0 || mes === 1 ? ` ${m.mes.slice(2, 4)}` : ''}`;
+            }),
+            [meses.map(m => m.iniciados), meses.map(m => m.finalizados)],
+            { titulos: ['Iniciados', 'Finalizados'] }
+        ));
+
+        reemplazar('reportePrecios', priceChart(reporte.preciosPorCurso));
+
+        const descuentos = reporte.descuentos;
+        reemplazar('reporteDescuentos',
+            h('p', { className: 'stat-label' },
+                `${descuentos.con_promocion} de ${descuentos.ciclos} ciclos con promoción; ` +
+                `descuento promedio ${descuentos.descuento_promedio ?? 0}%, máximo ${descuentos.descuento_maximo ?? 0}%`),
+            barChart(
+                descuentos.tramos.map(t => `${t.desde}–${t.hasta}%`),
+                [descuentos.tramos.map(t => t.ciclos)]
+            )
+        );
+
+        const porTerminar = reporte.ciclosPorTerminar.ciclos;
+        reemplazar('reportePorTerminar', porTerminar.length === 0
+            ? h('li', {}, `Ningún ciclo termina en los próximos ${reporte.ciclosPorTerminar.dias} días`)
+            : porTerminar.map(c => h('li', {},
+                `${c.nombre_curso} - ${c.nombreciclo}: ${formatDate(`${c.fecha_fin_clase}T00:00:00`)} ` +
+                `(${c.dias_restantes === 0 ? 'hoy' : `en ${c.dias_restantes} días`})`)));
+
+        const sinProximo = reporte.cursosSinProximoCiclo;
+        reemplazar('reporteSinProximo', sinProximo.length === 0
+            ? h('li', {}, 'Todos los cursos activos tienen un ciclo próximo')
+            : sinProximo.map(c => h('li', {},
+                `${c.nombre_curso} ` +
+                `(${c.ultimo_inicio ? `último inicio ${formatDate(`${c.ultimo_inicio}T00:00:00`)}` : 'sin ciclos'})`)));
+    } catch (error) {
+        showError('Error al cargar reportes: ' + error.message);
+    }
+}
+
+registrarAcciones({
+    'actualizar-reportes': () => loadReportes()
+});
@@ -0,0 +1,157 @@
+import { estados as apiEstados } from '../cliente.js';
+import { estado, actualizar, suscribir } from '../estado.js';
+import { h, byId, reemplazar, opcion, botonAccion } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { showFieldErrors, clearFieldErrors } from '../formularios.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { loadCursos } from './cursos.js';
+import { loadCiclos } from './ciclos.js';
+
+// ========================================
+// ESTADOS
+// ========================================
+
+const nombreEstado = (id) => estado.estados.find(e => e.idestado === id)?.nombre || id;
+
+// Estados a los que puede pasar un curso o un ciclo
+function transicionesLabel(item, entidad) {
+    const columna = entidad === 'curso' ? 'aplica_cursos' : 'aplica_ciclos';
+    if (!item[columna]) return '-';
+
+    const transiciones = item.transiciones[entidad];
+    if (transiciones.length === 0) {
+        return entidad === 'ciclo' && item.codigo === 'ANULADO' ? 'Solo restaurar' : 'Ninguno';
+    }
+    return transiciones.map(nombreEstado).join(', ');
+}
+
+// En los formularios solo se ofrecen los estados de la entidad y los
+// cambios de estado permitidos desde el actual
+export function limitarEstados(entidad, idestadoActual = null) {
+    const actual = estado.estados.find(e => e.idestado === idestadoActual);
+    byId(`${entidad}Estado`).querySelectorAll('option').forEach(option => {
+        const idestado = parseInt(option.value);
+        option.disabled = Boolean(actual
+            && idestado !== idestadoActual && !actual.transiciones[entidad].includes(idestado));
+    });
+}
+
+function renderEstados(lista) {
+    reemplazar('estadosTableBody', lista.map(item => {
+        const aplica = [item.aplica_cursos && 'Cursos', item.aplica_ciclos && 'Ciclos']
+            .filter(Boolean).join(', ');
+        return h('tr', {},
+            h('td', {}, item.idestado),
+            h('td', {}, h('code', {}, item.codigo)),
+            h('td', {}, item.nombre),
+            h('td', {}, item.descripcion || '-'),
+            h('td', {}, aplica),
+            h('td', {}, transicionesLabel(item, 'curso')),
+            h('td', {}, transicionesLabel(item, 'ciclo')),
+            h('td', { className: 'admin-only' },
+                h('div', { className: 'actions' },
+                    botonAccion('editar-estado', item.idestado, '✏️', 'btn-warning'),
+                    !item.sistema && botonAccion('eliminar-estado', item.idestado, '🗑️', 'btn-danger')
+                )
+            )
+        );
+    }));
+
+    // Llenar selects con los estados de cada entidad
+    const options = (columna) => lista
+        .filter(e => e[columna])
+        .map(e => opcion(e.idestado, e.nombre));
+
+    reemplazar('cursoEstado', options('aplica_cursos'));
+    reemplazar('cicloEstado', options('aplica_ciclos'));
+}
+
+// Load Estados
+export async function loadEstados() {
+    try {
+        actualizar('estados', await apiEstados.listar());
+    } catch (error) {
+        showError('Error al cargar estados: ' + error.message);
+    }
+}
+
+function nuevoEstado() {
+    byId('estadoModalTitle').textContent = 'Nuevo Estado';
+    byId('estadoForm').reset();
+    byId('estadoId').value = '';
+    byId('estadoCodigo').disabled = false;
+    clearFieldErrors('estado');
+    openModal('estado');
+}
+
+function editEstado(id) {
+    const item = estado.estados.find(e => e.idestado === id);
+
+    byId('estadoModalTitle').textContent = 'Editar Estado';
+    clearFieldErrors('estado');
+    byId('estadoId').value = item.idestado;
+    byId('estadoCodigo').value = item.codigo;
+    // El código de un estado del sistema no se puede cambiar
+    byId('estadoCodigo').disabled = item.sistema;
+    byId('estadoNombre').value = item.nombre;
+    byId('estadoDescripcion').value = item.descripcion || '';
+    byId('estadoAplicaCursos').value = String(item.aplica_cursos);
+    byId('estadoAplicaCiclos').value = String(item.aplica_ciclos);
+    openModal('estado');
+}
+
+// Los cursos y ciclos se muestran con el nombre del estado
+async function recargarTrasCambioDeEstado() {
+    await loadEstados();
+    await loadCursos();
+    await loadCiclos();
+}
+
+byId('estadoForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const id = byId('estadoId').value;
+    const estadoData = {
+        codigo: byId('estadoCodigo').value.trim().toUpperCase(),
+        nombre: byId('estadoNombre').value,
+        descripcion: byId('estadoDescripcion').value,
+        aplica_cursos: byId('estadoAplicaCursos').value === 'true',
+        aplica_ciclos: byId('estadoAplicaCiclos').value === 'true'
+    };
+
+    try {
+        if (id) {
+            await apiEstados.actualizar(id, estadoData);
+        } else {
+            await apiEstados.crear(estadoData);
+        }
+        showSuccess(id ? 'Estado actualizado correctamente' : 'Estado creado correctamente');
+
+        await recargarTrasCambioDeEstado();
+        closeModal('estado');
+    } catch (error) {
+        showFieldErrors('estado', error.errors);
+        showError('Error al guardar estado: ' + error.message);
+    }
+});
+
+async function deleteEstado(id) {
+    if (confirm('¿Está seguro de eliminar este estado?')) {
+        try {
+            await apiEstados.eliminar(id);
+            showSuccess('Estado eliminado correctamente');
+            await recargarTrasCambioDeEstado();
+        } catch (error) {
+            showError('Error al eliminar estado: ' + error.message);
+        }
+    }
+}
+
+registrarAcciones({
+    'nuevo-estado': () => nuevoEstado(),
+    'editar-estado': ({ id }) => editEstado(parseInt(id)),
+    'eliminar-estado': ({ id }) => deleteEstado(parseInt(id))
+});
+
+suscribir('estados', renderEstados);
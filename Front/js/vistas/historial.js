@@ -0,0 +1,65 @@
+import { auditoria } from '../cliente.js';
+import { estado } from '../estado.js';
+import { h, byId, reemplazar, formatDateTime } from '../dom.js';
+
+// ========================================
+// HISTORIAL DE CAMBIOS (AUDITORÍA)
+// ========================================
+
+const ACCION_LABELS = { crear: 'Creado', actualizar: 'Actualizado', eliminar: 'Eliminado', restaurar: 'Restaurado' };
+const IGNORED_HISTORY_FIELDS = ['fechaedicion', 'fechacreacion'];
+
+export function ocultarHistorial(entidad) {
+    byId(`${entidad}Historial`).style.display = 'none';
+}
+
+// Historial de cambios de un curso o ciclo
+export async function loadHistorial(entidad, id) {
+    const panel = byId(`${entidad}Historial`);
+    const list = byId(`${entidad}HistorialList`);
+
+    // Los usuarios de solo lectura no tienen acceso a la auditoría
+    if (estado.usuario && estado.usuario.role === 'viewer') {
+        panel.style.display = 'none';
+        return;
+    }
+
+    panel.style.display = 'block';
+    list.textContent = 'Cargando...';
+
+    try {
+        const registros = await auditoria.listar(entidad, id);
+
+        if (registros.length === 0) {
+            reemplazar(list, h('div', { className: 'history-item' }, 'Sin cambios registrados'));
+            return;
+        }
+
+        reemplazar(list, registros.map(r => {
+            const cambios = diffRegistros(r.datos_anteriores, r.datos_nuevos)
+                .map(c => h('li', {}, h('strong', {}, c.campo), `: ${c.antes} → ${c.despues}`));
+            return h('div', { className: 'history-item' },
+                `${formatDateTime(r.fecha)} — `,
+                h('strong', {}, ACCION_LABELS[r.accion] || r.accion),
+                ` por ${r.username || 'desconocido'}`,
+                cambios.length > 0 && h('ul', {}, cambios)
+            );
+        }));
+    } catch (error) {
+        reemplazar(list);
+        panel.style.display = 'none';
+    }
+}
+
+// Campos que cambiaron entre dos versiones de un registro
+function diffRegistros(antes, despues) {
+    if (!antes || !despues) return [];
+    return Object.keys(despues)
+        .filter(campo => !IGNORED_HISTORY_FIELDS.includes(campo))
+        .filter(campo => JSON.stringify(antes[campo]) !== JSON.stringify(despues[campo]))
+        .map(campo => ({
+            campo,
+            antes: antes[campo] ?? '-',
+            despues: despues[campo] ?? '-'
+        }));
+}
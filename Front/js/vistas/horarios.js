@@ -0,0 +1,200 @@
+import { ciclos, horarios, feriados } from '../cliente.js';
+import { h, byId, reemplazar, filaMensaje, botonAccion, opcion, formatDate, toISODate } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { registrarAcciones } from '../acciones.js';
+
+// ========================================
+// HORARIOS, CALENDARIO SEMANAL Y FERIADOS
+// ========================================
+
+export const DIAS_SEMANA = ['Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'];
+
+reemplazar('horarioDia', DIAS_SEMANA.map((dia, i) => opcion(i + 1, dia)));
+
+// Feeds iCalendar (públicos, para suscribirse por URL)
+byId('calendarLink').href = horarios.calendarUrl();
+
+// "N sesiones · M horas en total" de GET /ciclos/:id/sesiones
+export function resumenSesiones(resultado) {
+    return resultado.horarios.length === 0
+        ? 'Sin horario definido'
+        : `${resultado.total_sesiones} sesiones · ${resultado.total_horas} horas en total` +
+          (resultado.feriados.length ? ` (sin ${resultado.feriados.length} feriado(s))` : '');
+}
+
+// Día, hora, aula e instructor de una sesión semanal
+export function celdasHorario(horario) {
+    return [
+        h('td', {}, DIAS_SEMANA[horario.dia_semana - 1]),
+        h('td', {}, `${horario.hora_inicio} - ${horario.hora_fin}`),
+        h('td', {}, horario.aula || '-'),
+        h('td', {}, horario.instructor || '-')
+    ];
+}
+
+export function ocultarHorariosCiclo() {
+    byId('cicloHorarios').style.display = 'none';
+}
+
+// Horario del ciclo abierto en el modal
+export async function loadHorariosCiclo() {
+    const id = byId('cicloId').value;
+    byId('cicloHorarios').style.display = 'block';
+    byId('cicloCalendarLink').href = ciclos.calendarUrl(id);
+
+    try {
+        const resultado = await ciclos.sesiones(id);
+
+        byId('cicloSesionesResumen').textContent = resumenSesiones(resultado);
+        reemplazar('cicloHorariosBody', resultado.horarios.map(horario => h('tr', {},
+            celdasHorario(horario),
+            h('td', {},
+                h('div', { className: 'actions' },
+                    botonAccion('eliminar-horario', horario.idhorario, '🗑️', 'btn-danger')
+                )
+            )
+        )));
+    } catch (error) {
+        showError('Error al cargar horario: ' + error.message);
+    }
+}
+
+byId('horarioForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        await horarios.crear({
+            idciclo: parseInt(byId('cicloId').value),
+            dia_semana: parseInt(byId('horarioDia').value),
+            hora_inicio: byId('horarioInicio').value,
+            hora_fin: byId('horarioFin').value,
+            aula: byId('horarioAula').value,
+            instructor: byId('horarioInstructor').value
+        });
+        showSuccess('Sesión agregada correctamente');
+        byId('horarioForm').reset();
+        await loadHorariosCiclo();
+        await loadSemana();
+    } catch (error) {
+        const cruces = (error.data && error.data.conflictos || [])
+            .map(c => `${c.nombre_curso} - ${c.nombreciclo} (${c.hora_inicio}-${c.hora_fin}, ${c.recurso})`)
+            .join('; ');
+        showError('Error al agregar sesión: ' + error.message + (cruces ? `: ${cruces}` : ''));
+    }
+});
+
+async function deleteHorario(id) {
+    if (confirm('¿Está seguro de eliminar esta sesión del horario?')) {
+        try {
+            await horarios.eliminar(id);
+            showSuccess('Sesión eliminada correctamente');
+            await loadHorariosCiclo();
+            await loadSemana();
+        } catch (error) {
+            showError('Error al eliminar sesión: ' + error.message);
+        }
+    }
+}
+
+// Calendario semanal de sesiones
+function moverSemana(dias) {
+    const input = byId('semanaFecha');
+    const fecha = new Date(`${input.value || toISODate(new Date())}T00:00:00`);
+    fecha.setDate(fecha.getDate() + dias);
+    input.value = toISODate(fecha);
+    loadSemana();
+}
+
+export async function loadSemana() {
+    const input = byId('semanaFecha');
+    if (!input.value) input.value = toISODate(new Date());
+
+    try {
+        const semana = await horarios.semana({
+            fecha: input.value,
+            aula: byId('semanaAula').value.trim(),
+            instructor: byId('semanaInstructor').value.trim()
+        });
+        const inicio = new Date(`${semana.desde}T00:00:00`);
+
+        reemplazar('semanaCalendar', DIAS_SEMANA.map((dia, i) => {
+            const fecha = new Date(inicio);
+            fecha.setDate(inicio.getDate() + i);
+            const iso = toISODate(fecha);
+            const feriado = semana.feriados.find(f => f.fecha === iso);
+            const sesiones = semana.sesiones.filter(s => s.fecha === iso);
+
+            return h('div', { className: `calendar-day ${feriado ? 'feriado' : ''}` },
+                h('h4', {}, `${dia} ${formatDate(`${iso}T00:00:00`)}`),
+                feriado && h('div', { className: 'badge-espera' }, `Feriado: ${feriado.descripcion}`),
+                sesiones.map(s => h('div', { className: 'calendar-session' },
+                    h('strong', {}, `${s.hora_inicio} - ${s.hora_fin}`), h('br'),
+                    `${s.nombre_curso} - ${s.nombreciclo}`, h('br'),
+                    [s.aula, s.instructor].filter(Boolean).join(' · ')
+                ))
+            );
+        }));
+    } catch (error) {
+        showError('Error al cargar calendario: ' + error.message);
+    }
+}
+
+byId('semanaFecha').addEventListener('change', () => loadSemana());
+
+// Feriados
+export async function loadFeriados() {
+    try {
+        const lista = await feriados.listar(`${new Date().getFullYear()}-01-01`);
+
+        reemplazar('feriadosTableBody', lista.length === 0
+            ? filaMensaje(3, 'No hay feriados registrados')
+            : lista.map(f => h('tr', {},
+                h('td', {}, formatDate(`${f.fecha}T00:00:00`)),
+                h('td', {}, f.descripcion),
+                h('td', {},
+                    h('div', { className: 'actions' },
+                        botonAccion('eliminar-feriado', f.idferiado, '🗑️', 'btn-danger')
+                    )
+                )
+            )));
+    } catch (error) {
+        showError('Error al cargar feriados: ' + error.message);
+    }
+}
+
+byId('feriadoForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        await feriados.crear({
+            fecha: byId('feriadoFecha').value,
+            descripcion: byId('feriadoDescripcion').value
+        });
+        showSuccess('Feriado registrado correctamente');
+        byId('feriadoForm').reset();
+        await loadFeriados();
+        await loadSemana();
+    } catch (error) {
+        showError('Error al registrar feriado: ' + error.message);
+    }
+});
+
+async function deleteFeriado(id) {
+    if (confirm('¿Está seguro de eliminar este feriado?')) {
+        try {
+            await feriados.eliminar(id);
+            showSuccess('Feriado eliminado correctamente');
+            await loadFeriados();
+            await loadSemana();
+        } catch (error) {
+            showError('Error al eliminar feriado: ' + error.message);
+        }
+    }
+}
+
+registrarAcciones({
+    'eliminar-horario': ({ id }) => deleteHorario(parseInt(id)),
+    'mover-semana': ({ dias }) => moverSemana(parseInt(dias)),
+    'filtrar-semana': () => loadSemana(),
+    'eliminar-feriado': ({ id }) => deleteFeriado(parseInt(id))
+});
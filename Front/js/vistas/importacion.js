@@ -0,0 +1,90 @@
+import * as cliente from '../cliente.js';
+import { h, byId, reemplazar } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { loadCursos } from './cursos.js';
+import { loadCiclos } from './ciclos.js';
+
+// ========================================
+// IMPORTAR CURSOS / CICLOS
+// ========================================
+
+// Importación: vista previa (dry run) al elegir el archivo y confirmación
+let importList = null;
+
+const IMPORT_ACCIONES = {
+    crear: '➕ Crear',
+    actualizar: '✏️ Actualizar',
+    sin_cambios: 'Sin cambios',
+    error: '❌ Error'
+};
+
+function openImport(list) {
+    importList = list;
+    byId('importModalTitle').textContent = list === 'cursos' ? '⬆️ Importar Cursos' : '⬆️ Importar Ciclos';
+    byId('importArchivo').value = '';
+    byId('importResumen').textContent =
+        'Puede partir de un archivo exportado. El curso y el estado se indican por nombre.';
+    reemplazar('importBody');
+    byId('importConfirmar').disabled = true;
+    openModal('import');
+}
+
+function enviarImportacion(dryRun) {
+    return cliente[importList].importar(byId('importArchivo').files[0], dryRun);
+}
+
+function renderImport({ resumen, filas, columnas_ignoradas }) {
+    byId('importResumen').textContent =
+        `${resumen.crear} por crear, ${resumen.actualizar} por actualizar, ` +
+        `${resumen.sin_cambios} sin cambios, ${resumen.error} con errores` +
+        (columnas_ignoradas.length > 0 ? `. Columnas ignoradas: ${columnas_ignoradas.join(', ')}` : '');
+
+    reemplazar('importBody', filas.map(fila => h('tr', {},
+        h('td', {}, fila.fila),
+        h('td', { className: fila.accion === 'error' ? 'cuota-vencida' : '' }, IMPORT_ACCIONES[fila.accion]),
+        h('td', {}, fila.datos.nombre_curso || fila.datos.nombreciclo || ''),
+        h('td', {}, fila.accion === 'error'
+            ? fila.errors.map(e => `${e.field}: ${e.message}`).join('; ')
+            : (fila.cambios || []).join(', '))
+    )));
+}
+
+async function previewImport() {
+    const confirmar = byId('importConfirmar');
+    confirmar.disabled = true;
+    reemplazar('importBody');
+    if (!byId('importArchivo').files[0]) return;
+
+    try {
+        const resultado = await enviarImportacion(true);
+        renderImport(resultado);
+        const { crear, actualizar, error } = resultado.resumen;
+        confirmar.disabled = error > 0 || crear + actualizar === 0;
+    } catch (error) {
+        byId('importResumen').textContent = error.message;
+    }
+}
+
+async function confirmImport() {
+    try {
+        const resultado = await enviarImportacion(false);
+        closeModal('import');
+        showSuccess(`Importación realizada: ${resultado.resumen.crear} creados, ` +
+            `${resultado.resumen.actualizar} actualizados`);
+        importList === 'cursos' ? loadCursos() : loadCiclos();
+    } catch (error) {
+        // Los datos cambiaron desde la vista previa: mostrar los errores actuales
+        if (error.data && error.data.filas) renderImport(error.data);
+        byId('importConfirmar').disabled = true;
+        showError('Error al importar: ' + error.message);
+    }
+}
+
+byId('importArchivo').addEventListener('change', () => previewImport());
+
+registrarAcciones({
+    'importar': ({ listado }) => openImport(listado),
+    'confirmar-importacion': () => confirmImport()
+});
@@ -0,0 +1,192 @@
+import { ciclos, alumnos, matriculas } from '../cliente.js';
+import { estado, idEstado, actualizar, suscribir } from '../estado.js';
+import { h, byId, reemplazar, filaMensaje, botonAccion, opcion, llenarSelect, formatDate } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { showFieldErrors, clearFieldErrors } from '../formularios.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { navegar } from '../router.js';
+import { loadEstadisticas } from './dashboard.js';
+
+// ========================================
+// INSCRITOS Y MATRÍCULAS
+// ========================================
+
+const MATRICULA_ESTADO_LABELS = { inscrito: 'Inscrito', lista_espera: 'Lista de espera', anulado: 'Anulado' };
+
+// Ciclos activos para el selector de inscritos (sin paginar)
+export async function loadCiclosSelect() {
+    try {
+        actualizar('ciclosActivos', await ciclos.todos({ estado: idEstado('ACTIVO'), sort: '-fecha_inicio_clase' }));
+        if (byId('inscritosCiclo').value) loadInscritos();
+    } catch (error) {
+        showError('Error al cargar ciclos: ' + error.message);
+    }
+}
+
+suscribir('ciclosActivos', (lista) => {
+    llenarSelect('inscritosCiclo',
+        lista.map(ciclo => opcion(ciclo.idciclo, `${ciclo.nombre_curso} - ${ciclo.nombreciclo}`)), 1);
+});
+
+// Ruta #/inscritos/:id: seleccionar el ciclo y cargar sus matrículas
+export function mostrarInscritos(idciclo) {
+    if (idciclo) byId('inscritosCiclo').value = idciclo;
+    loadInscritos();
+}
+
+byId('inscritosCiclo').addEventListener('change', (e) => {
+    navegar(e.target.value ? `#/inscritos/${e.target.value}` : '#/inscritos');
+});
+
+function filaMatricula(m) {
+    return h('tr', {},
+        h('td', {}, m.documento),
+        h('td', {}, `${m.apellidos}, ${m.nombres}`),
+        h('td', {}, m.email || '-'),
+        h('td', {}, m.telefono || '-'),
+        h('td', { className: m.estado === 'lista_espera' ? 'badge-espera' : '' }, MATRICULA_ESTADO_LABELS[m.estado]),
+        h('td', {}, `S/ ${m.precio || 0}${m.tipo_precio === 'promocion' ? ' (promoción)' : ''}`),
+        h('td', {}, formatDate(m.fechacreacion)),
+        h('td', {},
+            h('button', { className: 'btn btn-small', dataset: { accion: 'ver-cuenta', id: m.idmatricula }, title: 'Pagos' }, '💰'),
+            h('div', { className: 'actions' },
+                botonAccion('anular-matricula', m.idmatricula, '🗑️', 'btn-danger')
+            )
+        )
+    );
+}
+
+// Load Inscritos del ciclo seleccionado
+export async function loadInscritos() {
+    const idciclo = byId('inscritosCiclo').value;
+    const resumen = byId('inscritosResumen');
+
+    if (!idciclo) {
+        resumen.textContent = '';
+        reemplazar('inscritosTableBody', filaMensaje(8, 'Seleccione un ciclo'));
+        return;
+    }
+
+    try {
+        const lista = await matriculas.listar(idciclo);
+        const vigentes = lista.filter(m => m.estado !== 'anulado');
+        const inscritos = vigentes.filter(m => m.estado === 'inscrito').length;
+        const enEspera = vigentes.length - inscritos;
+        const ciclo = estado.ciclosActivos.find(c => c.idciclo === parseInt(idciclo));
+
+        resumen.textContent = ciclo && ciclo.vacantes !== null
+            ? `Inscritos: ${inscritos} de ${ciclo.vacantes} vacantes · En lista de espera: ${enEspera}`
+            : `Inscritos: ${inscritos} (sin límite de vacantes)`;
+
+        reemplazar('inscritosTableBody', vigentes.length === 0
+            ? filaMensaje(8, 'No hay alumnos matriculados')
+            : vigentes.map(filaMatricula));
+    } catch (error) {
+        showError('Error al cargar inscritos: ' + error.message);
+    }
+}
+
+function nuevaMatricula() {
+    const select = byId('inscritosCiclo');
+    if (!select.value) {
+        showError('Seleccione un ciclo para matricular');
+        return;
+    }
+    byId('matriculaForm').reset();
+    byId('matriculaAlumnoId').value = '';
+    byId('matriculaCicloLabel').textContent = select.options[select.selectedIndex].textContent;
+    setAlumnoFieldsDisabled(false);
+    clearFieldErrors('matricula');
+    openModal('matricula');
+}
+
+// Buscar alumno por documento; si no existe se registra al matricular
+async function buscarAlumno() {
+    const documento = byId('alumnoDocumento').value.trim();
+    if (!documento) return;
+
+    try {
+        const [alumno] = await alumnos.buscarPorDocumento(documento);
+        byId('matriculaAlumnoId').value = alumno ? alumno.idalumno : '';
+        byId('alumnoNombres').value = alumno ? alumno.nombres : '';
+        byId('alumnoApellidos').value = alumno ? alumno.apellidos : '';
+        byId('alumnoEmail').value = alumno ? alumno.email || '' : '';
+        byId('alumnoTelefono').value = alumno ? alumno.telefono || '' : '';
+        setAlumnoFieldsDisabled(!!alumno);
+        if (!alumno) {
+            showSuccess('Alumno nuevo: complete sus datos para registrarlo');
+        }
+    } catch (error) {
+        showError('Error al buscar alumno: ' + error.message);
+    }
+}
+
+function setAlumnoFieldsDisabled(disabled) {
+    ['alumnoNombres', 'alumnoApellidos', 'alumnoEmail', 'alumnoTelefono'].forEach(id => {
+        byId(id).disabled = disabled;
+    });
+}
+
+// Cambiar el documento obliga a buscar de nuevo al alumno
+byId('alumnoDocumento').addEventListener('input', () => {
+    if (byId('matriculaAlumnoId').value) {
+        byId('matriculaAlumnoId').value = '';
+        setAlumnoFieldsDisabled(false);
+    }
+});
+
+byId('matriculaForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    let idalumno = byId('matriculaAlumnoId').value;
+
+    try {
+        if (!idalumno) {
+            const { alumno } = await alumnos.crear({
+                documento: byId('alumnoDocumento').value,
+                nombres: byId('alumnoNombres').value,
+                apellidos: byId('alumnoApellidos').value,
+                email: byId('alumnoEmail').value,
+                telefono: byId('alumnoTelefono').value
+            });
+            idalumno = alumno.idalumno;
+            byId('matriculaAlumnoId').value = idalumno;
+            setAlumnoFieldsDisabled(true);
+        }
+
+        const result = await matriculas.crear({
+            idciclo: parseInt(byId('inscritosCiclo').value),
+            idalumno: parseInt(idalumno)
+        });
+
+        showSuccess(result.message);
+        await loadInscritos();
+        await loadEstadisticas();
+        closeModal('matricula');
+    } catch (error) {
+        showFieldErrors('matricula', error.errors);
+        showError('Error al matricular: ' + error.message);
+    }
+});
+
+async function anularMatricula(id) {
+    if (confirm('¿Está seguro de anular esta matrícula?')) {
+        try {
+            const result = await matriculas.anular(id);
+            await loadInscritos();
+            await loadEstadisticas();
+            showSuccess(result.promovida
+                ? 'Matrícula anulada. El primer alumno de la lista de espera quedó inscrito'
+                : 'Matrícula anulada correctamente');
+        } catch (error) {
+            showError('Error al anular matrícula: ' + error.message);
+        }
+    }
+}
+
+registrarAcciones({
+    'nueva-matricula': () => nuevaMatricula(),
+    'buscar-alumno': () => buscarAlumno(),
+    'anular-matricula': ({ id }) => anularMatricula(parseInt(id))
+});
@@ -0,0 +1,93 @@
+import * as cliente from '../cliente.js';
+import { estado } from '../estado.js';
+import { h, byId, reemplazar } from '../dom.js';
+import { showError } from '../mensajes.js';
+import { registrarAcciones } from '../acciones.js';
+
+// ========================================
+// LISTADOS PAGINADOS (CURSOS Y CICLOS)
+// ========================================
+//
+// Paginación, orden por columna, búsqueda y exportación comunes a los dos
+// listados; cada vista registra la función que lo vuelve a cargar.
+
+const cargadores = {};
+
+export function registrarListado(list, cargar) {
+    cargadores[list] = cargar;
+}
+
+function reloadList(list) {
+    return cargadores[list]();
+}
+
+// Parámetros de query del listado según su estado
+export function listQuery(list) {
+    const { page, pageSize, sort, search } = estado.listados[list];
+    return { page, pageSize, sort, search };
+}
+
+// Paginación bajo la tabla e indicador de orden en las cabeceras
+export function renderPagination(list, result) {
+    const { page, totalPages, total } = result;
+    const boton = (destino, texto, disabled) => h('button', {
+        className: 'btn btn-secondary btn-small',
+        dataset: { accion: 'ir-a-pagina', listado: list, pagina: destino },
+        disabled
+    }, texto);
+
+    reemplazar(`${list}Pagination`,
+        h('span', {}, `Página ${page} de ${Math.max(totalPages, 1)} (${total} registros)`),
+        boton(page - 1, '◀ Anterior', page <= 1),
+        boton(page + 1, 'Siguiente ▶', page >= totalPages)
+    );
+
+    const sort = estado.listados[list].sort;
+    document.querySelectorAll(`#${list}Table th.sortable`).forEach(th => {
+        th.classList.toggle('asc', sort === th.dataset.sort);
+        th.classList.toggle('desc', sort === `-${th.dataset.sort}`);
+    });
+}
+
+function goToPage(list, page) {
+    estado.listados[list].page = page;
+    reloadList(list);
+}
+
+// Clic en una cabecera: ordena ascendente, luego descendente
+function sortBy(list, field) {
+    const listado = estado.listados[list];
+    listado.sort = listado.sort === field ? `-${field}` : field;
+    listado.page = 1;
+    reloadList(list);
+}
+
+function buscar(list) {
+    const listado = estado.listados[list];
+    listado.search = byId(list === 'cursos' ? 'searchCursos' : 'searchCiclos').value;
+    listado.page = 1;
+    reloadList(list);
+}
+
+// Exportar el listado con los mismos filtros y orden que la tabla
+async function exportar(list, formato) {
+    const { sort, search } = estado.listados[list];
+
+    try {
+        await cliente[list].exportar({ sort, search }, formato);
+    } catch (error) {
+        showError('Error al exportar: ' + error.message);
+    }
+}
+
+['cursos', 'ciclos'].forEach(list => {
+    byId(`${list}Table`).querySelectorAll('th.sortable').forEach(th => {
+        th.addEventListener('click', () => sortBy(list, th.dataset.sort));
+    });
+});
+
+registrarAcciones({
+    'buscar': ({ listado }) => buscar(listado),
+    'ir-a-pagina': ({ listado, pagina }) => goToPage(listado, parseInt(pagina)),
+    'exportar': ({ listado, formato }) => exportar(listado, formato)
+});
@@ -0,0 +1,155 @@
+import { matriculas, pagos } from '../cliente.js';
+import { h, byId, reemplazar, filaMensaje, botonAccion, formatDate } from '../dom.js';
+import { showSuccess, showError } from '../mensajes.js';
+import { showFieldErrors, clearFieldErrors } from '../formularios.js';
+import { openModal, closeModal } from '../modales.js';
+import { registrarAcciones } from '../acciones.js';
+import { loadEstadisticas } from './dashboard.js';
+
+// ========================================
+// ESTADO DE CUENTA Y PAGOS
+// ========================================
+
+const CUOTA_ESTADO_LABELS = { pagada: 'Pagada', parcial: 'Pago parcial', pendiente: 'Pendiente', vencida: 'Vencida' };
+
+// Estado de cuenta de una matrícula: cuotas y pagos
+async function openCuenta(idmatricula) {
+    byId('cuentaMatriculaId').value = idmatricula;
+    byId('planForm').reset();
+    byId('pagoForm').reset();
+    clearFieldErrors('pago');
+
+    if (await loadCuenta()) {
+        openModal('cuenta');
+    }
+}
+
+async function loadCuenta() {
+    const id = byId('cuentaMatriculaId').value;
+
+    try {
+        const cuenta = await matriculas.cuenta(id);
+        const { matricula } = cuenta;
+
+        reemplazar('cuentaResumen',
+            h('strong', {}, `${matricula.apellidos}, ${matricula.nombres}`),
+            ` — ${matricula.nombre_curso} - ${matricula.nombreciclo}`, h('br'),
+            `Precio: S/ ${cuenta.precio} · Pagado: S/ ${cuenta.pagado} · `,
+            h('strong', {}, `Saldo: S/ ${cuenta.saldo}`)
+        );
+
+        reemplazar('cuentaCuotasBody', cuenta.cuotas.length === 0
+            ? filaMensaje(6, 'Sin plan de pagos (pago único)')
+            : cuenta.cuotas.map(c => h('tr', {},
+                h('td', {}, c.numero),
+                h('td', {}, formatDate(`${c.fecha_vencimiento}T00:00:00`)),
+                h('td', {}, `S/ ${c.monto}`),
+                h('td', {}, `S/ ${c.pagado}`),
+                h('td', {}, `S/ ${c.pendiente}`),
+                h('td', { className: c.estado === 'vencida' ? 'cuota-vencida' : '' }, CUOTA_ESTADO_LABELS[c.estado])
+            )));
+
+        reemplazar('cuentaPagosBody', cuenta.pagos.length === 0
+            ? filaMensaje(5, 'No hay pagos registrados')
+            : cuenta.pagos.map(p => h('tr', { className: p.fechaanulacion ? 'pago-anulado' : '' },
+                h('td', {}, formatDate(`${p.fecha_pago}T00:00:00`)),
+                h('td', {}, p.numero_recibo),
+                h('td', {}, p.metodo),
+                h('td', {}, `S/ ${p.monto}`),
+                h('td', {}, p.fechaanulacion
+                    ? 'Anulado'
+                    : h('div', { className: 'actions' }, botonAccion('anular-pago', p.idpago, '🗑️', 'btn-danger')))
+            )));
+
+        byId('pagoMonto').max = cuenta.saldo;
+        return true;
+    } catch (error) {
+        showError('Error al cargar estado de cuenta: ' + error.message);
+        return false;
+    }
+}
+
+byId('planForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const id = byId('cuentaMatriculaId').value;
+
+    try {
+        await matriculas.definirCuotas(id, {
+            numero_cuotas: parseInt(byId('planNumeroCuotas').value),
+            fecha_primer_vencimiento: byId('planPrimerVencimiento').value
+        });
+        showSuccess('Plan de pagos registrado correctamente');
+        await loadCuenta();
+    } catch (error) {
+        showError('Error al registrar plan de pagos: ' + error.message);
+    }
+});
+
+byId('pagoForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        const result = await pagos.crear({
+            idmatricula: parseInt(byId('cuentaMatriculaId').value),
+            monto: parseFloat(byId('pagoMonto').value),
+            metodo: byId('pagoMetodo').value,
+            numero_recibo: byId('pagoRecibo').value,
+            fecha_pago: byId('pagoFecha').value || null
+        });
+        showSuccess(`Pago registrado. Saldo pendiente: S/ ${result.saldo}`);
+        byId('pagoForm').reset();
+        clearFieldErrors('pago');
+        await loadCuenta();
+        await loadEstadisticas();
+    } catch (error) {
+        showFieldErrors('pago', error.errors);
+        showError('Error al registrar pago: ' + error.message);
+    }
+});
+
+async function anularPago(id) {
+    if (confirm('¿Está seguro de anular este pago?')) {
+        try {
+            await pagos.anular(id);
+            showSuccess('Pago anulado correctamente');
+            await loadCuenta();
+            await loadEstadisticas();
+        } catch (error) {
+            showError('Error al anular pago: ' + error.message);
+        }
+    }
+}
+
+// Cuotas vencidas de todos los ciclos
+async function openVencidos() {
+    try {
+        const vencidas = await pagos.vencidos();
+
+        reemplazar('vencidosBody', vencidas.length === 0
+            ? filaMensaje(7, 'No hay cuotas vencidas')
+            : vencidas.map(c => h('tr', {},
+                h('td', {}, `${c.apellidos}, ${c.nombres}`, h('br'), h('small', {}, c.telefono || c.email || '')),
+                h('td', {}, `${c.nombre_curso} - ${c.nombreciclo}`),
+                h('td', {}, c.numero),
+                h('td', {}, formatDate(`${c.fecha_vencimiento}T00:00:00`)),
+                h('td', { className: 'cuota-vencida' }, `S/ ${c.pendiente}`),
+                h('td', {}, c.dias_vencida),
+                h('td', {},
+                    h('button', { className: 'btn btn-small', dataset: { accion: 'cuenta-vencida', id: c.idmatricula } }, '💰'))
+            )));
+        openModal('vencidos');
+    } catch (error) {
+        showError('Error al cargar cuotas vencidas: ' + error.message);
+    }
+}
+
+registrarAcciones({
+    'ver-cuenta': ({ id }) => openCuenta(parseInt(id)),
+    'anular-pago': ({ id }) => anularPago(parseInt(id)),
+    'cuotas-vencidas': () => openVencidos(),
+    'cuenta-vencida': ({ id }) => {
+        closeModal('vencidos');
+        openCuenta(parseInt(id));
+    }
+});